@@ -0,0 +1,99 @@
+/**
+ * Backtest the peg strategy against stored PriceHistory
+ *
+ * Usage:
+ *   npm run backtest -- [--from 2025-01-01] [--to 2025-01-08] [--pool V2|V3]
+ *                       [--bnb 5] [--mwt 500000] [--config overrides.json]
+ *                       [--liquidity-usd 100000] [--range 50] [--gas-gwei 3] [--trades]
+ *
+ * --config points to a JSON file of BotConfig overrides, e.g.
+ *   { "thresholds": { "hold": 1.0 }, "strategy": { "mode": "CONSERVATIVE" } }
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Backtester = require('../src/bot/services/backtester');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+function optionalNumber(value) {
+    return value === undefined ? undefined : Number(value);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    const options = {
+        startDate: args.from,
+        endDate: args.to,
+        poolType: args.pool,
+        balances: {
+            bnb: optionalNumber(args.bnb),
+            mwt: optionalNumber(args.mwt)
+        },
+        config: args.config ? JSON.parse(fs.readFileSync(args.config, 'utf8')) : {},
+        pool: {
+            liquidityUSD: optionalNumber(args['liquidity-usd']),
+            rangeWidthPercent: optionalNumber(args.range)
+        },
+        gas: {
+            gasPriceGwei: optionalNumber(args['gas-gwei'])
+        }
+    };
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Database connected');
+
+    const report = await new Backtester().run(options);
+    const { window, trades, volume, gas, pnl, peg } = report;
+
+    console.log('\n🧪 Backtest Report');
+    console.log('='.repeat(60));
+    console.log(`Pool:     ${report.poolType}`);
+    console.log(`Window:   ${new Date(window.firstSampleAt).toISOString()} → ${new Date(window.lastSampleAt).toISOString()}`);
+    console.log(`Samples:  ${window.samples}${window.truncated ? ' (truncated)' : ''}`);
+    console.log('-'.repeat(60));
+    console.log(`Trades:   ${trades.total} (${trades.buys} buys, ${trades.sells} sells)`);
+    console.log(`          ${trades.skipped} skipped, ${trades.holds} holds, ${trades.halts} circuit-breaker halts`);
+    console.log(`Volume:   ${volume.bnb.toFixed(4)} BNB, ${volume.mwt.toFixed(2)} MWT sold`);
+    console.log(`Gas:      ${gas.totalBNB.toFixed(6)} BNB ($${gas.totalUSD.toFixed(2)})`);
+    console.log('-'.repeat(60));
+    console.log(`Start:    ${pnl.startBalances.bnb.toFixed(4)} BNB + ${pnl.startBalances.mwt.toFixed(2)} MWT = $${pnl.startValueUSD.toFixed(2)}`);
+    console.log(`End:      ${pnl.endBalances.bnb.toFixed(4)} BNB + ${pnl.endBalances.mwt.toFixed(2)} MWT = $${pnl.endValueUSD.toFixed(2)}`);
+    console.log(`PnL:      $${pnl.netUSD.toFixed(2)} (vs hold: $${pnl.vsHoldUSD.toFixed(2)})`);
+    console.log('-'.repeat(60));
+    console.log(`Peg band: ±${peg.band}%`);
+    console.log(`Outside:  ${peg.percentOutsideBand.toFixed(2)}% of the time with bot, ${peg.historicalPercentOutsideBand.toFixed(2)}% historically`);
+    console.log(`Max dev:  ${peg.maxAbsDeviationPercent.toFixed(2)}%, avg ${peg.avgAbsDeviationPercent.toFixed(2)}%`);
+
+    if (args.trades) {
+        console.log('-'.repeat(60));
+        for (const t of trades.list) {
+            console.log(`${new Date(t.at).toISOString()}  ${t.action.padEnd(4)} ${t.inputAmount.toFixed(4)} ${t.inputToken}  ` +
+                `${t.deviationBefore.toFixed(2)}% → ${t.deviationAfter.toFixed(2)}%  (${t.urgency})`);
+        }
+    }
+}
+
+main()
+    .then(() => mongoose.disconnect())
+    .catch(async (error) => {
+        console.error('❌ Backtest failed:', error.message);
+        await mongoose.disconnect();
+        process.exit(1);
+    });
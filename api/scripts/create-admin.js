@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Create an admin account directly in the database
+ * Use it once to bootstrap the first superadmin; further admins are created via POST /api/admin/admins.
+ *
+ * Usage:
+ *   node scripts/create-admin.js --username alice [--roles superadmin] [--wallet 0x...] [--no-totp]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const adminAccounts = require('../src/services/adminAccounts');
+
+function parseArgs(argv) {
+    const args = { roles: 'superadmin', totp: true };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--username':
+                args.username = argv[++i];
+                break;
+            case '--roles':
+                args.roles = argv[++i];
+                break;
+            case '--wallet':
+                args.wallet = argv[++i];
+                break;
+            case '--no-totp':
+                args.totp = false;
+                break;
+            default:
+                throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+
+    if (!args.username) {
+        throw new Error('--username is required');
+    }
+
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!process.env.MONGODB_URI) {
+        throw new Error('MONGODB_URI not set in environment');
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    try {
+        const { admin, totp } = await adminAccounts.createAdmin({
+            username: args.username,
+            walletAddress: args.wallet || null,
+            roles: args.roles.split(',').map(role => role.trim()),
+            enableTotp: args.totp
+        }, 'bootstrap');
+
+        console.log('\n✅ Admin created\n');
+        console.log('🆔 ID:       ', admin.id);
+        console.log('👤 Username: ', admin.username);
+        console.log('🔐 Roles:    ', admin.roles.join(', '));
+        if (admin.walletAddress) {
+            console.log('👛 Wallet:   ', admin.walletAddress);
+        }
+
+        if (totp) {
+            console.log('\n⚠️  Add this to an authenticator app now - it will not be shown again:\n');
+            console.log('   Secret:', totp.secret);
+            console.log('   URI:   ', totp.otpauthUri);
+        }
+        console.log('');
+    } finally {
+        await mongoose.connection.close();
+    }
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
@@ -200,6 +200,14 @@ async function testCreateDistribution() {
 
     const response = await apiRequest('POST', '/distributions/create', distributionData, true);
 
+    // Creation is a two-person operation; it only runs once an admin approves it
+    if (response.status === 202) {
+        return {
+            status: 'skipped',
+            reason: `Distribution proposed as operation ${response.data.data.operation.id} - approve it via POST /api/admin/approvals/{id}/approve`
+        };
+    }
+
     if (response.status !== 201) {
         // If it fails due to insufficient balance, skip remaining tests
         if (response.data.error && response.data.error.message &&
@@ -0,0 +1,54 @@
+/**
+ * Run one indexing pass of the order book listener and print what landed in MongoDB
+ *
+ * Works against any RPC node, including a local Hardhat node:
+ *   npx hardhat node                       (repo root)
+ *   npx hardhat run scripts/deploy-orderbook.js --network localhost
+ *   ORDERBOOK_RPC_URL=http://127.0.0.1:8545 node scripts/test-orderbook-indexer.js <orderBookAddress>
+ *
+ * Running it twice in a row should report the same document counts (idempotent upserts).
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { OrderBookEventListener } = require('../src/services');
+const { Order, OrderFill, OrderCancellation, Withdrawal } = require('../src/models');
+
+async function main() {
+    const defaults = OrderBookEventListener.configFromEnv();
+    const contractAddress = process.argv[2] || defaults.contractAddress;
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Database connected');
+
+    const listener = OrderBookEventListener.getInstance({
+        contractAddress,
+        network: process.env.ORDERBOOK_RPC_URL ? 'localhost' : defaults.network,
+        startBlock: parseInt(process.env.ORDERBOOK_START_BLOCK || '0')
+    });
+
+    await listener.initialize();
+    console.log(`⏳ Indexing ${listener.contractAddress} on ${listener.network} from block ${listener.lastProcessedBlock}...`);
+
+    const processed = await listener.poll();
+    const status = listener.getStatus();
+
+    if (status.lastError) {
+        throw new Error(status.lastError);
+    }
+
+    console.log(`✅ Processed ${processed} events, checkpoint at block ${status.lastProcessedBlock}`);
+    console.log('📊 Documents:');
+    console.log(`   Orders:        ${await Order.countDocuments()}`);
+    console.log(`   Fills:         ${await OrderFill.countDocuments()}`);
+    console.log(`   Cancellations: ${await OrderCancellation.countDocuments()}`);
+    console.log(`   Withdrawals:   ${await Withdrawal.countDocuments()}`);
+}
+
+main()
+    .then(() => mongoose.disconnect())
+    .catch(async (error) => {
+        console.error('❌ Indexer test failed:', error.message);
+        await mongoose.disconnect();
+        process.exit(1);
+    });
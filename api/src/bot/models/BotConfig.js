@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const CircuitBreakerEvent = require('./CircuitBreakerEvent');
 
 const botConfigSchema = new mongoose.Schema({
     // Bot identification
@@ -279,6 +280,49 @@ const botConfigSchema = new mongoose.Schema({
             default: 5, // Stop after 5 consecutive errors
             min: 1,
             max: 100
+        },
+        circuitBreakerCooldownMinutes: {
+            type: Number,
+            default: 30, // Minimum time before a tripped breaker can be re-armed
+            min: 0,
+            max: 10080
+        }
+    },
+
+    // Circuit breaker state (see tripCircuitBreaker / rearmCircuitBreaker)
+    circuitBreaker: {
+        tripped: {
+            type: Boolean,
+            default: false
+        },
+        reason: {
+            type: String,
+            enum: ['EMERGENCY_DEVIATION', 'CONSECUTIVE_ERRORS'],
+            default: null
+        },
+        message: {
+            type: String,
+            default: null
+        },
+        source: {
+            type: String,
+            default: null
+        },
+        details: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null
+        },
+        trippedAt: {
+            type: Date,
+            default: null
+        },
+        cooldownUntil: {
+            type: Date,
+            default: null
+        },
+        tripCount: {
+            type: Number,
+            default: 0
         }
     },
 
@@ -316,6 +360,10 @@ const botConfigSchema = new mongoose.Schema({
             onDailyLimit: {
                 type: Boolean,
                 default: true
+            },
+            onPriceAnomaly: {
+                type: Boolean,
+                default: true
             }
         }
     },
@@ -444,6 +492,7 @@ botConfigSchema.methods = {
         this.pausedAt = null;
         this.pauseReason = null;
         this.metadata.lastEnabled = { at: new Date(), reason };
+        this.markModified('metadata');
         await this.save();
         return this;
     },
@@ -452,14 +501,133 @@ botConfigSchema.methods = {
      * Disable/pause bot
      */
     async disable(reason = 'Manual disable') {
+        // Accepts a plain string or a structured { code, message, details } reason
+        const structured = typeof reason === 'object' && reason !== null ? reason : { message: reason };
+
         this.enabled = false;
         this.pausedAt = new Date();
-        this.pauseReason = reason;
-        this.metadata.lastDisabled = { at: new Date(), reason };
+        this.pauseReason = structured.code ? `[${structured.code}] ${structured.message}` : structured.message;
+        this.metadata.lastDisabled = {
+            at: new Date(),
+            reason: structured.message,
+            code: structured.code || null,
+            details: structured.details || null
+        };
+        this.markModified('metadata');
         await this.save();
         return this;
     },
 
+    /**
+     * Trip the circuit breaker: disable the bot with a structured reason,
+     * start the cool-down and write an audit event. No-op if already tripped.
+     * @param {string} reason - EMERGENCY_DEVIATION or CONSECUTIVE_ERRORS
+     * @param {string} message - Human readable explanation
+     * @param {Object} details - Values that caused the trip
+     * @param {string} source - trade-execute, strategy-engine, price-monitor
+     * @returns {Promise<boolean>} true when this call tripped the breaker
+     */
+    async tripCircuitBreaker(reason, message, details = {}, source = 'system') {
+        if (this.circuitBreaker.tripped) {
+            return false;
+        }
+
+        const now = new Date();
+        this.circuitBreaker = {
+            tripped: true,
+            reason,
+            message,
+            source,
+            details,
+            trippedAt: now,
+            cooldownUntil: new Date(now.getTime() + this.safety.circuitBreakerCooldownMinutes * 60 * 1000),
+            tripCount: (this.circuitBreaker.tripCount || 0) + 1
+        };
+
+        await this.disable({ code: `CIRCUIT_BREAKER:${reason}`, message, details });
+
+        await CircuitBreakerEvent.create({
+            botId: this.botId,
+            type: 'TRIP',
+            reason,
+            source,
+            message,
+            details
+        });
+
+        return true;
+    },
+
+    /**
+     * Trip the breaker if the peg deviation is beyond the emergency threshold
+     * @returns {Promise<boolean>} true when this call tripped the breaker
+     */
+    async checkEmergencyDeviation(deviationPercent, source = 'system', extraDetails = {}) {
+        if (!this.safety.enableCircuitBreaker || this.circuitBreaker.tripped) {
+            return false;
+        }
+
+        if (Math.abs(deviationPercent) < this.thresholds.emergency) {
+            return false;
+        }
+
+        return this.tripCircuitBreaker(
+            'EMERGENCY_DEVIATION',
+            `Peg deviation ${deviationPercent.toFixed(2)}% beyond emergency threshold ±${this.thresholds.emergency}%`,
+            { ...extraDetails, deviationPercent, emergencyThreshold: this.thresholds.emergency },
+            source
+        );
+    },
+
+    /**
+     * Clear a tripped breaker after the cool-down (or early with force) and audit it
+     * @param {Object} options - { actor, note, force, enable }
+     * @throws {Error} with code NOT_TRIPPED or COOLDOWN_ACTIVE
+     */
+    async rearmCircuitBreaker({ actor = 'api', note = null, force = false, enable = true } = {}) {
+        if (!this.circuitBreaker.tripped) {
+            const error = new Error('Circuit breaker is not tripped');
+            error.code = 'NOT_TRIPPED';
+            throw error;
+        }
+
+        const cooldownUntil = this.circuitBreaker.cooldownUntil;
+        const coolingDown = Boolean(cooldownUntil && cooldownUntil > new Date());
+        if (coolingDown && !force) {
+            const error = new Error(`Circuit breaker is cooling down until ${cooldownUntil.toISOString()}`);
+            error.code = 'COOLDOWN_ACTIVE';
+            error.cooldownUntil = cooldownUntil;
+            throw error;
+        }
+
+        const { reason, details, trippedAt } = this.circuitBreaker;
+
+        this.circuitBreaker.tripped = false;
+        this.circuitBreaker.cooldownUntil = null;
+        // Start the error count fresh so the next failure doesn't trip again immediately
+        this.statistics.consecutiveErrors = 0;
+
+        if (enable) {
+            await this.enable(`Circuit breaker re-armed by ${actor}`);
+        } else {
+            await this.save();
+        }
+
+        await CircuitBreakerEvent.create({
+            botId: this.botId,
+            type: 'REARM',
+            reason,
+            source: 'api',
+            actor,
+            message: `Re-armed by ${actor}${coolingDown ? ' (forced during cool-down)' : ''}`,
+            details: { trippedAt, tripDetails: details, enabled: enable },
+            note,
+            forced: coolingDown
+        });
+
+        return this;
+    },
+
     /**
      * Update trading thresholds
      */
@@ -606,20 +774,53 @@ botConfigSchema.methods = {
             this.statistics.lastTradeAt = new Date();
         } else if (trade.status === 'FAILED') {
             this.statistics.failedTrades++;
-            this.statistics.consecutiveErrors++;
-            this.statistics.lastErrorAt = new Date();
-
-            // Auto-disable if too many errors
-            if (this.safety.autoStopOnErrors &&
-                this.statistics.consecutiveErrors >= this.safety.maxConsecutiveErrors) {
-                await this.disable('Too many consecutive errors');
-            }
+            await this.countError(
+                { lastTradeId: trade.tradeId, lastError: trade.error || null },
+                trade.metadata?.source || 'trade-execute'
+            );
         }
 
         await this.save();
         return this;
     },
 
+    /**
+     * Record a trade attempt that failed before a Trade existed (price oracle, RPC,
+     * limit check), so those failures also count towards maxConsecutiveErrors
+     * @param {string} message - Error message
+     * @param {string} source - e.g. 'trade-execute', 'strategy-engine'
+     * @returns {Promise<boolean>} true if this error tripped the circuit breaker
+     */
+    async recordError(message, source) {
+        const tripped = await this.countError({ lastTradeId: null, lastError: message }, source);
+        await this.save();
+        return tripped;
+    },
+
+    /**
+     * Helper: count a consecutive error and auto-disable past the limit (caller saves)
+     * @returns {Promise<boolean>} true if the circuit breaker was tripped
+     */
+    async countError(details, source) {
+        this.statistics.consecutiveErrors++;
+        this.statistics.lastErrorAt = new Date();
+
+        if (this.safety.autoStopOnErrors &&
+            this.statistics.consecutiveErrors >= this.safety.maxConsecutiveErrors) {
+            return this.tripCircuitBreaker(
+                'CONSECUTIVE_ERRORS',
+                `${this.statistics.consecutiveErrors} consecutive failed trades (limit ${this.safety.maxConsecutiveErrors})`,
+                {
+                    consecutiveErrors: this.statistics.consecutiveErrors,
+                    maxConsecutiveErrors: this.safety.maxConsecutiveErrors,
+                    ...details
+                },
+                source
+            );
+        }
+        return false;
+    },
+
     /**
      * Reset statistics
      */
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+/**
+ * Circuit breaker audit trail
+ * Append-only record of every trip and re-arm, with who/what triggered it.
+ */
+const circuitBreakerEventSchema = new mongoose.Schema({
+    botId: {
+        type: String,
+        default: 'default',
+        index: true
+    },
+
+    type: {
+        type: String,
+        enum: ['TRIP', 'REARM'],
+        required: true,
+        index: true
+    },
+
+    reason: {
+        type: String,
+        enum: ['EMERGENCY_DEVIATION', 'CONSECUTIVE_ERRORS'],
+        required: true
+    },
+
+    // Where the event came from (trade-execute, strategy-engine, price-monitor, api)
+    source: {
+        type: String,
+        required: true
+    },
+
+    // API key name for re-arms, 'system' for automatic trips
+    actor: {
+        type: String,
+        default: 'system'
+    },
+
+    message: {
+        type: String,
+        required: true
+    },
+
+    // Deviation / error counts / thresholds at the time of the event
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    note: {
+        type: String,
+        default: null
+    },
+
+    // Re-arm before the cool-down expired
+    forced: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true,
+    collection: 'bot_circuit_breaker_events'
+});
+
+circuitBreakerEventSchema.index({ botId: 1, createdAt: -1 });
+
+// Audit records are never rewritten
+circuitBreakerEventSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return next(new Error('Circuit breaker events are immutable'));
+    }
+    next();
+});
+
+circuitBreakerEventSchema.statics = {
+    async getRecent(botId = 'default', limit = 20) {
+        return this.find({ botId })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .lean();
+    }
+};
+
+module.exports = mongoose.model('CircuitBreakerEvent', circuitBreakerEventSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+/**
+ * Delivery log for bot notifications
+ * One document per (event, channel) delivery, updated on every attempt.
+ */
+const notificationDeliverySchema = new mongoose.Schema({
+    botId: {
+        type: String,
+        default: 'default',
+        index: true
+    },
+
+    event: {
+        type: String,
+        enum: ['TRADE', 'ERROR', 'PAUSE', 'RESUME', 'CIRCUIT_BREAKER', 'DAILY_LIMIT', 'PRICE_ANOMALY', 'TEST'],
+        required: true,
+        index: true
+    },
+
+    channel: {
+        type: String,
+        enum: ['EMAIL', 'TELEGRAM', 'DISCORD', 'SLACK', 'WEBHOOK'],
+        required: true,
+        index: true
+    },
+
+    status: {
+        type: String,
+        enum: ['PENDING', 'DELIVERED', 'FAILED'],
+        default: 'PENDING',
+        index: true
+    },
+
+    title: {
+        type: String,
+        required: true
+    },
+
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    attempts: {
+        type: Number,
+        default: 0
+    },
+
+    lastAttemptAt: {
+        type: Date,
+        default: null
+    },
+
+    // HTTP status (webhook-style channels) of the last attempt
+    responseStatus: {
+        type: Number,
+        default: null
+    },
+
+    lastError: {
+        type: String,
+        default: null
+    },
+
+    deliveredAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    collection: 'bot_notification_deliveries'
+});
+
+notificationDeliverySchema.index({ createdAt: -1 });
+
+notificationDeliverySchema.statics = {
+    /**
+     * Get recent deliveries with optional filters
+     */
+    async getRecent({ event, channel, status } = {}, limit = 50, offset = 0) {
+        const query = {};
+        if (event) query.event = event;
+        if (channel) query.channel = channel;
+        if (status) query.status = status;
+
+        const [deliveries, total] = await Promise.all([
+            this.find(query)
+                .sort({ createdAt: -1 })
+                .skip(offset)
+                .limit(limit)
+                .lean(),
+            this.countDocuments(query)
+        ]);
+
+        return { deliveries, total };
+    }
+};
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * Pre-materialized MWT/USD candles
+ * Closed 1h / 1d buckets rolled up from PriceHistory and executed trades so long
+ * ranges don't re-aggregate raw samples (and outlive the raw history retention).
+ */
+const priceCandleSchema = new mongoose.Schema({
+    interval: {
+        type: String,
+        enum: ['1h', '1d'],
+        required: true
+    },
+
+    bucketStart: {
+        type: Date,
+        required: true
+    },
+
+    // MWT price in USD
+    open: {
+        type: Number,
+        default: null
+    },
+    high: {
+        type: Number,
+        default: null
+    },
+    low: {
+        type: Number,
+        default: null
+    },
+    close: {
+        type: Number,
+        default: null
+    },
+
+    // Executed bot trade volume in the bucket
+    volume: {
+        mwt: {
+            type: Number,
+            default: 0
+        },
+        bnb: {
+            type: Number,
+            default: 0
+        },
+        usd: {
+            type: Number,
+            default: null
+        }
+    },
+
+    trades: {
+        type: Number,
+        default: 0
+    },
+
+    samples: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true,
+    collection: 'price_candles'
+});
+
+priceCandleSchema.index({ interval: 1, bucketStart: 1 }, { unique: true });
+
+module.exports = mongoose.model('PriceCandle', priceCandleSchema);
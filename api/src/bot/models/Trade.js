@@ -198,6 +198,7 @@ tradeSchema.index({ action: 1, status: 1 });
 tradeSchema.index({ initiatedAt: -1 });
 tradeSchema.index({ botId: 1, initiatedAt: -1 });
 tradeSchema.index({ status: 1, initiatedAt: -1 });
+tradeSchema.index({ status: 1, executedAt: 1 });
 
 // Virtual for trade duration
 tradeSchema.virtual('duration').get(function () {
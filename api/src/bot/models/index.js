@@ -6,9 +6,15 @@
 const Trade = require('./Trade');
 const PriceHistory = require('./PriceHistory');
 const BotConfig = require('./BotConfig');
+const NotificationDelivery = require('./NotificationDelivery');
+const CircuitBreakerEvent = require('./CircuitBreakerEvent');
+const PriceCandle = require('./PriceCandle');
 
 module.exports = {
     Trade,
     PriceHistory,
-    BotConfig
+    BotConfig,
+    NotificationDelivery,
+    CircuitBreakerEvent,
+    PriceCandle
 };
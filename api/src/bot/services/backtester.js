@@ -0,0 +1,393 @@
+const logger = require('../../utils/logger');
+const { PriceHistory, BotConfig } = require('../models');
+const StrategyEngine = require('./strategyEngine');
+const { ConstantProductPool, ConcentratedLiquidityPool } = require('./simulatedPool');
+
+const DEFAULT_WINDOW_DAYS = 7;
+const DEFAULT_MAX_SAMPLES = 10000;
+const MAX_SAMPLES_LIMIT = 50000;
+const MAX_TRADES_IN_REPORT = 500;
+
+/**
+ * Error for bad backtest input (mapped to 400 by the route)
+ */
+function invalidInput(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_BACKTEST';
+    return error;
+}
+
+// Typical PancakeSwap swap gas usage
+const DEFAULT_GAS_USED = {
+    V2: 150000,
+    V3: 200000
+};
+
+/**
+ * Peg bot backtester
+ * Replays a PriceHistory window through StrategyEngine.decide() against a simulated
+ * V2 or V3 pool. Historical price moves are replayed as relative moves on the
+ * simulated pool, so the bot's own price impact carries forward between samples.
+ */
+class Backtester {
+    /**
+     * Run a backtest
+     * @param {Object} options
+     * @param {Date|string} options.startDate - Window start (default: 7 days before endDate)
+     * @param {Date|string} options.endDate - Window end (default: now)
+     * @param {string} options.poolType - 'V2' or 'V3' (default from IS_V3_POOL)
+     * @param {Object} options.balances - Starting { bnb, mwt } (default: current bot config minimums × 10)
+     * @param {Object} options.config - BotConfig overrides { thresholds, tradeSizing, limits, slippage, strategy, safety, targetPeg }
+     * @param {Object} options.pool - { liquidityUSD, rangeWidthPercent, fee } overrides for the simulated pool
+     * @param {Object} options.gas - { gasUsed, gasPriceGwei }
+     * @param {number} options.maxSamples - Max PriceHistory records to replay
+     * @returns {Promise<Object>} Backtest report
+     */
+    async run(options = {}) {
+        const endDate = options.endDate ? new Date(options.endDate) : new Date();
+        const startDate = options.startDate
+            ? new Date(options.startDate)
+            : new Date(endDate.getTime() - DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+        if (isNaN(startDate.getTime()) || isNaN(endDate.getTime()) || startDate >= endDate) {
+            throw invalidInput('Invalid backtest window: startDate must be before endDate');
+        }
+
+        const maxSamples = Math.min(options.maxSamples || DEFAULT_MAX_SAMPLES, MAX_SAMPLES_LIMIT);
+        const records = await PriceHistory.find({
+            recordedAt: { $gte: startDate, $lte: endDate },
+            isValid: { $ne: false }
+        })
+            .sort({ recordedAt: 1 })
+            .limit(maxSamples + 1)
+            .lean();
+
+        const truncated = records.length > maxSamples;
+        if (truncated) records.length = maxSamples;
+
+        if (records.length < 2) {
+            throw invalidInput(`Not enough price history in window (found ${records.length} records, need at least 2)`);
+        }
+
+        const config = await this.buildConfig(options.config);
+        const poolType = (options.poolType || (process.env.IS_V3_POOL === 'true' ? 'V3' : 'V2')).toUpperCase();
+
+        const report = this.simulate(records, config, {
+            poolType,
+            balances: options.balances,
+            pool: options.pool || {},
+            gas: options.gas || {}
+        });
+
+        report.window = {
+            startDate,
+            endDate,
+            samples: records.length,
+            firstSampleAt: records[0].recordedAt,
+            lastSampleAt: records[records.length - 1].recordedAt,
+            truncated
+        };
+
+        logger.info(`🧪 Backtest finished: ${report.trades.total} trades over ${records.length} samples (${poolType})`);
+
+        return report;
+    }
+
+    /**
+     * Load the default BotConfig and apply overrides in memory (never saved)
+     */
+    async buildConfig(overrides = {}) {
+        const config = await BotConfig.getDefault();
+        const { targetPeg, thresholds, tradeSizing, limits, slippage, strategy, safety } = overrides;
+
+        if (targetPeg) Object.assign(config.targetPeg, targetPeg);
+        if (thresholds) Object.assign(config.thresholds, thresholds);
+        if (tradeSizing) Object.assign(config.tradeSizing, tradeSizing);
+        if (limits) Object.assign(config.limits, limits);
+        if (slippage) Object.assign(config.slippage, slippage);
+        if (strategy) Object.assign(config.strategy, strategy);
+        if (safety) Object.assign(config.safety, safety);
+
+        const validationError = config.validateSync();
+        if (validationError) {
+            throw invalidInput(`Invalid config overrides: ${validationError.message}`);
+        }
+
+        return config;
+    }
+
+    /**
+     * Build the simulated pool from the first record
+     */
+    createPool(poolType, record, poolOptions) {
+        try {
+            return this.buildPool(poolType, record, poolOptions);
+        } catch (error) {
+            throw error.code ? error : invalidInput(error.message);
+        }
+    }
+
+    buildPool(poolType, record, poolOptions) {
+        const mwtBnbPrice = parseFloat(record.mwtBnbPrice);
+        const liquidityUSD = poolOptions.liquidityUSD || record.liquidity?.totalUSD;
+
+        if (poolType === 'V3') {
+            return new ConcentratedLiquidityPool({
+                price: mwtBnbPrice,
+                valueBNB: liquidityUSD / record.bnbUsdPrice,
+                rangeWidthPercent: poolOptions.rangeWidthPercent,
+                fee: poolOptions.fee
+            });
+        }
+
+        if (poolType !== 'V2') {
+            throw invalidInput(`Unsupported pool type: ${poolType}`);
+        }
+
+        let mwtReserve = parseFloat(record.liquidity?.mwtReserve);
+        let bnbReserve = parseFloat(record.liquidity?.bnbReserve);
+
+        if (poolOptions.liquidityUSD || !(mwtReserve > 0) || !(bnbReserve > 0)) {
+            bnbReserve = liquidityUSD / record.bnbUsdPrice / 2;
+            mwtReserve = bnbReserve / mwtBnbPrice;
+        }
+
+        return new ConstantProductPool({ mwtReserve, bnbReserve, fee: poolOptions.fee });
+    }
+
+    /**
+     * Replay records (oldest first) through the strategy
+     */
+    simulate(records, config, { poolType, balances, pool: poolOptions, gas }) {
+        const pool = this.createPool(poolType, records[0], poolOptions);
+        const gasUsed = gas.gasUsed || DEFAULT_GAS_USED[poolType];
+        const baseGasPriceGwei = gas.gasPriceGwei || 3;
+        const target = config.targetPeg.usd;
+        const holdBand = config.thresholds.hold;
+
+        const wallet = {
+            bnb: balances?.bnb !== undefined ? Number(balances.bnb) : config.safety.requireMinBalance.bnb * 10,
+            mwt: balances?.mwt !== undefined ? Number(balances.mwt) : config.safety.requireMinBalance.mwt * 10
+        };
+        const startWallet = { ...wallet };
+        const startBnbUsd = records[0].bnbUsdPrice;
+        const startPrice = pool.price;
+
+        const trades = [];
+        const totals = {
+            buys: 0,
+            sells: 0,
+            skipped: 0,
+            holds: 0,
+            halts: 0,
+            volumeBNB: 0,
+            volumeMWT: 0,
+            gasCostBNB: 0,
+            gasCostUSD: 0
+        };
+        const peg = {
+            outsideSeconds: 0,
+            historicalOutsideSeconds: 0,
+            totalSeconds: 0,
+            maxAbsDeviation: 0,
+            absDeviationSum: 0
+        };
+
+        let lastTradeAt = null;
+        let day = null;
+        let dayVolumeBNB = 0;
+        let dayTrades = 0;
+
+        for (let i = 0; i < records.length; i++) {
+            const record = records[i];
+            const now = new Date(record.recordedAt);
+
+            // Replay the historical move (external flow) on top of our own impact
+            if (i > 0) {
+                const ratio = parseFloat(record.mwtBnbPrice) / parseFloat(records[i - 1].mwtBnbPrice);
+                if (ratio > 0 && isFinite(ratio)) {
+                    pool.moveTo(pool.price * ratio);
+                }
+            }
+
+            const dayKey = now.toISOString().slice(0, 10);
+            if (dayKey !== day) {
+                day = dayKey;
+                dayVolumeBNB = 0;
+                dayTrades = 0;
+            }
+
+            const market = this.snapshot(pool, record, target);
+            const dailyLimits = config.safety.enableDailyLimits
+                ? {
+                    exceeded: dayVolumeBNB >= config.limits.maxDailyVolumeBNB || dayTrades >= config.limits.maxDailyTrades,
+                    volumeUsed: dayVolumeBNB,
+                    volumeLimit: config.limits.maxDailyVolumeBNB,
+                    tradesUsed: dayTrades,
+                    tradesLimit: config.limits.maxDailyTrades
+                }
+                : { exceeded: false };
+
+            const decision = StrategyEngine.decide(config, market, wallet, { now, lastTradeAt, dailyLimits });
+
+            if (decision.action === 'BUY' || decision.action === 'SELL') {
+                const gasPriceGwei = Math.min(
+                    baseGasPriceGwei * (config.gas.urgencyMultipliers[decision.urgency.toLowerCase()] || 1),
+                    config.gas.maxGasPriceGwei
+                );
+                const gasCostBNB = (gasUsed * gasPriceGwei) / 1e9;
+                let inputAmount;
+                let outputAmount;
+
+                if (decision.action === 'BUY') {
+                    outputAmount = pool.buy(decision.amountIn);
+                    inputAmount = pool.lastAmountUsed;
+                    wallet.bnb -= inputAmount;
+                    wallet.mwt += outputAmount;
+                    totals.buys++;
+                    totals.volumeBNB += inputAmount;
+                    dayVolumeBNB += inputAmount;
+                } else {
+                    outputAmount = pool.sell(decision.amountIn);
+                    inputAmount = pool.lastAmountUsed;
+                    wallet.mwt -= inputAmount;
+                    wallet.bnb += outputAmount;
+                    totals.sells++;
+                    totals.volumeMWT += inputAmount;
+                    totals.volumeBNB += outputAmount;
+                }
+
+                wallet.bnb -= gasCostBNB;
+                totals.gasCostBNB += gasCostBNB;
+                totals.gasCostUSD += gasCostBNB * record.bnbUsdPrice;
+                dayTrades++;
+                lastTradeAt = now;
+
+                if (trades.length < MAX_TRADES_IN_REPORT) {
+                    trades.push({
+                        at: now,
+                        action: decision.action,
+                        urgency: decision.urgency,
+                        inputAmount,
+                        inputToken: decision.inputToken,
+                        outputAmount,
+                        gasCostBNB,
+                        deviationBefore: market.deviationPercent,
+                        deviationAfter: this.snapshot(pool, record, target).deviationPercent
+                    });
+                }
+            } else if (decision.action === 'SKIP') {
+                totals.skipped++;
+            } else if (decision.action === 'HALT') {
+                totals.halts++;
+            } else {
+                totals.holds++;
+            }
+
+            // Time outside the band is attributed to the interval until the next sample
+            if (i < records.length - 1) {
+                const seconds = (new Date(records[i + 1].recordedAt) - now) / 1000;
+                const deviation = this.snapshot(pool, record, target).deviationPercent;
+                const historicalDeviation = ((record.mwtUsdPrice - target) / target) * 100;
+
+                peg.totalSeconds += seconds;
+                peg.absDeviationSum += Math.abs(deviation) * seconds;
+                peg.maxAbsDeviation = Math.max(peg.maxAbsDeviation, Math.abs(deviation));
+                if (Math.abs(deviation) > holdBand) peg.outsideSeconds += seconds;
+                if (Math.abs(historicalDeviation) > holdBand) peg.historicalOutsideSeconds += seconds;
+            }
+        }
+
+        const last = records[records.length - 1];
+        const endBnbUsd = last.bnbUsdPrice;
+        const endPrice = pool.price;
+        const valueUSD = (w, mwtBnb, bnbUsd) => (w.bnb + w.mwt * mwtBnb) * bnbUsd;
+
+        const startValueUSD = valueUSD(startWallet, startPrice, startBnbUsd);
+        const endValueUSD = valueUSD(wallet, endPrice, endBnbUsd);
+        // Doing nothing with the same starting balances, valued at the end of the window
+        const holdValueUSD = valueUSD(startWallet, endPrice, endBnbUsd);
+
+        return {
+            poolType,
+            config: {
+                targetPeg: config.targetPeg,
+                thresholds: config.thresholds,
+                tradeSizing: config.tradeSizing,
+                strategy: config.strategy,
+                limits: config.limits
+            },
+            pool: {
+                startPrice,
+                endPrice,
+                mwtReserve: pool.mwtReserve,
+                bnbReserve: pool.bnbReserve,
+                fee: pool.fee
+            },
+            trades: {
+                total: totals.buys + totals.sells,
+                buys: totals.buys,
+                sells: totals.sells,
+                skipped: totals.skipped,
+                holds: totals.holds,
+                halts: totals.halts,
+                list: trades,
+                listTruncated: totals.buys + totals.sells > trades.length
+            },
+            volume: {
+                bnb: totals.volumeBNB,
+                mwt: totals.volumeMWT
+            },
+            gas: {
+                gasUsedPerTrade: gasUsed,
+                baseGasPriceGwei,
+                totalBNB: totals.gasCostBNB,
+                totalUSD: totals.gasCostUSD
+            },
+            pnl: {
+                startBalances: startWallet,
+                endBalances: wallet,
+                startValueUSD,
+                endValueUSD,
+                holdValueUSD,
+                netUSD: endValueUSD - startValueUSD,
+                vsHoldUSD: endValueUSD - holdValueUSD,
+                vsHoldPercent: holdValueUSD > 0 ? ((endValueUSD - holdValueUSD) / holdValueUSD) * 100 : null
+            },
+            peg: {
+                band: holdBand,
+                totalSeconds: peg.totalSeconds,
+                secondsOutsideBand: peg.outsideSeconds,
+                percentOutsideBand: peg.totalSeconds > 0 ? (peg.outsideSeconds / peg.totalSeconds) * 100 : 0,
+                historicalSecondsOutsideBand: peg.historicalOutsideSeconds,
+                historicalPercentOutsideBand: peg.totalSeconds > 0 ? (peg.historicalOutsideSeconds / peg.totalSeconds) * 100 : 0,
+                maxAbsDeviationPercent: peg.maxAbsDeviation,
+                avgAbsDeviationPercent: peg.totalSeconds > 0 ? peg.absDeviationSum / peg.totalSeconds : 0
+            }
+        };
+    }
+
+    /**
+     * Market snapshot in the MarketData shape for the simulated pool
+     */
+    snapshot(pool, record, targetPegUSD) {
+        const mwtUsdPrice = pool.price * record.bnbUsdPrice;
+
+        return {
+            poolType: pool.type,
+            mwtBnbPrice: pool.price,
+            bnbUsdPrice: record.bnbUsdPrice,
+            mwtUsdPrice,
+            targetPegUSD,
+            deviationPercent: ((mwtUsdPrice - targetPegUSD) / targetPegUSD) * 100,
+            // Mirror live data: only V2 reports liquidity in USD
+            liquidityUSD: pool.type === 'V2' ? pool.valueBNB * record.bnbUsdPrice : null,
+            timestamp: record.recordedAt
+        };
+    }
+}
+
+Backtester.DEFAULT_WINDOW_DAYS = DEFAULT_WINDOW_DAYS;
+Backtester.MAX_SAMPLES_LIMIT = MAX_SAMPLES_LIMIT;
+
+module.exports = Backtester;
@@ -0,0 +1,328 @@
+const logger = require('../../utils/logger');
+const { PriceHistory, Trade, PriceCandle } = require('../models');
+
+const INTERVALS = {
+    '1m': 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000
+};
+
+// Intervals served from PriceCandle for closed buckets
+const ROLLUP_INTERVALS = ['1h', '1d'];
+
+const DEFAULT_CANDLES = 200;
+const MAX_CANDLES = 1000;
+
+function invalidInput(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_CANDLES';
+    return error;
+}
+
+// Bucket start (epoch ms) for a date field; UTC-aligned because epoch is
+const bucketOf = (field, ms) => ({
+    $subtract: [{ $toLong: field }, { $mod: [{ $toLong: field }, ms] }]
+});
+
+// Trade amounts are decimal strings; skip anything unparseable instead of failing the pipeline
+const toNumber = (input) => ({
+    $convert: { input, to: 'double', onError: null, onNull: null }
+});
+
+/**
+ * MWT/USD OHLCV candles
+ * Prices come from PriceHistory samples; executed bot trades add their fill price (converted
+ * with the bucket's BNB/USD) to the OHLC and make up the volume. Closed 1h / 1d buckets are
+ * materialized into PriceCandle by rollup(); only the still-open tail is aggregated live.
+ * Buckets with no samples and no trades are omitted.
+ */
+class CandleAggregator {
+    /**
+     * Get candles for a range
+     * @param {string} interval - 1m, 5m, 1h or 1d
+     * @param {Object} options - { from, to } (to defaults to now, from to 200 candles earlier)
+     * @returns {Promise<Object>} { interval, from, to, sources, candles }
+     */
+    async getCandles(interval, { from, to } = {}) {
+        const ms = INTERVALS[interval];
+        if (!ms) {
+            throw invalidInput(`interval must be one of ${Object.keys(INTERVALS).join(', ')}`);
+        }
+
+        const end = to ? new Date(to).getTime() : Date.now();
+        let start = from ? new Date(from).getTime() : end - DEFAULT_CANDLES * ms;
+
+        if (isNaN(start) || isNaN(end)) {
+            throw invalidInput('from and to must be valid dates');
+        }
+
+        // Start on a bucket boundary so the first candle is complete
+        start = Math.floor(start / ms) * ms;
+
+        if (start >= end) {
+            throw invalidInput('from must be before to');
+        }
+
+        if (Math.ceil((end - start) / ms) > MAX_CANDLES) {
+            throw invalidInput(`Range too large: at most ${MAX_CANDLES} ${interval} candles per request`);
+        }
+
+        let stored = [];
+        let live;
+
+        if (ROLLUP_INTERVALS.includes(interval)) {
+            stored = await PriceCandle.find({
+                interval,
+                bucketStart: { $gte: new Date(start), $lt: new Date(end) }
+            }).sort({ bucketStart: 1 }).lean();
+        }
+
+        if (stored.length === 0) {
+            live = await this.aggregate(ms, start, end);
+        } else {
+            // Fill around the materialized run: before the first rollup and the open tail
+            const firstStored = stored[0].bucketStart.getTime();
+            const afterStored = stored[stored.length - 1].bucketStart.getTime() + ms;
+
+            const [before, after] = await Promise.all([
+                firstStored > start ? this.aggregate(ms, start, firstStored) : [],
+                afterStored < end ? this.aggregate(ms, afterStored, end) : []
+            ]);
+            live = [...before, ...after];
+        }
+
+        const candles = [...stored.map(CandleAggregator.formatStored), ...live]
+            .sort((a, b) => a.time - b.time);
+
+        return {
+            interval,
+            from: new Date(start),
+            to: new Date(end),
+            sources: {
+                rollup: stored.length,
+                live: live.length
+            },
+            candles
+        };
+    }
+
+    /**
+     * Aggregate raw samples and trades into candles for [start, end)
+     * @param {number} ms - Bucket size in milliseconds
+     * @param {number} start - Range start (epoch ms)
+     * @param {number} end - Range end (epoch ms, exclusive)
+     * @returns {Promise<Array>} Candles sorted by time
+     */
+    async aggregate(ms, start, end) {
+        const [priceBuckets, tradeBuckets] = await Promise.all([
+            this.aggregatePrices(ms, start, end),
+            this.aggregateTrades(ms, start, end)
+        ]);
+
+        const buckets = new Map();
+        for (const bucket of priceBuckets) {
+            buckets.set(bucket._id, { price: bucket, trade: null });
+        }
+        for (const bucket of tradeBuckets) {
+            const entry = buckets.get(bucket._id) || { price: null, trade: null };
+            entry.trade = bucket;
+            buckets.set(bucket._id, entry);
+        }
+
+        const candles = [];
+        // Trades in a bucket without samples are priced with the last known BNB/USD
+        let bnbUsd = null;
+
+        for (const time of [...buckets.keys()].sort((a, b) => a - b)) {
+            const { price, trade } = buckets.get(time);
+            if (price) bnbUsd = price.bnbUsd;
+
+            candles.push(CandleAggregator.mergeBucket(time, price, trade, bnbUsd));
+        }
+
+        return candles;
+    }
+
+    async aggregatePrices(ms, start, end) {
+        return PriceHistory.aggregate([
+            {
+                $match: {
+                    recordedAt: { $gte: new Date(start), $lt: new Date(end) },
+                    isValid: { $ne: false }
+                }
+            },
+            { $sort: { recordedAt: 1 } },
+            {
+                $group: {
+                    _id: bucketOf('$recordedAt', ms),
+                    open: { $first: '$mwtUsdPrice' },
+                    high: { $max: '$mwtUsdPrice' },
+                    low: { $min: '$mwtUsdPrice' },
+                    close: { $last: '$mwtUsdPrice' },
+                    bnbUsd: { $avg: '$bnbUsdPrice' },
+                    firstAt: { $first: '$recordedAt' },
+                    lastAt: { $last: '$recordedAt' },
+                    samples: { $sum: 1 }
+                }
+            }
+        ]);
+    }
+
+    /**
+     * Successful trades bucketed by execution time, priced in BNB per MWT from the actual amounts
+     */
+    async aggregateTrades(ms, start, end) {
+        return Trade.aggregate([
+            {
+                $match: {
+                    status: 'SUCCESS',
+                    executedAt: { $gte: new Date(start), $lt: new Date(end) },
+                    outputAmount: { $ne: null }
+                }
+            },
+            {
+                $addFields: {
+                    bnbAmount: toNumber({ $cond: [{ $eq: ['$inputToken', 'BNB'] }, '$inputAmount', '$outputAmount'] }),
+                    mwtAmount: toNumber({ $cond: [{ $eq: ['$inputToken', 'MWT'] }, '$inputAmount', '$outputAmount'] })
+                }
+            },
+            { $match: { mwtAmount: { $gt: 0 }, bnbAmount: { $gt: 0 } } },
+            { $addFields: { priceBNB: { $divide: ['$bnbAmount', '$mwtAmount'] } } },
+            { $sort: { executedAt: 1 } },
+            {
+                $group: {
+                    _id: bucketOf('$executedAt', ms),
+                    open: { $first: '$priceBNB' },
+                    high: { $max: '$priceBNB' },
+                    low: { $min: '$priceBNB' },
+                    close: { $last: '$priceBNB' },
+                    firstAt: { $first: '$executedAt' },
+                    lastAt: { $last: '$executedAt' },
+                    mwt: { $sum: '$mwtAmount' },
+                    bnb: { $sum: '$bnbAmount' },
+                    trades: { $sum: 1 }
+                }
+            }
+        ]);
+    }
+
+    /**
+     * Combine one bucket's sample and trade aggregates into a candle
+     */
+    static mergeBucket(time, price, trade, bnbUsd) {
+        const points = [];
+
+        if (price) {
+            points.push({ open: price.open, high: price.high, low: price.low, close: price.close, firstAt: price.firstAt, lastAt: price.lastAt });
+        }
+        if (trade && bnbUsd) {
+            points.push({
+                open: trade.open * bnbUsd,
+                high: trade.high * bnbUsd,
+                low: trade.low * bnbUsd,
+                close: trade.close * bnbUsd,
+                firstAt: trade.firstAt,
+                lastAt: trade.lastAt
+            });
+        }
+
+        const first = points.length ? points.reduce((a, b) => (b.firstAt < a.firstAt ? b : a)) : null;
+        const last = points.length ? points.reduce((a, b) => (b.lastAt > a.lastAt ? b : a)) : null;
+
+        return {
+            time: new Date(time),
+            open: first ? first.open : null,
+            high: points.length ? Math.max(...points.map(p => p.high)) : null,
+            low: points.length ? Math.min(...points.map(p => p.low)) : null,
+            close: last ? last.close : null,
+            volume: {
+                mwt: trade ? trade.mwt : 0,
+                bnb: trade ? trade.bnb : 0,
+                usd: trade ? (bnbUsd ? trade.bnb * bnbUsd : null) : 0
+            },
+            trades: trade ? trade.trades : 0,
+            samples: price ? price.samples : 0
+        };
+    }
+
+    static formatStored(candle) {
+        return {
+            time: candle.bucketStart,
+            open: candle.open,
+            high: candle.high,
+            low: candle.low,
+            close: candle.close,
+            volume: candle.volume,
+            trades: candle.trades,
+            samples: candle.samples
+        };
+    }
+
+    /**
+     * Materialize closed buckets since the last rollup
+     * @param {string} interval - 1h or 1d
+     * @param {number} now - Current time (epoch ms)
+     * @returns {Promise<number>} Candles written
+     */
+    async rollup(interval, now = Date.now()) {
+        if (!ROLLUP_INTERVALS.includes(interval)) {
+            throw invalidInput(`Rollups are only kept for ${ROLLUP_INTERVALS.join(', ')}`);
+        }
+
+        const ms = INTERVALS[interval];
+        const closedEnd = Math.floor(now / ms) * ms;
+
+        const latest = await PriceCandle.findOne({ interval }).sort({ bucketStart: -1 }).lean();
+        let start;
+
+        if (latest) {
+            start = latest.bucketStart.getTime() + ms;
+        } else {
+            const [firstSample, firstTrade] = await Promise.all([
+                PriceHistory.findOne().sort({ recordedAt: 1 }).select('recordedAt').lean(),
+                Trade.findOne({ status: 'SUCCESS', executedAt: { $ne: null } }).sort({ executedAt: 1 }).select('executedAt').lean()
+            ]);
+            const earliest = Math.min(
+                firstSample ? firstSample.recordedAt.getTime() : Infinity,
+                firstTrade ? firstTrade.executedAt.getTime() : Infinity
+            );
+            if (earliest === Infinity) return 0;
+            start = Math.floor(earliest / ms) * ms;
+        }
+
+        if (start >= closedEnd) return 0;
+
+        const candles = await this.aggregate(ms, start, closedEnd);
+        if (candles.length === 0) return 0;
+
+        await PriceCandle.bulkWrite(candles.map(({ time, ...candle }) => ({
+            updateOne: {
+                filter: { interval, bucketStart: time },
+                update: { $set: candle },
+                upsert: true
+            }
+        })), { ordered: false });
+
+        logger.info(`🕯️ Rolled up ${candles.length} ${interval} candles`);
+        return candles.length;
+    }
+
+    /**
+     * Roll up every materialized interval
+     * @returns {Promise<Object>} Candles written per interval
+     */
+    async rollupAll(now = Date.now()) {
+        const results = {};
+        for (const interval of ROLLUP_INTERVALS) {
+            results[interval] = await this.rollup(interval, now);
+        }
+        return results;
+    }
+}
+
+CandleAggregator.INTERVALS = INTERVALS;
+CandleAggregator.ROLLUP_INTERVALS = ROLLUP_INTERVALS;
+CandleAggregator.MAX_CANDLES = MAX_CANDLES;
+
+module.exports = CandleAggregator;
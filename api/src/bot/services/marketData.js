@@ -0,0 +1,71 @@
+const PriceOracle = require('./priceOracle');
+const PriceOracleV3 = require('./priceOracleV3');
+
+/**
+ * Market snapshot helper
+ * PriceOracle (V2) returns nested { price } objects with reserves, while
+ * PriceOracleV3 returns flat numbers. This normalizes both into one shape
+ * so strategy, sampling and backtesting code doesn't care which pool is live.
+ */
+class MarketData {
+    /**
+     * @param {Object} priceOracle - PriceOracle or PriceOracleV3 instance (defaults from IS_V3_POOL)
+     */
+    constructor(priceOracle = null) {
+        this.isV3 = process.env.IS_V3_POOL === 'true';
+        this.priceOracle = priceOracle || (this.isV3 ? new PriceOracleV3() : new PriceOracle());
+    }
+
+    /**
+     * Fetch prices and the oracle's peg deviation
+     * @param {number} targetPegUSD - Target MWT price in USD
+     * @returns {Promise<Object>} Normalized snapshot
+     */
+    async getSnapshot(targetPegUSD) {
+        const prices = await this.priceOracle.getAllPrices();
+        const peg = await this.priceOracle.getPegDeviation(targetPegUSD);
+
+        return {
+            ...MarketData.fromPrices(prices, targetPegUSD),
+            // PriceOracle nests the USD deviation, PriceOracleV3 returns it flat
+            deviationPercent: peg.usd ? peg.usd.deviation : peg.deviation
+        };
+    }
+
+    /**
+     * Normalize a getAllPrices() result from either oracle
+     * @param {Object} prices - Oracle output
+     * @param {number} targetPegUSD - Target MWT price in USD
+     */
+    static fromPrices(prices, targetPegUSD) {
+        const isFlat = typeof prices.mwtBnb === 'number';
+
+        const mwtBnbPrice = isFlat ? prices.mwtBnb : prices.mwtBnb.price;
+        const bnbUsdPrice = isFlat ? prices.bnbUsd : prices.bnbUsd.price;
+        const btcUsdPrice = isFlat ? prices.btcUsd : prices.btcUsd.price;
+        const mwtUsdPrice = isFlat ? prices.mwtUsd : prices.mwtUsd.price;
+        const mwtBtcPrice = isFlat ? prices.mwtBtc : prices.mwtBtc.price;
+        const target = targetPegUSD || prices.targetPeg || parseFloat(process.env.TARGET_PEG_USD || '0.01');
+
+        return {
+            poolType: isFlat ? 'V3' : 'V2',
+            mwtBnbPrice,
+            bnbUsdPrice,
+            btcUsdPrice,
+            mwtUsdPrice,
+            mwtBtcPrice,
+            mwtSatoshis: isFlat ? prices.satoshis : prices.mwtBtc.satoshis,
+            targetPegUSD: target,
+            deviationPercent: ((mwtUsdPrice - target) / target) * 100,
+            // V3 only exposes raw in-range liquidity, not a USD value or reserves
+            liquidityUSD: isFlat ? null : prices.liquidity.totalUSD,
+            mwtReserve: isFlat ? null : String(prices.mwtBnb.mwtReserve),
+            bnbReserve: isFlat ? null : String(prices.mwtBnb.bnbReserve),
+            rawLiquidity: isFlat ? prices.liquidity : null,
+            blockNumber: prices.blockNumber || null,
+            timestamp: new Date(prices.timestamp || Date.now())
+        };
+    }
+}
+
+module.exports = MarketData;
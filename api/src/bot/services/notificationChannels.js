@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const emailService = require('../../services/emailService');
+
+/**
+ * Notification channel adapters
+ * Every adapter exposes `name`, `isConfigured()` and `send(notification)`.
+ * send() resolves with { status } on success and throws on failure; errors carry
+ * `retryable = false` when retrying cannot help (e.g. 4xx from the remote side).
+ *
+ * notification: { deliveryId, event, title, message, severity, data, botId, timestamp }
+ */
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * POST a JSON body and throw on non-2xx responses
+ */
+async function postJson(url, body, headers = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(
+        () => controller.abort(),
+        parseInt(process.env.BOT_NOTIFY_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+    );
+
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body,
+            signal: controller.signal
+        });
+    } catch (error) {
+        throw new Error(error.name === 'AbortError' ? 'Request timed out' : error.message);
+    } finally {
+        clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        const error = new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+        error.status = response.status;
+        // Client errors won't fix themselves, except timeouts and rate limits
+        error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+        throw error;
+    }
+
+    return { status: response.status };
+}
+
+/**
+ * Plain-text rendering shared by the chat channels
+ */
+function formatText(notification) {
+    const lines = [`[MWT Bot] ${notification.title}`];
+
+    if (notification.message) {
+        lines.push(notification.message);
+    }
+
+    for (const [key, value] of Object.entries(notification.data || {})) {
+        if (value !== null && value !== undefined && typeof value !== 'object') {
+            lines.push(`• ${key}: ${value}`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Generic HTTP webhook signed with HMAC-SHA256
+ * Receivers verify: hex(HMAC_SHA256(secret, `${X-MWT-Timestamp}.${rawBody}`)) === X-MWT-Signature (after "sha256=")
+ */
+class WebhookChannel {
+    constructor({ url = process.env.BOT_NOTIFY_WEBHOOK_URL, secret = process.env.BOT_NOTIFY_WEBHOOK_SECRET } = {}) {
+        this.name = 'WEBHOOK';
+        this.url = url;
+        this.secret = secret;
+    }
+
+    isConfigured() {
+        return Boolean(this.url && this.secret);
+    }
+
+    static sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    async send(notification) {
+        const body = JSON.stringify({
+            id: notification.deliveryId,
+            event: notification.event,
+            title: notification.title,
+            message: notification.message,
+            severity: notification.severity,
+            botId: notification.botId,
+            data: notification.data,
+            timestamp: notification.timestamp
+        });
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+
+        return postJson(this.url, body, {
+            'X-MWT-Event': notification.event,
+            'X-MWT-Delivery': String(notification.deliveryId),
+            'X-MWT-Timestamp': timestamp,
+            'X-MWT-Signature': `sha256=${WebhookChannel.sign(this.secret, timestamp, body)}`
+        });
+    }
+}
+
+/**
+ * Slack incoming webhook
+ */
+class SlackChannel {
+    constructor({ url = process.env.BOT_NOTIFY_SLACK_WEBHOOK_URL } = {}) {
+        this.name = 'SLACK';
+        this.url = url;
+    }
+
+    isConfigured() {
+        return Boolean(this.url);
+    }
+
+    async send(notification) {
+        return postJson(this.url, JSON.stringify({ text: formatText(notification) }));
+    }
+}
+
+/**
+ * Discord channel webhook
+ */
+class DiscordChannel {
+    constructor({ url = process.env.BOT_NOTIFY_DISCORD_WEBHOOK_URL } = {}) {
+        this.name = 'DISCORD';
+        this.url = url;
+    }
+
+    isConfigured() {
+        return Boolean(this.url);
+    }
+
+    async send(notification) {
+        // Discord rejects messages over 2000 characters
+        return postJson(this.url, JSON.stringify({ content: formatText(notification).slice(0, 2000) }));
+    }
+}
+
+/**
+ * Telegram Bot API sendMessage
+ */
+class TelegramChannel {
+    constructor({
+        botToken = process.env.BOT_NOTIFY_TELEGRAM_BOT_TOKEN,
+        chatId = process.env.BOT_NOTIFY_TELEGRAM_CHAT_ID
+    } = {}) {
+        this.name = 'TELEGRAM';
+        this.botToken = botToken;
+        this.chatId = chatId;
+    }
+
+    isConfigured() {
+        return Boolean(this.botToken && this.chatId);
+    }
+
+    async send(notification) {
+        return postJson(
+            `https://api.telegram.org/bot${this.botToken}/sendMessage`,
+            JSON.stringify({
+                chat_id: this.chatId,
+                text: formatText(notification).slice(0, 4096),
+                disable_web_page_preview: true
+            })
+        );
+    }
+}
+
+/**
+ * Email through the shared emailService (EMAIL_TO recipients)
+ */
+class EmailChannel {
+    constructor() {
+        this.name = 'EMAIL';
+    }
+
+    isConfigured() {
+        return Boolean(emailService.enabled) && emailService.getRecipients().length > 0;
+    }
+
+    async send(notification) {
+        const result = await emailService.sendBotAlertEmail({
+            title: notification.title,
+            message: notification.message,
+            severity: notification.severity,
+            data: notification.data
+        });
+
+        if (!result.success) {
+            throw new Error(result.error || result.message || 'Email send failed');
+        }
+
+        return { status: null, messageId: result.messageId };
+    }
+}
+
+module.exports = {
+    WebhookChannel,
+    SlackChannel,
+    DiscordChannel,
+    TelegramChannel,
+    EmailChannel,
+    formatText
+};
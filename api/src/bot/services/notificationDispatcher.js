@@ -0,0 +1,244 @@
+const logger = require('../../utils/logger');
+const { BotConfig, NotificationDelivery } = require('../models');
+const {
+    WebhookChannel,
+    SlackChannel,
+    DiscordChannel,
+    TelegramChannel,
+    EmailChannel
+} = require('./notificationChannels');
+
+// Event → BotConfig.notifications.events flag
+const EVENT_FLAGS = {
+    TRADE: 'onTrade',
+    ERROR: 'onError',
+    PAUSE: 'onPause',
+    RESUME: 'onResume',
+    CIRCUIT_BREAKER: 'onCircuitBreaker',
+    DAILY_LIMIT: 'onDailyLimit',
+    PRICE_ANOMALY: 'onPriceAnomaly'
+};
+
+const MAX_BACKOFF_MS = 60000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Bot notification dispatcher
+ * Routes events to the channels enabled in BotConfig.notifications, retries failed
+ * deliveries with exponential backoff and records every delivery in NotificationDelivery.
+ * Channel endpoints and secrets come from the environment, never from BotConfig
+ * (which is returned by GET /api/bot/config).
+ */
+class NotificationDispatcher {
+    constructor({ maxAttempts, baseDelayMs } = {}) {
+        this.maxAttempts = maxAttempts || parseInt(process.env.BOT_NOTIFY_MAX_ATTEMPTS) || 4;
+        this.baseDelayMs = baseDelayMs || parseInt(process.env.BOT_NOTIFY_RETRY_BASE_MS) || 1000;
+        this.channels = new Map();
+
+        this.registerChannel(new EmailChannel());
+        this.registerChannel(new WebhookChannel());
+        this.registerChannel(new SlackChannel());
+        this.registerChannel(new DiscordChannel());
+        this.registerChannel(new TelegramChannel());
+    }
+
+    static getInstance(options) {
+        if (!NotificationDispatcher.instance) {
+            NotificationDispatcher.instance = new NotificationDispatcher(options);
+        }
+        return NotificationDispatcher.instance;
+    }
+
+    /**
+     * Register (or replace) a channel adapter
+     * @param {Object} adapter - { name, isConfigured(), send(notification) }
+     */
+    registerChannel(adapter) {
+        this.channels.set(adapter.name, adapter);
+    }
+
+    /**
+     * Channels enabled in the config that have an adapter with credentials
+     */
+    resolveChannels(config) {
+        return (config.notifications.channels || []).filter(name => {
+            const adapter = this.channels.get(name);
+            if (!adapter || !adapter.isConfigured()) {
+                logger.warn(`🔔 Notification channel ${name} is enabled but not configured, skipping`);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Send an event to every routed channel. Never throws, so callers can fire and forget.
+     * @param {string} event - TRADE, ERROR, PAUSE, RESUME, CIRCUIT_BREAKER, DAILY_LIMIT, PRICE_ANOMALY or TEST
+     * @param {Object} content - { title, message, severity, data }
+     * @param {Object} options - { config } to avoid reloading BotConfig, { channels } to force channels (TEST)
+     * @returns {Promise<Array>} Delivery documents
+     */
+    async notify(event, { title, message = null, severity = 'info', data = {} }, options = {}) {
+        try {
+            const config = options.config || await BotConfig.getDefault();
+            const isTest = event === 'TEST';
+
+            if (!isTest) {
+                if (!config.notifications.enabled) return [];
+                if (!config.notifications.events[EVENT_FLAGS[event]]) return [];
+            }
+
+            const channels = options.channels || this.resolveChannels(config);
+            if (channels.length === 0) return [];
+
+            const safeData = JSON.parse(JSON.stringify(data));
+
+            return await Promise.all(channels.map(async (channel) => {
+                const delivery = await NotificationDelivery.create({
+                    botId: config.botId,
+                    event,
+                    channel,
+                    title,
+                    payload: { message, severity, data: safeData }
+                });
+
+                return this.deliver(delivery, {
+                    deliveryId: delivery._id,
+                    event,
+                    title,
+                    message,
+                    severity,
+                    data: safeData,
+                    botId: config.botId,
+                    timestamp: delivery.createdAt
+                });
+            }));
+        } catch (error) {
+            logger.error(`🔔 Failed to dispatch ${event} notification:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Deliver one notification, retrying with exponential backoff
+     */
+    async deliver(delivery, notification) {
+        const adapter = this.channels.get(delivery.channel);
+
+        while (delivery.attempts < this.maxAttempts) {
+            delivery.attempts += 1;
+            delivery.lastAttemptAt = new Date();
+
+            try {
+                const result = await adapter.send(notification);
+
+                delivery.status = 'DELIVERED';
+                delivery.deliveredAt = new Date();
+                delivery.responseStatus = result?.status || null;
+                delivery.lastError = null;
+                await delivery.save();
+
+                return delivery;
+            } catch (error) {
+                delivery.responseStatus = error.status || null;
+                delivery.lastError = error.message;
+
+                const canRetry = error.retryable !== false && delivery.attempts < this.maxAttempts;
+                delivery.status = canRetry ? 'PENDING' : 'FAILED';
+                await delivery.save();
+
+                if (!canRetry) break;
+
+                const delay = Math.min(this.baseDelayMs * 2 ** (delivery.attempts - 1), MAX_BACKOFF_MS);
+                logger.warn(`🔔 ${delivery.channel} delivery of ${delivery.event} failed (attempt ${delivery.attempts}/${this.maxAttempts}), retrying in ${delay}ms: ${error.message}`);
+                await sleep(delay);
+            }
+        }
+
+        logger.error(`🔔 ${delivery.channel} delivery of ${delivery.event} failed after ${delivery.attempts} attempts: ${delivery.lastError}`);
+        return delivery;
+    }
+
+    /**
+     * Notify about an executed trade: TRADE on success, ERROR on failure, and
+     * CIRCUIT_BREAKER when recordTrade() tripped the breaker after too many consecutive errors
+     * @param {Object} trade - Trade document (after markSuccess/markFailed)
+     * @param {Object} config - BotConfig after recordTrade()
+     * @param {boolean} wasEnabled - config.enabled before recordTrade()
+     */
+    notifyTrade(trade, config, wasEnabled) {
+        const data = {
+            tradeId: trade.tradeId,
+            action: trade.action,
+            inputAmount: `${trade.inputAmount} ${trade.inputToken}`,
+            outputAmount: trade.outputAmount ? `${trade.outputAmount} ${trade.outputToken}` : null,
+            urgency: trade.urgency,
+            pegDeviation: trade.pegDeviation,
+            txHash: trade.txHash,
+            source: trade.metadata?.source || 'api'
+        };
+
+        const sends = [];
+
+        if (trade.status === 'SUCCESS') {
+            sends.push(this.notify('TRADE', {
+                title: `${trade.action} executed`,
+                message: `${trade.action} of ${trade.inputAmount} ${trade.inputToken} succeeded`,
+                data
+            }, { config }));
+        } else {
+            sends.push(this.notify('ERROR', {
+                title: `${trade.action} failed`,
+                message: trade.error || 'Trade execution failed',
+                severity: 'warning',
+                data
+            }, { config }));
+        }
+
+        if (wasEnabled && !config.enabled) {
+            sends.push(config.circuitBreaker?.tripped ? this.notifyCircuitBreaker(config) : this.notifyPause(config));
+        }
+
+        return Promise.all(sends);
+    }
+
+    notifyPause(config) {
+        return this.notify('PAUSE', {
+            title: 'Bot paused',
+            message: config.pauseReason,
+            severity: 'warning',
+            data: { pausedAt: config.pausedAt }
+        }, { config });
+    }
+
+    notifyCircuitBreaker(config) {
+        const breaker = config.circuitBreaker;
+
+        return this.notify('CIRCUIT_BREAKER', {
+            title: `Circuit breaker tripped: ${breaker.reason}`,
+            message: `${breaker.message}. Trading is disabled until re-armed (POST /api/bot/circuit-breaker/rearm).`,
+            severity: 'critical',
+            data: {
+                reason: breaker.reason,
+                source: breaker.source,
+                trippedAt: breaker.trippedAt,
+                cooldownUntil: breaker.cooldownUntil,
+                ...(breaker.details || {})
+            }
+        }, { config });
+    }
+
+    notifyResume(config) {
+        return this.notify('RESUME', {
+            title: 'Bot resumed',
+            message: config.metadata?.lastEnabled?.reason || null,
+            data: { enabledAt: config.metadata?.lastEnabled?.at }
+        }, { config });
+    }
+}
+
+NotificationDispatcher.instance = null;
+NotificationDispatcher.EVENT_FLAGS = EVENT_FLAGS;
+
+module.exports = NotificationDispatcher;
@@ -43,7 +43,8 @@ class PriceOracleV3 {
 
         // ERC20 ABI for decimals
         this.erc20ABI = [
-            'function decimals() external view returns (uint8)'
+            'function decimals() external view returns (uint8)',
+            'function balanceOf(address account) external view returns (uint256)'
         ];
 
         // Cache configuration
@@ -219,6 +220,33 @@ class PriceOracleV3 {
         }
     }
 
+    /**
+     * Get the token balances held by the pool
+     * V3 has no reserves; the pool's balances are the closest equivalent (includes uncollected fees)
+     * @returns {Promise<Object>} { mwtReserve, bnbReserve } as decimal strings
+     */
+    async getPoolBalances() {
+        try {
+            const mwt = new ethers.Contract(this.MWT_ADDRESS, this.erc20ABI, this.provider);
+            const wbnb = new ethers.Contract(this.WBNB_ADDRESS, this.erc20ABI, this.provider);
+
+            const [mwtBalance, mwtDecimals, bnbBalance, bnbDecimals] = await Promise.all([
+                mwt.balanceOf(this.V3_POOL_ADDRESS),
+                mwt.decimals(),
+                wbnb.balanceOf(this.V3_POOL_ADDRESS),
+                wbnb.decimals()
+            ]);
+
+            return {
+                mwtReserve: ethers.formatUnits(mwtBalance, mwtDecimals),
+                bnbReserve: ethers.formatUnits(bnbBalance, bnbDecimals)
+            };
+        } catch (error) {
+            console.error('Error fetching pool balances:', error);
+            throw new Error(`Failed to fetch pool balances: ${error.message}`);
+        }
+    }
+
     /**
      * Get all prices (with caching)
      * @param {boolean} forceRefresh - Force refresh cache
@@ -0,0 +1,279 @@
+const logger = require('../../utils/logger');
+const { PriceHistory, BotConfig } = require('../models');
+const PriceOracle = require('./priceOracle');
+const PriceOracleV3 = require('./priceOracleV3');
+const MarketData = require('./marketData');
+const NotificationDispatcher = require('./notificationDispatcher');
+
+// detectAnomalies() window; only anomalies newer than the last alert are reported
+const ANOMALY_WINDOW_HOURS = 1;
+
+/**
+ * Scheduled price sampler
+ * Writes one PriceHistory record every monitoring.priceCheckInterval seconds, prunes records
+ * older than monitoring.priceHistoryRetention days and raises PRICE_ANOMALY notifications when
+ * a sample-to-sample move exceeds monitoring.anomalyThreshold. The cron job ticks more often
+ * than the smallest allowed interval so interval changes apply without a restart.
+ */
+class PriceSampler {
+    constructor({ priceOracle = null, notifier = null } = {}) {
+        this.isV3 = process.env.IS_V3_POOL === 'true';
+        this.priceOracle = priceOracle;
+        this.notifier = notifier || NotificationDispatcher.getInstance();
+        this.isRunning = false;
+        this.lastSampleAt = null;
+        this.lastSample = null;
+        this.lastError = null;
+        this.lastPruneAt = null;
+        this.lastPruneDeleted = null;
+        // Anomalies recorded before this process started were already handled (or not) elsewhere
+        this.lastAnomalyAt = new Date();
+        this.anomalyAlerts = 0;
+    }
+
+    /**
+     * Get the shared sampler instance used by the cron jobs and bot routes
+     */
+    static getInstance(options) {
+        if (!PriceSampler.instance) {
+            PriceSampler.instance = new PriceSampler(options);
+        }
+        return PriceSampler.instance;
+    }
+
+    getPriceOracle() {
+        if (!this.priceOracle) {
+            this.priceOracle = this.isV3 ? new PriceOracleV3() : new PriceOracle();
+        }
+        return this.priceOracle;
+    }
+
+    /**
+     * Cron entry point: sample if the configured interval has elapsed
+     * @param {Object} options - { force } to sample regardless of the interval
+     * @returns {Promise<Object|null>} Saved PriceHistory record, or null when skipped
+     */
+    async tick({ force = false } = {}) {
+        if (this.isRunning) {
+            logger.warn('📈 Price sample still running, skipping tick');
+            return null;
+        }
+
+        this.isRunning = true;
+
+        try {
+            const config = await BotConfig.getDefault();
+            const intervalMs = config.monitoring.priceCheckInterval * 1000;
+
+            // Small tolerance so cron jitter doesn't push every other sample to the next tick
+            if (!force && this.lastSampleAt && Date.now() - this.lastSampleAt.getTime() < intervalMs - 1000) {
+                return null;
+            }
+
+            const record = await this.sample(config);
+            await this.checkAnomalies(config);
+
+            return record;
+        } catch (error) {
+            this.lastError = { message: error.message, at: new Date() };
+            logger.error('📈 Price sample failed:', error);
+            return null;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Fetch prices and store one PriceHistory record
+     * @param {Object} config - BotConfig document
+     */
+    async sample(config) {
+        const oracle = this.getPriceOracle();
+
+        let prices;
+        let extras = {};
+
+        if (this.isV3) {
+            // Bypass the oracle's 60s cache so each sample is a fresh read
+            const [v3Prices, balances, blockNumber] = await Promise.all([
+                oracle.getAllPrices(true),
+                oracle.getPoolBalances(),
+                oracle.provider.getBlockNumber()
+            ]);
+            prices = v3Prices;
+            extras = { ...balances, blockNumber };
+        } else {
+            prices = await oracle.getAllPrices();
+        }
+
+        const record = await PriceHistory.create(PriceSampler.buildRecord(prices, config.targetPeg.usd, extras));
+
+        this.lastSampleAt = record.recordedAt;
+        this.lastSample = {
+            mwtUsdPrice: record.mwtUsdPrice,
+            deviationPercentUSD: record.deviationPercentUSD,
+            liquidityUSD: record.liquidity.totalUSD,
+            blockNumber: record.blockNumber,
+            recordedAt: record.recordedAt
+        };
+        this.lastError = null;
+
+        logger.debug(`📈 Price sample: $${record.mwtUsdPrice} (${record.deviationPercentUSD.toFixed(2)}% from peg)`);
+
+        // Trip the breaker between strategy cycles too; a stopped bot has nothing to halt
+        if (config.enabled) {
+            const tripped = await config.checkEmergencyDeviation(record.deviationPercentUSD, 'price-monitor', {
+                mwtUsdPrice: record.mwtUsdPrice,
+                priceHistoryId: record._id
+            });
+            if (tripped) {
+                logger.error(`🚨 Circuit breaker tripped by price monitor: ${config.circuitBreaker.message}`);
+                this.notifier.notifyCircuitBreaker(config);
+            }
+        }
+
+        return record;
+    }
+
+    /**
+     * Map an oracle result (V2 nested or V3 flat) onto the PriceHistory schema
+     * @param {Object} prices - getAllPrices() output
+     * @param {number} targetPegUSD - Target MWT price in USD
+     * @param {Object} extras - V3 only: { mwtReserve, bnbReserve, blockNumber }
+     */
+    static buildRecord(prices, targetPegUSD, extras = {}) {
+        const market = MarketData.fromPrices(prices, targetPegUSD);
+        const isV3 = market.poolType === 'V3';
+
+        const mwtReserve = isV3 ? extras.mwtReserve : market.mwtReserve;
+        const bnbReserve = isV3 ? extras.bnbReserve : market.bnbReserve;
+        const liquidityUSD = isV3
+            ? parseFloat(bnbReserve) * market.bnbUsdPrice + parseFloat(mwtReserve) * market.mwtUsdPrice
+            : market.liquidityUSD;
+        const bnbBtcPrice = market.bnbUsdPrice / market.btcUsdPrice;
+
+        const validationWarnings = [];
+        if (!(liquidityUSD > 0)) validationWarnings.push('Pool has no liquidity');
+
+        return {
+            mwtBnbPrice: String(market.mwtBnbPrice),
+            bnbUsdPrice: market.bnbUsdPrice,
+            btcUsdPrice: market.btcUsdPrice,
+            mwtUsdPrice: market.mwtUsdPrice,
+            mwtBtcPrice: market.mwtBtcPrice,
+            mwtSatoshis: market.mwtSatoshis,
+            bnbBtcPrice,
+            targetPegUSD: market.targetPegUSD,
+            deviationUSD: market.mwtUsdPrice - market.targetPegUSD,
+            deviationPercentUSD: market.deviationPercent,
+            liquidity: {
+                mwtReserve: String(mwtReserve),
+                bnbReserve: String(bnbReserve),
+                totalUSD: liquidityUSD,
+                totalBTC: liquidityUSD / market.btcUsdPrice
+            },
+            marketCap: isV3
+                ? { usd: market.mwtUsdPrice * 1000000000, btc: market.mwtBtcPrice * 1000000000 }
+                : prices.marketCap,
+            blockNumber: isV3 ? extras.blockNumber : market.blockNumber,
+            blockTimestamp: market.timestamp,
+            sources: {
+                pancakeSwap: {
+                    lastUpdate: market.timestamp,
+                    pairAddress: isV3 ? prices.poolAddress : process.env.MWT_BNB_PAIR_ADDRESS
+                },
+                chainlinkBnbUsd: {
+                    lastUpdate: isV3 ? market.timestamp : prices.bnbUsd.lastUpdate,
+                    feedAddress: process.env.CHAINLINK_BNB_USD_FEED
+                },
+                chainlinkBtcUsd: {
+                    lastUpdate: isV3 ? market.timestamp : prices.btcUsd.lastUpdate,
+                    feedAddress: process.env.CHAINLINK_BTC_USD_FEED
+                }
+            },
+            isValid: validationWarnings.length === 0,
+            validationWarnings,
+            dataQuality: validationWarnings.length === 0 ? 'HIGH' : 'LOW'
+        };
+    }
+
+    /**
+     * Raise PRICE_ANOMALY for moves above monitoring.anomalyThreshold not yet alerted
+     * @param {Object} config - BotConfig document
+     * @returns {Promise<Array>} New anomalies
+     */
+    async checkAnomalies(config) {
+        if (!config.monitoring.alertOnAnomalies) {
+            return [];
+        }
+
+        const threshold = config.monitoring.anomalyThreshold;
+        const anomalies = (await PriceHistory.detectAnomalies(ANOMALY_WINDOW_HOURS, threshold))
+            .filter(a => a.timestamp > this.lastAnomalyAt);
+
+        if (anomalies.length === 0) {
+            return [];
+        }
+
+        // detectAnomalies returns newest first
+        this.lastAnomalyAt = anomalies[0].timestamp;
+        this.anomalyAlerts += anomalies.length;
+
+        const largest = anomalies.reduce((a, b) => (b.priceChange > a.priceChange ? b : a));
+
+        logger.warn(`📈 ${anomalies.length} price anomal${anomalies.length === 1 ? 'y' : 'ies'} above ${threshold}%: largest ${largest.type} of ${largest.priceChange.toFixed(2)}%`);
+
+        this.notifier.notify('PRICE_ANOMALY', {
+            title: `MWT price ${largest.type === 'SPIKE' ? 'spike' : 'drop'} of ${largest.priceChange.toFixed(2)}%`,
+            message: `MWT/USD moved from $${largest.from} to $${largest.to} between samples (threshold ${threshold}%)`,
+            severity: 'warning',
+            data: {
+                threshold,
+                anomalies: anomalies.map(a => ({
+                    timestamp: a.timestamp,
+                    type: a.type,
+                    priceChange: a.priceChange,
+                    from: a.from,
+                    to: a.to
+                }))
+            }
+        }, { config });
+
+        return anomalies;
+    }
+
+    /**
+     * Delete records older than monitoring.priceHistoryRetention days
+     * @returns {Promise<number>} Deleted record count
+     */
+    async prune() {
+        const config = await BotConfig.getDefault();
+        const days = config.monitoring.priceHistoryRetention;
+
+        const deleted = await PriceHistory.cleanOldRecords(days);
+
+        this.lastPruneAt = new Date();
+        this.lastPruneDeleted = deleted;
+
+        logger.info(`📈 Pruned ${deleted} price history records older than ${days} days`);
+        return deleted;
+    }
+
+    getStatus() {
+        return {
+            poolType: this.isV3 ? 'V3' : 'V2',
+            isRunning: this.isRunning,
+            lastSampleAt: this.lastSampleAt,
+            lastSample: this.lastSample,
+            lastError: this.lastError,
+            lastPruneAt: this.lastPruneAt,
+            lastPruneDeleted: this.lastPruneDeleted,
+            lastAnomalyAt: this.lastAnomalyAt,
+            anomalyAlerts: this.anomalyAlerts
+        };
+    }
+}
+
+PriceSampler.instance = null;
+
+module.exports = PriceSampler;
@@ -0,0 +1,196 @@
+/**
+ * In-memory MWT/BNB pools for backtesting
+ * Prices are always BNB per MWT. Both pools expose the same interface:
+ *   price, quoteBuy/buy(bnbIn) → mwtOut, quoteSell/sell(mwtIn) → bnbOut, moveTo(price)
+ * moveTo() replays external market flow (arbitrage along the curve), while buy/sell
+ * apply the bot's own trades so their price impact carries into later samples.
+ */
+
+const PANCAKE_V2_FEE = 0.0025; // 0.25%
+const PANCAKE_V3_DEFAULT_FEE = 0.0025; // 0.25% fee tier
+
+/**
+ * Constant-product pool (x · y = k), PancakeSwap V2 style
+ */
+class ConstantProductPool {
+    /**
+     * @param {Object} options - { mwtReserve, bnbReserve, fee }
+     */
+    constructor({ mwtReserve, bnbReserve, fee = PANCAKE_V2_FEE }) {
+        if (!(mwtReserve > 0) || !(bnbReserve > 0)) {
+            throw new Error('Constant-product pool requires positive reserves');
+        }
+
+        this.type = 'V2';
+        this.mwtReserve = mwtReserve;
+        this.bnbReserve = bnbReserve;
+        this.fee = fee;
+    }
+
+    get price() {
+        return this.bnbReserve / this.mwtReserve;
+    }
+
+    /**
+     * Liquidity value in BNB (both sides)
+     */
+    get valueBNB() {
+        return this.bnbReserve * 2;
+    }
+
+    quoteBuy(bnbIn) {
+        const inWithFee = bnbIn * (1 - this.fee);
+        return (inWithFee * this.mwtReserve) / (this.bnbReserve + inWithFee);
+    }
+
+    quoteSell(mwtIn) {
+        const inWithFee = mwtIn * (1 - this.fee);
+        return (inWithFee * this.bnbReserve) / (this.mwtReserve + inWithFee);
+    }
+
+    buy(bnbIn) {
+        const mwtOut = this.quoteBuy(bnbIn);
+        this.bnbReserve += bnbIn;
+        this.mwtReserve -= mwtOut;
+        this.lastAmountUsed = bnbIn;
+        return mwtOut;
+    }
+
+    sell(mwtIn) {
+        const bnbOut = this.quoteSell(mwtIn);
+        this.mwtReserve += mwtIn;
+        this.bnbReserve -= bnbOut;
+        this.lastAmountUsed = mwtIn;
+        return bnbOut;
+    }
+
+    moveTo(price) {
+        const k = this.mwtReserve * this.bnbReserve;
+        this.mwtReserve = Math.sqrt(k / price);
+        this.bnbReserve = Math.sqrt(k * price);
+    }
+}
+
+/**
+ * Concentrated-liquidity pool with a single active range, PancakeSwap V3 style
+ * Within [priceLower, priceUpper] it behaves like Uniswap V3 with constant L;
+ * trades that would cross a range bound are only filled up to the bound.
+ * When external flow moves the price outside the range, the range is re-centred
+ * (same width and L), approximating LPs that follow the market.
+ */
+class ConcentratedLiquidityPool {
+    /**
+     * @param {Object} options - { price, valueBNB, rangeWidthPercent, fee }
+     *   valueBNB is the position value at `price`; the range is ±rangeWidthPercent around it
+     */
+    constructor({ price, valueBNB, rangeWidthPercent = 50, fee = PANCAKE_V3_DEFAULT_FEE }) {
+        if (!(price > 0) || !(valueBNB > 0)) {
+            throw new Error('Concentrated-liquidity pool requires a positive price and value');
+        }
+        if (!(rangeWidthPercent > 0) || rangeWidthPercent >= 100) {
+            throw new Error('rangeWidthPercent must be between 0 and 100');
+        }
+
+        this.type = 'V3';
+        this.fee = fee;
+        this.sqrtPrice = Math.sqrt(price);
+        this.sqrtLower = Math.sqrt(price * (1 - rangeWidthPercent / 100));
+        this.sqrtUpper = Math.sqrt(price * (1 + rangeWidthPercent / 100));
+
+        // value(BNB) = L · (2√P − P/√Pu − √Pl)
+        this.liquidity = valueBNB / (2 * this.sqrtPrice - price / this.sqrtUpper - this.sqrtLower);
+    }
+
+    get price() {
+        return this.sqrtPrice * this.sqrtPrice;
+    }
+
+    get priceLower() {
+        return this.sqrtLower * this.sqrtLower;
+    }
+
+    get priceUpper() {
+        return this.sqrtUpper * this.sqrtUpper;
+    }
+
+    get mwtReserve() {
+        return this.liquidity * (1 / this.sqrtPrice - 1 / this.sqrtUpper);
+    }
+
+    get bnbReserve() {
+        return this.liquidity * (this.sqrtPrice - this.sqrtLower);
+    }
+
+    get valueBNB() {
+        return this.mwtReserve * this.price + this.bnbReserve;
+    }
+
+    /**
+     * BNB in → price rises: √P' = √P + Δy / L, Δx = L · (1/√P − 1/√P')
+     */
+    swapBnbIn(bnbIn) {
+        const inWithFee = bnbIn * (1 - this.fee);
+        const sqrtNext = Math.min(this.sqrtPrice + inWithFee / this.liquidity, this.sqrtUpper);
+        const mwtOut = this.liquidity * (1 / this.sqrtPrice - 1 / sqrtNext);
+        const bnbUsed = (this.liquidity * (sqrtNext - this.sqrtPrice)) / (1 - this.fee);
+        return { sqrtNext, mwtOut, bnbUsed };
+    }
+
+    /**
+     * MWT in → price falls: 1/√P' = 1/√P + Δx / L, Δy = L · (√P − √P')
+     */
+    swapMwtIn(mwtIn) {
+        const inWithFee = mwtIn * (1 - this.fee);
+        const sqrtNext = Math.max(1 / (1 / this.sqrtPrice + inWithFee / this.liquidity), this.sqrtLower);
+        const bnbOut = this.liquidity * (this.sqrtPrice - sqrtNext);
+        const mwtUsed = (this.liquidity * (1 / sqrtNext - 1 / this.sqrtPrice)) / (1 - this.fee);
+        return { sqrtNext, bnbOut, mwtUsed };
+    }
+
+    quoteBuy(bnbIn) {
+        return this.swapBnbIn(bnbIn).mwtOut;
+    }
+
+    quoteSell(mwtIn) {
+        return this.swapMwtIn(mwtIn).bnbOut;
+    }
+
+    /**
+     * @returns {number} MWT out (the unused part of bnbIn is refunded, like refundETH)
+     */
+    buy(bnbIn) {
+        const { sqrtNext, mwtOut, bnbUsed } = this.swapBnbIn(bnbIn);
+        this.sqrtPrice = sqrtNext;
+        this.lastAmountUsed = Math.min(bnbUsed, bnbIn);
+        return mwtOut;
+    }
+
+    /**
+     * @returns {number} BNB out (the unused part of mwtIn stays with the trader)
+     */
+    sell(mwtIn) {
+        const { sqrtNext, bnbOut, mwtUsed } = this.swapMwtIn(mwtIn);
+        this.sqrtPrice = sqrtNext;
+        this.lastAmountUsed = Math.min(mwtUsed, mwtIn);
+        return bnbOut;
+    }
+
+    moveTo(price) {
+        const sqrtNext = Math.sqrt(price);
+
+        if (sqrtNext <= this.sqrtLower || sqrtNext >= this.sqrtUpper) {
+            const scale = sqrtNext / this.sqrtPrice;
+            this.sqrtLower *= scale;
+            this.sqrtUpper *= scale;
+        }
+
+        this.sqrtPrice = sqrtNext;
+    }
+}
+
+module.exports = {
+    ConstantProductPool,
+    ConcentratedLiquidityPool,
+    PANCAKE_V2_FEE,
+    PANCAKE_V3_DEFAULT_FEE
+};
@@ -0,0 +1,398 @@
+const logger = require('../../utils/logger');
+const { Trade, BotConfig } = require('../models');
+const MarketData = require('./marketData');
+const TradeExecutor = require('./tradeExecutor');
+const NotificationDispatcher = require('./notificationDispatcher');
+const { ConstantProductPool, PANCAKE_V3_DEFAULT_FEE } = require('./simulatedPool');
+
+// Same minimums enforced by POST /api/bot/trade/execute
+const MIN_BNB_AMOUNT = 0.0001;
+const MIN_MWT_AMOUNT = 100;
+
+// strategy.mode scales the size produced by tradeSizing (still capped by limits)
+const MODE_MULTIPLIERS = {
+    CONSERVATIVE: 0.5,
+    MODERATE: 1.0,
+    AGGRESSIVE: 1.5
+};
+
+const MAX_RECENT_DECISIONS = 50;
+
+/**
+ * In-process peg maintenance loop
+ * Each cycle reads the peg deviation, turns it into a trade via the BotConfig
+ * thresholds / sizing strategy / mode, enforces limits and either executes it
+ * through TradeExecutor (recording a Trade) or, in dry-run mode, only logs it.
+ */
+class StrategyEngine {
+    constructor({ marketData = null, tradeExecutor = null, notifier = null, dryRun } = {}) {
+        this.marketData = marketData;
+        this.tradeExecutor = tradeExecutor;
+        this.notifier = notifier || NotificationDispatcher.getInstance();
+        this.dryRun = dryRun !== undefined ? dryRun : process.env.BOT_STRATEGY_DRY_RUN !== 'false';
+        this.isRunning = false;
+        this.lastRunAt = null;
+        this.lastError = null;
+        this.recentDecisions = [];
+        this.dailyLimitNotifiedOn = null;
+    }
+
+    /**
+     * Get the shared engine instance used by the cron job and bot routes
+     */
+    static getInstance(options) {
+        if (!StrategyEngine.instance) {
+            StrategyEngine.instance = new StrategyEngine(options);
+        }
+        return StrategyEngine.instance;
+    }
+
+    getMarketData() {
+        if (!this.marketData) {
+            this.marketData = new MarketData();
+        }
+        return this.marketData;
+    }
+
+    getTradeExecutor() {
+        if (!this.tradeExecutor) {
+            this.tradeExecutor = new TradeExecutor();
+        }
+        return this.tradeExecutor;
+    }
+
+    /**
+     * Decide what to do for one market snapshot (pure - no I/O)
+     * Shared by the live loop and the backtester.
+     * @param {Object} config - BotConfig document
+     * @param {Object} market - MarketData snapshot
+     * @param {Object} balances - { bnb, mwt } as numbers
+     * @param {Object} context - { now, lastTradeAt, dailyLimits }
+     * @returns {Object} Decision with action BUY, SELL, HOLD, SKIP or HALT
+     */
+    static decide(config, market, balances, context = {}) {
+        const now = context.now ? new Date(context.now).getTime() : Date.now();
+        const decision = {
+            action: 'HOLD',
+            urgency: 'HOLD',
+            deviationPercent: market.deviationPercent,
+            mwtBnbPrice: market.mwtBnbPrice,
+            amountBNB: 0,
+            amountIn: 0,
+            inputToken: null,
+            slippage: null,
+            reason: null,
+            decidedAt: new Date(now)
+        };
+
+        // Keep the configured minimum balances out of the sizing
+        const available = {
+            bnb: Math.max(Number(balances.bnb) - config.safety.requireMinBalance.bnb, 0),
+            mwt: Math.max(Number(balances.mwt) - config.safety.requireMinBalance.mwt, 0)
+        };
+
+        const sizing = config.calculateTradeSize(
+            market.deviationPercent,
+            market.mwtBnbPrice,
+            available.bnb,
+            available.mwt
+        );
+        decision.urgency = sizing.urgency;
+
+        if (sizing.urgency === 'HOLD') {
+            decision.reason = `Deviation within hold band (±${config.thresholds.hold}%)`;
+            return decision;
+        }
+
+        if (sizing.urgency === 'CIRCUIT_BREAKER') {
+            decision.action = 'HALT';
+            decision.reason = `Deviation beyond emergency threshold (±${config.thresholds.emergency}%)`;
+            return decision;
+        }
+
+        const skip = (reason) => ({ ...decision, action: 'SKIP', reason });
+
+        if (market.liquidityUSD !== null && market.liquidityUSD !== undefined &&
+            market.liquidityUSD < config.strategy.minLiquidityUSD) {
+            return skip(`Liquidity $${market.liquidityUSD.toFixed(2)} below minimum $${config.strategy.minLiquidityUSD}`);
+        }
+
+        if (context.lastTradeAt) {
+            const secondsSince = (now - new Date(context.lastTradeAt).getTime()) / 1000;
+            if (secondsSince < config.limits.minTimeBetweenTrades) {
+                return skip(`Cooling down (${Math.ceil(config.limits.minTimeBetweenTrades - secondsSince)}s until next trade)`);
+            }
+        }
+
+        if (context.dailyLimits?.exceeded) {
+            return skip('Daily trading limits reached');
+        }
+
+        const multiplier = MODE_MULTIPLIERS[config.strategy.mode] || 1.0;
+        let amountBNB = Math.min(sizing.amount * multiplier, config.limits.maxTradeBNB);
+
+        // BUY volume counts toward the daily BNB limit
+        if (sizing.action === 'BUY' && context.dailyLimits && config.safety.enableDailyLimits) {
+            const remaining = context.dailyLimits.volumeLimit - context.dailyLimits.volumeUsed;
+            amountBNB = Math.min(amountBNB, Math.max(remaining, 0));
+        }
+
+        // Re-apply balance caps after the mode multiplier
+        if (sizing.action === 'BUY') {
+            amountBNB = Math.min(amountBNB, available.bnb * 0.8);
+        } else {
+            amountBNB = Math.min(amountBNB, available.mwt * market.mwtBnbPrice * 0.8);
+        }
+
+        decision.amountBNB = amountBNB;
+        decision.slippage = config.getSlippageForUrgency(sizing.urgency);
+
+        if (sizing.action === 'BUY') {
+            decision.inputToken = 'BNB';
+            decision.amountIn = amountBNB;
+
+            if (decision.amountIn < MIN_BNB_AMOUNT) {
+                return skip(`Trade size ${decision.amountIn.toFixed(6)} BNB below minimum ${MIN_BNB_AMOUNT} BNB`);
+            }
+        } else {
+            decision.inputToken = 'MWT';
+            decision.amountIn = Math.min(amountBNB / market.mwtBnbPrice, config.limits.maxTradeMWT);
+
+            if (decision.amountIn < MIN_MWT_AMOUNT) {
+                return skip(`Trade size ${decision.amountIn.toFixed(2)} MWT below minimum ${MIN_MWT_AMOUNT} MWT`);
+            }
+        }
+
+        decision.action = sizing.action;
+        decision.reason = `${sizing.urgency} urgency ${sizing.action} at ${market.deviationPercent.toFixed(2)}% deviation`;
+        return decision;
+    }
+
+    /**
+     * Expected output of a BUY/SELL decision at the snapshot it was made from (pure)
+     * Quoted along the pair's constant-product curve when reserves are known (V2),
+     * otherwise at the sampled price less the pool fee (V3)
+     * @param {Object} market - MarketData snapshot
+     * @param {Object} decision - decide() result
+     * @returns {number} MWT for a BUY, BNB for a SELL
+     */
+    static quoteOutput(market, decision) {
+        const isBuy = decision.action === 'BUY';
+        const mwtReserve = Number(market.mwtReserve);
+        const bnbReserve = Number(market.bnbReserve);
+
+        if (mwtReserve > 0 && bnbReserve > 0) {
+            const pool = new ConstantProductPool({ mwtReserve, bnbReserve });
+            return isBuy ? pool.quoteBuy(decision.amountIn) : pool.quoteSell(decision.amountIn);
+        }
+
+        const output = isBuy ? decision.amountIn / market.mwtBnbPrice : decision.amountIn * market.mwtBnbPrice;
+        return output * (1 - PANCAKE_V3_DEFAULT_FEE);
+    }
+
+    /**
+     * Run one strategy cycle
+     * @param {Object} options - { dryRun } overrides the engine default for this cycle
+     * @returns {Promise<Object>} { decision, trade?, execution?, dryRun, skipped? }
+     */
+    async runCycle({ dryRun = this.dryRun } = {}) {
+        if (this.isRunning) {
+            return { skipped: true, reason: 'Previous cycle still running' };
+        }
+
+        this.isRunning = true;
+        let config = null;
+
+        try {
+            config = await BotConfig.getDefault();
+
+            if (!config.enabled) {
+                return { skipped: true, reason: 'Bot is disabled', pauseReason: config.pauseReason };
+            }
+
+            const market = await this.getMarketData().getSnapshot(config.targetPeg.usd);
+            const balances = await this.getTradeExecutor().getBalances();
+            const dailyLimits = await config.checkDailyLimits(Trade);
+
+            const decision = StrategyEngine.decide(config, market, balances, {
+                lastTradeAt: config.statistics.lastTradeAt,
+                dailyLimits
+            });
+            decision.dryRun = dryRun;
+            this.rememberDecision(decision);
+            this.lastError = null;
+
+            // Dry runs only report HALT; live runs also trip the breaker
+            if (decision.action === 'HALT' && !dryRun &&
+                await config.checkEmergencyDeviation(market.deviationPercent, 'strategy-engine', { mwtUsdPrice: market.mwtUsdPrice })) {
+                logger.warn(`🤖 Circuit breaker tripped: ${config.circuitBreaker.message}`);
+                this.notifier.notifyCircuitBreaker(config);
+            }
+
+            this.notifyDailyLimit(config, dailyLimits);
+
+            if (decision.action !== 'BUY' && decision.action !== 'SELL') {
+                logger.info(`🤖 Strategy ${decision.action}: ${decision.reason}`);
+                return { decision, dryRun };
+            }
+
+            if (dryRun) {
+                logger.info(`🤖 [DRY RUN] Would ${decision.action} ${decision.amountIn} ${decision.inputToken}: ${decision.reason}`, {
+                    slippage: decision.slippage,
+                    urgency: decision.urgency
+                });
+                return { decision, dryRun };
+            }
+
+            const { trade, execution } = await this.executeDecision(config, market, decision);
+            return { decision, trade, execution, dryRun };
+        } catch (error) {
+            // Only notify when the failure changes, not on every cycle of an outage
+            if (error.message !== this.lastError) {
+                this.notifier.notify('ERROR', {
+                    title: 'Strategy cycle failed',
+                    message: error.message,
+                    severity: 'warning'
+                });
+            }
+            this.lastError = error.message;
+            logger.error('Strategy cycle failed:', error);
+
+            // Live cycles that fail before a trade is recorded count towards maxConsecutiveErrors
+            if (config?.enabled && !dryRun) {
+                try {
+                    if (await config.recordError(error.message, 'strategy-engine')) {
+                        this.notifier.notifyCircuitBreaker(config);
+                    }
+                } catch (recordError) {
+                    logger.error('Failed to record strategy cycle error:', recordError);
+                }
+            }
+            throw error;
+        } finally {
+            this.lastRunAt = new Date();
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Execute a BUY/SELL decision and record it as a Trade
+     */
+    async executeDecision(config, market, decision) {
+        const tradeId = `trade_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const amount = Number(decision.amountIn.toFixed(decision.inputToken === 'BNB' ? 8 : 4));
+        // The executor applies decision.slippage to this, so the swap reverts below it
+        const expectedOutput = StrategyEngine.quoteOutput(market, { ...decision, amountIn: amount });
+
+        if (!(expectedOutput > 0)) {
+            throw new Error(`Cannot quote ${decision.action} of ${amount} ${decision.inputToken} at MWT/BNB price ${market.mwtBnbPrice}`);
+        }
+
+        const trade = new Trade({
+            tradeId,
+            // temporary unique txHash until real tx executed
+            txHash: `pending_${tradeId}`,
+            blockNumber: 0,
+            action: decision.action,
+            inputAmount: amount.toString(),
+            inputToken: decision.inputToken,
+            outputToken: decision.inputToken === 'BNB' ? 'MWT' : 'BNB',
+            minOutputAmount: String(expectedOutput * (1 - decision.slippage)),
+            slippage: decision.slippage,
+            urgency: decision.urgency,
+            status: 'PENDING',
+            botId: config.botId,
+            botStrategy: `strategy-engine:${config.tradeSizing.strategy}:${config.strategy.mode}`,
+            marketPriceAtExecution: String(market.mwtBnbPrice),
+            pegDeviation: market.deviationPercent,
+            liquidity: {
+                totalUSD: market.liquidityUSD || 0,
+                mwtReserve: market.mwtReserve,
+                bnbReserve: market.bnbReserve
+            },
+            metadata: {
+                source: 'strategy-engine',
+                reason: decision.reason
+            }
+        });
+
+        const executor = this.getTradeExecutor();
+        const execution = decision.action === 'BUY'
+            ? await executor.executeBuy(amount, expectedOutput, decision.slippage, decision.urgency)
+            : await executor.executeSell(amount, expectedOutput, decision.slippage, decision.urgency);
+
+        trade.txHash = execution.txHash || trade.txHash;
+        trade.blockNumber = execution.blockNumber || trade.blockNumber;
+
+        if (execution.success) {
+            // Output read from the receipt; without it the price is left unset
+            const outputAmount = parseFloat(execution.outputAmount);
+            await trade.markSuccess({
+                outputAmount: outputAmount > 0 ? execution.outputAmount : null,
+                executionPrice: outputAmount > 0 ? parseFloat(execution.inputAmount) / outputAmount : null,
+                gasUsed: execution.gasUsed,
+                gasPrice: execution.gasPrice,
+                gasCostBNB: execution.gasCostBNB
+            });
+            logger.info(`🤖 Strategy ${decision.action} executed: ${trade.txHash}`);
+        } else {
+            await trade.markFailed(execution.error || 'Execution failed');
+            logger.warn(`🤖 Strategy ${decision.action} failed: ${execution.error}`);
+        }
+
+        const wasEnabled = config.enabled;
+        await config.recordTrade(trade);
+        this.notifier.notifyTrade(trade, config, wasEnabled);
+
+        return { trade, execution };
+    }
+
+    /**
+     * Send the daily limit notification once per day
+     */
+    notifyDailyLimit(config, dailyLimits) {
+        const today = new Date().toISOString().slice(0, 10);
+        if (dailyLimits?.exceeded && this.dailyLimitNotifiedOn !== today) {
+            this.dailyLimitNotifiedOn = today;
+            this.notifier.notify('DAILY_LIMIT', {
+                title: 'Daily trading limit reached',
+                message: 'The strategy loop will not trade again until the limits reset',
+                severity: 'warning',
+                data: {
+                    volumeUsed: dailyLimits.volumeUsed,
+                    volumeLimit: dailyLimits.volumeLimit,
+                    tradesUsed: dailyLimits.tradesUsed,
+                    tradesLimit: dailyLimits.tradesLimit
+                }
+            }, { config });
+        }
+    }
+
+    rememberDecision(decision) {
+        this.recentDecisions.unshift(decision);
+        if (this.recentDecisions.length > MAX_RECENT_DECISIONS) {
+            this.recentDecisions.length = MAX_RECENT_DECISIONS;
+        }
+    }
+
+    /**
+     * Get engine status
+     */
+    getStatus() {
+        return {
+            dryRun: this.dryRun,
+            running: this.isRunning,
+            lastRunAt: this.lastRunAt,
+            lastError: this.lastError,
+            lastDecision: this.recentDecisions[0] || null,
+            recentDecisions: this.recentDecisions.slice(0, 10)
+        };
+    }
+}
+
+StrategyEngine.instance = null;
+StrategyEngine.MODE_MULTIPLIERS = MODE_MULTIPLIERS;
+StrategyEngine.MIN_BNB_AMOUNT = MIN_BNB_AMOUNT;
+StrategyEngine.MIN_MWT_AMOUNT = MIN_MWT_AMOUNT;
+
+module.exports = StrategyEngine;
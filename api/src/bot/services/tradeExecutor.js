@@ -184,6 +184,7 @@ class TradeExecutor {
                 inputToken: 'BNB',
                 outputToken: 'MWT',
                 minOutputAmount: ethers.formatEther(minOut),
+                outputAmount: this.getReceivedAmount(receipt, process.env.TOKEN_CONTRACT_ADDRESS),
                 path: [this.WBNB, process.env.TOKEN_CONTRACT_ADDRESS],
                 slippage,
                 urgency,
@@ -299,6 +300,7 @@ class TradeExecutor {
                 inputToken: 'BNB',
                 outputToken: 'MWT',
                 minOutputAmount: ethers.formatEther(minOut),
+                outputAmount: this.getReceivedAmount(receipt, process.env.TOKEN_CONTRACT_ADDRESS),
                 path,
                 slippage,
                 urgency,
@@ -449,6 +451,7 @@ class TradeExecutor {
                 inputToken: 'MWT',
                 outputToken: 'BNB',
                 minOutputAmount: ethers.formatEther(minOut),
+                outputAmount: this.getReceivedAmount(receipt, this.WBNB),
                 path: [process.env.TOKEN_CONTRACT_ADDRESS, this.WBNB],
                 slippage,
                 urgency,
@@ -567,6 +570,7 @@ class TradeExecutor {
                 inputToken: 'MWT',
                 outputToken: 'BNB',
                 minOutputAmount: ethers.formatEther(minOut),
+                outputAmount: this.getReceivedAmount(receipt, this.WBNB),
                 path,
                 slippage,
                 urgency,
@@ -789,6 +793,30 @@ class TradeExecutor {
         return priceImpact;
     }
 
+    /**
+     * Read the amount a swap actually paid out from its receipt
+     * Sums the token's Transfer logs to the wallet, or to the router when it unwraps WBNB to BNB
+     * @param {Object} receipt - Swap transaction receipt
+     * @param {string} tokenAddress - Output token (MWT or WBNB)
+     * @returns {string|null} Amount in ether units, null when the receipt has no such transfer
+     */
+    getReceivedAmount(receipt, tokenAddress) {
+        const recipients = [this.wallet.address, this.router.target].map(address => address.toLowerCase());
+        let received = null;
+
+        for (const log of receipt.logs) {
+            if (log.address.toLowerCase() !== tokenAddress.toLowerCase()) continue;
+
+            // ERC20 Transfer has the same signature on MWT and WBNB
+            const parsed = this.mwtToken.interface.parseLog(log);
+            if (parsed?.name === 'Transfer' && recipients.includes(parsed.args.to.toLowerCase())) {
+                received = (received || 0n) + parsed.args.value;
+            }
+        }
+
+        return received === null ? null : ethers.formatEther(received);
+    }
+
     /**
      * Parse error message for better user feedback
      * @param {Error} error - Error object
@@ -2,7 +2,7 @@ require('dotenv').config();
 
 const blockchainService = require('./services/blockchain');
 const databaseService = require('./services/database');
-const { initializeDefaultKeys } = require('./middleware/auth');
+const { initializeDefaultKeys, startApiKeyCache } = require('./middleware/auth');
 const logger = require('./utils/logger');
 
 /**
@@ -23,6 +23,7 @@ async function initialize() {
         // Initialize authentication system
         logger.info('🔑 Setting up authentication...');
         await initializeDefaultKeys();
+        await startApiKeyCache();
 
         logger.info('✅ All services initialized successfully!');
 
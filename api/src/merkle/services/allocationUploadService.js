@@ -0,0 +1,561 @@
+const crypto = require('crypto');
+const path = require('path');
+const readline = require('readline');
+const { StringDecoder } = require('string_decoder');
+const busboy = require('busboy');
+const { ethers } = require('ethers');
+const MerkleDistributionDraft = require('../../models/MerkleDistributionDraft');
+const MerkleDraftAllocation = require('../../models/MerkleDraftAllocation');
+const MerkleTreeBuilder = require('../../utils/merkleTreeBuilder');
+const logger = require('../../utils/logger');
+
+const DEFAULT_MAX_FILE_MB = 50;
+const DEFAULT_MAX_ROWS = 500000;
+const DEFAULT_MAX_ROW_ERRORS = 1000;
+const INSERT_BATCH_SIZE = 5000;
+// A single JSON allocation object is tiny; anything larger is not an allocation
+const MAX_JSON_ITEM_CHARS = 4096;
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+function uploadError(message, code, status = 400) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+}
+
+/**
+ * Split one CSV line, honouring double-quoted cells ("" is an escaped quote)
+ */
+function splitCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell.trim());
+
+    return cells;
+}
+
+/**
+ * Stream "address,amount" rows from a CSV file
+ * The header row is optional; when present its "address" and "amount" columns are used in any order.
+ * Rows are numbered by file line, so errors point at the line to fix.
+ */
+async function parseCsv(stream, onRow) {
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let lineNumber = 0;
+    let columns = null;
+
+    for await (const rawLine of lines) {
+        lineNumber++;
+        const line = (lineNumber === 1 ? rawLine.replace(/^\uFEFF/, '') : rawLine).trim();
+        if (!line) continue;
+
+        const cells = splitCsvLine(line);
+
+        if (!columns) {
+            const header = cells.map(cell => cell.toLowerCase());
+            const addressColumn = header.findIndex(cell => cell.includes('address'));
+            if (addressColumn !== -1) {
+                const amountColumn = header.findIndex(cell => cell.includes('amount'));
+                columns = { address: addressColumn, amount: amountColumn === -1 ? 1 : amountColumn };
+                continue;
+            }
+            columns = { address: 0, amount: 1 };
+        }
+
+        onRow(lineNumber, cells[columns.address], cells[columns.amount]);
+    }
+}
+
+/**
+ * Stream allocations from a JSON array of {address, amount} objects
+ * Items are cut out of the array as they arrive and parsed one at a time, so the file is never
+ * held in memory. Rows are numbered by array position (1-based).
+ */
+function parseJsonArray(stream, onRow) {
+    return new Promise((resolve, reject) => {
+        let started = false;
+        let ended = false;
+        let item = '';
+        let depth = 0;
+        let inString = false;
+        let escaped = false;
+        let itemNumber = 0;
+        let failed = false;
+
+        const emit = () => {
+            const text = item.trim();
+            item = '';
+            if (!text) {
+                return;
+            }
+            itemNumber++;
+
+            let value;
+            try {
+                value = JSON.parse(text);
+            } catch {
+                onRow(itemNumber, undefined, undefined, 'Item is not valid JSON');
+                return;
+            }
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                onRow(itemNumber, undefined, undefined, 'Item must be an {address, amount} object');
+                return;
+            }
+            onRow(itemNumber, value.address, value.amount);
+        };
+
+        // Keep draining the rest of the file so the multipart parser can finish
+        const fail = (error) => {
+            failed = true;
+            reject(error);
+        };
+
+        const decoder = new StringDecoder('utf8');
+
+        stream.on('data', (data) => {
+            if (failed) return;
+            const chunk = decoder.write(data);
+            for (let i = 0; i < chunk.length; i++) {
+                const char = chunk[i];
+
+                if (ended) {
+                    if (!/\s/.test(char)) {
+                        return fail(uploadError('Unexpected data after the JSON array', 'INVALID_FILE'));
+                    }
+                    continue;
+                }
+
+                if (!started) {
+                    if (char === '[') {
+                        started = true;
+                    } else if (!/[\s\uFEFF]/.test(char)) {
+                        return fail(uploadError('JSON file must contain an array of {address, amount} objects', 'INVALID_FILE'));
+                    }
+                    continue;
+                }
+
+                if (inString) {
+                    if (escaped) {
+                        escaped = false;
+                    } else if (char === '\\') {
+                        escaped = true;
+                    } else if (char === '"') {
+                        inString = false;
+                    }
+                } else if (char === '"') {
+                    inString = true;
+                } else if (char === '{' || char === '[') {
+                    depth++;
+                } else if (char === '}' || char === ']') {
+                    if (depth === 0 && char === ']') {
+                        emit();
+                        ended = true;
+                        continue;
+                    }
+                    depth--;
+                } else if (char === ',' && depth === 0) {
+                    emit();
+                    continue;
+                }
+
+                item += char;
+                if (item.length > MAX_JSON_ITEM_CHARS) {
+                    return fail(uploadError(`JSON item ${itemNumber + 1} is larger than ${MAX_JSON_ITEM_CHARS} characters`, 'INVALID_FILE'));
+                }
+            }
+        });
+
+        stream.on('end', () => {
+            if (failed) return;
+            if (!ended) {
+                return reject(uploadError('JSON array is not closed (file truncated?)', 'INVALID_FILE'));
+            }
+            resolve();
+        });
+
+        stream.on('error', reject);
+    });
+}
+
+/**
+ * Pick the parser from the filename or content type
+ */
+function detectFormat(filename, mimeType) {
+    const extension = path.extname(filename || '').toLowerCase();
+    if (extension === '.csv' || mimeType === 'text/csv') return 'csv';
+    if (extension === '.json' || mimeType === 'application/json') return 'json';
+    return null;
+}
+
+/**
+ * Allocation Upload Service
+ * Turns a multipart CSV/JSON allocation upload into a MerkleDistributionDraft.
+ *
+ * The file is parsed while it streams in: every row is normalized (checksummed address, amount
+ * in wei), invalid rows are collected as row errors, and repeated addresses are summed or
+ * rejected per the duplicate policy. Only the deduplicated allocations are kept in memory.
+ */
+class AllocationUploadService {
+    constructor() {
+        this.maxFileBytes = (parseFloat(process.env.MERKLE_UPLOAD_MAX_FILE_MB) || DEFAULT_MAX_FILE_MB) * 1024 * 1024;
+        this.maxRows = parseInt(process.env.MERKLE_UPLOAD_MAX_ROWS) || DEFAULT_MAX_ROWS;
+        this.maxRowErrors = parseInt(process.env.MERKLE_UPLOAD_MAX_ROW_ERRORS) || DEFAULT_MAX_ROW_ERRORS;
+    }
+
+    /**
+     * Read a multipart/form-data request with one "file" part and text fields
+     * @param {Object} req - Express request (not yet consumed by a body parser)
+     * @returns {Promise<Object>} { fields, file: {filename, format, bytes, sha256}, collector }
+     * where collector holds the parsed rows (see createCollector)
+     */
+    parseUpload(req) {
+        return new Promise((resolve, reject) => {
+            let parser;
+            try {
+                parser = busboy({
+                    headers: req.headers,
+                    limits: {
+                        files: 1,
+                        fields: 20,
+                        fieldSize: 16 * 1024,
+                        fileSize: this.maxFileBytes
+                    }
+                });
+            } catch {
+                return reject(uploadError('Expected a multipart/form-data request with a "file" part', 'UNSUPPORTED_CONTENT_TYPE', 415));
+            }
+
+            const fields = {};
+            let file = null;
+            let parsing = null;
+            let failure = null;
+            const collector = this.createCollector();
+
+            const abort = (error) => {
+                if (!failure) {
+                    failure = error;
+                }
+            };
+
+            parser.on('field', (name, value) => {
+                fields[name] = value;
+            });
+
+            parser.on('file', (name, stream, info) => {
+                if (name !== 'file' || file) {
+                    stream.resume();
+                    return;
+                }
+
+                const format = detectFormat(info.filename, info.mimeType) || fields.format;
+                file = { filename: info.filename || null, format, bytes: 0, sha256: null };
+
+                if (!['csv', 'json'].includes(format)) {
+                    stream.resume();
+                    return abort(uploadError('Unknown file format; upload a .csv or .json file, or send format=csv|json before the file', 'UNSUPPORTED_FILE_FORMAT'));
+                }
+
+                const hash = crypto.createHash('sha256');
+                stream.on('data', (chunk) => {
+                    file.bytes += chunk.length;
+                    hash.update(chunk);
+                });
+                stream.on('limit', () => {
+                    abort(uploadError(`File exceeds ${this.maxFileBytes / 1024 / 1024}MB`, 'FILE_TOO_LARGE', 413));
+                });
+                stream.on('end', () => {
+                    file.sha256 = hash.digest('hex');
+                });
+
+                const onRow = (row, address, amount, message) => collector.add(row, address, amount, message);
+                parsing = (format === 'csv' ? parseCsv(stream, onRow) : parseJsonArray(stream, onRow))
+                    .catch(error => {
+                        stream.resume();
+                        abort(error.status ? error : uploadError(`Could not read file: ${error.message}`, 'INVALID_FILE'));
+                    });
+            });
+
+            parser.on('error', (error) => {
+                reject(uploadError(`Malformed multipart request: ${error.message}`, 'INVALID_MULTIPART'));
+            });
+
+            parser.on('close', async () => {
+                await parsing;
+
+                if (failure) return reject(failure);
+                if (!file) {
+                    return reject(uploadError('Missing "file" part', 'MISSING_FILE'));
+                }
+                if (collector.rowCount > this.maxRows) {
+                    return reject(uploadError(`File has more than ${this.maxRows} rows`, 'TOO_MANY_ROWS', 413));
+                }
+
+                resolve({ fields, file, collector });
+            });
+
+            req.pipe(parser);
+        });
+    }
+
+    /**
+     * Collect an inline allocations array (POST /api/merkle/drafts) like an uploaded JSON file
+     * @param {Array} items - [{address, amount}]
+     * @returns {Object} collector
+     */
+    collectAllocations(items) {
+        const collector = this.createCollector();
+        items.forEach((item, index) => {
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                collector.add(index + 1, undefined, undefined, 'Item must be an {address, amount} object');
+            } else {
+                collector.add(index + 1, item.address, item.amount);
+            }
+        });
+        return collector;
+    }
+
+    /**
+     * Row collector: normalizes each row and merges repeated addresses
+     */
+    createCollector() {
+        const maxRows = this.maxRows;
+        const byAddress = new Map();
+        const invalidRows = [];
+
+        return {
+            rowCount: 0,
+            invalidRows,
+            byAddress,
+
+            add(row, rawAddress, rawAmount, message) {
+                this.rowCount++;
+                if (this.rowCount > maxRows) {
+                    return;
+                }
+
+                const address = rawAddress === undefined || rawAddress === null ? '' : String(rawAddress).trim();
+                const amountText = rawAmount === undefined || rawAmount === null ? '' : String(rawAmount).trim();
+                const invalid = (reason) => invalidRows.push({ row, address, amount: amountText, message: reason });
+
+                if (message) return invalid(message);
+                if (!address) return invalid('Missing address');
+                if (!amountText) return invalid('Missing amount');
+                if (!ADDRESS_PATTERN.test(address)) return invalid('Invalid address');
+                // Mixed-case addresses carry an EIP-55 checksum (hashing only those keeps large files fast)
+                const hex = address.slice(2);
+                if (hex !== hex.toLowerCase() && hex !== hex.toUpperCase() && !ethers.isAddress(address)) {
+                    return invalid('Invalid address checksum');
+                }
+
+                let amount;
+                try {
+                    amount = ethers.parseEther(amountText);
+                } catch {
+                    return invalid('Invalid amount (decimal token amount, at most 18 decimals)');
+                }
+                if (amount <= 0n) return invalid('Amount must be positive');
+
+                const key = address.toLowerCase();
+                const existing = byAddress.get(key);
+                if (existing) {
+                    existing.duplicates.push({ row, amount, amountText });
+                } else {
+                    byAddress.set(key, { amount, rows: [row], duplicates: [] });
+                }
+            }
+        };
+    }
+
+    /**
+     * Apply the duplicate policy to a collector
+     * @param {Object} collector - From parseUpload()
+     * @param {string} duplicatePolicy - sum | reject
+     * @returns {Object} { allocations: [{address, amount, sourceRows}], totalAllocated, duplicateRowCount, rowErrors }
+     */
+    buildAllocations(collector, duplicatePolicy) {
+        const allocations = [];
+        const rowErrors = [...collector.invalidRows];
+        let totalAllocated = 0n;
+        let duplicateRowCount = 0;
+
+        for (const [address, entry] of collector.byAddress) {
+            let amount = entry.amount;
+            const sourceRows = [...entry.rows];
+
+            for (const duplicate of entry.duplicates) {
+                duplicateRowCount++;
+                if (duplicatePolicy === 'sum') {
+                    amount += duplicate.amount;
+                    sourceRows.push(duplicate.row);
+                } else {
+                    rowErrors.push({
+                        row: duplicate.row,
+                        address,
+                        amount: duplicate.amountText,
+                        message: `Duplicate address (first seen at row ${entry.rows[0]})`
+                    });
+                }
+            }
+
+            totalAllocated += amount;
+            allocations.push({ address, amount: amount.toString(), sourceRows });
+        }
+
+        rowErrors.sort((a, b) => a.row - b.row);
+
+        return {
+            allocations,
+            totalAllocated: totalAllocated.toString(),
+            duplicateRowCount,
+            rowErrors
+        };
+    }
+
+    /**
+     * Store a draft and its allocations
+     * Row errors fail the upload with INVALID_ROWS unless skipInvalidRows is set, in which case
+     * those rows are left out and listed on the draft.
+     * The Merkle root is computed here, so the draft shows exactly what publishing will submit.
+     * @param {Object} params - { settings, file, collector, duplicatePolicy, skipInvalidRows, previousDraftId, apiKey }
+     * @returns {Promise<Object>} MerkleDistributionDraft
+     */
+    async createDraft({ settings, file = null, collector, duplicatePolicy, skipInvalidRows = false, previousDraftId = null, apiKey }) {
+        if (previousDraftId && !(await MerkleDistributionDraft.exists({ draftId: previousDraftId }))) {
+            throw uploadError(`Previous draft ${previousDraftId} not found`, 'PREVIOUS_DRAFT_NOT_FOUND', 404);
+        }
+
+        const { allocations, totalAllocated, duplicateRowCount, rowErrors } = this.buildAllocations(collector, duplicatePolicy);
+
+        if (rowErrors.length > 0 && !skipInvalidRows) {
+            const error = uploadError(`${rowErrors.length} of ${collector.rowCount} row(s) are invalid`, 'INVALID_ROWS', 422);
+            error.details = {
+                rowCount: collector.rowCount,
+                invalidRowCount: rowErrors.length,
+                rowErrors: rowErrors.slice(0, this.maxRowErrors),
+                rowErrorsTruncated: rowErrors.length > this.maxRowErrors
+            };
+            throw error;
+        }
+
+        if (allocations.length === 0) {
+            throw uploadError('No valid allocations', 'NO_VALID_ROWS', 422);
+        }
+
+        // Amounts are already in wei; buildTree takes token amounts
+        const treeData = MerkleTreeBuilder.buildTree(
+            allocations.map(({ address, amount }) => ({ address, amount: ethers.formatEther(amount) }))
+        );
+        const { merkleRoot, treeDepth, averageAllocation, minAllocation, maxAllocation } = MerkleTreeBuilder.getTreeStats(treeData);
+
+        const draftId = crypto.randomUUID();
+
+        // Allocations first, so a draft is never visible with part of its rows
+        try {
+            for (let i = 0; i < allocations.length; i += INSERT_BATCH_SIZE) {
+                const batch = allocations.slice(i, i + INSERT_BATCH_SIZE).map(allocation => ({ draftId, ...allocation }));
+                await MerkleDraftAllocation.insertMany(batch, { ordered: false });
+            }
+        } catch (error) {
+            await MerkleDraftAllocation.deleteMany({ draftId }).catch(cleanupError => {
+                logger.error(`Failed to clean up allocations of draft ${draftId}:`, cleanupError);
+            });
+            throw error;
+        }
+
+        const draft = await MerkleDistributionDraft.create({
+            draftId,
+            ...settings,
+            previousDraftId,
+            ...(file && { source: file }),
+            duplicatePolicy,
+            rowCount: collector.rowCount,
+            invalidRowCount: rowErrors.length,
+            duplicateRowCount,
+            recipientCount: allocations.length,
+            totalAllocated,
+            merkleRoot,
+            stats: { treeDepth, averageAllocation, minAllocation, maxAllocation },
+            rowErrors: rowErrors.slice(0, this.maxRowErrors),
+            rowErrorsTruncated: rowErrors.length > this.maxRowErrors,
+            createdBy: { keyId: apiKey.id, keyName: apiKey.name }
+        });
+
+        logger.info(`Merkle draft ${draftId} created by ${apiKey.name}: ${allocations.length} recipients from ${collector.rowCount} rows (${rowErrors.length} row errors), root ${merkleRoot}`);
+
+        return draft;
+    }
+
+    /**
+     * Delete a draft that hasn't been (and isn't being) published
+     * @returns {Promise<boolean>} false if there is no such unpublished draft
+     */
+    async deleteDraft(draftId) {
+        const result = await MerkleDistributionDraft.deleteOne({ draftId, status: 'draft' });
+        if (result.deletedCount === 0) {
+            return false;
+        }
+        await MerkleDraftAllocation.deleteMany({ draftId });
+        return true;
+    }
+
+    /**
+     * Public view of a draft
+     */
+    formatDraft(draft) {
+        return {
+            draftId: draft.draftId,
+            status: draft.status,
+            title: draft.title,
+            description: draft.description,
+            tags: draft.tags,
+            category: draft.category,
+            vaultType: draft.vaultType,
+            durationInDays: draft.durationInDays,
+            previousDraftId: draft.previousDraftId,
+            source: draft.source,
+            duplicatePolicy: draft.duplicatePolicy,
+            rowCount: draft.rowCount,
+            invalidRowCount: draft.invalidRowCount,
+            duplicateRowCount: draft.duplicateRowCount,
+            recipientCount: draft.recipientCount,
+            totalAllocated: draft.totalAllocated,
+            totalAllocatedFormatted: ethers.formatEther(draft.totalAllocated),
+            merkleRoot: draft.merkleRoot,
+            stats: draft.stats,
+            vaultCheck: draft.vaultCheck,
+            diff: draft.diff,
+            publish: draft.publish,
+            rowErrors: draft.rowErrors,
+            rowErrorsTruncated: draft.rowErrorsTruncated,
+            createdBy: draft.createdBy,
+            createdAt: draft.createdAt
+        };
+    }
+}
+
+const allocationUploadService = new AllocationUploadService();
+
+module.exports = allocationUploadService;
@@ -0,0 +1,257 @@
+const MerkleClaim = require('../../models/MerkleClaim');
+const MerkleLeaf = require('../../models/MerkleLeaf');
+const MerkleDistribution = require('../../models/MerkleDistribution');
+const IndexerCheckpoint = require('../../models/IndexerCheckpoint');
+const blockchainService = require('../../services/blockchain');
+const BlockRangeIndexer = require('../../services/blockRangeIndexer');
+const logger = require('../../utils/logger');
+
+const CHECKPOINT_NAME = 'merkle-claims';
+
+/**
+ * Merkle Claim Indexer
+ * Follows MagicWorldGame TokensClaimed events from a persisted checkpoint (IndexerCheckpoint),
+ * stores each claim (MerkleClaim) and derives the claimer's MerkleLeaf claim state and the
+ * distribution's totalClaimed from them, so user distribution lookups need no RPC calls.
+ *
+ * The shared poll loop (BlockRangeIndexer) re-reads the last `reorgDepth` blocks and removes
+ * stored claims that are no longer on-chain. Claim state comes from the event's cumulative
+ * totalClaimed, so it stays exact even for users whose earlier claims predate the start block
+ * (only claimCount then undercounts).
+ */
+class MerkleClaimIndexer extends BlockRangeIndexer {
+    constructor() {
+        super({
+            checkpointName: CHECKPOINT_NAME,
+            label: 'Merkle claim indexer',
+            eventLabel: 'Merkle claims',
+            icon: '🌳',
+            network: process.env.BLOCKCHAIN_NETWORK || 'bscTestnet',
+            startBlock: process.env.MERKLE_CLAIM_START_BLOCK ? parseInt(process.env.MERKLE_CLAIM_START_BLOCK) : null,
+            pollInterval: parseInt(process.env.MERKLE_CLAIM_POLL_INTERVAL) || 15000,
+            reorgDepth: parseInt(process.env.MERKLE_CLAIM_REORG_DEPTH || '12'),
+            batchSize: parseInt(process.env.MERKLE_CLAIM_BLOCK_BATCH_SIZE) || 2000
+        });
+
+        this.contract = null;
+    }
+
+    /**
+     * Load the checkpoint, creating it at the start block on first run
+     */
+    async initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        this.provider = blockchainService.provider;
+        this.contract = blockchainService.gameContract;
+        this.contractAddress = this.contract.target;
+
+        const existing = await IndexerCheckpoint.findOne({
+            name: CHECKPOINT_NAME,
+            network: this.network,
+            contractAddress: this.contractAddress.toLowerCase()
+        });
+
+        if (this.startBlock === null) {
+            this.startBlock = existing ? 0 : await this.findStartBlock();
+        }
+
+        const checkpoint = existing || await IndexerCheckpoint.getOrCreate(
+            CHECKPOINT_NAME,
+            this.network,
+            this.contractAddress,
+            this.startBlock
+        );
+        this.lastProcessedBlock = checkpoint.lastProcessedBlock;
+
+        this.isInitialized = true;
+
+        logger.info('MerkleClaimIndexer initialized', {
+            network: this.network,
+            contractAddress: this.contractAddress,
+            lastProcessedBlock: this.lastProcessedBlock,
+            reorgDepth: this.reorgDepth,
+            batchSize: this.batchSize
+        });
+    }
+
+    /**
+     * Without MERKLE_CLAIM_START_BLOCK, start at the block of the first stored distribution
+     * (no claims can precede it), or at the chain head when there are none yet
+     */
+    async findStartBlock() {
+        const first = await MerkleDistribution.findOne({ creationTxHash: { $ne: null } })
+            .sort({ distributionId: 1 })
+            .select('creationTxHash')
+            .lean();
+
+        if (first) {
+            const receipt = await this.provider.getTransactionReceipt(first.creationTxHash);
+            if (receipt) {
+                return receipt.blockNumber;
+            }
+        }
+
+        return this.provider.getBlockNumber();
+    }
+
+    /**
+     * Store the TokensClaimed events in [fromBlock, toBlock], drop reorged-out ones,
+     * then recompute every affected leaf and distribution
+     * @returns {Promise<number>} Claims not already stored (re-read blocks count nothing twice)
+     */
+    async processRange(fromBlock, toBlock) {
+        const logs = await this.provider.getLogs({
+            address: this.contractAddress,
+            topics: [this.contract.interface.getEvent('TokensClaimed').topicHash],
+            fromBlock,
+            toBlock
+        });
+
+        const claims = logs
+            .filter(log => !log.removed)
+            .map(log => ({ log, parsed: this.safeParse(log) }))
+            .filter(({ parsed }) => parsed !== null);
+
+        const touched = new Map();
+        const touch = (distributionId, userAddress) =>
+            touched.set(`${distributionId}:${userAddress}`, { distributionId, userAddress });
+
+        let newClaims = 0;
+        for (const { log, parsed } of claims) {
+            const distributionId = Number(parsed.args.distributionId);
+            const userAddress = parsed.args.user.toLowerCase();
+
+            const result = await MerkleClaim.updateOne(
+                { txHash: log.transactionHash, logIndex: log.index },
+                {
+                    $set: {
+                        distributionId,
+                        userAddress,
+                        amount: parsed.args.amount.toString(),
+                        totalClaimed: parsed.args.totalClaimed.toString(),
+                        blockNumber: log.blockNumber,
+                        timestamp: await this.getBlockTime(log.blockNumber)
+                    }
+                },
+                { upsert: true }
+            );
+            newClaims += result.upsertedCount;
+            touch(distributionId, userAddress);
+        }
+
+        const orphaned = await this.pruneOrphans(fromBlock, toBlock, claims.map(c => c.log));
+        orphaned.forEach(claim => touch(claim.distributionId, claim.userAddress));
+
+        const distributionIds = new Set();
+        for (const { distributionId, userAddress } of touched.values()) {
+            if (await this.recomputeLeaf(distributionId, userAddress)) {
+                distributionIds.add(distributionId);
+            }
+        }
+
+        for (const distributionId of distributionIds) {
+            await this.recomputeDistribution(distributionId);
+        }
+
+        return newClaims;
+    }
+
+    /**
+     * Remove claims in [fromBlock, toBlock] whose log is no longer on-chain (reorged out)
+     * @returns {Promise<Object[]>} Removed claims
+     */
+    async pruneOrphans(fromBlock, toBlock, logs) {
+        const seen = new Set(logs.map(log => `${log.transactionHash}:${log.index}`));
+        const stored = await MerkleClaim.find({ blockNumber: { $gte: fromBlock, $lte: toBlock } })
+            .select('distributionId userAddress txHash logIndex')
+            .lean();
+
+        const orphans = stored.filter(claim => !seen.has(`${claim.txHash}:${claim.logIndex}`));
+        if (orphans.length === 0) {
+            return [];
+        }
+
+        logger.warn(`🌳 Reorg detected between blocks ${fromBlock}-${toBlock}, removing ${orphans.length} orphaned Merkle claims`);
+        await MerkleClaim.deleteMany({ _id: { $in: orphans.map(claim => claim._id) } });
+
+        return orphans;
+    }
+
+    /**
+     * Derive a leaf's claim state from its stored claims
+     * @returns {Promise<boolean>} false when the distribution/leaf isn't in the database
+     */
+    async recomputeLeaf(distributionId, userAddress) {
+        const leaf = await MerkleLeaf.findOne({ distributionId, userAddress }).select('allocatedAmount').lean();
+        if (!leaf) {
+            return false;
+        }
+
+        const claims = await MerkleClaim.find({ distributionId, userAddress })
+            .sort({ blockNumber: 1, logIndex: 1 })
+            .lean();
+        const last = claims[claims.length - 1];
+        const claimedAmount = last ? last.totalClaimed : '0';
+
+        await MerkleLeaf.updateOne({ _id: leaf._id }, {
+            $set: {
+                claimedAmount,
+                claimCount: claims.length,
+                fullyClaimed: BigInt(claimedAmount) >= BigInt(leaf.allocatedAmount),
+                lastClaimTime: last ? last.timestamp : null,
+                lastClaimTxHash: last ? last.txHash : null
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Apply already-indexed claims to a distribution saved after they were seen
+     * (e.g. one finished by the reconciliation job)
+     */
+    async refreshDistribution(distributionId) {
+        const userAddresses = await MerkleClaim.distinct('userAddress', { distributionId });
+        if (userAddresses.length === 0) {
+            return;
+        }
+
+        for (const userAddress of userAddresses) {
+            await this.recomputeLeaf(distributionId, userAddress);
+        }
+        await this.recomputeDistribution(distributionId);
+    }
+
+    /**
+     * Roll leaf claim amounts up into MerkleDistribution.totalClaimed
+     */
+    async recomputeDistribution(distributionId) {
+        const cursor = MerkleLeaf.find({ distributionId, claimCount: { $gt: 0 } })
+            .select('claimedAmount')
+            .lean()
+            .cursor();
+
+        let totalClaimed = 0n;
+        for (let leaf = await cursor.next(); leaf; leaf = await cursor.next()) {
+            totalClaimed += BigInt(leaf.claimedAmount);
+        }
+
+        await MerkleDistribution.updateOne({ distributionId }, { $set: { totalClaimed: totalClaimed.toString() } });
+    }
+
+    safeParse(log) {
+        try {
+            const parsed = this.contract.interface.parseLog(log);
+            return parsed && parsed.name === 'TokensClaimed' ? parsed : null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+const merkleClaimIndexer = new MerkleClaimIndexer();
+
+module.exports = merkleClaimIndexer;
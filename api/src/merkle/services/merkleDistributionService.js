@@ -1,12 +1,35 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
 const { ethers } = require('ethers');
 const MerkleTreeBuilder = require('../../utils/merkleTreeBuilder');
 const MerkleDistribution = require('../../models/MerkleDistribution');
 const MerkleLeaf = require('../../models/MerkleLeaf');
+const MerkleDistributionDraft = require('../../models/MerkleDistributionDraft');
+const MerkleDraftAllocation = require('../../models/MerkleDraftAllocation');
+const MerkleDistributionCommit = require('../../models/MerkleDistributionCommit');
+const MerkleCommitLeafChunk = require('../../models/MerkleCommitLeafChunk');
+const merkleClaimIndexer = require('./merkleClaimIndexer');
 const logger = require('../../utils/logger');
 
 // Import contract ABI
 const MagicWorldGameABI = require('../../../contracts/MagicWorldGame.json').abi;
 
+const DIFF_SAMPLE_SIZE = 20;
+const LEAF_WRITE_BATCH = 5000;
+const COMMIT_CHUNK_SIZE = 10000;
+// Errors from sending that mean the transaction was never broadcast
+const SEND_REJECTED_CODES = ['CALL_EXCEPTION', 'INSUFFICIENT_FUNDS', 'NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED', 'INVALID_ARGUMENT', 'ACTION_REJECTED'];
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+function draftError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
 /**
  * MerkleDistributionService
  * Manages Merkle-based token distributions
@@ -30,9 +53,15 @@ class MerkleDistributionService {
      * @param {number} durationInDays - Duration in days
      * @param {Object} metadata - Distribution metadata
      * @param {string} creatorAddress - Address of admin creating distribution
+     * @param {Object} [options]
+     * @param {string} [options.expectedRoot] - Refuse to submit unless the tree has this root
+     * @param {Function} [options.onSubmitted] - async (txHash) called once the transaction is sent
+     * @param {string} [options.draftId] - Draft being published (marked published on import)
      * @returns {Promise<Object>} Created distribution with tree data
+     * If the transaction is mined but saving fails, throws DISTRIBUTION_IMPORT_PENDING; the
+     * pre-commit record lets the reconciliation job finish the import.
      */
-    async createDistribution(allocations, vaultType, durationInDays, metadata, creatorAddress) {
+    async createDistribution(allocations, vaultType, durationInDays, metadata, creatorAddress, { expectedRoot, onSubmitted, draftId = null } = {}) {
         try {
             logger.info(`Creating Merkle distribution for ${allocations.length} recipients from ${vaultType} vault`);
 
@@ -48,106 +77,254 @@ class MerkleDistributionService {
 
             logger.info(`Merkle tree built - Root: ${root}, Recipients: ${stats.recipientCount}`);
 
+            if (expectedRoot && root !== expectedRoot) {
+                throw draftError(`Merkle root ${root} does not match the reviewed root ${expectedRoot}`, 'MERKLE_ROOT_MISMATCH');
+            }
+
             // Convert vault type string to enum value
             const vaultTypeEnum = this._getVaultTypeEnum(vaultType);
 
             // Check vault balance
             await this._checkVaultBalance(vaultTypeEnum, totalAllocated);
 
+            // Persist the leaves before sending, so a mined distribution can always be imported
+            const commit = await this._createCommit({
+                root,
+                totalAllocated,
+                leaves,
+                vaultType,
+                durationInDays,
+                metadata,
+                creatorAddress,
+                draftId,
+            });
+
             // Call contract to create distribution
             logger.info(`Calling setMerkleDistribution on-chain...`);
             logger.info(`Parameters: root=${root}, totalAllocated=${totalAllocated}, vaultTypeEnum=${vaultTypeEnum}, durationInDays=${durationInDays}`);
-            const tx = await this.gameContract.setMerkleDistribution(
-                root,
-                totalAllocated,
-                vaultTypeEnum,
-                durationInDays
-            );
+            let tx;
+            try {
+                tx = await this.gameContract.setMerkleDistribution(
+                    root,
+                    totalAllocated,
+                    vaultTypeEnum,
+                    durationInDays
+                );
+            } catch (error) {
+                if (SEND_REJECTED_CODES.includes(error.code)) {
+                    await this.failCommit(commit, 'FAILED', error.message);
+                } else {
+                    // It may still have been broadcast: the commit stays PENDING and the reconciler
+                    // looks for its event until MERKLE_COMMIT_ABANDON_HOURS
+                    await this._updateCommit(commit.commitId, { lastError: error.message }).catch(() => {});
+                    error.commitPending = true;
+                }
+                throw error;
+            }
 
             logger.info(`Transaction sent: ${tx.hash}, waiting for confirmation...`);
-            const receipt = await tx.wait();
+            await this._updateCommit(commit.commitId, { status: 'SUBMITTED', transactionHash: tx.hash }).catch(error => {
+                // The reconciler still finds the transaction by its event
+                logger.error(`Failed to record transaction ${tx.hash} on commit ${commit.commitId}:`, error);
+            });
+            if (onSubmitted) {
+                await onSubmitted(tx.hash);
+            }
+
+            let receipt;
+            try {
+                receipt = await tx.wait();
+            } catch (error) {
+                if (error.code === 'CALL_EXCEPTION') {
+                    await this.failCommit(commit, 'FAILED', 'Transaction reverted');
+                } else {
+                    error.commitPending = true;
+                }
+                throw error;
+            }
             logger.info(`Transaction confirmed in block ${receipt.blockNumber}`);
 
             // Extract distribution ID from event
-            const event = receipt.logs.find(log => {
-                try {
-                    const parsed = this.gameContract.interface.parseLog({
-                        topics: log.topics,
-                        data: log.data
-                    });
-                    return parsed.name === 'MerkleDistributionCreated';
-                } catch {
-                    return false;
-                }
-            });
+            const event = receipt.logs
+                .map(log => this.parseDistributionCreated(log))
+                .find(parsed => parsed !== null);
 
             if (!event) {
                 throw new Error('MerkleDistributionCreated event not found in transaction receipt');
             }
 
-            const parsedEvent = this.gameContract.interface.parseLog({
-                topics: event.topics,
-                data: event.data
-            });
+            logger.info(`Distribution created on-chain with ID: ${event.distributionId}`);
+
+            try {
+                return await this.importDistribution(commit, event, leaves);
+            } catch (error) {
+                await this._updateCommit(commit.commitId, { lastError: error.message });
+                const pending = new Error(
+                    `Distribution ${event.distributionId} was created on-chain (${tx.hash}) but saving it failed: ${error.message}. ` +
+                    'The reconciliation job will finish the import.'
+                );
+                pending.code = 'DISTRIBUTION_IMPORT_PENDING';
+                pending.commitPending = true;
+                throw pending;
+            }
+
+        } catch (error) {
+            logger.error('Failed to create Merkle distribution:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a mined distribution and its leaves from its pre-commit record
+     * Idempotent: an existing distribution or leaf is left as it is, so a partly saved import
+     * can be run again.
+     * @param {Object} commit - MerkleDistributionCommit
+     * @param {Object} event - parseDistributionCreated() result for the commit's transaction
+     * @param {Array} [leaves] - Built leaves (loaded from the commit when omitted)
+     * @returns {Promise<Object>} { distribution, stats, transactionHash, blockNumber }
+     */
+    async importDistribution(commit, event, leaves = null) {
+        const { distributionId } = event;
 
-            const distributionId = Number(parsedEvent.args.distributionId);
-            const startTime = new Date(Number(parsedEvent.args.startTime) * 1000);
-            const endTime = new Date(Number(parsedEvent.args.endTime) * 1000);
+        if (event.merkleRoot.toLowerCase() !== commit.merkleRoot.toLowerCase()) {
+            throw new Error(`Distribution ${distributionId} has root ${event.merkleRoot}, commit ${commit.commitId} has ${commit.merkleRoot}`);
+        }
 
-            logger.info(`Distribution created on-chain with ID: ${distributionId}`);
+        if (!leaves) {
+            const allocations = await this._loadCommitAllocations(commit);
+            const treeData = MerkleTreeBuilder.buildTree(
+                allocations.map(([address, amount]) => ({ address, amount: ethers.formatEther(amount) }))
+            );
+            if (treeData.root !== commit.merkleRoot) {
+                throw new Error(`Leaves of commit ${commit.commitId} do not rebuild its root`);
+            }
+            leaves = treeData.leaves;
+        }
 
-            // Save distribution to database
-            const distribution = new MerkleDistribution({
+        const stats = MerkleTreeBuilder.getTreeStats({ leaves, root: commit.merkleRoot, totalAllocated: commit.totalAllocated });
+        const metadata = commit.metadata || {};
+
+        // Save distribution to database
+        let distribution = await MerkleDistribution.findOne({ distributionId });
+        if (!distribution) {
+            distribution = new MerkleDistribution({
                 distributionId,
-                merkleRoot: root,
-                totalAllocated,
+                merkleRoot: commit.merkleRoot,
+                totalAllocated: commit.totalAllocated,
                 totalClaimed: '0',
-                startTime,
-                endTime,
-                vaultType,
+                startTime: event.startTime,
+                endTime: event.endTime,
+                vaultType: commit.vaultType,
                 finalized: false,
                 title: metadata.title || `Distribution #${distributionId}`,
                 description: metadata.description || '',
                 recipientCount: stats.recipientCount,
-                creationTxHash: tx.hash,
-                createdBy: creatorAddress.toLowerCase(),
+                creationTxHash: event.transactionHash,
+                createdBy: commit.createdBy.toLowerCase(),
                 tags: metadata.tags || [],
                 status: 'pending',
             });
 
-            await distribution.save();
+            try {
+                await distribution.save();
+            } catch (error) {
+                if (error.code !== 11000) {
+                    throw error;
+                }
+                distribution = await MerkleDistribution.findOne({ distributionId });
+            }
             logger.info(`Distribution saved to database`);
+        }
 
-            // Save leaves to database
-            const leafDocuments = leaves.map(leaf => ({
-                distributionId,
-                userAddress: leaf.address,
-                allocatedAmount: leaf.amount,
-                leafHash: leaf.leafHash,
-                leafIndex: leaf.leafIndex,
-                fullyClaimed: false,
-                claimedAmount: '0',
-                claimCount: 0,
-                metadata: {
-                    reason: metadata.title,
-                    category: metadata.category || 'general',
-                },
-            }));
+        // Save leaves to database
+        for (let i = 0; i < leaves.length; i += LEAF_WRITE_BATCH) {
+            await MerkleLeaf.bulkWrite(leaves.slice(i, i + LEAF_WRITE_BATCH).map(leaf => ({
+                updateOne: {
+                    filter: { distributionId, userAddress: leaf.address },
+                    update: {
+                        $setOnInsert: {
+                            distributionId,
+                            userAddress: leaf.address,
+                            allocatedAmount: leaf.amount,
+                            leafHash: leaf.leafHash,
+                            leafIndex: leaf.leafIndex,
+                            fullyClaimed: false,
+                            claimedAmount: '0',
+                            claimCount: 0,
+                            metadata: {
+                                reason: metadata.title,
+                                category: metadata.category || 'general',
+                            },
+                        }
+                    },
+                    upsert: true,
+                }
+            })), { ordered: false });
+        }
+        logger.info(`${leaves.length} leaves saved to database`);
+
+        // Claims indexed before a recovered distribution was saved had no leaf to update
+        await merkleClaimIndexer.refreshDistribution(distributionId);
+
+        await this._updateCommit(commit.commitId, {
+            status: 'COMPLETED',
+            transactionHash: event.transactionHash,
+            distributionId,
+            blockNumber: event.blockNumber,
+            completedAt: new Date(),
+            lockedUntil: null,
+            lastError: null,
+        });
+
+        if (commit.draftId) {
+            await MerkleDistributionDraft.updateOne({ draftId: commit.draftId }, {
+                $set: {
+                    status: 'published',
+                    'publish.transactionHash': event.transactionHash,
+                    'publish.distributionId': distributionId,
+                    'publish.blockNumber': event.blockNumber,
+                    'publish.publishedAt': new Date(),
+                    'publish.error': null,
+                }
+            });
+        }
 
-            await MerkleLeaf.insertMany(leafDocuments);
-            logger.info(`${leafDocuments.length} leaves saved to database`);
+        return {
+            distribution: distribution.toObject(),
+            stats,
+            transactionHash: event.transactionHash,
+            blockNumber: event.blockNumber,
+        };
+    }
 
-            return {
-                distribution: distribution.toObject(),
-                stats,
-                transactionHash: tx.hash,
-                blockNumber: receipt.blockNumber,
-            };
+    /**
+     * Parse a MerkleDistributionCreated log
+     * @param {Object} log - Receipt or getLogs log
+     * @returns {Object|null} { distributionId, merkleRoot, startTime, endTime, transactionHash, blockNumber }
+     */
+    parseDistributionCreated(log) {
+        let parsed;
+        try {
+            parsed = this.gameContract.interface.parseLog({
+                topics: log.topics,
+                data: log.data
+            });
+        } catch {
+            return null;
+        }
 
-        } catch (error) {
-            logger.error('Failed to create Merkle distribution:', error);
-            throw error;
+        if (!parsed || parsed.name !== 'MerkleDistributionCreated') {
+            return null;
         }
+
+        return {
+            distributionId: Number(parsed.args.distributionId),
+            merkleRoot: parsed.args.merkleRoot,
+            startTime: new Date(Number(parsed.args.startTime) * 1000),
+            endTime: new Date(Number(parsed.args.endTime) * 1000),
+            transactionHash: log.transactionHash,
+            blockNumber: log.blockNumber,
+        };
     }
 
     /**
@@ -297,6 +474,7 @@ class MerkleDistributionService {
                         fullyClaimed: leaf.fullyClaimed,
                         claimCount: leaf.claimCount,
                         lastClaimTime: leaf.lastClaimTime,
+                        lastClaimTxHash: leaf.lastClaimTxHash,
                     },
                 };
             });
@@ -470,6 +648,318 @@ class MerkleDistributionService {
         }
     }
 
+    /**
+     * Check whether a vault can fund an allocation
+     * @param {string} vaultType - Vault type enum string
+     * @param {string} requiredAmount - Amount in wei
+     * @returns {Promise<Object>} { available, required, sufficient }
+     */
+    async getVaultCheck(vaultType, requiredAmount) {
+        const vaultInfo = await this.gameContract.getVaultInfo(this._getVaultTypeEnum(vaultType));
+
+        return {
+            available: vaultInfo.remaining.toString(),
+            required: requiredAmount.toString(),
+            sufficient: vaultInfo.remaining >= BigInt(requiredAmount),
+        };
+    }
+
+    /**
+     * Compare the allocations of two drafts
+     * Both are walked in address order, so large drafts are compared without loading them.
+     * @param {string} draftId - Draft to compare
+     * @param {string} againstDraftId - Draft to compare it with (e.g. its previous revision)
+     * @returns {Promise<Object>} { againstDraftId, added, removed, changed, unchanged, totalDelta }
+     * with up to DIFF_SAMPLE_SIZE example addresses per category
+     */
+    async diffDrafts(draftId, againstDraftId) {
+        const against = await MerkleDistributionDraft.findOne({ draftId: againstDraftId }).select('totalAllocated');
+        if (!against) {
+            throw draftError(`Draft ${againstDraftId} not found`, 'DRAFT_NOT_FOUND');
+        }
+
+        const openCursor = (id) => MerkleDraftAllocation.find({ draftId: id })
+            .select('-_id address amount')
+            .sort({ address: 1 })
+            .lean()
+            .cursor({ batchSize: 5000 });
+
+        const previous = openCursor(againstDraftId);
+        const current = openCursor(draftId);
+
+        const diff = {
+            againstDraftId,
+            added: { count: 0, sample: [] },
+            removed: { count: 0, sample: [] },
+            changed: { count: 0, sample: [] },
+            unchanged: 0,
+        };
+        const note = (category, entry) => {
+            diff[category].count++;
+            if (diff[category].sample.length < DIFF_SAMPLE_SIZE) {
+                diff[category].sample.push(entry);
+            }
+        };
+
+        let before = await previous.next();
+        let after = await current.next();
+        let totalDelta = 0n;
+
+        while (before || after) {
+            if (after && (!before || after.address < before.address)) {
+                note('added', { address: after.address, amount: after.amount });
+                totalDelta += BigInt(after.amount);
+                after = await current.next();
+            } else if (before && (!after || before.address < after.address)) {
+                note('removed', { address: before.address, amount: before.amount });
+                totalDelta -= BigInt(before.amount);
+                before = await previous.next();
+            } else {
+                if (before.amount === after.amount) {
+                    diff.unchanged++;
+                } else {
+                    note('changed', { address: after.address, from: before.amount, to: after.amount });
+                    totalDelta += BigInt(after.amount) - BigInt(before.amount);
+                }
+                before = await previous.next();
+                after = await current.next();
+            }
+        }
+
+        diff.totalDelta = totalDelta.toString();
+        diff.computedAt = new Date();
+
+        return diff;
+    }
+
+    /**
+     * Everything a reviewer needs before publishing a draft: live vault balance check,
+     * diff against the previous revision (or another draft) and warnings
+     * The vault check and the diff against previousDraftId are stored on the draft.
+     * @param {string} draftId - Draft ID
+     * @param {string} [againstDraftId] - Draft to diff against (default: previousDraftId)
+     * @returns {Promise<Object|null>} { draft, vaultCheck, diff, warnings, publishable } or null if not found
+     */
+    async previewDraft(draftId, againstDraftId = null) {
+        const draft = await MerkleDistributionDraft.findOne({ draftId });
+        if (!draft) {
+            return null;
+        }
+
+        const vaultCheck = {
+            ...(await this.getVaultCheck(draft.vaultType, draft.totalAllocated)),
+            checkedAt: new Date(),
+        };
+
+        const diffAgainst = againstDraftId || draft.previousDraftId;
+        const diff = diffAgainst ? await this.diffDrafts(draftId, diffAgainst) : null;
+
+        const update = { vaultCheck };
+        if (diff && diffAgainst === draft.previousDraftId) {
+            update.diff = diff;
+        }
+        await MerkleDistributionDraft.updateOne({ draftId }, { $set: update });
+        Object.assign(draft, update);
+
+        const warnings = [];
+        if (!vaultCheck.sufficient) {
+            warnings.push({
+                code: 'INSUFFICIENT_VAULT_BALANCE',
+                message: `${draft.vaultType} vault has ${ethers.formatEther(vaultCheck.available)} MWT left, the draft needs ${ethers.formatEther(vaultCheck.required)} MWT`,
+            });
+        }
+        if (draft.invalidRowCount > 0) {
+            warnings.push({
+                code: 'ROWS_SKIPPED',
+                message: `${draft.invalidRowCount} invalid row(s) were left out of the draft`,
+            });
+        }
+        if (draft.duplicatePolicy === 'sum' && draft.duplicateRowCount > 0) {
+            warnings.push({
+                code: 'DUPLICATES_SUMMED',
+                message: `${draft.duplicateRowCount} repeated address row(s) were added to earlier allocations`,
+            });
+        }
+        if (diff && diff.removed.count > 0) {
+            warnings.push({
+                code: 'RECIPIENTS_REMOVED',
+                message: `${diff.removed.count} recipient(s) of draft ${diffAgainst} are not in this draft`,
+            });
+        }
+
+        return {
+            draft,
+            vaultCheck,
+            diff,
+            warnings,
+            publishable: draft.status === 'draft' && vaultCheck.sufficient,
+        };
+    }
+
+    /**
+     * Publish a reviewed draft on-chain (runs after the merkle.publish approval)
+     * The draft is claimed atomically (draft → publishing), so it is submitted at most once, and the
+     * tree is rebuilt from the stored allocations and must match the reviewed root.
+     * If anything fails before the transaction is sent the draft returns to "draft". Once it may have
+     * been sent the draft stays "publishing" and its pre-commit record decides: the reconciler marks it
+     * published when the distribution is imported, or returns it to "draft" if the transaction failed.
+     * @param {string} draftId - Draft ID
+     * @param {string} merkleRoot - Root the reviewer approved
+     * @param {string} creatorAddress - Address recorded as the creator
+     * @param {string} [operationId] - Approval operation that triggered the publish
+     * @returns {Promise<Object>} createDistribution() result plus draftId
+     */
+    async publishDraft(draftId, merkleRoot, creatorAddress, operationId = null) {
+        const draft = await MerkleDistributionDraft.findOneAndUpdate(
+            { draftId, status: 'draft', merkleRoot },
+            {
+                $set: {
+                    status: 'publishing',
+                    'publish.operationId': operationId,
+                    'publish.attemptedAt': new Date(),
+                    'publish.error': null,
+                }
+            },
+            { new: true }
+        );
+
+        if (!draft) {
+            throw draftError(`Draft ${draftId} is not an unpublished draft with root ${merkleRoot}`, 'DRAFT_NOT_PUBLISHABLE');
+        }
+
+        logger.info(`Publishing Merkle draft ${draftId} (${draft.recipientCount} recipients, root ${merkleRoot})`);
+
+        let transactionHash = null;
+
+        try {
+            const allocations = await MerkleDraftAllocation.find({ draftId }).select('-_id address amount').lean();
+
+            const result = await this.createDistribution(
+                allocations.map(({ address, amount }) => ({ address, amount: ethers.formatEther(amount) })),
+                draft.vaultType,
+                draft.durationInDays,
+                {
+                    title: draft.title,
+                    description: draft.description,
+                    tags: draft.tags,
+                    category: draft.category,
+                },
+                creatorAddress,
+                {
+                    expectedRoot: merkleRoot,
+                    draftId,
+                    onSubmitted: async (hash) => {
+                        transactionHash = hash;
+                        await MerkleDistributionDraft.updateOne({ draftId }, { $set: { 'publish.transactionHash': hash } });
+                    }
+                }
+            );
+
+            logger.info(`Merkle draft ${draftId} published as distribution ${result.distribution.distributionId}`);
+
+            return { ...result, draftId };
+
+        } catch (error) {
+            await MerkleDistributionDraft.updateOne({ draftId }, {
+                $set: {
+                    ...(!transactionHash && !error.commitPending && { status: 'draft' }),
+                    'publish.error': error.message,
+                }
+            }).catch(updateError => {
+                logger.error(`Failed to record publish failure of draft ${draftId}:`, updateError);
+            });
+
+            logger.error(`Failed to publish Merkle draft ${draftId}${transactionHash ? ` (transaction ${transactionHash} was sent)` : ''}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Helper: Write the pre-commit record and its leaf chunks (chunks first, so a commit is never partial)
+     */
+    async _createCommit({ root, totalAllocated, leaves, vaultType, durationInDays, metadata, creatorAddress, draftId }) {
+        const commitId = crypto.randomUUID();
+        const pairs = leaves.map(leaf => [leaf.address, leaf.amount]);
+        let leafChunkCount = 0;
+
+        try {
+            for (let i = 0; i < pairs.length; i += COMMIT_CHUNK_SIZE) {
+                await MerkleCommitLeafChunk.create({
+                    commitId,
+                    index: leafChunkCount++,
+                    data: await gzip(JSON.stringify(pairs.slice(i, i + COMMIT_CHUNK_SIZE))),
+                });
+            }
+
+            return await MerkleDistributionCommit.create({
+                commitId,
+                merkleRoot: root,
+                totalAllocated,
+                recipientCount: leaves.length,
+                vaultType,
+                durationInDays,
+                metadata: {
+                    title: metadata.title,
+                    description: metadata.description,
+                    tags: metadata.tags,
+                    category: metadata.category,
+                },
+                createdBy: creatorAddress,
+                draftId,
+                leafChunkCount,
+                searchFromBlock: await this.provider.getBlockNumber(),
+            });
+        } catch (error) {
+            await MerkleCommitLeafChunk.deleteMany({ commitId }).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Helper: Read a commit's leaves back as [address, amountWei] pairs
+     */
+    async _loadCommitAllocations(commit) {
+        const chunks = await MerkleCommitLeafChunk.find({ commitId: commit.commitId }).sort({ index: 1 }).lean();
+        if (chunks.length !== commit.leafChunkCount) {
+            throw new Error(`Commit ${commit.commitId} has ${chunks.length} of ${commit.leafChunkCount} leaf chunks`);
+        }
+
+        const pairs = [];
+        for (const chunk of chunks) {
+            // lean() returns BSON Binary rather than Buffer
+            const data = Buffer.isBuffer(chunk.data) ? chunk.data : Buffer.from(chunk.data.buffer);
+            pairs.push(...JSON.parse((await gunzip(data)).toString('utf8')));
+        }
+        return pairs;
+    }
+
+    /**
+     * Close a pre-commit record that will never be imported (FAILED or ABANDONED)
+     * A draft it was publishing goes back to "draft" so it can be published again.
+     * @param {Object} commit - MerkleDistributionCommit
+     * @param {string} status - FAILED | ABANDONED
+     * @param {string} reason - Stored as lastError / publish.error
+     */
+    async failCommit(commit, status, reason) {
+        await this._updateCommit(commit.commitId, { status, lastError: reason, lockedUntil: null });
+
+        if (commit.draftId) {
+            await MerkleDistributionDraft.updateOne(
+                { draftId: commit.draftId, status: 'publishing' },
+                { $set: { status: 'draft', 'publish.error': reason } }
+            );
+        }
+
+        logger.warn(`Merkle commit ${commit.commitId} (root ${commit.merkleRoot}) ${status}: ${reason}`);
+    }
+
+    /**
+     * Helper: Update a pre-commit record
+     */
+    _updateCommit(commitId, fields) {
+        return MerkleDistributionCommit.updateOne({ commitId }, { $set: fields });
+    }
+
     /**
      * Helper: Convert vault type string to enum value
      */
@@ -0,0 +1,214 @@
+const MerkleDistributionCommit = require('../../models/MerkleDistributionCommit');
+const MerkleDistributionService = require('./merkleDistributionService');
+const blockchainService = require('../../services/blockchain');
+const logger = require('../../utils/logger');
+
+const DEFAULT_INTERVAL_MS = 60000;
+const DEFAULT_GRACE_MINUTES = 10;
+const DEFAULT_ABANDON_HOURS = 24;
+const DEFAULT_BLOCK_BATCH_SIZE = 2000;
+const LOCK_MS = 10 * 60 * 1000;
+
+function getNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+}
+
+/**
+ * Merkle Distribution Reconciler
+ * Finishes distributions whose setMerkleDistribution transaction was sent but whose database
+ * import never completed (crash, DB outage). Every pre-commit record still open after
+ * MERKLE_RECONCILE_GRACE_MINUTES is checked:
+ * - with a transaction hash, its receipt decides (imported, or FAILED if it reverted)
+ * - without one, MerkleDistributionCreated events from the block it was written at are matched by root
+ * Records with no matching event after MERKLE_COMMIT_ABANDON_HOURS are ABANDONED. Drafts being
+ * published follow their record (published, or back to draft).
+ */
+class MerkleDistributionReconciler {
+    constructor() {
+        this.intervalMs = getNumber('MERKLE_RECONCILE_INTERVAL_MS', DEFAULT_INTERVAL_MS);
+        this.graceMs = getNumber('MERKLE_RECONCILE_GRACE_MINUTES', DEFAULT_GRACE_MINUTES) * 60 * 1000;
+        this.abandonMs = getNumber('MERKLE_COMMIT_ABANDON_HOURS', DEFAULT_ABANDON_HOURS) * 60 * 60 * 1000;
+        this.blockBatchSize = getNumber('MERKLE_RECONCILE_BLOCK_BATCH_SIZE', DEFAULT_BLOCK_BATCH_SIZE);
+        this.service = null;
+        this.timer = null;
+        this.running = false;
+        this.busy = false;
+    }
+
+    getService() {
+        if (!this.service) {
+            this.service = new MerkleDistributionService(
+                blockchainService.provider,
+                blockchainService.wallet,
+                blockchainService.gameContract.target
+            );
+        }
+        return this.service;
+    }
+
+    /**
+     * Start checking open pre-commit records
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+        this.timer = setInterval(() => this.tick(), this.intervalMs);
+        this.timer.unref();
+        logger.info(`🌳 Merkle distribution reconciler started (every ${this.intervalMs}ms)`);
+        this.tick();
+    }
+
+    stop() {
+        this.running = false;
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Reconcile every due record once
+     */
+    async tick() {
+        if (this.busy) {
+            return;
+        }
+        this.busy = true;
+
+        try {
+            let commit;
+            while (this.running && (commit = await this.claimNext())) {
+                try {
+                    await this.reconcile(commit);
+                } catch (error) {
+                    logger.error(`Failed to reconcile Merkle commit ${commit.commitId}:`, error);
+                    await MerkleDistributionCommit.updateOne({ commitId: commit.commitId }, {
+                        $set: {
+                            lastError: error.message,
+                            lockedUntil: new Date(Date.now() + this.intervalMs)
+                        }
+                    });
+                }
+            }
+        } catch (error) {
+            logger.error('Merkle reconciler tick failed:', error);
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Atomically lease the oldest open record past the grace period
+     * (the request that wrote it may still be importing it)
+     */
+    claimNext() {
+        const now = new Date();
+
+        return MerkleDistributionCommit.findOneAndUpdate(
+            {
+                status: { $in: ['PENDING', 'SUBMITTED'] },
+                createdAt: { $lt: new Date(now.getTime() - this.graceMs) },
+                $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+            },
+            {
+                $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) },
+                $inc: { reconcileAttempts: 1 }
+            },
+            { new: true, sort: { createdAt: 1 } }
+        );
+    }
+
+    /**
+     * Import, fail, abandon or re-check a record later
+     * @param {Object} commit - MerkleDistributionCommit
+     */
+    async reconcile(commit) {
+        const service = this.getService();
+        let event = null;
+
+        if (commit.transactionHash) {
+            const receipt = await blockchainService.provider.getTransactionReceipt(commit.transactionHash);
+            if (receipt) {
+                if (receipt.status === 0) {
+                    return service.failCommit(commit, 'FAILED', `Transaction ${commit.transactionHash} reverted`);
+                }
+                event = receipt.logs
+                    .map(log => service.parseDistributionCreated(log))
+                    .find(parsed => parsed && parsed.merkleRoot.toLowerCase() === commit.merkleRoot.toLowerCase());
+                if (!event) {
+                    return service.failCommit(commit, 'FAILED', `Transaction ${commit.transactionHash} has no matching MerkleDistributionCreated event`);
+                }
+            }
+        }
+
+        if (!event) {
+            event = await this.findEvent(commit);
+        }
+
+        if (event) {
+            await service.importDistribution(commit, event);
+            logger.warn(`🌳 Recovered Merkle distribution ${event.distributionId} (root ${commit.merkleRoot}) from commit ${commit.commitId}`);
+            return;
+        }
+
+        const pendingTx = commit.transactionHash
+            ? await blockchainService.provider.getTransaction(commit.transactionHash)
+            : null;
+
+        if (!pendingTx && Date.now() - commit.createdAt.getTime() > this.abandonMs) {
+            return service.failCommit(commit, 'ABANDONED', `No MerkleDistributionCreated event for root ${commit.merkleRoot} since block ${commit.searchFromBlock}`);
+        }
+
+        await MerkleDistributionCommit.updateOne({ commitId: commit.commitId }, {
+            $set: { lockedUntil: new Date(Date.now() + this.intervalMs) }
+        });
+    }
+
+    /**
+     * Search MerkleDistributionCreated events after the record was written for one with its root
+     * that no other record has claimed. Progress is kept in scannedToBlock.
+     * @returns {Promise<Object|null>} parseDistributionCreated() result
+     */
+    async findEvent(commit) {
+        const service = this.getService();
+        const topic = service.gameContract.interface.getEvent('MerkleDistributionCreated').topicHash;
+        const latestBlock = await blockchainService.provider.getBlockNumber();
+
+        let fromBlock = commit.scannedToBlock === null ? commit.searchFromBlock : commit.scannedToBlock + 1;
+
+        while (fromBlock <= latestBlock) {
+            const toBlock = Math.min(fromBlock + this.blockBatchSize - 1, latestBlock);
+            const logs = await blockchainService.provider.getLogs({
+                address: service.gameContract.target,
+                topics: [topic],
+                fromBlock,
+                toBlock
+            });
+
+            for (const log of logs) {
+                const event = service.parseDistributionCreated(log);
+                if (!event || event.merkleRoot.toLowerCase() !== commit.merkleRoot.toLowerCase()) {
+                    continue;
+                }
+
+                const claimed = await MerkleDistributionCommit.exists({
+                    distributionId: event.distributionId,
+                    commitId: { $ne: commit.commitId }
+                });
+                if (!claimed) {
+                    return event;
+                }
+            }
+
+            await MerkleDistributionCommit.updateOne({ commitId: commit.commitId }, { $set: { scannedToBlock: toBlock } });
+            fromBlock = toBlock + 1;
+        }
+
+        return null;
+    }
+}
+
+const merkleReconciler = new MerkleDistributionReconciler();
+
+module.exports = merkleReconciler;
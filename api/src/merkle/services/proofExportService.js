@@ -0,0 +1,253 @@
+const zlib = require('zlib');
+const { once } = require('events');
+const { MerkleTree } = require('merkletreejs');
+const keccak256 = require('keccak256');
+const MerkleDistribution = require('../../models/MerkleDistribution');
+const MerkleLeaf = require('../../models/MerkleLeaf');
+const blockchainService = require('../../services/blockchain');
+
+// Exports rebuild the whole tree, so only a few run at once
+const MAX_CONCURRENT_EXPORTS = 2;
+const TAR_BLOCK_SIZE = 512;
+
+function exportError(message, code, status) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+}
+
+/**
+ * Build a ustar header for a regular file
+ */
+function tarHeader(name, size, mtime) {
+    const header = Buffer.alloc(TAR_BLOCK_SIZE);
+    header.write(name, 0, 100, 'utf8');
+    header.write('0000644\0', 100, 8, 'ascii');
+    header.write('0000000\0', 108, 8, 'ascii');
+    header.write('0000000\0', 116, 8, 'ascii');
+    header.write(size.toString(8).padStart(11, '0') + '\0', 124, 12, 'ascii');
+    header.write(Math.floor(mtime / 1000).toString(8).padStart(11, '0') + '\0', 136, 12, 'ascii');
+    header.write('        ', 148, 8, 'ascii');
+    header.write('0', 156, 1, 'ascii');
+    header.write('ustar\0', 257, 6, 'ascii');
+    header.write('00', 263, 2, 'ascii');
+
+    let checksum = 0;
+    for (const byte of header) {
+        checksum += byte;
+    }
+    header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+
+    return header;
+}
+
+/**
+ * Proof Export Service
+ * Streams every recipient's proof of a Merkle distribution for static hosting (IPFS/CDN),
+ * so partner claim UIs keep working when the API is unavailable:
+ * - json: one document with the distribution header and a `claims` array ordered by leafIndex
+ * - sharded: a .tar.gz of `index.json` plus `shards/<prefix>.json` objects keyed by address,
+ *   where <prefix> is the first `prefixLength` hex characters of the address
+ * The tree is rebuilt from stored leaf hashes and must reproduce the distribution's root.
+ */
+class ProofExportService {
+    constructor() {
+        this.activeExports = 0;
+    }
+
+    /**
+     * Load the distribution and rebuild its tree
+     * @param {number} distributionId - Distribution ID
+     * @returns {Promise<Object>} { distribution, tree, header }
+     */
+    async prepare(distributionId) {
+        const distribution = await MerkleDistribution.findOne({ distributionId }).lean();
+        if (!distribution) {
+            throw exportError('Distribution not found', 'DISTRIBUTION_NOT_FOUND', 404);
+        }
+
+        const leafHashes = new Array(distribution.recipientCount);
+        const cursor = MerkleLeaf.find({ distributionId }).select('leafHash leafIndex').lean().cursor();
+        let count = 0;
+        for (let leaf = await cursor.next(); leaf; leaf = await cursor.next()) {
+            leafHashes[leaf.leafIndex] = leaf.leafHash;
+            count++;
+        }
+
+        if (count !== distribution.recipientCount || leafHashes.includes(undefined)) {
+            throw exportError(
+                `Distribution ${distributionId} has ${count} of ${distribution.recipientCount} leaves stored`,
+                'DISTRIBUTION_INCOMPLETE',
+                409
+            );
+        }
+
+        const tree = new MerkleTree(leafHashes, keccak256, { sortPairs: true, hashLeaves: false });
+        if (tree.getHexRoot() !== distribution.merkleRoot) {
+            throw new Error(`Stored leaves of distribution ${distributionId} do not rebuild its root`);
+        }
+
+        const network = await blockchainService.provider.getNetwork();
+
+        return {
+            distribution,
+            tree,
+            header: {
+                distributionId: distribution.distributionId,
+                merkleRoot: distribution.merkleRoot,
+                chainId: Number(network.chainId),
+                contractAddress: blockchainService.gameContract.target,
+                vaultType: distribution.vaultType,
+                title: distribution.title,
+                totalAllocated: distribution.totalAllocated,
+                recipientCount: distribution.recipientCount,
+                startTime: distribution.startTime,
+                endTime: distribution.endTime,
+                leafEncoding: 'keccak256(abi.encodePacked(address, uint256 amount))',
+                generatedAt: new Date().toISOString(),
+            },
+        };
+    }
+
+    /**
+     * Reserve an export slot
+     * @returns {Function} release
+     */
+    acquire() {
+        if (this.activeExports >= MAX_CONCURRENT_EXPORTS) {
+            throw exportError('Too many exports in progress, retry shortly', 'EXPORT_BUSY', 503);
+        }
+
+        this.activeExports++;
+        let released = false;
+        return () => {
+            if (!released) {
+                released = true;
+                this.activeExports--;
+            }
+        };
+    }
+
+    /**
+     * Stream { ...header, claims: [{ address, amount, leafIndex, proof }] }
+     * @param {Object} prepared - prepare() result
+     * @param {stream.Writable} output
+     */
+    async writeJson({ distribution, tree, header }, output) {
+        const json = JSON.stringify({ ...header, format: 'json' });
+        await this._write(output, `${json.slice(0, -1)},"claims":[`);
+
+        let first = true;
+        for await (const leaf of this._leaves(distribution.distributionId)) {
+            const claim = {
+                address: leaf.userAddress,
+                amount: leaf.allocatedAmount,
+                leafIndex: leaf.leafIndex,
+                proof: tree.getHexProof(leaf.leafHash, leaf.leafIndex),
+            };
+            await this._write(output, (first ? '' : ',') + JSON.stringify(claim));
+            first = false;
+        }
+
+        await this._write(output, ']}');
+        output.end();
+    }
+
+    /**
+     * Stream a gzipped tarball: shards/<prefix>.json ({ address: { amount, leafIndex, proof } })
+     * followed by index.json (header, prefixLength and per-shard recipient counts)
+     * @param {Object} prepared - prepare() result
+     * @param {number} prefixLength - Hex characters of the address used as shard key (1-4)
+     * @param {stream.Writable} output
+     */
+    async writeSharded({ distribution, tree, header }, prefixLength, output) {
+        const gzip = zlib.createGzip();
+        gzip.pipe(output);
+        output.once('close', () => gzip.destroy());
+
+        const mtime = Date.now();
+        const shards = {};
+        const writeFile = async (name, content) => {
+            const data = Buffer.from(content, 'utf8');
+            const padding = (TAR_BLOCK_SIZE - (data.length % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE;
+            await this._write(gzip, tarHeader(name, data.length, mtime));
+            await this._write(gzip, data);
+            if (padding) {
+                await this._write(gzip, Buffer.alloc(padding));
+            }
+        };
+
+        // Leaves are ordered by address, so each prefix is one contiguous run
+        let prefix = null;
+        let shard = {};
+        let shardSize = 0;
+        const flush = async () => {
+            if (prefix === null) {
+                return;
+            }
+            if (shards[prefix] !== undefined) {
+                throw new Error(`Leaves of distribution ${distribution.distributionId} are not ordered by address`);
+            }
+            shards[prefix] = shardSize;
+            await writeFile(`shards/${prefix}.json`, JSON.stringify(shard));
+        };
+
+        for await (const leaf of this._leaves(distribution.distributionId)) {
+            const leafPrefix = leaf.userAddress.slice(2, 2 + prefixLength);
+            if (leafPrefix !== prefix) {
+                await flush();
+                prefix = leafPrefix;
+                shard = {};
+                shardSize = 0;
+            }
+            shard[leaf.userAddress] = {
+                amount: leaf.allocatedAmount,
+                leafIndex: leaf.leafIndex,
+                proof: tree.getHexProof(leaf.leafHash, leaf.leafIndex),
+            };
+            shardSize++;
+        }
+        await flush();
+
+        await writeFile('index.json', JSON.stringify({ ...header, format: 'sharded', prefixLength, shards }, null, 2));
+        await this._write(gzip, Buffer.alloc(TAR_BLOCK_SIZE * 2));
+        gzip.end();
+        await once(output, 'finish');
+    }
+
+    /**
+     * Helper: Iterate leaves by leafIndex
+     */
+    _leaves(distributionId) {
+        return MerkleLeaf.find({ distributionId })
+            .select('userAddress allocatedAmount leafHash leafIndex')
+            .sort({ leafIndex: 1 })
+            .lean()
+            .cursor();
+    }
+
+    /**
+     * Helper: Write respecting backpressure; fails once the client has gone away
+     */
+    async _write(output, chunk) {
+        if (output.destroyed) {
+            throw exportError('Export aborted by client', 'EXPORT_ABORTED');
+        }
+        if (!output.write(chunk)) {
+            await new Promise(resolve => {
+                const done = () => {
+                    output.off('drain', done);
+                    output.off('close', done);
+                    resolve();
+                };
+                output.on('drain', done);
+                output.on('close', done);
+            });
+        }
+    }
+}
+
+const proofExportService = new ProofExportService();
+
+module.exports = proofExportService;
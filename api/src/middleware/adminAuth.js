@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AdminUser = require('../models/AdminUser');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const logger = require('../utils/logger');
+
+/**
+ * Admin authentication, role-based permissions and audit logging for /api/admin
+ *
+ * Admins sign in (SIWE or username + TOTP) and receive a short-lived session token sent as
+ * `Authorization: Bearer <token>`. The account is re-read on every request, so disabling an
+ * admin or changing their roles takes effect immediately.
+ */
+
+const PERMISSIONS = [
+    'keys:read',
+    'keys:write',
+    'wallets:read',
+    'wallets:create',
+    'wallets:export',
+    'finalization:read',
+    'finalization:run',
+    'balance:read',
+    'balance:write',
+    'liquidity:read',
+    'liquidity:withdraw',
+    'merkle:create',
+    'audit:read',
+    'admins:manage'
+];
+
+const ROLE_PERMISSIONS = {
+    superadmin: PERMISSIONS,
+    // API key lifecycle and oversight
+    security: ['keys:read', 'keys:write', 'wallets:read', 'audit:read'],
+    // Funds: wallets, private key export, liquidity
+    treasury: [
+        'wallets:read', 'wallets:create', 'wallets:export',
+        'balance:read', 'balance:write',
+        'liquidity:read', 'liquidity:withdraw',
+        'merkle:create',
+        'finalization:read'
+    ],
+    // Day-to-day operations without access to secrets or funds
+    operator: [
+        'keys:read', 'wallets:read',
+        'finalization:read', 'finalization:run',
+        'balance:read', 'balance:write',
+        'liquidity:read'
+    ],
+    // Read-only
+    auditor: ['keys:read', 'wallets:read', 'finalization:read', 'balance:read', 'liquidity:read', 'audit:read']
+};
+
+// Request fields never written to the audit log
+const REDACTED_FIELDS = /secret|password|privatekey|totp|signature|token|mnemonic|apikey/i;
+const MAX_AUDIT_ARRAY = 100;
+
+const DEFAULT_SESSION_TTL = '8h';
+
+function getSessionSecret() {
+    const secret = process.env.ADMIN_JWT_SECRET || process.env.JWT_SECRET;
+
+    if (!secret) {
+        throw new Error('ADMIN_JWT_SECRET not configured in environment');
+    }
+
+    return secret;
+}
+
+/**
+ * Permissions granted by a set of roles
+ * @param {Array<string>} roles - AdminUser roles
+ * @returns {Array<string>}
+ */
+function getPermissionsForRoles(roles = []) {
+    const granted = new Set();
+    for (const role of roles) {
+        for (const permission of ROLE_PERMISSIONS[role] || []) {
+            granted.add(permission);
+        }
+    }
+    return PERMISSIONS.filter(permission => granted.has(permission));
+}
+
+/**
+ * Issue a session token after a successful sign-in
+ * @param {Object} admin - AdminUser document
+ * @param {string} method - siwe or totp
+ * @returns {Object} { token, expiresAt }
+ */
+function issueAdminSession(admin, method) {
+    const token = jwt.sign(
+        { sub: admin.id, method, typ: 'admin' },
+        getSessionSecret(),
+        { expiresIn: process.env.ADMIN_SESSION_TTL || DEFAULT_SESSION_TTL }
+    );
+    const { exp } = jwt.decode(token);
+
+    return { token, expiresAt: new Date(exp * 1000) };
+}
+
+/**
+ * Check the deprecated shared X-Admin-Secret (only when ADMIN_LEGACY_SECRET_ENABLED=true)
+ * @returns {boolean}
+ */
+function isValidLegacySecret(adminSecret) {
+    const storedHash = process.env.ADMIN_SECRET_HASH;
+    if (!storedHash || !/^[0-9a-fA-F]{64}$/.test(storedHash)) {
+        logger.error('ADMIN_SECRET_HASH not configured; legacy admin secret rejected');
+        return false;
+    }
+
+    const salt = process.env.ADMIN_SECRET_SALT || '';
+    const providedHash = crypto.createHash('sha256')
+        .update(adminSecret + salt)
+        .digest('hex');
+
+    return crypto.timingSafeEqual(
+        Buffer.from(providedHash, 'hex'),
+        Buffer.from(storedHash, 'hex')
+    );
+}
+
+/**
+ * Resolve the admin behind a request
+ * @returns {Promise<Object>} { admin } or { error: { status, message, code } }
+ */
+async function authenticateAdmin(req) {
+    const authHeader = req.headers.authorization;
+
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        let payload;
+        try {
+            payload = jwt.verify(authHeader.substring(7), getSessionSecret());
+        } catch (error) {
+            const expired = error.name === 'TokenExpiredError';
+            return {
+                error: {
+                    status: 401,
+                    message: expired ? 'Admin session expired, sign in again' : 'Invalid admin session',
+                    code: expired ? 'ADMIN_SESSION_EXPIRED' : 'INVALID_ADMIN_SESSION'
+                }
+            };
+        }
+
+        if (payload.typ !== 'admin') {
+            return { error: { status: 401, message: 'Invalid admin session', code: 'INVALID_ADMIN_SESSION' } };
+        }
+
+        const admin = await AdminUser.findOne({ id: payload.sub }).lean();
+        if (!admin || !admin.isActive) {
+            return { error: { status: 401, message: 'Admin account is disabled', code: 'ADMIN_DISABLED' } };
+        }
+
+        return {
+            admin: {
+                id: admin.id,
+                username: admin.username,
+                roles: admin.roles,
+                method: payload.method
+            }
+        };
+    }
+
+    const adminSecret = req.headers['x-admin-secret'];
+    if (adminSecret && process.env.ADMIN_LEGACY_SECRET_ENABLED === 'true') {
+        if (!isValidLegacySecret(adminSecret)) {
+            logger.warn(`Invalid legacy admin secret attempt from ${req.ip}`);
+            return { error: { status: 403, message: 'Invalid admin secret', code: 'INVALID_ADMIN_SECRET' } };
+        }
+
+        logger.warn(`Deprecated X-Admin-Secret used from ${req.ip} - migrate to admin accounts`);
+        return {
+            admin: {
+                id: null,
+                username: 'legacy-secret',
+                roles: ['superadmin'],
+                method: 'legacy-secret'
+            }
+        };
+    }
+
+    return {
+        error: {
+            status: 401,
+            message: 'Admin authentication required',
+            code: 'ADMIN_AUTH_REQUIRED',
+            details: 'Sign in via /api/admin/auth/* and send Authorization: Bearer <token>'
+        }
+    };
+}
+
+/**
+ * Require a signed-in admin holding a permission
+ * Sets req.admin = { id, username, roles, method, permissions }
+ * @param {string} permission - One of PERMISSIONS (omit to only require sign-in)
+ */
+const requireAdmin = (permission) => {
+    if (permission && !PERMISSIONS.includes(permission)) {
+        throw new Error(`Unknown admin permission: ${permission}`);
+    }
+
+    return async (req, res, next) => {
+        try {
+            const { admin, error } = await authenticateAdmin(req);
+
+            if (error) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: {
+                        message: error.message,
+                        code: error.code,
+                        ...(error.details && { details: error.details })
+                    }
+                });
+            }
+
+            const permissions = getPermissionsForRoles(admin.roles);
+            req.admin = { ...admin, permissions };
+
+            if (permission && !permissions.includes(permission)) {
+                logger.warn(`Admin ${admin.username} denied ${req.method} ${req.originalUrl} (needs ${permission})`);
+                return res.status(403).json({
+                    success: false,
+                    error: {
+                        message: 'Insufficient admin permissions',
+                        code: 'INSUFFICIENT_ADMIN_PERMISSIONS',
+                        required: permission
+                    }
+                });
+            }
+
+            next();
+        } catch (error) {
+            logger.error('Admin authentication error:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    message: 'Admin authentication error',
+                    code: 'AUTH_ERROR'
+                }
+            });
+        }
+    };
+};
+
+/**
+ * Copy request data for the audit log with secrets redacted and long arrays cut short
+ */
+function sanitizeForAudit(value, depth = 0) {
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (depth > 5) {
+        return '[nested]';
+    }
+    if (Array.isArray(value)) {
+        const items = value.slice(0, MAX_AUDIT_ARRAY).map(item => sanitizeForAudit(item, depth + 1));
+        if (value.length > MAX_AUDIT_ARRAY) {
+            items.push(`[${value.length - MAX_AUDIT_ARRAY} more]`);
+        }
+        return items;
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = REDACTED_FIELDS.test(key) ? '[redacted]' : sanitizeForAudit(item, depth + 1);
+    }
+    return copy;
+}
+
+/**
+ * Record the request in the admin audit log once the response is sent
+ * Mount before requireAdmin so rejected attempts are recorded too.
+ * @param {string} action - Audit action name, e.g. keys.generate
+ */
+const auditAdminAction = (action) => (req, res, next) => {
+    const { params } = req;
+    let errorCode = null;
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (body && body.success === false) {
+            errorCode = body.error?.code || null;
+        }
+        return json(body);
+    };
+
+    res.on('finish', () => {
+        // Sign-in routes set req.admin (or req.auditActor for failed attempts) themselves
+        const actor = req.admin || req.auditActor || {};
+
+        AdminAuditLog.create({
+            actor: {
+                id: actor.id || null,
+                username: actor.username || null,
+                method: actor.method || null
+            },
+            action,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            params: sanitizeForAudit({
+                params,
+                query: req.query,
+                body: req.body
+            }),
+            ip: req.ip,
+            userAgent: req.get('user-agent') || null,
+            requestId: req.id || null,
+            statusCode: res.statusCode,
+            success: res.statusCode < 400,
+            errorCode
+        }).catch(error => {
+            logger.error(`Failed to write admin audit log for ${action} (request ${req.id}):`, error);
+        });
+    });
+
+    next();
+};
+
+module.exports = {
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    getPermissionsForRoles,
+    issueAdminSession,
+    requireAdmin,
+    auditAdminAction,
+    sanitizeForAudit
+};
@@ -0,0 +1,207 @@
+const net = require('net');
+const logger = require('../utils/logger');
+const { createRateLimitStore } = require('../services/rateLimitStore');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix Express reports on dual-stack sockets
+ */
+function normalizeIp(ip) {
+    if (!ip) return ip;
+    return ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+}
+
+/**
+ * Build a net.BlockList from IP / CIDR entries
+ * @param {Array<string>} entries - e.g. ['203.0.113.7', '10.0.0.0/8', '2001:db8::/32']
+ * @returns {net.BlockList|null} null when the list is empty (allow everyone)
+ * @throws {Error} on an invalid entry
+ */
+function compileAllowList(entries = []) {
+    if (!entries || entries.length === 0) return null;
+
+    const list = new net.BlockList();
+
+    for (const raw of entries) {
+        const entry = String(raw).trim();
+        const [address, prefix] = entry.split('/');
+        const ip = normalizeIp(address);
+        const family = net.isIPv4(ip) ? 'ipv4' : net.isIPv6(ip) ? 'ipv6' : null;
+
+        if (!family) {
+            throw new Error(`Invalid IP address in allow-list: ${entry}`);
+        }
+
+        if (prefix === undefined) {
+            list.addAddress(ip, family);
+            continue;
+        }
+
+        const bits = Number(prefix);
+        const maxBits = family === 'ipv4' ? 32 : 128;
+        if (!Number.isInteger(bits) || bits < 0 || bits > maxBits) {
+            throw new Error(`Invalid CIDR prefix in allow-list: ${entry}`);
+        }
+        list.addSubnet(ip, bits, family);
+    }
+
+    return list;
+}
+
+function isIpAllowed(allowList, ip) {
+    if (!allowList) return true;
+
+    const normalized = normalizeIp(ip);
+    if (net.isIPv4(normalized)) return allowList.check(normalized, 'ipv4');
+    if (net.isIPv6(normalized)) return allowList.check(normalized, 'ipv6');
+    return false;
+}
+
+/**
+ * Sliding-window estimate for one limit
+ */
+function evaluateWindow({ current, previous, windowStart }, limit, windowMs, now) {
+    const elapsed = (now - windowStart) / windowMs;
+    const estimate = previous * (1 - elapsed) + current;
+
+    return {
+        limit,
+        windowMs,
+        exceeded: estimate > limit,
+        remaining: Math.max(0, Math.floor(limit - estimate)),
+        resetSeconds: Math.max(1, Math.ceil((windowStart + windowMs - now) / 1000))
+    };
+}
+
+/**
+ * Create an access-control middleware driven by an `apiAccess` config block:
+ *   { allowedIPs: [ip|cidr], rateLimit: { requestsPerMinute, requestsPerHour } }
+ * Must run after authMiddleware so limits are tracked per API key (falls back to client IP).
+ * Sets RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset / RateLimit-Policy for the most
+ * restrictive window and Retry-After on 429.
+ *
+ * @param {Object} options
+ * @param {Function} options.loadAccessConfig - async () => apiAccess config
+ * @param {Object} options.store - Rate limit store (default from RATE_LIMIT_STORE)
+ * @param {number} options.cacheTtlMs - How long the loaded config is reused
+ * @param {string} options.name - Prefix for counter keys and logs
+ */
+function createApiAccessMiddleware({ loadAccessConfig, store = createRateLimitStore(), cacheTtlMs = 30000, name = 'api' }) {
+    let cached = null;
+
+    async function getAccessRules() {
+        if (cached && Date.now() - cached.loadedAt < cacheTtlMs) {
+            return cached;
+        }
+
+        const accessConfig = (await loadAccessConfig()) || {};
+        let allowList = null;
+
+        try {
+            allowList = compileAllowList(accessConfig.allowedIPs);
+        } catch (error) {
+            // Fail closed: a broken allow-list must not turn into "allow everyone"
+            logger.error(`${name} access: ${error.message}`);
+            allowList = new net.BlockList();
+        }
+
+        cached = {
+            allowList,
+            limits: [
+                { limit: accessConfig.rateLimit?.requestsPerMinute, windowMs: MINUTE_MS },
+                { limit: accessConfig.rateLimit?.requestsPerHour, windowMs: HOUR_MS }
+            ].filter(l => l.limit > 0),
+            loadedAt: Date.now()
+        };
+
+        return cached;
+    }
+
+    const middleware = async (req, res, next) => {
+        let rules;
+        try {
+            rules = await getAccessRules();
+        } catch (error) {
+            logger.error(`${name} access: failed to load access rules:`, error);
+            return res.status(500).json({
+                success: false,
+                error: {
+                    message: 'Failed to load access rules',
+                    code: 'ACCESS_CONFIG_ERROR'
+                }
+            });
+        }
+
+        if (!isIpAllowed(rules.allowList, req.ip)) {
+            logger.warn(`${name} access: blocked request from ${req.ip} to ${req.originalUrl}`);
+            return res.status(403).json({
+                success: false,
+                error: {
+                    message: 'IP address not allowed',
+                    code: 'IP_NOT_ALLOWED'
+                }
+            });
+        }
+
+        if (rules.limits.length === 0) {
+            return next();
+        }
+
+        const clientKey = req.apiKey ? `key:${req.apiKey.getQuotaKeyId()}` : `ip:${normalizeIp(req.ip)}`;
+        const now = Date.now();
+        let windows;
+
+        try {
+            windows = await Promise.all(rules.limits.map(async ({ limit, windowMs }) =>
+                evaluateWindow(await store.hit(`${name}:${clientKey}`, windowMs, now), limit, windowMs, now)
+            ));
+        } catch (error) {
+            // Fail open: a limiter outage should not take the API down
+            logger.error(`${name} access: rate limit store error:`, error);
+            return next();
+        }
+
+        const exceeded = windows.filter(w => w.exceeded);
+        const reported = exceeded.length > 0
+            ? exceeded.reduce((a, b) => (a.resetSeconds >= b.resetSeconds ? a : b))
+            : windows.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+
+        res.setHeader('RateLimit-Policy', windows.map(w => `${w.limit};w=${w.windowMs / 1000}`).join(', '));
+        res.setHeader('RateLimit-Limit', reported.limit);
+        res.setHeader('RateLimit-Remaining', reported.remaining);
+        res.setHeader('RateLimit-Reset', reported.resetSeconds);
+
+        if (exceeded.length > 0) {
+            res.setHeader('Retry-After', reported.resetSeconds);
+            logger.warn(`${name} access: rate limit exceeded for ${clientKey} (${reported.limit} per ${reported.windowMs / 1000}s)`);
+            return res.status(429).json({
+                success: false,
+                error: {
+                    message: 'Rate limit exceeded',
+                    code: 'RATE_LIMIT_EXCEEDED',
+                    limit: reported.limit,
+                    windowSeconds: reported.windowMs / 1000,
+                    retryAfter: reported.resetSeconds
+                }
+            });
+        }
+
+        next();
+    };
+
+    // Drop the cached rules (call after the config changes)
+    middleware.invalidate = () => {
+        cached = null;
+    };
+
+    return middleware;
+}
+
+module.exports = {
+    createApiAccessMiddleware,
+    compileAllowList,
+    isIpAllowed,
+    normalizeIp
+};
@@ -2,10 +2,22 @@ const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const ApiKey = require('../models/ApiKey');
 const logger = require('../utils/logger');
+const { verifySignedRequest } = require('./requestSignature');
+const { SIGNATURE_HEADERS, generateSigningSecret, encryptSigningSecret } = require('../utils/requestSigning');
+const { createApiKeyCache } = require('../services/apiKeyCache');
+const usageTracker = require('../services/usageTracker');
 
-// Temporary in-memory cache for faster lookups (optional)
-const API_KEY_CACHE = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+// Key documents by hashed key; memory or mongo-invalidated (API_KEY_CACHE_STORE)
+const apiKeyCache = createApiKeyCache();
+
+// How long a rotated-out key keeps working by default
+const DEFAULT_ROTATION_GRACE_HOURS = 24;
+
+function keyError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
 
 /**
  * Generate a new API key and store in database
@@ -23,13 +35,7 @@ async function generateApiKey(name, permissions = ['read'], metadata = {}) {
         await newApiKey.save();
 
         // Update cache
-        API_KEY_CACHE.set(keyData.hashedKey, {
-            ...keyData,
-            _id: newApiKey._id,
-            createdAt: newApiKey.createdAt,
-            updatedAt: newApiKey.updatedAt,
-            data: newApiKey
-        });
+        apiKeyCache.set(keyData.hashedKey, newApiKey);
 
         logger.info(`Generated new API key for: ${name}`);
 
@@ -45,11 +51,11 @@ async function generateApiKey(name, permissions = ['read'], metadata = {}) {
         throw new Error(`Failed to generate API key: ${error.message}`);
     }
 }/**
- * Validate API key against database
- * @param {string} apiKey - The API key to validate
- * @returns {Object|null} Key data if valid, null if invalid
+ * Look up an active API key (cache first), without checking expiry
+ * @param {string} apiKey - The API key to look up
+ * @returns {Object|null} Key document if found and active
  */
-async function validateApiKey(apiKey) {
+async function findActiveApiKey(apiKey) {
     try {
         if (!apiKey || !apiKey.startsWith('mwt_')) {
             return null;
@@ -57,14 +63,14 @@ async function validateApiKey(apiKey) {
 
         const hashedKey = crypto.createHash('sha256').update(apiKey).digest('hex');
         // Check cache first
-        const cached = API_KEY_CACHE.get(hashedKey);
-        if (cached && (Date.now() - cached.cachedAt) < CACHE_TTL) {
+        const cached = apiKeyCache.get(hashedKey);
+        if (cached) {
             // Verify key is still active before returning cached data
-            if (!cached.data.isActive) {
-                API_KEY_CACHE.delete(hashedKey);
+            if (!cached.isActive) {
+                apiKeyCache.invalidate(hashedKey);
                 return null;
             }
-            return cached.data;
+            return cached;
         }
 
         // Query database
@@ -74,10 +80,7 @@ async function validateApiKey(apiKey) {
         }
 
         // Update cache
-        API_KEY_CACHE.set(hashedKey, {
-            data: keyData,
-            cachedAt: Date.now()
-        });
+        apiKeyCache.set(hashedKey, keyData);
         return keyData;
     } catch (error) {
         logger.error('Error validating API key:', error);
@@ -85,48 +88,109 @@ async function validateApiKey(apiKey) {
     }
 }
 
+/**
+ * Validate API key against database
+ * @param {string} apiKey - The API key to validate
+ * @returns {Object|null} Key data if valid, null if invalid or expired
+ */
+async function validateApiKey(apiKey) {
+    const keyData = await findActiveApiKey(apiKey);
+    if (!keyData || keyData.isExpired()) {
+        return null;
+    }
+    return keyData;
+}
+
+/**
+ * Authenticate with the raw key (X-API-Key or Authorization: Bearer)
+ * @returns {Promise<Object>} { keyData } or { error } like verifySignedRequest
+ */
+async function verifyBearerKey(req, apiKey) {
+    const keyData = await findActiveApiKey(apiKey);
+    if (!keyData) {
+        logger.warn(`Invalid API key attempt from ${req.ip}`);
+        return { error: { status: 401, message: 'Invalid API key', code: 'INVALID_API_KEY' } };
+    }
+
+    // The key travelled in clear: it should be treated as compromised
+    if (keyData.signing?.mode === 'required') {
+        logger.warn(`Unsigned request with signature-only API key ${keyData.name} from ${req.ip}`);
+        return {
+            error: {
+                status: 401,
+                message: 'This API key only accepts signed requests',
+                code: 'SIGNATURE_REQUIRED',
+                details: 'Sign the request with X-MWT-Key-Id, X-MWT-Timestamp, X-MWT-Nonce and X-MWT-Signature instead of sending the key'
+            }
+        };
+    }
+
+    return { keyData };
+}
+
 /**
  * Authentication middleware
+ * Accepts either the raw API key or an HMAC-signed request (X-MWT-Signature present)
  */
 const authMiddleware = async (req, res, next) => {
     try {
+        const isSigned = Boolean(req.headers[SIGNATURE_HEADERS.signature]);
         const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
 
-        if (!apiKey) {
+        if (!isSigned && !apiKey) {
             return res.status(401).json({
                 success: false,
                 error: {
                     message: 'API key required',
                     code: 'MISSING_API_KEY',
-                    details: 'Provide API key in X-API-Key header or Authorization: Bearer <key>'
+                    details: 'Provide API key in X-API-Key header or Authorization: Bearer <key>, or sign the request'
                 }
             });
         }
 
-        const keyData = await validateApiKey(apiKey);
-        if (!keyData) {
-            logger.warn(`Invalid API key attempt from ${req.ip}`);
+        const result = isSigned ? await verifySignedRequest(req) : await verifyBearerKey(req, apiKey);
+        if (result.error) {
+            const { status, ...error } = result.error;
+            return res.status(status).json({
+                success: false,
+                error
+            });
+        }
+
+        const keyData = result.keyData;
+
+        if (keyData.isExpired()) {
+            logger.warn(`Expired API key ${keyData.name} used from ${req.ip}`);
             return res.status(401).json({
                 success: false,
                 error: {
-                    message: 'Invalid API key',
-                    code: 'INVALID_API_KEY'
+                    message: 'API key has expired',
+                    code: 'API_KEY_EXPIRED',
+                    expiredAt: keyData.expiresAt,
+                    ...(keyData.rotatedTo && { details: 'This key was rotated; use its successor key' })
                 }
             });
         }
 
-        // Record usage
-        await keyData.recordUsage();
+        // Let clients notice an upcoming expiry (e.g. a rotated key in its grace period)
+        if (keyData.expiresAt) {
+            res.setHeader('X-API-Key-Expires', keyData.expiresAt.toISOString());
+        }
+
+        // Record usage (buffered, written in batches)
+        usageTracker.track(req, res, keyData);
 
         // Attach key data to request
         req.apiKey = keyData;
         req.permissions = keyData.permissions;
+        req.authScheme = isSigned ? 'signature' : 'key';
 
-        // Log API usage
-        logger.logApiUsage(apiKey, req.originalUrl, true, {
+        // Log API usage (signed requests never carry the key, log its id instead)
+        logger.logApiUsage(isSigned ? keyData.id : apiKey, req.originalUrl, true, {
             method: req.method,
             ip: req.ip,
-            keyName: keyData.name
+            keyName: keyData.name,
+            authScheme: req.authScheme
         });
 
         next();
@@ -197,7 +261,7 @@ async function initializeDefaultKeys() {
 async function getApiKeyStats() {
     try {
         const keys = await ApiKey.find({})
-            .select('id name permissions createdAt lastUsed usageCount isActive gameName developerEmail')
+            .select('id name permissions createdAt lastUsed usageCount isActive expiresAt rotatedTo gameName developerEmail')
             .sort({ createdAt: -1 })
             .lean();
 
@@ -209,6 +273,8 @@ async function getApiKeyStats() {
             lastUsed: key.lastUsed,
             usageCount: key.usageCount,
             isActive: key.isActive,
+            expiresAt: key.expiresAt,
+            rotatedTo: key.rotatedTo,
             gameName: key.gameName,
             developerEmail: key.developerEmail
         }));
@@ -230,8 +296,8 @@ async function revokeApiKey(keyId) {
 
         await apiKey.deactivate();
 
-        // Clear from cache
-        API_KEY_CACHE.clear(); // Clear entire cache for simplicity
+        // Other instances drop it via the cache's invalidation backend
+        apiKeyCache.invalidate(apiKey.hashedKey);
 
         logger.info(`Revoked API key: ${apiKey.name}`);
         return true;
@@ -241,6 +307,190 @@ async function revokeApiKey(keyId) {
     }
 }
 
+/**
+ * Rotate an API key: issue a successor with the same permissions, scopes, quota, callback and metadata,
+ * and let the old key keep working for a grace period
+ * @param {string} keyId - ID of the key to rotate
+ * @param {Object} options
+ * @param {number} options.gracePeriodHours - How long the old key stays valid (0 = revoke now)
+ * @param {Date} options.expiresAt - Expiry for the successor (default: none)
+ * @param {Object} options.owner - { adminId, username } of the admin receiving the successor (default: the old key's owner)
+ * @returns {Object} { apiKey, signingSecret, successor, predecessor } (signingSecret only for signing keys)
+ * @throws {Error} with code KEY_NOT_FOUND, KEY_ALREADY_REVOKED, KEY_EXPIRED or KEY_ALREADY_ROTATED
+ */
+async function rotateApiKey(keyId, { gracePeriodHours, expiresAt = null, owner = null } = {}) {
+    const oldKey = await ApiKey.findOne({ id: keyId })
+        .select('+callback.encryptedSecret +callback.iv +callback.authTag');
+    if (!oldKey) {
+        throw keyError('API key not found', 'KEY_NOT_FOUND');
+    }
+    if (!oldKey.isActive) {
+        throw keyError('API key is already revoked', 'KEY_ALREADY_REVOKED');
+    }
+    if (oldKey.isExpired()) {
+        throw keyError('API key has already expired', 'KEY_EXPIRED');
+    }
+    if (oldKey.rotatedTo) {
+        throw keyError(`API key was already rotated to ${oldKey.rotatedTo}`, 'KEY_ALREADY_ROTATED');
+    }
+
+    const envGraceHours = parseFloat(process.env.API_KEY_ROTATION_GRACE_HOURS);
+    const graceHours = gracePeriodHours ?? (isNaN(envGraceHours) ? DEFAULT_ROTATION_GRACE_HOURS : envGraceHours);
+    const now = new Date();
+
+    const { apiKey, keyData } = ApiKey.generateApiKey(oldKey.name, oldKey.permissions, {
+        gameName: oldKey.gameName,
+        description: oldKey.description,
+        rateLimitOverride: oldKey.rateLimitOverride,
+        dailyRequestLimit: oldKey.dailyRequestLimit,
+        scopes: oldKey.toObject().scopes,
+        owner: owner || oldKey.toObject().owner,
+        expiresAt,
+        rotatedFrom: oldKey.id,
+        quotaKeyId: oldKey.getQuotaKeyId()
+    });
+
+    // A signing key's successor gets its own secret
+    let signingSecret = null;
+    if (oldKey.signing?.mode && oldKey.signing.mode !== 'disabled') {
+        signingSecret = generateSigningSecret();
+        keyData.signing = {
+            mode: oldKey.signing.mode,
+            ...encryptSigningSecret(signingSecret),
+            secretCreatedAt: now
+        };
+    }
+
+    // Job callbacks keep going to the same URL with the same secret
+    if (oldKey.callback?.url) {
+        keyData.callback = oldKey.toObject().callback;
+    }
+
+    const successor = await new ApiKey(keyData).save();
+
+    // Never extend the old key's life past an earlier expiry
+    const graceEnd = new Date(now.getTime() + graceHours * 60 * 60 * 1000);
+    oldKey.expiresAt = oldKey.expiresAt && oldKey.expiresAt < graceEnd ? oldKey.expiresAt : graceEnd;
+    oldKey.rotatedTo = successor.id;
+    oldKey.rotatedAt = now;
+    if (graceHours === 0) {
+        oldKey.isActive = false;
+    }
+    await oldKey.save();
+
+    apiKeyCache.invalidate(oldKey.hashedKey);
+
+    logger.info(`Rotated API key: ${oldKey.name} (${oldKey.id} -> ${successor.id}), old key valid until ${oldKey.expiresAt.toISOString()}`);
+
+    return {
+        apiKey, // Only returned once
+        signingSecret, // Only returned once
+        successor,
+        predecessor: oldKey
+    };
+}
+
+/**
+ * Set an API key's request signing mode
+ * A secret is generated when signing is first enabled (or on regenerate) and returned once;
+ * disabling drops the stored secret.
+ * @param {string} keyId - ID of the key
+ * @param {Object} options - { mode: disabled|optional|required, regenerate }
+ * @returns {Object} { apiKey, signingSecret } (signingSecret null unless newly generated)
+ * @throws {Error} with code KEY_NOT_FOUND or KEY_ALREADY_REVOKED
+ */
+async function setApiKeySigning(keyId, { mode, regenerate = false }) {
+    const apiKey = await ApiKey.findOne({ id: keyId })
+        .select('+signing.encryptedSecret +signing.iv +signing.authTag');
+    if (!apiKey) {
+        throw keyError('API key not found', 'KEY_NOT_FOUND');
+    }
+    if (!apiKey.isActive) {
+        throw keyError('API key is revoked', 'KEY_ALREADY_REVOKED');
+    }
+
+    let signingSecret = null;
+
+    if (mode === 'disabled') {
+        apiKey.signing = { mode, encryptedSecret: null, iv: null, authTag: null, secretCreatedAt: null };
+    } else {
+        if (!apiKey.signing.encryptedSecret || regenerate) {
+            signingSecret = generateSigningSecret();
+            Object.assign(apiKey.signing, encryptSigningSecret(signingSecret), { secretCreatedAt: new Date() });
+        }
+        apiKey.signing.mode = mode;
+    }
+
+    await apiKey.save();
+    apiKeyCache.invalidate(apiKey.hashedKey);
+
+    logger.info(`API key signing set to ${mode} for ${apiKey.name}${signingSecret ? ' (new secret issued)' : ''}`);
+
+    return { apiKey, signingSecret };
+}
+
+/**
+ * Set or clear an API key's distribution job callback URL
+ * A callback secret is generated when a URL is first set (or on regenerate) and returned once;
+ * clearing the URL drops the secret.
+ * @param {string} keyId - ID of the key
+ * @param {Object} options - { url (null to clear), regenerate }
+ * @returns {Object} { apiKey, callbackSecret } (callbackSecret null unless newly generated)
+ * @throws {Error} with code KEY_NOT_FOUND or KEY_ALREADY_REVOKED
+ */
+async function setApiKeyCallback(keyId, { url, regenerate = false }) {
+    const apiKey = await ApiKey.findOne({ id: keyId })
+        .select('+callback.encryptedSecret +callback.iv +callback.authTag');
+    if (!apiKey) {
+        throw keyError('API key not found', 'KEY_NOT_FOUND');
+    }
+    if (!apiKey.isActive) {
+        throw keyError('API key is revoked', 'KEY_ALREADY_REVOKED');
+    }
+
+    let callbackSecret = null;
+
+    if (!url) {
+        apiKey.callback = { url: null, encryptedSecret: null, iv: null, authTag: null, secretCreatedAt: null };
+    } else {
+        if (!apiKey.callback.encryptedSecret || regenerate) {
+            callbackSecret = generateSigningSecret();
+            Object.assign(apiKey.callback, encryptSigningSecret(callbackSecret), { secretCreatedAt: new Date() });
+        }
+        apiKey.callback.url = url;
+    }
+
+    await apiKey.save();
+    apiKeyCache.invalidate(apiKey.hashedKey);
+
+    logger.info(`API key callback ${url ? 'set' : 'cleared'} for ${apiKey.name}${callbackSecret ? ' (new secret issued)' : ''}`);
+
+    return { apiKey, callbackSecret };
+}
+
+/**
+ * Drop cached key documents so permission/scope changes apply immediately
+ * @param {string} [hashedKey] - Only drop this key (default: the whole cache)
+ */
+function clearApiKeyCache(hashedKey) {
+    if (hashedKey) {
+        apiKeyCache.invalidate(hashedKey);
+    } else {
+        apiKeyCache.clear();
+    }
+}
+
+/**
+ * Start cross-instance cache invalidation (call once the database is connected)
+ */
+async function startApiKeyCache() {
+    await apiKeyCache.start();
+}
+
+async function stopApiKeyCache() {
+    await apiKeyCache.stop();
+}
+
 module.exports = {
     authMiddleware,
     requirePermission,
@@ -248,5 +498,11 @@ module.exports = {
     validateApiKey,
     initializeDefaultKeys,
     getApiKeyStats,
-    revokeApiKey
+    revokeApiKey,
+    rotateApiKey,
+    setApiKeySigning,
+    setApiKeyCallback,
+    clearApiKeyCache,
+    startApiKeyCache,
+    stopApiKeyCache
 };
\ No newline at end of file
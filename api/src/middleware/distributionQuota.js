@@ -0,0 +1,149 @@
+const ApiKeyDistributionQuota = require('../models/ApiKeyDistributionQuota');
+const logger = require('../utils/logger');
+
+/**
+ * Daily limits for a key (null = unlimited)
+ * The token limit is the tighter of rateLimitOverride (the key's dailyLimit) and scopes.maxDailyTotal.
+ */
+function getQuotaLimits(apiKey) {
+    const amountLimits = [apiKey.rateLimitOverride, apiKey.scopes?.maxDailyTotal].filter(limit => limit != null);
+
+    return {
+        amountLimit: amountLimits.length > 0 ? Math.min(...amountLimits) : null,
+        requestLimit: apiKey.dailyRequestLimit ?? null
+    };
+}
+
+/**
+ * Quota summary for responses and headers
+ */
+function describeQuota(usage, limits, now = new Date()) {
+    const resetsAt = ApiKeyDistributionQuota.resetAt(now);
+
+    return {
+        day: ApiKeyDistributionQuota.dayOf(now),
+        amount: {
+            used: usage.total,
+            limit: limits.amountLimit,
+            remaining: limits.amountLimit != null ? Math.max(0, limits.amountLimit - usage.total) : null
+        },
+        requests: {
+            used: usage.requests,
+            limit: limits.requestLimit,
+            remaining: limits.requestLimit != null ? Math.max(0, limits.requestLimit - usage.requests) : null
+        },
+        resetsAt,
+        resetSeconds: Math.ceil((resetsAt.getTime() - now.getTime()) / 1000)
+    };
+}
+
+function setQuotaHeaders(res, quota) {
+    if (quota.amount.limit != null) {
+        res.setHeader('X-Quota-Amount-Limit', quota.amount.limit);
+        res.setHeader('X-Quota-Amount-Remaining', quota.amount.remaining);
+    }
+    if (quota.requests.limit != null) {
+        res.setHeader('X-Quota-Requests-Limit', quota.requests.limit);
+        res.setHeader('X-Quota-Requests-Remaining', quota.requests.remaining);
+    }
+    res.setHeader('X-Quota-Reset', quota.resetSeconds);
+}
+
+/**
+ * Count a distribution against the key's daily quota (tokens and requests per UTC day)
+ * Reserves atomically before the distribution is sent and sets X-Quota-* headers. The route
+ * must call req.releaseDistributionQuota() if the distribution fails before its transaction is sent
+ * (or reverts) so it doesn't count.
+ * Over scopes.maxDailyTotal → 403 DAILY_TOTAL_EXCEEDED; over the key's dailyLimit or
+ * dailyRequestLimit → 429 DAILY_QUOTA_EXCEEDED with Retry-After until the UTC day rolls over.
+ *
+ * @param {Function} getTotalAmount - (req) => total tokens the request distributes
+ */
+const enforceDistributionQuota = (getTotalAmount) => {
+    return async (req, res, next) => {
+        try {
+            const totalAmount = getTotalAmount(req);
+            const limits = getQuotaLimits(req.apiKey);
+            const quotaKeyId = req.apiKey.getQuotaKeyId();
+            const now = new Date();
+
+            const usage = await ApiKeyDistributionQuota.reserve(quotaKeyId, totalAmount, limits, now);
+
+            if (usage) {
+                setQuotaHeaders(res, describeQuota(usage, limits, now));
+
+                const day = ApiKeyDistributionQuota.dayOf(now);
+                // For work that outlives the request (distribution jobs release it themselves)
+                req.distributionQuota = { keyId: quotaKeyId, day, amount: totalAmount };
+                req.releaseDistributionQuota = async () => {
+                    try {
+                        await ApiKeyDistributionQuota.release(quotaKeyId, day, totalAmount);
+                    } catch (error) {
+                        logger.error(`Failed to release distribution quota for ${req.apiKey.name}:`, error);
+                    }
+                };
+
+                return next();
+            }
+
+            const quota = describeQuota(await ApiKeyDistributionQuota.getUsage(quotaKeyId), limits, now);
+            setQuotaHeaders(res, quota);
+
+            const scopeLimit = req.apiKey.scopes?.maxDailyTotal;
+            if (scopeLimit != null && quota.amount.used + totalAmount > scopeLimit) {
+                logger.warn(`Distribution scope denied for ${req.apiKey.name}: DAILY_TOTAL_EXCEEDED on ${req.originalUrl}`);
+                return res.status(403).json({
+                    success: false,
+                    error: {
+                        message: `Distribution of ${totalAmount} tokens would exceed the daily limit of ${scopeLimit}`,
+                        code: 'DAILY_TOTAL_EXCEEDED',
+                        details: {
+                            totalAmount,
+                            maxDailyTotal: scopeLimit,
+                            distributedToday: quota.amount.used,
+                            remaining: Math.max(0, scopeLimit - quota.amount.used)
+                        }
+                    }
+                });
+            }
+
+            res.setHeader('Retry-After', quota.resetSeconds);
+            logger.warn(`Daily distribution quota exceeded for ${req.apiKey.name} on ${req.originalUrl}`);
+            return res.status(429).json({
+                success: false,
+                error: {
+                    message: 'Daily distribution quota exceeded',
+                    code: 'DAILY_QUOTA_EXCEEDED',
+                    details: {
+                        totalAmount,
+                        quota
+                    },
+                    retryAfter: quota.resetSeconds
+                }
+            });
+        } catch (error) {
+            logger.error('Distribution quota check error:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    message: 'Failed to check distribution quota',
+                    code: 'QUOTA_CHECK_ERROR'
+                }
+            });
+        }
+    };
+};
+
+/**
+ * Current quota for a key (GET /api/tokens/quota)
+ */
+async function getDistributionQuota(apiKey) {
+    const usage = await ApiKeyDistributionQuota.getUsage(apiKey.getQuotaKeyId());
+    return describeQuota(usage, getQuotaLimits(apiKey));
+}
+
+module.exports = {
+    enforceDistributionQuota,
+    getDistributionQuota,
+    getQuotaLimits
+};
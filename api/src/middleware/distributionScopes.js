@@ -0,0 +1,35 @@
+const logger = require('../utils/logger');
+
+/**
+ * Enforce ApiKey.scopes on a vault distribution route
+ * Checks the allowed vaults, per-call amount and recipient allow-list. The daily total
+ * (scopes.maxDailyTotal) is enforced with the other daily limits by enforceDistributionQuota.
+ * Must run after request validation.
+ *
+ * @param {Function} getTotalAmount - (req) => total tokens the request distributes
+ */
+const enforceDistributionScopes = (getTotalAmount) => {
+    return (req, res, next) => {
+        const { vaultType, recipients } = req.body;
+        const totalAmount = getTotalAmount(req);
+
+        const violation = req.apiKey.checkDistributionScopes({ vaultType, recipients, totalAmount });
+        if (violation) {
+            logger.warn(`Distribution scope denied for ${req.apiKey.name}: ${violation.code} on ${req.originalUrl}`);
+            return res.status(403).json({
+                success: false,
+                error: {
+                    message: violation.message,
+                    code: violation.code,
+                    details: violation.details
+                }
+            });
+        }
+
+        next();
+    };
+};
+
+module.exports = {
+    enforceDistributionScopes
+};
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const IdempotencyRecord = require('../models/IdempotencyRecord');
+const { canonicalJson } = require('../utils/canonicalJson');
+const logger = require('../utils/logger');
+
+const DEFAULT_TTL_HOURS = 24;
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+function getTtlMs() {
+    const hours = parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS);
+    return (isNaN(hours) ? DEFAULT_TTL_HOURS : hours) * 60 * 60 * 1000;
+}
+
+/**
+ * Record a new key; resolves false if this API key already used it
+ */
+async function claimIdempotencyKey(record) {
+    try {
+        await IdempotencyRecord.create({ ...record, expiresAt: new Date(Date.now() + getTtlMs()) });
+        return true;
+    } catch (error) {
+        if (error.code === 11000) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+function idempotencyError(res, status, message, code, details) {
+    return res.status(status).json({
+        success: false,
+        error: {
+            message,
+            code,
+            ...(details && { details })
+        }
+    });
+}
+
+/**
+ * Make a route safe to retry with an Idempotency-Key header (optional, scoped per API key)
+ *
+ * The first request with a key claims it and runs; its response is stored before it is sent.
+ * Retries with the same key and body get the stored response (Idempotent-Replayed: true)
+ * without running the route again, so a timed-out distribution is never sent twice.
+ * - Same key, different body or endpoint → 422 IDEMPOTENCY_KEY_MISMATCH
+ * - Same key while the first request is still running → 409 IDEMPOTENCY_REQUEST_IN_PROGRESS
+ * - 4xx responses (validation, scopes, quota) release the key so the request can be retried;
+ *   so do 5xx responses unless a transaction was sent, as nothing reached the chain
+ * - 2xx responses and 5xx responses after sending are kept, with the transaction hash
+ *
+ * Mount after validation and before quota reservation, so replays don't count against quota.
+ * Routes report a sent transaction with req.recordIdempotentTransaction(hash) before waiting for it.
+ */
+const enforceIdempotency = () => {
+    return async (req, res, next) => {
+        const idempotencyKey = req.get('Idempotency-Key');
+        if (idempotencyKey === undefined) {
+            return next();
+        }
+
+        if (!IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+            return idempotencyError(res, 400,
+                'Idempotency-Key must be 1-255 printable ASCII characters without spaces', 'INVALID_IDEMPOTENCY_KEY');
+        }
+
+        const keyId = req.apiKey.id;
+        const endpoint = `${req.method} ${req.baseUrl}${req.route.path}`;
+        const requestHash = crypto.createHash('sha256')
+            .update(canonicalJson({ endpoint, query: req.query, body: req.body }))
+            .digest('hex');
+
+        let existing;
+        try {
+            const claimed = await claimIdempotencyKey({ keyId, idempotencyKey, endpoint, requestHash });
+            if (!claimed) {
+                existing = await IdempotencyRecord.findOne({ keyId, idempotencyKey }).lean();
+            }
+        } catch (error) {
+            logger.error('Idempotency key check error:', error);
+            return idempotencyError(res, 500, 'Failed to check idempotency key', 'IDEMPOTENCY_CHECK_ERROR');
+        }
+
+        if (existing !== undefined) {
+            if (!existing) {
+                // The first request was rejected and released the key while we looked it up
+                return idempotencyError(res, 409,
+                    'Idempotency-Key was released by a concurrent request, retry', 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
+            }
+
+            if (existing.requestHash !== requestHash) {
+                logger.warn(`Idempotency-Key reused with a different request by ${req.apiKey.name} on ${req.originalUrl}`);
+                return idempotencyError(res, 422,
+                    'Idempotency-Key was already used with a different request', 'IDEMPOTENCY_KEY_MISMATCH', {
+                        endpoint: existing.endpoint,
+                        firstUsedAt: existing.createdAt
+                    });
+            }
+
+            if (existing.status === 'IN_PROGRESS') {
+                res.setHeader('Retry-After', 1);
+                return idempotencyError(res, 409,
+                    'A request with this Idempotency-Key is still being processed', 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
+            }
+
+            logger.info(`Replaying ${existing.endpoint} for ${req.apiKey.name} (Idempotency-Key ${idempotencyKey})`);
+            res.setHeader('Idempotent-Replayed', 'true');
+            return res.status(existing.statusCode).json(existing.response);
+        }
+
+        let transactionHash = null;
+        req.recordIdempotentTransaction = async (hash) => {
+            transactionHash = hash;
+            try {
+                await IdempotencyRecord.updateOne({ keyId, idempotencyKey }, { $set: { transactionHash: hash } });
+            } catch (error) {
+                // The transaction is already sent: keep waiting for it, the response still records the hash
+                logger.error(`Failed to record transaction ${hash} for Idempotency-Key ${idempotencyKey}:`, error);
+            }
+        };
+
+        // Store the outcome before the client can see it, so a retry never finds it missing
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            const statusCode = res.statusCode;
+            const hash = body?.data?.transactionHash || transactionHash;
+            const settle = statusCode >= 400 && !(statusCode >= 500 && hash)
+                ? IdempotencyRecord.deleteOne({ keyId, idempotencyKey })
+                : IdempotencyRecord.updateOne({ keyId, idempotencyKey }, {
+                    $set: {
+                        status: 'COMPLETED',
+                        statusCode,
+                        response: body,
+                        transactionHash: hash || null,
+                        completedAt: new Date()
+                    }
+                });
+
+            settle
+                .catch(error => {
+                    logger.error(`Failed to store idempotent response for ${req.apiKey.name} (Idempotency-Key ${idempotencyKey}):`, error);
+                })
+                .then(() => json(body))
+                .catch(error => {
+                    logger.error(`Failed to send idempotent response for ${req.apiKey.name} (Idempotency-Key ${idempotencyKey}):`, error);
+                });
+
+            return res;
+        };
+
+        next();
+    };
+};
+
+module.exports = {
+    enforceIdempotency
+};
@@ -0,0 +1,90 @@
+const ApiKey = require('../models/ApiKey');
+const logger = require('../utils/logger');
+const { createNonceStore } = require('../services/nonceStore');
+const {
+    SIGNATURE_HEADERS,
+    decryptSigningSecret,
+    hashBody,
+    computeSignature,
+    signaturesMatch
+} = require('../utils/requestSigning');
+
+const nonceStore = createNonceStore();
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+function getMaxSkewSeconds() {
+    return parseInt(process.env.API_SIGNATURE_MAX_SKEW_SECONDS) || 300;
+}
+
+function signatureError(status, message, code, extra = {}) {
+    return { error: { status, message, code, ...extra } };
+}
+
+/**
+ * Authenticate an HMAC-signed request (see utils/requestSigning.js for the scheme)
+ * The signature is checked before the nonce is recorded so unsigned junk can't burn nonces.
+ * Expiry is left to authMiddleware, which applies it to both schemes.
+ * @param {Object} req - Express request (req.rawBody is captured by the body parsers)
+ * @returns {Promise<Object>} { keyData } on success, { error: { status, message, code } } otherwise
+ */
+async function verifySignedRequest(req) {
+    const keyId = req.headers[SIGNATURE_HEADERS.keyId];
+    const timestamp = req.headers[SIGNATURE_HEADERS.timestamp];
+    const nonce = req.headers[SIGNATURE_HEADERS.nonce];
+    const signature = req.headers[SIGNATURE_HEADERS.signature];
+
+    const missing = Object.entries(SIGNATURE_HEADERS)
+        .filter(([, header]) => !req.headers[header])
+        .map(([, header]) => header);
+    if (missing.length > 0) {
+        return signatureError(401, 'Incomplete request signature', 'INCOMPLETE_SIGNATURE', { missing });
+    }
+
+    const maxSkew = getMaxSkewSeconds();
+    const now = Math.floor(Date.now() / 1000);
+    const requestTime = Number(timestamp);
+    if (!Number.isInteger(requestTime) || Math.abs(now - requestTime) > maxSkew) {
+        return signatureError(401, `Request timestamp outside the allowed ±${maxSkew}s window`, 'STALE_SIGNATURE', { serverTime: now });
+    }
+
+    if (!NONCE_PATTERN.test(nonce)) {
+        return signatureError(401, 'Nonce must be 16-128 characters of [A-Za-z0-9_-]', 'INVALID_NONCE');
+    }
+
+    const keyData = await ApiKey.findOne({ id: keyId, isActive: true })
+        .select('+signing.encryptedSecret +signing.iv +signing.authTag');
+    if (!keyData) {
+        return signatureError(401, 'Invalid API key', 'INVALID_API_KEY');
+    }
+
+    if (keyData.signing?.mode === 'disabled' || !keyData.signing?.encryptedSecret) {
+        return signatureError(401, 'Request signing is not enabled for this API key', 'SIGNING_NOT_ENABLED');
+    }
+
+    const expected = computeSignature(decryptSigningSecret(keyData.signing), {
+        method: req.method,
+        path: req.originalUrl,
+        timestamp,
+        nonce,
+        bodyHash: hashBody(req.rawBody || '')
+    });
+
+    if (!signaturesMatch(expected, signature)) {
+        logger.warn(`Invalid request signature for key ${keyData.name} from ${req.ip}`);
+        return signatureError(401, 'Invalid request signature', 'INVALID_SIGNATURE');
+    }
+
+    // Keep nonces for the whole window a timestamp can be accepted in
+    const claimed = await nonceStore.claim(`${keyData.id}:${nonce}`, 2 * maxSkew * 1000);
+    if (!claimed) {
+        logger.warn(`Replayed nonce for key ${keyData.name} from ${req.ip}`);
+        return signatureError(401, 'Nonce has already been used', 'NONCE_REUSED');
+    }
+
+    return { keyData };
+}
+
+module.exports = {
+    verifySignedRequest
+};
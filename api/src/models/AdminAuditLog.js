@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+/**
+ * Admin audit trail
+ * Append-only record of every /api/admin action (including sign-in attempts): who did it,
+ * from where, with which parameters (secrets redacted) and how it ended.
+ */
+const adminAuditLogSchema = new mongoose.Schema({
+    actor: {
+        // AdminUser id, or null for failed sign-ins
+        id: {
+            type: String,
+            default: null
+        },
+        username: {
+            type: String,
+            default: null
+        },
+        // siwe / totp session, or legacy X-Admin-Secret
+        method: {
+            type: String,
+            enum: ['siwe', 'totp', 'legacy-secret', null],
+            default: null
+        }
+    },
+
+    // e.g. keys.generate, wallets.export-private-key, auth.login
+    action: {
+        type: String,
+        required: true,
+        index: true
+    },
+
+    method: {
+        type: String,
+        required: true
+    },
+
+    path: {
+        type: String,
+        required: true
+    },
+
+    // Route params, query and body with secrets redacted
+    params: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    ip: {
+        type: String,
+        default: null
+    },
+
+    userAgent: {
+        type: String,
+        default: null
+    },
+
+    requestId: {
+        type: String,
+        default: null,
+        index: true
+    },
+
+    statusCode: {
+        type: Number,
+        default: null
+    },
+
+    success: {
+        type: Boolean,
+        required: true
+    },
+
+    // Error code from the response body on failure
+    errorCode: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: 'admin_audit_logs'
+});
+
+adminAuditLogSchema.index({ createdAt: -1 });
+adminAuditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+
+// Audit records are never rewritten or removed through the application
+adminAuditLogSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return next(new Error('Admin audit log entries are immutable'));
+    }
+    next();
+});
+
+adminAuditLogSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    function (next) {
+        next(new Error('Admin audit log entries are immutable'));
+    }
+);
+
+module.exports = mongoose.model('AdminAuditLog', adminAuditLogSchema);
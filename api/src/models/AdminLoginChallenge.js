@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+/**
+ * Pending SIWE sign-in challenges
+ * One per nonce; consumed on the first verification attempt and otherwise removed by
+ * the TTL index once expired.
+ */
+const adminLoginChallengeSchema = new mongoose.Schema({
+    nonce: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    walletAddress: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    // Exact EIP-4361 text the admin must sign
+    message: {
+        type: String,
+        required: true
+    },
+    ip: {
+        type: String,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true,
+    collection: 'admin_login_challenges'
+});
+
+adminLoginChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AdminLoginChallenge', adminLoginChallengeSchema);
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+const ADMIN_ROLES = ['superadmin', 'security', 'treasury', 'operator', 'auditor'];
+
+/**
+ * Named admin accounts for /api/admin
+ * An admin signs in with their wallet (SIWE) and/or username + TOTP; what they may do
+ * is decided by their roles (see ROLE_PERMISSIONS in middleware/adminAuth.js).
+ */
+const adminUserSchema = new mongoose.Schema({
+    id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    username: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: /^[a-z0-9._-]{3,32}$/
+    },
+    // Wallet allowed to sign in via SIWE (null = TOTP only)
+    walletAddress: {
+        type: String,
+        default: null,
+        lowercase: true
+    },
+    roles: [{
+        type: String,
+        enum: ADMIN_ROLES
+    }],
+    isActive: {
+        type: Boolean,
+        default: true,
+        index: true
+    },
+    // TOTP secret, AES-256-GCM encrypted with ADMIN_TOTP_ENCRYPTION_KEY
+    totp: {
+        encryptedSecret: {
+            type: String,
+            select: false
+        },
+        iv: {
+            type: String,
+            select: false
+        },
+        authTag: {
+            type: String,
+            select: false
+        },
+        // Last accepted time step; a code is never accepted twice
+        lastStep: {
+            type: Number,
+            default: null,
+            select: false
+        },
+        enabledAt: {
+            type: Date,
+            default: null
+        }
+    },
+    lastLoginAt: {
+        type: Date,
+        default: null
+    },
+    lastLoginMethod: {
+        type: String,
+        enum: ['siwe', 'totp', null],
+        default: null
+    },
+    // Admin id that created this account ('bootstrap' for scripts/create-admin.js)
+    createdBy: {
+        type: String,
+        default: null
+    },
+    disabledAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    collection: 'admin_users'
+});
+
+adminUserSchema.index(
+    { walletAddress: 1 },
+    { unique: true, partialFilterExpression: { walletAddress: { $type: 'string' } } }
+);
+
+adminUserSchema.methods.hasTotp = function () {
+    return !!this.totp?.enabledAt;
+};
+
+adminUserSchema.methods.toSafeObject = function () {
+    return {
+        id: this.id,
+        username: this.username,
+        walletAddress: this.walletAddress,
+        roles: this.roles,
+        isActive: this.isActive,
+        totpEnabled: this.hasTotp(),
+        lastLoginAt: this.lastLoginAt,
+        lastLoginMethod: this.lastLoginMethod,
+        createdBy: this.createdBy,
+        disabledAt: this.disabledAt,
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt
+    };
+};
+
+/**
+ * Record an accepted TOTP step, atomically rejecting a replay of the same or an older step
+ * @returns {Promise<boolean>} false when the step was already used
+ */
+adminUserSchema.statics.consumeTotpStep = async function (id, step) {
+    const result = await this.updateOne(
+        {
+            id,
+            $or: [{ 'totp.lastStep': null }, { 'totp.lastStep': { $lt: step } }]
+        },
+        { $set: { 'totp.lastStep': step } }
+    );
+
+    return result.modifiedCount === 1;
+};
+
+const AdminUser = mongoose.model('AdminUser', adminUserSchema);
+AdminUser.ROLES = ADMIN_ROLES;
+
+module.exports = AdminUser;
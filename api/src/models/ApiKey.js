@@ -25,11 +25,141 @@ const apiKeySchema = new mongoose.Schema({
         enum: ['read', 'distribute', 'bot', 'admin'],
         default: ['read']
     }],
+    // Daily distribution quota per UTC day (null = unlimited)
+    rateLimitOverride: {
+        type: Number, // Tokens (set via dailyLimit on generate-key)
+        default: null,
+        min: 0
+    },
+    dailyRequestLimit: {
+        type: Number, // Distribution requests
+        default: null,
+        min: 0
+    },
+    // Restrictions on what a 'distribute' key may send (unset = unrestricted)
+    scopes: {
+        // Vaults this key may distribute from (0-3); empty = all vaults
+        vaultTypes: [{
+            type: Number,
+            min: 0,
+            max: 3
+        }],
+        // Max tokens per distribution request (sum of all recipients)
+        maxAmountPerCall: {
+            type: Number,
+            default: null,
+            min: 0
+        },
+        // Max tokens per UTC day across all requests
+        maxDailyTotal: {
+            type: Number,
+            default: null,
+            min: 0
+        },
+        // Recipient addresses this key may pay; empty = any address
+        allowedRecipients: [{
+            type: String,
+            lowercase: true,
+            trim: true
+        }]
+    },
     isActive: {
         type: Boolean,
         default: true,
         index: true
     },
+    // HMAC request signing (see utils/requestSigning.js)
+    // disabled: raw key only; optional: raw key or signature; required: signature only
+    signing: {
+        mode: {
+            type: String,
+            enum: ['disabled', 'optional', 'required'],
+            default: 'disabled'
+        },
+        encryptedSecret: {
+            type: String,
+            default: null,
+            select: false
+        },
+        iv: {
+            type: String,
+            default: null,
+            select: false
+        },
+        authTag: {
+            type: String,
+            default: null,
+            select: false
+        },
+        secretCreatedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    // Distribution job notifications (PUT /api/admin/keys/:id/callback)
+    // Payloads are signed with the secret, stored encrypted like signing.encryptedSecret
+    callback: {
+        url: {
+            type: String,
+            default: null
+        },
+        encryptedSecret: {
+            type: String,
+            default: null,
+            select: false
+        },
+        iv: {
+            type: String,
+            default: null,
+            select: false
+        },
+        authTag: {
+            type: String,
+            default: null,
+            select: false
+        },
+        secretCreatedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    // Admin account accountable for the key; it can never approve two-person
+    // operations the key proposes (the named admin who generated or rotated it,
+    // i.e. who received the raw key)
+    owner: {
+        adminId: {
+            type: String,
+            default: null
+        },
+        username: {
+            type: String,
+            default: null
+        }
+    },
+    // Key stops authenticating after this time (null = never)
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    // Rotation chain (key ids)
+    rotatedFrom: {
+        type: String,
+        default: null
+    },
+    rotatedTo: {
+        type: String,
+        default: null
+    },
+    rotatedAt: {
+        type: Date,
+        default: null
+    },
+    // First key of the rotation chain: a key and its successors share one set of daily
+    // counters, so a rotated key in its grace period doesn't double the quota
+    quotaKeyId: {
+        type: String,
+        default: null
+    },
     usageCount: {
         type: Number,
         default: 0,
@@ -65,6 +195,7 @@ const apiKeySchema = new mongoose.Schema({
 apiKeySchema.index({ createdAt: -1 });
 apiKeySchema.index({ isActive: 1, lastUsed: -1 });
 apiKeySchema.index({ permissions: 1 });
+apiKeySchema.index({ isActive: 1, expiresAt: 1 });
 
 // Update the updatedAt field before saving
 apiKeySchema.pre('save', function (next) {
@@ -75,12 +206,17 @@ apiKeySchema.pre('save', function (next) {
 // Instance methods
 apiKeySchema.methods = {
     /**
-     * Increment usage count and update last used timestamp
+     * Check if the key is past its expiresAt
      */
-    async recordUsage() {
-        this.usageCount += 1;
-        this.lastUsed = new Date();
-        await this.save();
+    isExpired(now = new Date()) {
+        return Boolean(this.expiresAt && this.expiresAt <= now);
+    },
+
+    /**
+     * Key id daily quota and rate limit counters are charged to
+     */
+    getQuotaKeyId() {
+        return this.quotaKeyId || this.id;
     },
 
     /**
@@ -90,6 +226,46 @@ apiKeySchema.methods = {
         return this.permissions.includes(permission);
     },
 
+    /**
+     * Check a distribution against the key's scopes (daily total is checked separately)
+     * @param {Object} distribution - { vaultType, recipients, totalAmount }
+     * @returns {Object|null} { code, message, details } for the first violated scope, null if allowed
+     */
+    checkDistributionScopes({ vaultType, recipients, totalAmount }) {
+        const scopes = this.scopes || {};
+
+        if (scopes.vaultTypes?.length > 0 && !scopes.vaultTypes.includes(Number(vaultType))) {
+            return {
+                code: 'VAULT_NOT_ALLOWED',
+                message: `API key is not allowed to distribute from vault ${vaultType}`,
+                details: { vaultType: Number(vaultType), allowedVaultTypes: scopes.vaultTypes }
+            };
+        }
+
+        if (scopes.maxAmountPerCall != null && totalAmount > scopes.maxAmountPerCall) {
+            return {
+                code: 'AMOUNT_PER_CALL_EXCEEDED',
+                message: `Distribution of ${totalAmount} tokens exceeds the per-call limit of ${scopes.maxAmountPerCall}`,
+                details: { totalAmount, maxAmountPerCall: scopes.maxAmountPerCall }
+            };
+        }
+
+        if (scopes.allowedRecipients?.length > 0) {
+            const allowed = new Set(scopes.allowedRecipients);
+            const rejected = recipients.filter(address => !allowed.has(String(address).toLowerCase()));
+
+            if (rejected.length > 0) {
+                return {
+                    code: 'RECIPIENT_NOT_ALLOWED',
+                    message: `${rejected.length} recipient(s) are not in this API key's allow-list`,
+                    details: { recipients: rejected }
+                };
+            }
+        }
+
+        return null;
+    },
+
     /**
      * Get masked key for logging (shows first 8 and last 4 characters)
      */
@@ -147,6 +323,19 @@ apiKeySchema.statics = {
         return this.findOne({ hashedKey, isActive: true });
     },
 
+    /**
+     * Active keys expiring within the window (already expired ones included, soonest first)
+     * @param {number} days - Look-ahead window in days
+     */
+    async getExpiring(days = 14) {
+        const until = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+        return this.find({ isActive: true, expiresAt: { $ne: null, $lte: until } })
+            .select('-hashedKey')
+            .sort({ expiresAt: 1 })
+            .lean();
+    },
+
     /**
      * Get API key statistics
      */
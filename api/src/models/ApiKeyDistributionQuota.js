@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+/**
+ * Distribution quota usage per API key per UTC day
+ * Tracks tokens distributed and distribution requests; backs ApiKey.rateLimitOverride,
+ * ApiKey.dailyRequestLimit and ApiKey.scopes.maxDailyTotal. Reservations are atomic so
+ * concurrent requests can't overshoot a limit. Old days are removed by the TTL index.
+ *
+ * Extends the per-day token totals kept for scopes.maxDailyTotal and shares their
+ * collection, so counters written before request counting stay in effect.
+ */
+const apiKeyDistributionQuotaSchema = new mongoose.Schema({
+    // ApiKey.getQuotaKeyId(): shared by a key and its rotated successors
+    keyId: {
+        type: String,
+        required: true
+    },
+    // UTC date, YYYY-MM-DD
+    day: {
+        type: String,
+        required: true
+    },
+    total: {
+        type: Number,
+        default: 0
+    },
+    requests: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    collection: 'api_key_distribution_totals'
+});
+
+apiKeyDistributionQuotaSchema.index({ keyId: 1, day: 1 }, { unique: true });
+apiKeyDistributionQuotaSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+apiKeyDistributionQuotaSchema.statics = {
+    dayOf(date = new Date()) {
+        return date.toISOString().slice(0, 10);
+    },
+
+    /**
+     * Start of the next UTC day (when the quota resets)
+     */
+    resetAt(date = new Date()) {
+        return new Date(Date.parse(`${this.dayOf(date)}T00:00:00.000Z`) + DAY_MS);
+    },
+
+    /**
+     * Count one request of `amount` tokens for today if it stays within both limits
+     * @param {string} keyId - ApiKey id
+     * @param {number} amount - Tokens in the request
+     * @param {Object} limits - { amountLimit, requestLimit } (null = unlimited)
+     * @returns {Promise<Object|null>} Updated usage, or null if a limit would be exceeded
+     */
+    async reserve(keyId, amount, { amountLimit = null, requestLimit = null } = {}, now = new Date()) {
+        if (amountLimit != null && amount > amountLimit) return null;
+        if (requestLimit != null && requestLimit < 1) return null;
+
+        const day = this.dayOf(now);
+        const filter = { keyId, day };
+        if (amountLimit != null) filter.total = { $lte: amountLimit - amount };
+        // $not/$gt also matches counters that predate the requests field
+        if (requestLimit != null) filter.requests = { $not: { $gt: requestLimit - 1 } };
+
+        const increment = { $inc: { total: amount, requests: 1 } };
+
+        try {
+            return await this.findOneAndUpdate(filter, {
+                ...increment,
+                $setOnInsert: { expiresAt: new Date(this.resetAt(now).getTime() + DAY_MS) }
+            }, { upsert: true, new: true, lean: true });
+        } catch (error) {
+            // Duplicate key: today's usage exists but is too high to match, or another
+            // request created it first - retry as a plain conditional update
+            if (error.code === 11000) {
+                return this.findOneAndUpdate(filter, increment, { new: true, lean: true });
+            }
+            throw error;
+        }
+    },
+
+    /**
+     * Give back a reservation (distribution failed)
+     */
+    async release(keyId, day, amount) {
+        return this.updateOne({ keyId, day }, { $inc: { total: -amount, requests: -1 } });
+    },
+
+    /**
+     * Today's usage for a key
+     * @returns {Promise<Object>} { total, requests }
+     */
+    async getUsage(keyId, day = this.dayOf()) {
+        const usage = await this.findOne({ keyId, day }).select('total requests').lean();
+        return {
+            total: usage ? usage.total : 0,
+            requests: usage ? usage.requests || 0 : 0
+        };
+    }
+};
+
+module.exports = mongoose.model('ApiKeyDistributionQuota', apiKeyDistributionQuotaSchema);
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+/**
+ * Request counts per API key, endpoint and UTC hour
+ * Written in batches by services/usageTracker.js; backs GET /api/admin/keys/:id/usage.
+ * Hours older than API_USAGE_RETENTION_DAYS (default 90) are removed by the TTL index.
+ */
+const DEFAULT_RETENTION_DAYS = 90;
+const retentionDays = parseFloat(process.env.API_USAGE_RETENTION_DAYS);
+
+const apiKeyUsageSchema = new mongoose.Schema({
+    keyId: {
+        type: String,
+        required: true
+    },
+    // Route pattern, e.g. /api/tokens/distribute (never the raw URL)
+    endpoint: {
+        type: String,
+        required: true
+    },
+    method: {
+        type: String,
+        required: true
+    },
+    // Start of the UTC hour
+    hour: {
+        type: Date,
+        required: true
+    },
+    requests: {
+        type: Number,
+        default: 0
+    },
+    // Responses with status >= 400
+    errorCount: {
+        type: Number,
+        default: 0
+    },
+    lastRequestAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    collection: 'api_key_usage'
+});
+
+apiKeyUsageSchema.index({ keyId: 1, hour: 1, method: 1, endpoint: 1 }, { unique: true });
+apiKeyUsageSchema.index({ hour: 1 }, {
+    expireAfterSeconds: Math.round((isNaN(retentionDays) ? DEFAULT_RETENTION_DAYS : retentionDays) * 24 * 60 * 60)
+});
+
+const HOUR_MS = 60 * 60 * 1000;
+
+apiKeyUsageSchema.statics = {
+    hourOf(date = new Date()) {
+        return new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS);
+    },
+
+    /**
+     * Usage time series for a key
+     * @param {string} keyId - ApiKey id
+     * @param {Object} options - { from, to, granularity: hour|day, endpoint }
+     * @returns {Promise<Object>} { totals, endpoints, series }
+     */
+    async getSeries(keyId, { from, to, granularity = 'hour', endpoint = null }) {
+        const match = { keyId, hour: { $gte: this.hourOf(from), $lte: to } };
+        if (endpoint) {
+            match.endpoint = endpoint;
+        }
+
+        const format = granularity === 'day' ? '%Y-%m-%dT00:00:00.000Z' : '%Y-%m-%dT%H:00:00.000Z';
+
+        const [series, endpoints] = await Promise.all([
+            this.aggregate([
+                { $match: match },
+                {
+                    $group: {
+                        _id: { $dateToString: { format, date: '$hour' } },
+                        requests: { $sum: '$requests' },
+                        errors: { $sum: '$errorCount' }
+                    }
+                },
+                { $sort: { _id: 1 } }
+            ]),
+            this.aggregate([
+                { $match: match },
+                {
+                    $group: {
+                        _id: { method: '$method', endpoint: '$endpoint' },
+                        requests: { $sum: '$requests' },
+                        errors: { $sum: '$errorCount' },
+                        lastRequestAt: { $max: '$lastRequestAt' }
+                    }
+                },
+                { $sort: { requests: -1 } }
+            ])
+        ]);
+
+        const totals = endpoints.reduce((sum, row) => ({
+            requests: sum.requests + row.requests,
+            errors: sum.errors + row.errors
+        }), { requests: 0, errors: 0 });
+
+        return {
+            totals,
+            endpoints: endpoints.map(row => ({
+                method: row._id.method,
+                endpoint: row._id.endpoint,
+                requests: row.requests,
+                errors: row.errors,
+                lastRequestAt: row.lastRequestAt
+            })),
+            series: series.map(row => ({
+                timestamp: new Date(row._id),
+                requests: row.requests,
+                errors: row.errors
+            }))
+        };
+    }
+};
+
+module.exports = mongoose.model('ApiKeyUsage', apiKeyUsageSchema);
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['QUEUED', 'PROCESSING', 'SUBMITTED', 'MINED', 'FAILED'];
+const CALLBACK_STATUSES = ['NONE', 'PENDING', 'DELIVERED', 'FAILED'];
+
+/**
+ * Asynchronous token distributions (POST /api/tokens/distribute*?async=true)
+ * QUEUED → PROCESSING (worker claimed it) → SUBMITTED (transaction sent) → MINED or FAILED.
+ * The transaction hash is stored as soon as it is known, so a job interrupted by a restart is
+ * finished from its receipt instead of being sent again. See services/distributionJobs.js.
+ */
+const distributionJobSchema = new mongoose.Schema({
+    id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // API key that submitted the job (only it can read the job)
+    keyId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    keyName: {
+        type: String,
+        required: true
+    },
+
+    type: {
+        type: String,
+        enum: ['distribute', 'distribute-equal'],
+        required: true
+    },
+
+    // { vaultType, recipients, amounts | amount, reason }
+    params: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+
+    // Daily quota reservation, given back if the distribution fails
+    quota: {
+        // ApiKey.getQuotaKeyId() of the key (shared across rotations)
+        keyId: {
+            type: String,
+            default: null
+        },
+        day: {
+            type: String,
+            default: null
+        },
+        amount: {
+            type: Number,
+            default: 0
+        }
+    },
+
+    status: {
+        type: String,
+        enum: JOB_STATUSES,
+        default: 'QUEUED'
+    },
+
+    attempts: {
+        type: Number,
+        default: 0
+    },
+
+    // Worker lease; PROCESSING/SUBMITTED jobs past it are recovered
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+
+    transactionHash: {
+        type: String,
+        default: null
+    },
+    blockNumber: {
+        type: Number,
+        default: null
+    },
+
+    // blockchainService result once mined
+    result: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+
+    error: {
+        message: {
+            type: String,
+            default: null
+        },
+        code: {
+            type: String,
+            default: null
+        }
+    },
+
+    startedAt: {
+        type: Date,
+        default: null
+    },
+    submittedAt: {
+        type: Date,
+        default: null
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+
+    // Notification to the key's callback URL once the job is MINED or FAILED
+    callback: {
+        status: {
+            type: String,
+            enum: CALLBACK_STATUSES,
+            default: 'NONE'
+        },
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        nextAttemptAt: {
+            type: Date,
+            default: null
+        },
+        lastAttemptAt: {
+            type: Date,
+            default: null
+        },
+        responseStatus: {
+            type: Number,
+            default: null
+        },
+        lastError: {
+            type: String,
+            default: null
+        },
+        deliveredAt: {
+            type: Date,
+            default: null
+        }
+    }
+}, {
+    timestamps: true,
+    collection: 'distribution_jobs'
+});
+
+distributionJobSchema.index({ status: 1, createdAt: 1 });
+distributionJobSchema.index({ status: 1, lockedUntil: 1 });
+distributionJobSchema.index({ 'callback.status': 1, 'callback.nextAttemptAt': 1 });
+
+const DistributionJob = mongoose.model('DistributionJob', distributionJobSchema);
+DistributionJob.STATUSES = JOB_STATUSES;
+
+module.exports = DistributionJob;
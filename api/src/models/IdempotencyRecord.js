@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * Idempotency-Key records for distribution requests
+ * One per API key and Idempotency-Key: the request fingerprint and, once the request has run,
+ * the response that is replayed to retries. Removed by the TTL index after
+ * IDEMPOTENCY_KEY_TTL_HOURS (default 24). See middleware/idempotency.js.
+ */
+const idempotencyRecordSchema = new mongoose.Schema({
+    keyId: {
+        type: String,
+        required: true
+    },
+    idempotencyKey: {
+        type: String,
+        required: true
+    },
+    // e.g. POST /api/tokens/distribute
+    endpoint: {
+        type: String,
+        required: true
+    },
+    // SHA-256 of the endpoint, query and canonical request body
+    requestHash: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['IN_PROGRESS', 'COMPLETED'],
+        default: 'IN_PROGRESS'
+    },
+    statusCode: {
+        type: Number,
+        default: null
+    },
+    response: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    transactionHash: {
+        type: String,
+        default: null
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: 'idempotency_records'
+});
+
+idempotencyRecordSchema.index({ keyId: 1, idempotencyKey: 1 }, { unique: true });
+idempotencyRecordSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyRecord', idempotencyRecordSchema);
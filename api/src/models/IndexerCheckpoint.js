@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for block-range indexer checkpoints
+ * One document per indexer/contract/network, recording the last block whose
+ * events have been fully written to the database.
+ */
+const indexerCheckpointSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+
+    network: {
+        type: String,
+        required: true
+    },
+
+    contractAddress: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+
+    lastProcessedBlock: {
+        type: Number,
+        required: true,
+        default: 0
+    },
+
+    lastProcessedAt: {
+        type: Date,
+        default: null
+    },
+
+    eventsProcessed: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true,
+    collection: 'indexer_checkpoints'
+});
+
+indexerCheckpointSchema.index({ name: 1, network: 1, contractAddress: 1 }, { unique: true });
+
+/**
+ * Get the checkpoint for an indexer, creating it at startBlock - 1 if missing
+ */
+indexerCheckpointSchema.statics.getOrCreate = async function (name, network, contractAddress, startBlock = 0) {
+    return this.findOneAndUpdate(
+        { name, network, contractAddress: contractAddress.toLowerCase() },
+        { $setOnInsert: { lastProcessedBlock: Math.max(startBlock - 1, 0) } },
+        { upsert: true, new: true }
+    );
+};
+
+/**
+ * Advance the checkpoint (never moves backwards)
+ */
+indexerCheckpointSchema.statics.advance = function (name, network, contractAddress, blockNumber, eventCount = 0) {
+    return this.findOneAndUpdate(
+        { name, network, contractAddress: contractAddress.toLowerCase() },
+        {
+            $max: { lastProcessedBlock: blockNumber },
+            $set: { lastProcessedAt: new Date() },
+            $inc: { eventsProcessed: eventCount }
+        },
+        { new: true }
+    );
+};
+
+const IndexerCheckpoint = mongoose.model('IndexerCheckpoint', indexerCheckpointSchema);
+
+module.exports = IndexerCheckpoint;
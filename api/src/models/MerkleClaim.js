@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * MerkleClaim Model
+ * One TokensClaimed event from MagicWorldGame, written by merkle/services/merkleClaimIndexer.js
+ *
+ * MerkleLeaf claim fields and MerkleDistribution.totalClaimed are derived from these records,
+ * so re-reading blocks (or removing reorged-out claims) is idempotent
+ */
+const merkleClaimSchema = new mongoose.Schema(
+    {
+        distributionId: {
+            type: Number,
+            required: true,
+        },
+
+        // Claimer address (lowercase, like MerkleLeaf.userAddress)
+        userAddress: {
+            type: String,
+            required: true,
+            lowercase: true,
+        },
+
+        // Tokens transferred by this claim in wei
+        amount: {
+            type: String,
+            required: true,
+        },
+
+        // User's cumulative claimed amount after this claim in wei (event totalClaimed)
+        totalClaimed: {
+            type: String,
+            required: true,
+        },
+
+        txHash: {
+            type: String,
+            required: true,
+        },
+
+        logIndex: {
+            type: Number,
+            required: true,
+        },
+
+        blockNumber: {
+            type: Number,
+            required: true,
+            index: true,
+        },
+
+        timestamp: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+        collection: 'merkle_claims',
+    }
+);
+
+merkleClaimSchema.index({ txHash: 1, logIndex: 1 }, { unique: true });
+merkleClaimSchema.index({ distributionId: 1, userAddress: 1, blockNumber: 1 });
+
+const MerkleClaim = mongoose.model('MerkleClaim', merkleClaimSchema);
+
+module.exports = MerkleClaim;
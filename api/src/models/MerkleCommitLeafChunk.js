@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * MerkleCommitLeafChunk Model
+ * Leaves of a MerkleDistributionCommit: gzip-compressed JSON [[address, amountWei], ...],
+ * split so commits of any size stay below the document size limit
+ */
+const merkleCommitLeafChunkSchema = new mongoose.Schema(
+    {
+        commitId: {
+            type: String,
+            required: true,
+        },
+
+        index: {
+            type: Number,
+            required: true,
+        },
+
+        data: {
+            type: Buffer,
+            required: true,
+        },
+    },
+    {
+        collection: 'merkle_commit_leaf_chunks',
+    }
+);
+
+merkleCommitLeafChunkSchema.index({ commitId: 1, index: 1 }, { unique: true });
+
+const MerkleCommitLeafChunk = mongoose.model('MerkleCommitLeafChunk', merkleCommitLeafChunkSchema);
+
+module.exports = MerkleCommitLeafChunk;
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+/**
+ * MerkleDistributionCommit Model
+ * Pre-commit record of a Merkle distribution, written before setMerkleDistribution is sent
+ *
+ * Holds everything needed to import the distribution (root, settings, leaves in
+ * MerkleCommitLeafChunk) so that if the transaction is mined but saving the distribution
+ * fails, the reconciliation job can still complete the import from the
+ * MerkleDistributionCreated event. See merkle/services/merkleReconciler.js.
+ *
+ * PENDING (transaction not known to be sent) → SUBMITTED (hash known) → COMPLETED,
+ * or FAILED (reverted) / ABANDONED (no matching event within MERKLE_COMMIT_ABANDON_HOURS)
+ */
+const merkleDistributionCommitSchema = new mongoose.Schema(
+    {
+        commitId: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+
+        status: {
+            type: String,
+            enum: ['PENDING', 'SUBMITTED', 'COMPLETED', 'FAILED', 'ABANDONED'],
+            default: 'PENDING',
+            index: true,
+        },
+
+        merkleRoot: {
+            type: String,
+            required: true,
+            match: /^0x[a-fA-F0-9]{64}$/,
+            index: true,
+        },
+
+        // Total tokens allocated in wei
+        totalAllocated: {
+            type: String,
+            required: true,
+        },
+
+        recipientCount: {
+            type: Number,
+            required: true,
+        },
+
+        vaultType: {
+            type: String,
+            enum: ['PLAYER_TASKS', 'SOCIAL_FOLLOWERS', 'SOCIAL_POSTERS', 'ECOSYSTEM_FUND'],
+            required: true,
+        },
+
+        durationInDays: {
+            type: Number,
+            required: true,
+        },
+
+        // Distribution metadata (title, description, tags, category)
+        metadata: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+
+        createdBy: {
+            type: String,
+            required: true,
+        },
+
+        // Draft being published, marked published once imported
+        draftId: {
+            type: String,
+            default: null,
+        },
+
+        // Number of MerkleCommitLeafChunk documents holding the leaves
+        leafChunkCount: {
+            type: Number,
+            required: true,
+        },
+
+        // Chain head before sending; events are searched from here when the hash is unknown
+        searchFromBlock: {
+            type: Number,
+            required: true,
+        },
+
+        // Last block searched for a matching MerkleDistributionCreated event
+        scannedToBlock: {
+            type: Number,
+            default: null,
+        },
+
+        transactionHash: {
+            type: String,
+            default: null,
+        },
+
+        // Set once the distribution is saved
+        distributionId: {
+            type: Number,
+            default: null,
+        },
+
+        blockNumber: {
+            type: Number,
+            default: null,
+        },
+
+        // Reconciler lease
+        lockedUntil: {
+            type: Date,
+            default: null,
+        },
+
+        reconcileAttempts: {
+            type: Number,
+            default: 0,
+        },
+
+        lastError: {
+            type: String,
+            default: null,
+        },
+
+        completedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+        collection: 'merkle_distribution_commits',
+    }
+);
+
+merkleDistributionCommitSchema.index({ status: 1, createdAt: 1 });
+
+const MerkleDistributionCommit = mongoose.model('MerkleDistributionCommit', merkleDistributionCommitSchema);
+
+module.exports = MerkleDistributionCommit;
@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+
+/**
+ * MerkleDistributionDraft Model
+ * A distribution built from an uploaded CSV/JSON allocation file (or an inline allocations
+ * array), kept for review before anything is sent on-chain
+ *
+ * Allocations live in MerkleDraftAllocation (one document per recipient) so large
+ * uploads stay well below the document size limit
+ *
+ * Lifecycle: draft (reviewed via preview/diff) → publishing (approved, being sent on-chain) → published
+ */
+const merkleDistributionDraftSchema = new mongoose.Schema(
+    {
+        draftId: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+
+        status: {
+            type: String,
+            enum: ['draft', 'publishing', 'published'],
+            default: 'draft',
+            index: true,
+        },
+
+        // Distribution settings used when the draft is published
+        vaultType: {
+            type: String,
+            enum: ['PLAYER_TASKS', 'SOCIAL_FOLLOWERS', 'SOCIAL_POSTERS', 'ECOSYSTEM_FUND'],
+            required: true,
+        },
+
+        durationInDays: {
+            type: Number,
+            required: true,
+            min: 1,
+            max: 365,
+        },
+
+        title: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 200,
+        },
+
+        description: {
+            type: String,
+            trim: true,
+            maxlength: 1000,
+        },
+
+        tags: [{
+            type: String,
+            trim: true,
+        }],
+
+        category: {
+            type: String,
+            trim: true,
+        },
+
+        // Draft this one revises; previews diff against it
+        previousDraftId: {
+            type: String,
+            default: null,
+        },
+
+        // Uploaded file (unset for drafts created from an inline allocations array)
+        source: {
+            filename: String,
+            format: {
+                type: String,
+                enum: ['csv', 'json'],
+            },
+            bytes: Number,
+            sha256: String,
+        },
+
+        // What happened to repeated addresses: summed into one allocation, or reported as row errors
+        duplicatePolicy: {
+            type: String,
+            enum: ['sum', 'reject'],
+            required: true,
+        },
+
+        // Data rows read from the file (header excluded)
+        rowCount: {
+            type: Number,
+            required: true,
+        },
+
+        invalidRowCount: {
+            type: Number,
+            default: 0,
+        },
+
+        // Rows whose address was already seen (summed or rejected per duplicatePolicy)
+        duplicateRowCount: {
+            type: Number,
+            default: 0,
+        },
+
+        // Unique recipients in the draft
+        recipientCount: {
+            type: Number,
+            required: true,
+            min: 1,
+        },
+
+        // Sum of all allocations in wei
+        totalAllocated: {
+            type: String,
+            required: true,
+        },
+
+        // Root of the tree built from the allocations; publishing must reproduce it
+        merkleRoot: {
+            type: String,
+            required: true,
+            match: /^0x[a-fA-F0-9]{64}$/,
+        },
+
+        // MerkleTreeBuilder.getTreeStats() (amounts in wei)
+        stats: {
+            treeDepth: Number,
+            averageAllocation: String,
+            minAllocation: String,
+            maxAllocation: String,
+        },
+
+        // Last vault balance check (refreshed by every preview)
+        vaultCheck: {
+            available: String,
+            required: String,
+            sufficient: Boolean,
+            checkedAt: Date,
+        },
+
+        // Last diff against previousDraftId (refreshed by every preview)
+        diff: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+
+        // First MERKLE_UPLOAD_MAX_ROW_ERRORS row errors (rows that were left out of the draft)
+        rowErrors: [{
+            _id: false,
+            row: Number,
+            address: String,
+            amount: String,
+            message: String,
+        }],
+
+        rowErrorsTruncated: {
+            type: Boolean,
+            default: false,
+        },
+
+        // API key that uploaded the file
+        createdBy: {
+            keyId: String,
+            keyName: String,
+        },
+
+        // On-chain submission (POST /api/merkle/drafts/:draftId/publish, after admin approval)
+        publish: {
+            operationId: String,
+            attemptedAt: Date,
+            transactionHash: String,
+            distributionId: Number,
+            blockNumber: Number,
+            publishedAt: Date,
+            error: String,
+        },
+    },
+    {
+        timestamps: true,
+        collection: 'merkle_distribution_drafts',
+    }
+);
+
+merkleDistributionDraftSchema.index({ createdAt: -1 });
+
+const MerkleDistributionDraft = mongoose.model('MerkleDistributionDraft', merkleDistributionDraftSchema);
+
+module.exports = MerkleDistributionDraft;
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * MerkleDraftAllocation Model
+ * One recipient of a MerkleDistributionDraft, after address normalization and deduplication
+ */
+const merkleDraftAllocationSchema = new mongoose.Schema(
+    {
+        draftId: {
+            type: String,
+            required: true,
+        },
+
+        // Recipient address (lowercase, like MerkleLeaf.userAddress)
+        address: {
+            type: String,
+            required: true,
+            match: /^0x[a-f0-9]{40}$/,
+        },
+
+        // Allocation in wei
+        amount: {
+            type: String,
+            required: true,
+        },
+
+        // File rows this allocation came from (more than one when duplicates were summed)
+        sourceRows: [{
+            type: Number,
+        }],
+    },
+    {
+        collection: 'merkle_draft_allocations',
+    }
+);
+
+merkleDraftAllocationSchema.index({ draftId: 1, address: 1 }, { unique: true });
+
+const MerkleDraftAllocation = mongoose.model('MerkleDraftAllocation', merkleDraftAllocationSchema);
+
+module.exports = MerkleDraftAllocation;
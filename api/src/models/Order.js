@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+
+/**
+ * MWGOrderBook order enums (mirror the Solidity enums)
+ */
+const ORDER_TYPE = {
+    BUY: 0,
+    SELL: 1
+};
+
+const ORDER_STATUS = {
+    ACTIVE: 0,
+    FILLED: 1,
+    PARTIALLY_FILLED: 2,
+    CANCELLED: 3,
+    EXPIRED: 4
+};
+
+/**
+ * Schema for MWGOrderBook orders
+ * One document per on-chain order, kept in sync by the order book indexer.
+ * All token amounts are stored as wei strings to avoid precision loss.
+ */
+const orderSchema = new mongoose.Schema({
+    orderId: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+
+    user: {
+        type: String,
+        required: true,
+        lowercase: true,
+        index: true
+    },
+
+    orderType: {
+        type: Number,
+        enum: Object.values(ORDER_TYPE),
+        required: true,
+        index: true
+    },
+
+    // Amounts (wei strings)
+    mwgAmount: {
+        type: String,
+        required: true
+    },
+
+    bnbAmount: {
+        type: String,
+        required: true
+    },
+
+    pricePerMWG: {
+        type: String,
+        required: true
+    },
+
+    filled: {
+        type: String,
+        default: '0'
+    },
+
+    remaining: {
+        type: String,
+        required: true
+    },
+
+    status: {
+        type: Number,
+        enum: Object.values(ORDER_STATUS),
+        default: ORDER_STATUS.ACTIVE,
+        index: true
+    },
+
+    feeAtCreation: {
+        type: String,
+        default: '0'
+    },
+
+    // Chain metadata
+    txHash: {
+        type: String,
+        required: true
+    },
+
+    logIndex: {
+        type: Number,
+        default: null
+    },
+
+    blockNumber: {
+        type: Number,
+        required: true,
+        index: true
+    },
+
+    createdAt: {
+        type: Date,
+        required: true,
+        index: true
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: true
+    },
+
+    // Block of the OrderExpired event, if the order was expired on-chain
+    expiredBlock: {
+        type: Number,
+        default: null
+    },
+
+    lastUpdatedBlock: {
+        type: Number,
+        default: null
+    }
+}, {
+    // createdAt holds the on-chain creation time, so index time goes to indexedAt
+    timestamps: { createdAt: 'indexedAt', updatedAt: 'updatedAt' },
+    collection: 'orders'
+});
+
+// Indexes for efficient queries
+orderSchema.index({ status: 1, orderType: 1, expiresAt: 1 });
+orderSchema.index({ user: 1, createdAt: -1 });
+
+/**
+ * Whether the order can still be filled
+ */
+orderSchema.methods.isOpen = function () {
+    return (this.status === ORDER_STATUS.ACTIVE || this.status === ORDER_STATUS.PARTIALLY_FILLED) &&
+        this.expiresAt > new Date();
+};
+
+// Statics for common queries
+orderSchema.statics.findByOrderId = function (orderId) {
+    return this.findOne({ orderId: Number(orderId) });
+};
+
+/**
+ * Query filter matching orders that can still be filled
+ */
+orderSchema.statics.openFilter = function () {
+    return {
+        status: { $in: [ORDER_STATUS.ACTIVE, ORDER_STATUS.PARTIALLY_FILLED] },
+        expiresAt: { $gt: new Date() }
+    };
+};
+
+orderSchema.statics.ORDER_TYPE = ORDER_TYPE;
+orderSchema.statics.ORDER_STATUS = ORDER_STATUS;
+
+const Order = mongoose.model('Order', orderSchema);
+
+module.exports = Order;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for MWGOrderBook cancellations (OrderCancelled events)
+ */
+const orderCancellationSchema = new mongoose.Schema({
+    orderId: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+
+    user: {
+        type: String,
+        required: true,
+        lowercase: true,
+        index: true
+    },
+
+    // Refunds (wei strings)
+    bnbRefund: {
+        type: String,
+        default: '0'
+    },
+
+    mwgRefund: {
+        type: String,
+        default: '0'
+    },
+
+    // Chain metadata
+    txHash: {
+        type: String,
+        required: true
+    },
+
+    logIndex: {
+        type: Number,
+        default: null
+    },
+
+    blockNumber: {
+        type: Number,
+        required: true,
+        index: true
+    },
+
+    timestamp: {
+        type: Date,
+        required: true,
+        index: true
+    }
+}, {
+    timestamps: true,
+    collection: 'order_cancellations'
+});
+
+const OrderCancellation = mongoose.model('OrderCancellation', orderCancellationSchema);
+
+module.exports = OrderCancellation;
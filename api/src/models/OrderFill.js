@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for MWGOrderBook fills (OrderFilled events)
+ * fillKey is `${orderId}-${fillId}`, matching the subgraph entity id.
+ */
+const orderFillSchema = new mongoose.Schema({
+    fillKey: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    orderId: {
+        type: Number,
+        required: true,
+        index: true
+    },
+
+    fillId: {
+        type: Number,
+        required: true
+    },
+
+    filler: {
+        type: String,
+        required: true,
+        lowercase: true,
+        index: true
+    },
+
+    // Denormalised from the order so "fills on my orders" needs no join
+    orderCreator: {
+        type: String,
+        lowercase: true,
+        index: true
+    },
+
+    orderType: {
+        type: Number,
+        enum: [0, 1]
+    },
+
+    // Amounts (wei strings)
+    mwgAmount: {
+        type: String,
+        required: true
+    },
+
+    bnbAmount: {
+        type: String,
+        required: true
+    },
+
+    newStatus: {
+        type: Number,
+        required: true
+    },
+
+    // Chain metadata
+    txHash: {
+        type: String,
+        required: true
+    },
+
+    logIndex: {
+        type: Number,
+        default: null
+    },
+
+    blockNumber: {
+        type: Number,
+        required: true,
+        index: true
+    },
+
+    timestamp: {
+        type: Date,
+        required: true,
+        index: true
+    }
+}, {
+    timestamps: true,
+    collection: 'order_fills'
+});
+
+orderFillSchema.index({ orderId: 1, fillId: 1 });
+orderFillSchema.index({ filler: 1, timestamp: -1 });
+orderFillSchema.index({ orderCreator: 1, timestamp: -1 });
+
+// Statics for common queries
+orderFillSchema.statics.findByOrder = function (orderId) {
+    return this.find({ orderId: Number(orderId) }).sort({ fillId: 1 });
+};
+
+const OrderFill = mongoose.model('OrderFill', orderFillSchema);
+
+module.exports = OrderFill;
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for order fill notifications
+ * The unique fillKey (`${orderId}-${fillId}`) guarantees a maker is notified
+ * at most once per fill, however often the indexer re-reads the block.
+ */
+const orderFillNotificationSchema = new mongoose.Schema({
+    fillKey: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    orderId: {
+        type: Number,
+        required: true,
+        index: true
+    },
+
+    fillId: {
+        type: Number,
+        required: true
+    },
+
+    address: {
+        type: String,
+        required: true,
+        lowercase: true,
+        index: true
+    },
+
+    email: {
+        type: String,
+        default: null
+    },
+
+    status: {
+        type: String,
+        enum: ['sending', 'sent', 'failed', 'skipped'],
+        required: true,
+        default: 'sending'
+    },
+
+    attempts: {
+        type: Number,
+        default: 1
+    },
+
+    messageId: {
+        type: String,
+        default: null
+    },
+
+    error: {
+        type: String,
+        default: null
+    },
+
+    sentAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    collection: 'order_fill_notifications'
+});
+
+orderFillNotificationSchema.index({ status: 1, createdAt: -1 });
+
+const OrderFillNotification = mongoose.model('OrderFillNotification', orderFillNotificationSchema);
+
+module.exports = OrderFillNotification;
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+const OPERATION_STATUSES = ['PENDING', 'EXECUTING', 'EXECUTED', 'FAILED', 'REJECTED', 'CANCELLED', 'EXPIRED'];
+
+/**
+ * Sensitive operations awaiting a second admin (two-person rule)
+ * Proposed → approved by a different admin before expiresAt → executed by the server.
+ * Every state change is kept; see services/adminApprovals.js.
+ */
+const pendingOperationSchema = new mongoose.Schema({
+    id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // wallets.export-private-keys, liquidity.withdraw, merkle.create, ...
+    type: {
+        type: String,
+        required: true,
+        index: true
+    },
+
+    // Admin permission the approver must hold
+    permission: {
+        type: String,
+        required: true
+    },
+
+    // Validated request parameters the operation will run with
+    params: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+
+    // SHA-256 of the canonical params JSON, so approvers can confirm what they sign off on
+    paramsHash: {
+        type: String,
+        required: true
+    },
+
+    // Human readable description, e.g. "Export private keys for 12 wallets"
+    summary: {
+        type: String,
+        required: true
+    },
+
+    status: {
+        type: String,
+        enum: OPERATION_STATUSES,
+        default: 'PENDING',
+        index: true
+    },
+
+    proposedBy: {
+        // admin account, or api-key for API-key authenticated routes (merkle)
+        type: {
+            type: String,
+            enum: ['admin', 'api-key'],
+            required: true
+        },
+        id: {
+            type: String,
+            required: true
+        },
+        username: {
+            type: String,
+            required: true
+        },
+        // api-key proposals: the key's owning admin, who may not approve them
+        ownerAdminId: {
+            type: String,
+            default: null
+        }
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    // Approver, rejecter or (for CANCELLED) the proposer
+    decidedBy: {
+        id: {
+            type: String,
+            default: null
+        },
+        username: {
+            type: String,
+            default: null
+        }
+    },
+    decidedAt: {
+        type: Date,
+        default: null
+    },
+    decisionReason: {
+        type: String,
+        default: null
+    },
+
+    executedAt: {
+        type: Date,
+        default: null
+    },
+
+    // Outcome kept for the record (secrets such as private keys are never stored)
+    result: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+
+    error: {
+        message: {
+            type: String,
+            default: null
+        },
+        code: {
+            type: String,
+            default: null
+        }
+    }
+}, {
+    timestamps: true,
+    collection: 'pending_operations'
+});
+
+pendingOperationSchema.index({ status: 1, expiresAt: 1 });
+pendingOperationSchema.index({ createdAt: -1 });
+
+/**
+ * Mark PENDING operations past their TTL as EXPIRED
+ * @returns {Promise<number>} Operations expired
+ */
+pendingOperationSchema.statics.expireStale = async function (now = new Date()) {
+    const result = await this.updateMany(
+        { status: 'PENDING', expiresAt: { $lte: now } },
+        { $set: { status: 'EXPIRED' } }
+    );
+    return result.modifiedCount;
+};
+
+const PendingOperation = mongoose.model('PendingOperation', pendingOperationSchema);
+PendingOperation.STATUSES = OPERATION_STATUSES;
+
+module.exports = PendingOperation;
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+/**
+ * Fixed-window request counters for the Mongo-backed sliding-window rate limiter
+ * Shared by every API instance; old windows are removed by the TTL index.
+ */
+const rateLimitCounterSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true
+    },
+    windowStart: {
+        type: Date,
+        required: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    collection: 'rate_limit_counters'
+});
+
+rateLimitCounterSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
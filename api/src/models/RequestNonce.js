@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+/**
+ * Nonces seen on signed API requests (replay protection)
+ * Shared by every API instance; entries outlive the clock-skew window and are then
+ * removed by the TTL index.
+ */
+const requestNonceSchema = new mongoose.Schema({
+    // `${keyId}:${nonce}`
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    collection: 'request_nonces'
+});
+
+requestNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RequestNonce', requestNonceSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for wallet → email registrations used for order book notifications
+ * A registration is only stored after the wallet signed the registration message.
+ */
+const walletEmailSchema = new mongoose.Schema({
+    address: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true
+    },
+
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+
+    // Notification preferences
+    notifyOnPartialFill: {
+        type: Boolean,
+        default: true
+    },
+
+    notifyOnFullFill: {
+        type: Boolean,
+        default: true
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+
+    // Proof of wallet ownership
+    signature: {
+        type: String,
+        required: true
+    },
+
+    verifiedAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true,
+    collection: 'wallet_emails'
+});
+
+/**
+ * Email with the local part masked, safe to return from public endpoints
+ */
+walletEmailSchema.methods.getMaskedEmail = function () {
+    const [local, domain] = this.email.split('@');
+    const visible = local.slice(0, Math.min(2, local.length));
+    return `${visible}${'*'.repeat(Math.max(local.length - visible.length, 1))}@${domain}`;
+};
+
+walletEmailSchema.statics.findActiveByAddress = function (address) {
+    return this.findOne({ address: address.toLowerCase(), isActive: true });
+};
+
+const WalletEmail = mongoose.model('WalletEmail', walletEmailSchema);
+
+module.exports = WalletEmail;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for MWGOrderBook withdrawals (WithdrawalClaimed events)
+ * The contract only escrows BNB for pull-withdrawals today; amountType
+ * leaves room for MWG withdrawals without a schema change.
+ */
+const withdrawalSchema = new mongoose.Schema({
+    user: {
+        type: String,
+        required: true,
+        lowercase: true,
+        index: true
+    },
+
+    amount: {
+        type: String,
+        required: true
+    },
+
+    amountType: {
+        type: String,
+        enum: ['BNB', 'MWG'],
+        default: 'BNB'
+    },
+
+    // Chain metadata
+    txHash: {
+        type: String,
+        required: true
+    },
+
+    logIndex: {
+        type: Number,
+        required: true
+    },
+
+    blockNumber: {
+        type: Number,
+        required: true,
+        index: true
+    },
+
+    timestamp: {
+        type: Date,
+        required: true,
+        index: true
+    }
+}, {
+    timestamps: true,
+    collection: 'order_withdrawals'
+});
+
+// A single log is unique by transaction hash + log index
+withdrawalSchema.index({ txHash: 1, logIndex: 1 }, { unique: true });
+withdrawalSchema.index({ user: 1, timestamp: -1 });
+
+const Withdrawal = mongoose.model('Withdrawal', withdrawalSchema);
+
+module.exports = Withdrawal;
@@ -1,2 +1,36 @@
 // Export all models
-module.exports = {};
+const AdminAuditLog = require('./AdminAuditLog');
+const AdminLoginChallenge = require('./AdminLoginChallenge');
+const AdminUser = require('./AdminUser');
+const ApiKeyDistributionQuota = require('./ApiKeyDistributionQuota');
+const ApiKeyUsage = require('./ApiKeyUsage');
+const DistributionJob = require('./DistributionJob');
+const IdempotencyRecord = require('./IdempotencyRecord');
+const Order = require('./Order');
+const OrderCancellation = require('./OrderCancellation');
+const OrderFill = require('./OrderFill');
+const OrderFillNotification = require('./OrderFillNotification');
+const PendingOperation = require('./PendingOperation');
+const RateLimitCounter = require('./RateLimitCounter');
+const RequestNonce = require('./RequestNonce');
+const WalletEmail = require('./WalletEmail');
+const Withdrawal = require('./Withdrawal');
+
+module.exports = {
+    AdminAuditLog,
+    AdminLoginChallenge,
+    AdminUser,
+    ApiKeyDistributionQuota,
+    ApiKeyUsage,
+    DistributionJob,
+    IdempotencyRecord,
+    Order,
+    OrderCancellation,
+    OrderFill,
+    OrderFillNotification,
+    PendingOperation,
+    RateLimitCounter,
+    RequestNonce,
+    WalletEmail,
+    Withdrawal
+};
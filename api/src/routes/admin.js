@@ -1,9 +1,13 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
-const crypto = require('crypto');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { clearApiKeyCache, rotateApiKey, setApiKeySigning, setApiKeyCallback } = require('../middleware/auth');
+const { requireAdmin, auditAdminAction, ROLE_PERMISSIONS } = require('../middleware/adminAuth');
 const ApiKey = require('../models/ApiKey');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+const AdminUser = require('../models/AdminUser');
+const PendingOperation = require('../models/PendingOperation');
 const Wallet = require('../models/Wallet');
 const { generateEncryptedWallet, decryptPrivateKey } = require('../utils/walletUtils');
 const logger = require('../utils/logger');
@@ -11,6 +15,8 @@ const distributionFinalizer = require('../services/distributionFinalizer');
 const cronJobsService = require('../services/cronJobs');
 const walletBalanceMonitor = require('../services/walletBalanceMonitor');
 const emailService = require('../services/emailService');
+const adminAccounts = require('../services/adminAccounts');
+const adminApprovals = require('../services/adminApprovals');
 const LiquidityManager = require('../bot/services/liquidityManager');
 
 const router = express.Router();
@@ -25,106 +31,176 @@ function getLiquidityManager() {
 }
 
 /**
- * Validation helper
+ * Decrypt the private keys of stored wallets
+ * @param {Array<string>} addresses - Wallet addresses
+ * @returns {Promise<Object>} { keys: { address: privateKey }, found, notFound } (addresses lowercased)
  */
-const handleValidationErrors = (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-        return res.status(400).json({
-            success: false,
-            error: {
-                message: 'Validation failed',
-                code: 'VALIDATION_ERROR',
-                details: errors.array()
-            }
+async function exportPrivateKeys(addresses) {
+    // Convert addresses to lowercase for case-insensitive search
+    const lowercaseAddresses = addresses.map(addr => addr.toLowerCase());
+
+    // Find all wallets matching the addresses
+    const wallets = await Wallet.find({
+        address: { $in: lowercaseAddresses }
+    });
+
+    const keys = {};
+    for (const wallet of wallets) {
+        keys[wallet.address] = decryptPrivateKey(wallet.encryptedPrivateKey, wallet.iv);
+    }
+
+    const foundAddresses = wallets.map(w => w.address);
+    const notFound = lowercaseAddresses.filter(addr => !foundAddresses.includes(addr));
+
+    return { keys, found: foundAddresses, notFound };
+}
+
+// Keys are handed to the approving admin only; the operation record keeps the addresses
+const recordKeyExport = ({ found, notFound }) => ({ found, notFound });
+
+// Two-person operations (see services/adminApprovals.js)
+adminApprovals.registerOperation('wallets.export-private-key', {
+    permission: 'wallets:export',
+    describe: ({ address }) => `Export private key for wallet ${address}`,
+    execute: async ({ address }) => {
+        const wallet = await Wallet.findOne({ address });
+        if (!wallet) {
+            throw new Error(`Wallet ${address} not found`);
+        }
+        return {
+            id: wallet.id,
+            address: wallet.address,
+            privateKey: decryptPrivateKey(wallet.encryptedPrivateKey, wallet.iv)
+        };
+    },
+    record: ({ address }) => ({ address }),
+    respond: (res, { id, address, privateKey }, operation) => {
+        logger.warn(`🔑 Private key for wallet ${address} released for operation ${operation.id} to ${operation.decidedBy.username} (proposed by ${operation.proposedBy.username})`);
+
+        res.json({
+            success: true,
+            data: {
+                id,
+                address,
+                privateKey,
+                warning: 'PRIVATE KEY EXPOSED - Handle with extreme care!'
+            },
+            operation: adminApprovals.formatOperation(operation)
         });
     }
-    next();
-};
+});
 
-/**
- * Admin secret validation middleware
- * Validates X-Admin-Secret header against hashed secret
- */
-const validateAdminSecret = async (req, res, next) => {
-    try {
-        const adminSecret = req.headers['x-admin-secret'];
+adminApprovals.registerOperation('wallets.export-private-keys', {
+    permission: 'wallets:export',
+    describe: ({ addresses }) => `Export private keys for ${addresses.length} wallet(s)`,
+    execute: ({ addresses }) => exportPrivateKeys(addresses),
+    record: recordKeyExport,
+    respond: (res, { keys, found, notFound }, operation) => {
+        logger.warn(`🔑🔑🔑 BATCH PRIVATE KEY ACCESS: ${found.length} keys released for operation ${operation.id} to ${operation.decidedBy.username} (proposed by ${operation.proposedBy.username})`);
 
-        if (!adminSecret) {
-            logger.warn(`Missing admin secret header from ${req.ip}`);
-            return res.status(401).json({
-                success: false,
-                error: {
-                    message: 'Admin secret required',
-                    code: 'MISSING_ADMIN_SECRET',
-                    details: 'Provide admin secret in X-Admin-Secret header'
-                }
-            });
+        if (notFound.length > 0) {
+            logger.info(`⚠️  ${notFound.length} addresses not found in database`);
         }
 
-        // Hash the provided secret with optional salt
-        const salt = process.env.ADMIN_SECRET_SALT || '';
-        const providedHash = crypto.createHash('sha256')
-            .update(adminSecret + salt)
-            .digest('hex');
+        res.json({
+            success: true,
+            data: keys,
+            found: found.length,
+            notFound: notFound.length,
+            operation: adminApprovals.formatOperation(operation)
+        });
+    }
+});
 
-        const storedHash = process.env.ADMIN_SECRET_HASH;
+adminApprovals.registerOperation('wallets.export-private-keys-csv', {
+    permission: 'wallets:export',
+    describe: ({ addresses }) => `Export private keys for ${addresses.length} wallet(s) as CSV`,
+    execute: ({ addresses }) => exportPrivateKeys(addresses),
+    record: recordKeyExport,
+    respond: (res, { keys, found, notFound }, operation) => {
+        // Build CSV content
+        let csv = 'address,privateKey\n';
 
-        if (!storedHash) {
-            logger.error('ADMIN_SECRET_HASH not configured');
-            return res.status(500).json({
-                success: false,
-                error: {
-                    message: 'Admin authentication not configured',
-                    code: 'CONFIG_ERROR'
-                }
-            });
+        for (const address of found) {
+            csv += `${address},${keys[address]}\n`;
+            logger.info(`🔑 Private key accessed for CSV export: ${address}`);
         }
 
-        // Check length before timing-safe comparison to prevent crash
-        if (providedHash.length !== storedHash.length) {
-            logger.warn(`Invalid admin secret attempt from ${req.ip} - hash length mismatch`);
-            return res.status(403).json({
-                success: false,
-                error: {
-                    message: 'Invalid admin secret',
-                    code: 'INVALID_ADMIN_SECRET'
-                }
-            });
+        if (notFound.length > 0) {
+            logger.warn(`⚠️  ${notFound.length} addresses not found for CSV export`);
+            // Add comment in CSV about missing addresses
+            csv += `\n# Note: ${notFound.length} addresses were not found in the database\n`;
+            csv += `# Missing addresses: ${notFound.join(', ')}\n`;
         }
 
-        // Use timing-safe comparison to prevent timing attacks
-        const isValid = crypto.timingSafeEqual(
-            Buffer.from(providedHash, 'hex'),
-            Buffer.from(storedHash, 'hex')
-        );
+        // Set headers for CSV download
+        const timestamp = Date.now();
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="wallet-private-keys-${timestamp}.csv"`);
+        res.setHeader('X-Operation-Id', operation.id);
 
-        if (!isValid) {
-            logger.warn(`Invalid admin secret attempt from ${req.ip}: ${adminSecret.substring(0, 8)}...`);
-            return res.status(403).json({
-                success: false,
-                error: {
-                    message: 'Invalid admin secret',
-                    code: 'INVALID_ADMIN_SECRET'
-                }
-            });
-        }
+        logger.warn(`⚠️⚠️⚠️ CSV with ${found.length} PRIVATE KEYS released for operation ${operation.id} to ${operation.decidedBy.username} (proposed by ${operation.proposedBy.username})`);
 
-        logger.info(`Admin secret validated for request from ${req.ip}`);
-        next();
+        res.send(csv);
+    }
+});
 
-    } catch (error) {
-        logger.error('Admin secret validation error:', error);
-        res.status(500).json({
+adminApprovals.registerOperation('liquidity.withdraw', {
+    permission: 'liquidity:withdraw',
+    describe: ({ tokens, slippage }) => `Withdraw all V2 LP liquidity for ${tokens.length} token(s) at ${slippage}% slippage`,
+    execute: ({ tokens, slippage }) => getLiquidityManager().bulkCheckAndWithdraw(tokens, slippage)
+});
+
+/**
+ * Validation helper
+ */
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
             success: false,
             error: {
-                message: 'Admin authentication error',
-                code: 'AUTH_ERROR'
+                message: 'Validation failed',
+                code: 'VALIDATION_ERROR',
+                details: errors.array()
             }
         });
     }
+    next();
 };
 
+/**
+ * Validation for ApiKey.scopes (distribution restrictions)
+ */
+const scopeValidators = [
+    body('scopes')
+        .optional()
+        .isObject()
+        .withMessage('Scopes must be an object'),
+    body('scopes.vaultTypes')
+        .optional()
+        .isArray()
+        .withMessage('scopes.vaultTypes must be an array'),
+    body('scopes.vaultTypes.*')
+        .isInt({ min: 0, max: 3 })
+        .withMessage('Each vault type must be 0-3'),
+    body('scopes.maxAmountPerCall')
+        .optional({ nullable: true })
+        .isFloat({ gt: 0 })
+        .withMessage('scopes.maxAmountPerCall must be a positive number or null'),
+    body('scopes.maxDailyTotal')
+        .optional({ nullable: true })
+        .isFloat({ gt: 0 })
+        .withMessage('scopes.maxDailyTotal must be a positive number or null'),
+    body('scopes.allowedRecipients')
+        .optional()
+        .isArray()
+        .withMessage('scopes.allowedRecipients must be an array'),
+    body('scopes.allowedRecipients.*')
+        .isEthereumAddress()
+        .withMessage('Each allowed recipient must be a valid Ethereum address')
+];
+
 /**
  * Rate limiting for admin endpoints (stricter than regular API)
  */
@@ -148,20 +224,292 @@ const adminRateLimit = rateLimit({
     }
 });
 
+// adminAccounts / adminApprovals error code → HTTP status
+const SERVICE_ERROR_STATUS = {
+    INVALID_CHALLENGE: 401,
+    INVALID_CREDENTIALS: 401,
+    TOTP_REUSED: 401,
+    NO_SIGN_IN_METHOD: 400,
+    ADMIN_NOT_FOUND: 404,
+    ADMIN_EXISTS: 409,
+    WALLET_IN_USE: 409,
+    SELF_LOCKOUT: 409,
+    NAMED_ADMIN_REQUIRED: 403,
+    API_KEY_OWNER_REQUIRED: 403,
+    SELF_APPROVAL: 403,
+    NOT_PROPOSER: 403,
+    INSUFFICIENT_ADMIN_PERMISSIONS: 403,
+    OPERATION_NOT_FOUND: 404,
+    OPERATION_NOT_PENDING: 409,
+    OPERATION_EXPIRED: 409,
+    OPERATION_FAILED: 500
+};
+
+/**
+ * Send an adminAccounts / adminApprovals error; rethrows anything unexpected
+ */
+const sendServiceError = (res, error) => {
+    const status = SERVICE_ERROR_STATUS[error.code];
+    if (!status) throw error;
+
+    return res.status(status).json({
+        success: false,
+        error: {
+            message: error.message,
+            code: error.code,
+            ...(error.required && { required: error.required }),
+            ...(error.operation && { operation: adminApprovals.formatOperation(error.operation) })
+        }
+    });
+};
+
+/**
+ * Propose a two-person operation and answer 202 with the pending record
+ */
+const proposeOperation = async (req, res, type, params) => {
+    let operation;
+    try {
+        operation = await adminApprovals.propose(type, params, {
+            type: 'admin',
+            id: req.admin.id,
+            username: req.admin.username
+        });
+    } catch (error) {
+        return sendServiceError(res, error);
+    }
+
+    res.status(202).json({
+        success: true,
+        data: {
+            operation: adminApprovals.formatOperation(operation),
+            message: `Awaiting approval by a second admin: POST /api/admin/approvals/${operation.id}/approve`
+        }
+    });
+};
+
+/**
+ * Validation for admin account roles
+ */
+const roleValidators = [
+    body('roles')
+        .isArray({ min: 1 })
+        .withMessage('roles must be a non-empty array'),
+    body('roles.*')
+        .isIn(AdminUser.ROLES)
+        .withMessage(`Each role must be one of: ${AdminUser.ROLES.join(', ')}`)
+];
+
 /**
  * @swagger
- * /api/admin/generate-key:
+ * /api/admin/auth/siwe/nonce:
  *   post:
- *     summary: Generate a new API key (Admin only - requires X-Admin-Secret header)
+ *     summary: Start a Sign-In with Ethereum admin sign-in
+ *     description: Returns an EIP-4361 message to sign with personal_sign, valid for ADMIN_SIWE_CHALLENGE_TTL_SECONDS (default 300)
  *     tags: [Admin]
  *     security: []
- *     parameters:
- *       - in: header
- *         name: X-Admin-Secret
- *         required: true
- *         schema:
- *           type: string
- *         description: Admin secret for authentication (hashed validation)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - walletAddress
+ *             properties:
+ *               walletAddress:
+ *                 type: string
+ *                 example: "0x1234567890123456789012345678901234567890"
+ *     responses:
+ *       200:
+ *         description: Challenge created (returned for any address)
+ *       400:
+ *         description: Invalid wallet address
+ */
+router.post('/auth/siwe/nonce',
+    adminRateLimit,
+    [
+        body('walletAddress')
+            .isEthereumAddress()
+            .withMessage('walletAddress must be a valid Ethereum address')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const challenge = await adminAccounts.createSiweChallenge(req.body.walletAddress, req.ip);
+
+        res.json({
+            success: true,
+            data: challenge
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/auth/siwe/verify:
+ *   post:
+ *     summary: Complete a Sign-In with Ethereum admin sign-in
+ *     description: Each challenge can be used once. Returns a session token to send as a Bearer token in the Authorization header.
+ *     tags: [Admin]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nonce
+ *               - signature
+ *             properties:
+ *               nonce:
+ *                 type: string
+ *               signature:
+ *                 type: string
+ *                 description: personal_sign signature of the challenge message
+ *     responses:
+ *       200:
+ *         description: Signed in
+ *       401:
+ *         description: Invalid or expired challenge, wrong signer or no active admin for the wallet
+ */
+router.post('/auth/siwe/verify',
+    adminRateLimit,
+    auditAdminAction('auth.siwe'),
+    [
+        body('nonce')
+            .isHexadecimal()
+            .isLength({ min: 32, max: 32 })
+            .withMessage('Invalid nonce'),
+        body('signature')
+            .matches(/^0x[0-9a-fA-F]{130}$/)
+            .withMessage('signature must be a 65-byte hex signature')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        let result;
+        try {
+            result = await adminAccounts.verifySiwe(req.body.nonce, req.body.signature);
+        } catch (error) {
+            logger.warn(`Failed admin SIWE sign-in from ${req.ip}: ${error.message}`);
+            return sendServiceError(res, error);
+        }
+
+        req.auditActor = { id: result.admin.id, username: result.admin.username, method: 'siwe' };
+
+        res.json({
+            success: true,
+            data: {
+                token: result.session.token,
+                expiresAt: result.session.expiresAt,
+                admin: result.admin
+            }
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/auth/login:
+ *   post:
+ *     summary: Admin sign-in with username and TOTP code
+ *     description: Each code is accepted once. Returns a session token to send as a Bearer token in the Authorization header.
+ *     tags: [Admin]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - totp
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 example: "alice"
+ *               totp:
+ *                 type: string
+ *                 description: Current 6-digit code from the authenticator app
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Signed in
+ *       401:
+ *         description: Invalid username or code, or code already used
+ */
+router.post('/auth/login',
+    adminRateLimit,
+    auditAdminAction('auth.login'),
+    [
+        body('username')
+            .isString()
+            .trim()
+            .isLength({ min: 3, max: 32 })
+            .withMessage('username is required'),
+        body('totp')
+            .matches(/^\d{6}$/)
+            .withMessage('totp must be a 6-digit code')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const { username, totp } = req.body;
+        req.auditActor = { username: username.toLowerCase(), method: 'totp' };
+
+        let result;
+        try {
+            result = await adminAccounts.loginWithTotp(username, totp);
+        } catch (error) {
+            logger.warn(`Failed admin TOTP sign-in for ${username} from ${req.ip}: ${error.message}`);
+            return sendServiceError(res, error);
+        }
+
+        req.auditActor.id = result.admin.id;
+
+        res.json({
+            success: true,
+            data: {
+                token: result.session.token,
+                expiresAt: result.session.expiresAt,
+                admin: result.admin
+            }
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/auth/me:
+ *   get:
+ *     summary: Current admin, roles and permissions
+ *     tags: [Admin]
+ *     security:
+ *       - AdminBearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Signed-in admin
+ *       401:
+ *         description: Not signed in as an admin
+ */
+router.get('/auth/me',
+    adminRateLimit,
+    requireAdmin(),
+    (req, res) => {
+        res.json({
+            success: true,
+            data: req.admin
+        });
+    }
+);
+
+/**
+ * @swagger
+ * /api/admin/generate-key:
+ *   post:
+ *     summary: Generate a new API key (requires keys:write)
+ *     tags: [Admin]
+ *     security:
+ *       - AdminBearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -194,6 +542,16 @@ const adminRateLimit = rateLimit({
  *                 type: integer
  *                 description: Daily token distribution limit
  *                 example: 10000
+ *               dailyRequestLimit:
+ *                 type: integer
+ *                 description: Daily distribution request limit
+ *                 example: 500
+ *               scopes:
+ *                 $ref: '#/components/schemas/ApiKeyScopes'
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the key stops working (optional, default never)
  *     responses:
  *       201:
  *         description: API key created successfully
@@ -231,15 +589,16 @@ const adminRateLimit = rateLimit({
  *       400:
  *         description: Invalid request data
  *       401:
- *         description: Missing admin secret
+ *         description: Not signed in as an admin
  *       403:
- *         description: Invalid admin secret
+ *         description: Insufficient admin permissions
  *       429:
  *         description: Rate limit exceeded
  */
 router.post('/generate-key',
     adminRateLimit,
-    validateAdminSecret,
+    auditAdminAction('keys.generate'),
+    requireAdmin('keys:write'),
     [
         body('name')
             .isString()
@@ -269,7 +628,17 @@ router.post('/generate-key',
         body('dailyLimit')
             .optional()
             .isInt({ min: 0, max: 1000000 })
-            .withMessage('Daily limit must be 0-1000000')
+            .withMessage('Daily limit must be 0-1000000'),
+        body('dailyRequestLimit')
+            .optional()
+            .isInt({ min: 0, max: 1000000 })
+            .withMessage('Daily request limit must be 0-1000000'),
+        body('expiresAt')
+            .optional({ nullable: true })
+            .isISO8601()
+            .custom(value => new Date(value) > new Date())
+            .withMessage('expiresAt must be a future ISO 8601 date'),
+        ...scopeValidators
     ],
     handleValidationErrors,
     asyncHandler(async (req, res) => {
@@ -278,21 +647,29 @@ router.post('/generate-key',
             permissions = ['read'],
             gameName,
             description,
-            dailyLimit
+            dailyLimit,
+            dailyRequestLimit,
+            scopes,
+            expiresAt
         } = req.body;
 
         // Generate the API key
         const { apiKey, keyData } = ApiKey.generateApiKey(name, permissions, {
             gameName,
             description,
-            rateLimitOverride: dailyLimit
+            rateLimitOverride: dailyLimit,
+            dailyRequestLimit,
+            scopes,
+            // Legacy ADMIN_SECRET sessions have no account; such keys get an owner when rotated
+            owner: req.admin.id ? { adminId: req.admin.id, username: req.admin.username } : undefined,
+            expiresAt: expiresAt ? new Date(expiresAt) : null
         });
 
         // Save to database
         const newApiKey = new ApiKey(keyData);
         await newApiKey.save();
 
-        logger.info(`API key generated via admin endpoint: ${name} by admin from ${req.ip}`);
+        logger.info(`API key generated via admin endpoint: ${name} by admin ${req.admin.username} from ${req.ip}`);
 
         // Return the key (only time the plain key is returned)
         res.status(201).json({
@@ -304,7 +681,11 @@ router.post('/generate-key',
                 permissions: keyData.permissions,
                 gameName: keyData.gameName,
                 description: keyData.description,
-                dailyLimit: keyData.rateLimitOverride,
+                dailyLimit: newApiKey.rateLimitOverride,
+                dailyRequestLimit: newApiKey.dailyRequestLimit,
+                scopes: newApiKey.scopes,
+                owner: newApiKey.owner,
+                expiresAt: newApiKey.expiresAt,
                 createdAt: newApiKey.createdAt
             }
         });
@@ -315,23 +696,18 @@ router.post('/generate-key',
  * @swagger
  * /api/admin/keys:
  *   get:
- *     summary: List all API keys (Admin only)
+ *     summary: List all API keys (requires keys:read)
  *     tags: [Admin]
- *     security: []
- *     parameters:
- *       - in: header
- *         name: X-Admin-Secret
- *         required: true
- *         schema:
- *           type: string
- *         description: Admin secret for authentication
+ *     security:
+ *       - AdminBearerAuth: []
  *     responses:
  *       200:
  *         description: API keys retrieved successfully
  */
 router.get('/keys',
     adminRateLimit,
-    validateAdminSecret,
+    auditAdminAction('keys.list'),
+    requireAdmin('keys:read'),
     asyncHandler(async (req, res) => {
         const keys = await ApiKey.find({})
             .select('-hashedKey') // Never return the hash
@@ -346,80 +722,230 @@ router.get('/keys',
 
 /**
  * @swagger
- * /api/admin/keys/{id}/revoke:
- *   post:
- *     summary: Revoke an API key (Admin only)
+ * /api/admin/keys/expiring:
+ *   get:
+ *     summary: List active API keys nearing expiry (requires keys:read)
+ *     description: Includes keys in a rotation grace period and keys already past expiresAt that are still active
  *     tags: [Admin]
- *     security: []
+ *     security:
+ *       - AdminBearerAuth: []
  *     parameters:
- *       - in: header
- *         name: X-Admin-Secret
- *         required: true
+ *       - in: query
+ *         name: days
  *         schema:
- *           type: string
- *         description: Admin secret for authentication
- *       - in: path
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *           default: 14
+ *         description: Look-ahead window in days
+ *     responses:
+ *       200:
+ *         description: Keys expiring within the window, soonest first
+ */
+router.get('/keys/expiring',
+    adminRateLimit,
+    auditAdminAction('keys.list-expiring'),
+    requireAdmin('keys:read'),
+    [
+        query('days')
+            .optional()
+            .isInt({ min: 1, max: 365 })
+            .withMessage('days must be 1-365')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const days = parseInt(req.query.days || 14);
+        const now = Date.now();
+
+        const keys = await ApiKey.getExpiring(days);
+
+        res.json({
+            success: true,
+            data: keys.map(key => ({
+                id: key.id,
+                name: key.name,
+                gameName: key.gameName,
+                permissions: key.permissions,
+                expiresAt: key.expiresAt,
+                expired: key.expiresAt.getTime() <= now,
+                hoursRemaining: Math.max(0, Math.round((key.expiresAt.getTime() - now) / (60 * 60 * 1000) * 10) / 10),
+                rotatedTo: key.rotatedTo,
+                lastUsed: key.lastUsed
+            })),
+            count: keys.length,
+            days
+        });
+    })
+);
+
+// Longest range per granularity for /keys/:id/usage
+const USAGE_MAX_RANGE_DAYS = { hour: 31, day: 366 };
+const USAGE_DEFAULT_RANGE_DAYS = { hour: 1, day: 30 };
+
+/**
+ * @swagger
+ * /api/admin/keys/{id}/usage:
+ *   get:
+ *     summary: Request usage time series for an API key (requires keys:read)
+ *     description: |
+ *       Requests and error responses (status >= 400) per hour or day, with a per-endpoint breakdown.
+ *       Endpoints are route patterns (e.g. /api/tokens/distribute). Counts are written in batches,
+ *       so the last API_USAGE_FLUSH_SECONDS (default 10) may not be included yet.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminBearerAuth: []
+ *     parameters:
+ *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: API key ID to revoke
+ *         description: API key ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Range start (default 24 hours, or 30 days for granularity=day, before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Range end (default now)
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [hour, day]
+ *           default: hour
+ *         description: Bucket size; ranges are limited to 31 days hourly and 366 days daily
+ *       - in: query
+ *         name: endpoint
+ *         schema:
+ *           type: string
+ *         description: Only count one endpoint pattern
  *     responses:
  *       200:
- *         description: API key revoked successfully
+ *         description: Totals, per-endpoint breakdown and time series (UTC buckets, empty buckets omitted)
+ *       400:
+ *         description: Invalid or too long range
+ *       404:
+ *         description: API key not found
  */
-router.post('/keys/:id/revoke',
+router.get('/keys/:id/usage',
     adminRateLimit,
-    validateAdminSecret,
+    auditAdminAction('keys.usage'),
+    requireAdmin('keys:read'),
+    [
+        query('from')
+            .optional()
+            .isISO8601()
+            .withMessage('from must be an ISO 8601 date'),
+        query('to')
+            .optional()
+            .isISO8601()
+            .withMessage('to must be an ISO 8601 date'),
+        query('granularity')
+            .optional()
+            .isIn(['hour', 'day'])
+            .withMessage('granularity must be hour or day'),
+        query('endpoint')
+            .optional()
+            .isString()
+            .isLength({ max: 200 })
+            .withMessage('endpoint must be a route pattern')
+    ],
+    handleValidationErrors,
     asyncHandler(async (req, res) => {
         const { id } = req.params;
+        const granularity = req.query.granularity || 'hour';
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from
+            ? new Date(req.query.from)
+            : new Date(to.getTime() - USAGE_DEFAULT_RANGE_DAYS[granularity] * 24 * 60 * 60 * 1000);
 
-        const apiKey = await ApiKey.findOne({ id });
-        if (!apiKey) {
-            return res.status(404).json({
+        if (from >= to) {
+            return res.status(400).json({
                 success: false,
                 error: {
-                    message: 'API key not found',
-                    code: 'KEY_NOT_FOUND'
+                    message: 'from must be before to',
+                    code: 'INVALID_RANGE'
                 }
             });
         }
-
-        if (!apiKey.isActive) {
+        if (to - from > USAGE_MAX_RANGE_DAYS[granularity] * 24 * 60 * 60 * 1000) {
             return res.status(400).json({
                 success: false,
                 error: {
-                    message: 'API key is already revoked',
-                    code: 'KEY_ALREADY_REVOKED'
+                    message: `Range too long for granularity=${granularity} (max ${USAGE_MAX_RANGE_DAYS[granularity]} days)`,
+                    code: 'INVALID_RANGE'
                 }
             });
         }
 
-        await apiKey.deactivate();
+        const apiKey = await ApiKey.findOne({ id })
+            .select('id name gameName isActive usageCount lastUsed')
+            .lean();
+        if (!apiKey) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: 'API key not found',
+                    code: 'KEY_NOT_FOUND'
+                }
+            });
+        }
 
-        logger.info(`API key revoked via admin endpoint: ${apiKey.name} by admin from ${req.ip}`);
+        const usage = await ApiKeyUsage.getSeries(id, {
+            from,
+            to,
+            granularity,
+            endpoint: req.query.endpoint || null
+        });
 
         res.json({
             success: true,
-            message: 'API key revoked successfully'
+            data: {
+                key: {
+                    id: apiKey.id,
+                    name: apiKey.name,
+                    gameName: apiKey.gameName,
+                    isActive: apiKey.isActive,
+                    usageCount: apiKey.usageCount,
+                    lastUsed: apiKey.lastUsed
+                },
+                from,
+                to,
+                granularity,
+                endpoint: req.query.endpoint || null,
+                ...usage
+            }
         });
     })
 );
 
 /**
  * @swagger
- * /api/admin/wallets/generate:
+ * /api/admin/keys/{id}/rotate:
  *   post:
- *     summary: Generate one or more EVM wallet addresses (Admin only)
+ *     summary: Rotate an API key (requires keys:write)
+ *     description: |
+ *       Issues a successor key with the same name, permissions, scopes and metadata. The old key keeps
+ *       working until the grace period ends (API_KEY_ROTATION_GRACE_HOURS, default 24) and then fails
+ *       with API_KEY_EXPIRED. While in the grace period its responses carry an X-API-Key-Expires header.
+ *       The rotating admin becomes the successor's owner (see two-person approvals); a legacy
+ *       ADMIN_SECRET session keeps the old key's owner.
  *     tags: [Admin]
- *     security: []
+ *     security:
+ *       - AdminBearerAuth: []
  *     parameters:
- *       - in: header
- *         name: X-Admin-Secret
+ *       - in: path
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Admin secret for authentication
+ *         description: API key ID to rotate
  *     requestBody:
  *       required: false
  *       content:
@@ -427,307 +953,169 @@ router.post('/keys/:id/revoke',
  *           schema:
  *             type: object
  *             properties:
- *               count:
- *                 type: integer
- *                 minimum: 1
- *                 maximum: 2000
- *                 description: Number of wallets to generate (default 1, max 2000)
- *                 example: 5
- *               returnPrivateKey:
- *                 type: boolean
- *                 description: Whether to return the private keys (WARNING - only use for initial setup)
- *                 example: false
+ *               gracePeriodHours:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 720
+ *                 description: How long the old key keeps working (0 = revoke immediately)
+ *                 example: 48
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Expiry for the new key (optional, default never)
  *     responses:
  *       201:
- *         description: Wallet(s) created successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 data:
- *                   type: object
- *                   properties:
- *                     count:
- *                       type: integer
- *                       example: 5
- *                     wallets:
- *                       type: array
- *                       items:
- *                         type: object
- *                         properties:
- *                           id:
- *                             type: string
- *                             example: "550e8400-e29b-41d4-a716-446655440000"
- *                           address:
- *                             type: string
- *                             example: "0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb1"
- *                           privateKey:
- *                             type: string
- *                             example: "0x1234...abcd"
- *                             description: Only included if returnPrivateKey=true
- *                           createdAt:
- *                             type: string
- *                       format: date-time
+ *         description: Successor key issued (plain key returned only once)
  *       400:
- *         description: Invalid request data
- *       401:
- *         description: Missing admin secret
- *       403:
- *         description: Invalid admin secret
+ *         description: Invalid request, key revoked or already expired
+ *       404:
+ *         description: API key not found
+ *       409:
+ *         description: Key was already rotated
  */
-router.post('/wallets/generate',
+router.post('/keys/:id/rotate',
     adminRateLimit,
-    validateAdminSecret,
+    auditAdminAction('keys.rotate'),
+    requireAdmin('keys:write'),
     [
-        body('count')
-            .optional()
-            .isInt({ min: 1, max: 2000 })
-            .withMessage('Count must be between 1 and 2000'),
-        body('returnPrivateKey')
+        body('gracePeriodHours')
             .optional()
-            .isBoolean()
-            .withMessage('returnPrivateKey must be a boolean')
+            .isFloat({ min: 0, max: 720 })
+            .withMessage('gracePeriodHours must be 0-720'),
+        body('expiresAt')
+            .optional({ nullable: true })
+            .isISO8601()
+            .custom(value => new Date(value) > new Date())
+            .withMessage('expiresAt must be a future ISO 8601 date')
     ],
     handleValidationErrors,
     asyncHandler(async (req, res) => {
-        const { count = 1, returnPrivateKey = false } = req.body;
-        logger.info(`Starting batch generation of ${count} wallet(s) by admin from ${req.ip}`);
-        const walletsToCreate = [];
-        const walletDetails = [];
+        const { gracePeriodHours, expiresAt } = req.body || {};
 
-        for (let i = 0; i < count; i++) {
-            const { address, encryptedPrivateKey, iv } = generateEncryptedWallet();
-
-            walletsToCreate.push({
-                address,
-                encryptedPrivateKey,
-                iv
+        let rotation;
+        try {
+            rotation = await rotateApiKey(req.params.id, {
+                gracePeriodHours: gracePeriodHours !== undefined ? Number(gracePeriodHours) : undefined,
+                expiresAt: expiresAt ? new Date(expiresAt) : null,
+                // The rotating admin receives the new key, so it becomes theirs
+                owner: req.admin.id ? { adminId: req.admin.id, username: req.admin.username } : undefined
             });
+        } catch (error) {
+            const status = { KEY_NOT_FOUND: 404, KEY_ALREADY_ROTATED: 409, KEY_ALREADY_REVOKED: 400, KEY_EXPIRED: 400 }[error.code];
+            if (!status) throw error;
 
-            walletDetails.push({
-                address,
-                encryptedPrivateKey,
-                iv
+            return res.status(status).json({
+                success: false,
+                error: {
+                    message: error.message,
+                    code: error.code
+                }
             });
         }
 
-        // Batch insert all wallets at once (fast - single DB operation)
-        const savedWallets = await Wallet.insertMany(walletsToCreate);
-
-        // Prepare response data
-        const wallets = savedWallets.map((wallet, index) => {
-            const walletData = {
-                id: wallet.id,
-                address: wallet.address,
-                createdAt: wallet.createdAt
-            };
-
-            // Only return private key if explicitly requested (DANGEROUS!)
-            if (returnPrivateKey) {
-                const privateKey = decryptPrivateKey(
-                    walletDetails[index].encryptedPrivateKey,
-                    walletDetails[index].iv
-                );
-                walletData.privateKey = privateKey;
-            }
-
-            return walletData;
-        });
+        const { apiKey, signingSecret, successor, predecessor } = rotation;
 
-        if (returnPrivateKey) {
-            logger.warn(`⚠️  Private keys returned for ${count} wallet(s) - requested by admin from ${req.ip}`);
-        }
+        logger.info(`API key rotated via admin endpoint: ${predecessor.name} by admin ${req.admin.username} from ${req.ip}`);
 
-        const response = {
+        res.status(201).json({
             success: true,
             data: {
-                count: wallets.length,
-                wallets: wallets
+                apiKey, // This is returned only once
+                ...(signingSecret && { signingSecret }), // Also returned only once
+                id: successor.id,
+                name: successor.name,
+                permissions: successor.permissions,
+                scopes: successor.scopes,
+                expiresAt: successor.expiresAt,
+                createdAt: successor.createdAt,
+                previousKey: {
+                    id: predecessor.id,
+                    isActive: predecessor.isActive,
+                    expiresAt: predecessor.expiresAt
+                }
             }
-        };
-
-        if (returnPrivateKey) {
-            response.data.warning = 'PRIVATE KEYS EXPOSED - Store securely and never share!';
-        }
-
-        res.status(201).json(response);
+        });
     })
 );
 
 /**
  * @swagger
- * /api/admin/wallets:
- *   get:
- *     summary: List all generated wallets (Admin only)
+ * /api/admin/keys/{id}/scopes:
+ *   put:
+ *     summary: Update an API key's distribution scopes (requires keys:write)
+ *     description: Only the fields provided are changed; send null / [] to lift a restriction
  *     tags: [Admin]
- *     security: []
+ *     security:
+ *       - AdminBearerAuth: []
  *     parameters:
- *       - in: header
- *         name: X-Admin-Secret
+ *       - in: path
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Admin secret for authentication
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 50
- *         description: Number of results to return
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number
+ *         description: API key ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scopes
+ *             properties:
+ *               scopes:
+ *                 $ref: '#/components/schemas/ApiKeyScopes'
  *     responses:
  *       200:
- *         description: Wallets retrieved successfully
+ *         description: Scopes updated
+ *       400:
+ *         description: Invalid scopes
+ *       404:
+ *         description: API key not found
  */
-router.get('/wallets',
+router.put('/keys/:id/scopes',
     adminRateLimit,
-    validateAdminSecret,
+    auditAdminAction('keys.update-scopes'),
+    requireAdmin('keys:write'),
+    [
+        body('scopes')
+            .exists()
+            .withMessage('Scopes are required'),
+        ...scopeValidators
+    ],
+    handleValidationErrors,
     asyncHandler(async (req, res) => {
-        const { limit = 50, page = 1 } = req.query;
+        const { id } = req.params;
+        const { scopes } = req.body;
 
-        // Build query
-        const query = {};
+        const apiKey = await ApiKey.findOne({ id });
+        if (!apiKey) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: 'API key not found',
+                    code: 'KEY_NOT_FOUND'
+                }
+            });
+        }
 
-        // Pagination
-        const skip = (parseInt(page) - 1) * parseInt(limit);
-        const limitNum = Math.min(parseInt(limit), 100); // Max 100 per page
+        for (const field of ['vaultTypes', 'maxAmountPerCall', 'maxDailyTotal', 'allowedRecipients']) {
+            if (scopes[field] !== undefined) {
+                apiKey.scopes[field] = scopes[field];
+            }
+        }
 
-        // Get wallets (never return encrypted keys)
-        const wallets = await Wallet.find(query)
-            .select('-encryptedPrivateKey -iv -__v')
-            .sort({ createdAt: -1 })
-            .limit(limitNum)
-            .skip(skip);
+        await apiKey.save();
+        clearApiKeyCache(apiKey.hashedKey);
 
-        const total = await Wallet.countDocuments(query);
+        logger.info(`API key scopes updated via admin endpoint: ${apiKey.name} by admin ${req.admin.username} from ${req.ip}`);
 
         res.json({
             success: true,
             data: {
-                wallets,
-                pagination: {
-                    total,
-                    page: parseInt(page),
-                    limit: limitNum,
-                    pages: Math.ceil(total / limitNum)
-                }
-            }
-        });
-    })
-);
-
-/**
- * @swagger
- * /api/admin/wallets/export/addresses:
- *   get:
- *     summary: Export ALL wallet addresses (Admin only)
- *     description: Returns all wallet addresses without pagination. Optimized for bulk export.
- *     tags: [Admin]
- *     security: []
- *     parameters:
- *       - in: header
- *         name: X-Admin-Secret
- *         required: true
- *         schema:
- *           type: string
- *         description: Admin secret for authentication
- *       - in: query
- *         name: format
- *         schema:
- *           type: string
- *           enum: [json, csv, txt]
- *           default: json
- *         description: Output format (json, csv, or txt)
- *     responses:
- *       200:
- *         description: All wallet addresses exported successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 data:
- *                   type: object
- *                   properties:
- *                     count:
- *                       type: integer
- *                       example: 2000
- *                     addresses:
- *                       type: array
- *                       items:
- *                         type: string
- *                       example: ["0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb1", "0x..."]
- *           text/csv:
- *             schema:
- *               type: string
- *               example: "0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb1\n0x..."
- *           text/plain:
- *             schema:
- *               type: string
- *               example: "0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb1\n0x..."
- *       403:
- *         description: Invalid admin secret
- */
-router.get('/wallets/export/addresses',
-    adminRateLimit,
-    validateAdminSecret,
-    asyncHandler(async (req, res) => {
-        const { format = 'json' } = req.query;
-
-        logger.info(`Exporting all wallet addresses (format: ${format}) by admin from ${req.ip}`);
-        const startTime = Date.now();
-
-        // Fetch only address field for efficiency
-        const wallets = await Wallet.find({})
-            .select('address')
-            .sort({ createdAt: 1 })
-            .lean(); // Use lean() for better performance (returns plain JS objects)
-
-        const count = wallets.length;
-        const elapsedTime = Date.now() - startTime;
-
-        logger.info(`✅ Exported ${count} wallet addresses in ${elapsedTime}ms`);
-
-        // Format output based on requested format
-        if (format === 'csv') {
-            // CSV format: one address per line with header
-            let csv = 'address\n';
-            csv += wallets.map(w => w.address).join('\n');
-
-            res.setHeader('Content-Type', 'text/csv');
-            res.setHeader('Content-Disposition', `attachment; filename="wallet-addresses-${Date.now()}.csv"`);
-            return res.send(csv);
-        }
-
-        if (format === 'txt') {
-            // Plain text format: one address per line (no header)
-            const txt = wallets.map(w => w.address).join('\n');
-
-            res.setHeader('Content-Type', 'text/plain');
-            res.setHeader('Content-Disposition', `attachment; filename="wallet-addresses-${Date.now()}.txt"`);
-            return res.send(txt);
-        }
-
-        // Default: JSON format - simple array of addresses
-        res.json({
-            success: true,
-            data: {
-                count,
-                addresses: wallets.map(w => w.address),
-                exportedAt: new Date().toISOString(),
-                format: 'json'
+                id: apiKey.id,
+                name: apiKey.name,
+                scopes: apiKey.scopes
             }
         });
     })
@@ -735,133 +1123,197 @@ router.get('/wallets/export/addresses',
 
 /**
  * @swagger
- * /api/admin/wallets/{address}:
- *   get:
- *     summary: Get wallet details by address (Admin only)
+ * /api/admin/keys/{id}/quota:
+ *   put:
+ *     summary: Update an API key's daily distribution quota (requires keys:write)
+ *     description: Only the fields provided are changed; send null to remove a limit. Applies from the next request.
  *     tags: [Admin]
- *     security: []
+ *     security:
+ *       - AdminBearerAuth: []
  *     parameters:
- *       - in: header
- *         name: X-Admin-Secret
- *         required: true
- *         schema:
- *           type: string
- *         description: Admin secret for authentication
  *       - in: path
- *         name: address
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Wallet address (0x...)
- *       - in: query
- *         name: includePrivateKey
- *         schema:
- *           type: boolean
- *           default: false
- *         description: Include decrypted private key (DANGEROUS!)
+ *         description: API key ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dailyLimit:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Tokens per UTC day
+ *                 example: 10000
+ *               dailyRequestLimit:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Distribution requests per UTC day
+ *                 example: 500
  *     responses:
  *       200:
- *         description: Wallet details retrieved
+ *         description: Quota updated
+ *       400:
+ *         description: Invalid request data
  *       404:
- *         description: Wallet not found
+ *         description: API key not found
  */
-router.get('/wallets/:address',
+router.put('/keys/:id/quota',
     adminRateLimit,
-    validateAdminSecret,
+    auditAdminAction('keys.update-quota'),
+    requireAdmin('keys:write'),
+    [
+        body('dailyLimit')
+            .optional({ nullable: true })
+            .isInt({ min: 0, max: 1000000 })
+            .withMessage('Daily limit must be 0-1000000 or null'),
+        body('dailyRequestLimit')
+            .optional({ nullable: true })
+            .isInt({ min: 0, max: 1000000 })
+            .withMessage('Daily request limit must be 0-1000000 or null')
+    ],
+    handleValidationErrors,
     asyncHandler(async (req, res) => {
-        const { address } = req.params;
-        const { includePrivateKey = false } = req.query;
-
-        // Find wallet by address (case-insensitive)
-        const wallet = await Wallet.findOne({ address: address.toLowerCase() });
+        const { id } = req.params;
+        const { dailyLimit, dailyRequestLimit } = req.body;
 
-        if (!wallet) {
+        const apiKey = await ApiKey.findOne({ id });
+        if (!apiKey) {
             return res.status(404).json({
                 success: false,
                 error: {
-                    message: 'Wallet not found',
-                    code: 'WALLET_NOT_FOUND'
+                    message: 'API key not found',
+                    code: 'KEY_NOT_FOUND'
                 }
             });
         }
 
-        const walletData = {
-            id: wallet.id,
-            address: wallet.address,
-            createdAt: wallet.createdAt,
-            updatedAt: wallet.updatedAt
-        };
+        if (dailyLimit !== undefined) apiKey.rateLimitOverride = dailyLimit;
+        if (dailyRequestLimit !== undefined) apiKey.dailyRequestLimit = dailyRequestLimit;
 
-        // Only return private key if explicitly requested
-        if (includePrivateKey === 'true') {
-            logger.warn(`Private key accessed for wallet ${wallet.address} by admin from ${req.ip}`);
-            const privateKey = decryptPrivateKey(wallet.encryptedPrivateKey, wallet.iv);
-            walletData.privateKey = privateKey;
-            walletData.warning = 'PRIVATE KEY EXPOSED - Handle with extreme care!';
-        }
+        await apiKey.save();
+        clearApiKeyCache(apiKey.hashedKey);
+
+        logger.info(`API key quota updated via admin endpoint: ${apiKey.name} by admin ${req.admin.username} from ${req.ip}`);
 
         res.json({
             success: true,
-            data: walletData
+            data: {
+                id: apiKey.id,
+                name: apiKey.name,
+                dailyLimit: apiKey.rateLimitOverride,
+                dailyRequestLimit: apiKey.dailyRequestLimit
+            }
         });
     })
 );
 
 /**
  * @swagger
- * /api/admin/wallets/{address}/private-key:
- *   get:
- *     summary: Get decrypted private key for a wallet (Admin only - DANGEROUS!)
+ * /api/admin/keys/{id}/callback:
+ *   put:
+ *     summary: Set the distribution job callback URL for an API key (requires keys:write)
+ *     description: |
+ *       When a job queued with POST /api/tokens/distribute*?async=true is mined or fails, the URL receives a POST
+ *       with { event: distribution.mined | distribution.failed, job, timestamp }, signed as
+ *       X-MWT-Signature: sha256=HMAC-SHA256(callbackSecret, "<X-MWT-Timestamp>.<body>"). Failed deliveries are
+ *       retried with exponential backoff. The secret is generated when a URL is first set, or with
+ *       regenerate=true, and is returned only once. url=null removes the callback.
  *     tags: [Admin]
- *     security: []
+ *     security:
+ *       - AdminBearerAuth: []
  *     parameters:
- *       - in: header
- *         name: X-Admin-Secret
- *         required: true
- *         schema:
- *           type: string
- *         description: Admin secret for authentication
  *       - in: path
- *         name: address
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Wallet address (0x...)
+ *         description: API key ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 nullable: true
+ *                 example: https://game.example.com/hooks/mwt
+ *               regenerate:
+ *                 type: boolean
+ *                 description: Issue a new secret (the old one stops working immediately)
  *     responses:
  *       200:
- *         description: Private key retrieved
+ *         description: Callback updated (callbackSecret included when a new secret was issued)
+ *       400:
+ *         description: Invalid request data or key revoked
  *       404:
- *         description: Wallet not found
+ *         description: API key not found
  */
-router.get('/wallets/:address/private-key',
+router.put('/keys/:id/callback',
     adminRateLimit,
-    validateAdminSecret,
+    auditAdminAction('keys.update-callback'),
+    requireAdmin('keys:write'),
+    [
+        body('url')
+            .custom(value => value === null || typeof value === 'string')
+            .withMessage('url is required (null to remove the callback)')
+            .bail()
+            .if(value => value !== null)
+            .isURL({
+                protocols: process.env.NODE_ENV === 'production' ? ['https'] : ['http', 'https'],
+                require_protocol: true,
+                require_tld: process.env.NODE_ENV === 'production'
+            })
+            .withMessage(process.env.NODE_ENV === 'production' ? 'url must be an https URL' : 'url must be an http(s) URL')
+            .isLength({ max: 500 })
+            .withMessage('url must be at most 500 characters'),
+        body('regenerate')
+            .optional()
+            .isBoolean()
+            .withMessage('regenerate must be a boolean')
+    ],
+    handleValidationErrors,
     asyncHandler(async (req, res) => {
-        const { address } = req.params;
+        const { url, regenerate = false } = req.body;
 
-        // Find wallet by address (case-insensitive)
-        const wallet = await Wallet.findOne({ address: address.toLowerCase() });
+        let result;
+        try {
+            result = await setApiKeyCallback(req.params.id, { url, regenerate });
+        } catch (error) {
+            const status = { KEY_NOT_FOUND: 404, KEY_ALREADY_REVOKED: 400 }[error.code];
+            if (!status) throw error;
 
-        if (!wallet) {
-            return res.status(404).json({
+            return res.status(status).json({
                 success: false,
                 error: {
-                    message: 'Wallet not found',
-                    code: 'WALLET_NOT_FOUND'
+                    message: error.message,
+                    code: error.code
                 }
             });
         }
 
-        logger.warn(`🔑 Private key accessed for wallet ${wallet.address} by admin from ${req.ip}`);
-        const privateKey = decryptPrivateKey(wallet.encryptedPrivateKey, wallet.iv);
+        const { apiKey, callbackSecret } = result;
+
+        logger.info(`API key callback updated via admin endpoint: ${apiKey.name} by admin ${req.admin.username} from ${req.ip}`);
 
         res.json({
             success: true,
             data: {
-                id: wallet.id,
-                address: wallet.address,
-                privateKey: privateKey,
-                warning: 'PRIVATE KEY EXPOSED - Handle with extreme care!'
+                id: apiKey.id,
+                name: apiKey.name,
+                callback: {
+                    url: apiKey.callback.url,
+                    secretCreatedAt: apiKey.callback.secretCreatedAt
+                },
+                ...(callbackSecret && { callbackSecret }) // Returned only once
             }
         });
     })
@@ -869,18 +1321,23 @@ router.get('/wallets/:address/private-key',
 
 /**
  * @swagger
- * /api/admin/wallets/batch/private-keys:
+ * /api/admin/keys/{id}/signing:
  *   post:
- *     summary: Get private keys for multiple wallets (Admin only - EXTREMELY DANGEROUS!)
+ *     summary: Configure HMAC request signing for an API key (requires keys:write)
+ *     description: |
+ *       optional = the key accepts signed requests or the raw key; required = signed requests only (raw key rejected
+ *       with SIGNATURE_REQUIRED); disabled = raw key only. A signing secret is generated the first time signing is
+ *       enabled, or with regenerate=true, and is returned only once. Requires API_KEY_SIGNING_ENCRYPTION_KEY.
  *     tags: [Admin]
- *     security: []
+ *     security:
+ *       - AdminBearerAuth: []
  *     parameters:
- *       - in: header
- *         name: X-Admin-Secret
+ *       - in: path
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Admin secret for authentication
+ *         description: API key ID
  *     requestBody:
  *       required: true
  *       content:
@@ -888,241 +1345,1210 @@ router.get('/wallets/:address/private-key',
  *           schema:
  *             type: object
  *             required:
- *               - addresses
+ *               - mode
  *             properties:
- *               addresses:
- *                 type: array
- *                 items:
- *                   type: string
- *                 description: Array of wallet addresses
- *                 example: ["0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb1", "0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063"]
+ *               mode:
+ *                 type: string
+ *                 enum: [disabled, optional, required]
+ *               regenerate:
+ *                 type: boolean
+ *                 description: Issue a new secret (the old one stops working immediately)
  *     responses:
  *       200:
- *         description: Private keys retrieved for found addresses
+ *         description: Signing mode updated (signingSecret included when a new secret was issued)
  *       400:
- *         description: Invalid request
- *       403:
- *         description: Invalid admin secret
+ *         description: Invalid request data or key revoked
+ *       404:
+ *         description: API key not found
  */
-router.post('/wallets/batch/private-keys',
+router.post('/keys/:id/signing',
     adminRateLimit,
-    validateAdminSecret,
+    auditAdminAction('keys.update-signing'),
+    requireAdmin('keys:write'),
     [
-        body('addresses')
-            .isArray({ min: 1 })
-            .withMessage('Addresses must be a non-empty array'),
-        body('addresses.*')
-            .isEthereumAddress()
-            .withMessage('Each address must be a valid Ethereum address')
+        body('mode')
+            .isIn(['disabled', 'optional', 'required'])
+            .withMessage('mode must be disabled, optional or required'),
+        body('regenerate')
+            .optional()
+            .isBoolean()
+            .withMessage('regenerate must be a boolean')
     ],
     handleValidationErrors,
     asyncHandler(async (req, res) => {
-        const { addresses } = req.body;
-
-        logger.warn(`🔑🔑🔑 BATCH PRIVATE KEY ACCESS: ${addresses.length} addresses requested by admin from ${req.ip}`);
-
-        // Convert addresses to lowercase for case-insensitive search
-        const lowercaseAddresses = addresses.map(addr => addr.toLowerCase());
+        const { mode, regenerate = false } = req.body;
 
-        // Find all wallets matching the addresses
-        const wallets = await Wallet.find({
-            address: { $in: lowercaseAddresses }
-        });
-
-        // Build result object: { address: privateKey }
-        const result = {};
+        let result;
+        try {
+            result = await setApiKeySigning(req.params.id, { mode, regenerate });
+        } catch (error) {
+            const status = { KEY_NOT_FOUND: 404, KEY_ALREADY_REVOKED: 400 }[error.code];
+            if (!status) throw error;
 
-        for (const wallet of wallets) {
-            const privateKey = decryptPrivateKey(wallet.encryptedPrivateKey, wallet.iv);
-            result[wallet.address] = privateKey;
+            return res.status(status).json({
+                success: false,
+                error: {
+                    message: error.message,
+                    code: error.code
+                }
+            });
         }
-        const foundAddresses = wallets.map(w => w.address);
-        const notFoundAddresses = lowercaseAddresses.filter(addr => !foundAddresses.includes(addr));
 
-        if (notFoundAddresses.length > 0) {
-            logger.info(`⚠️  ${notFoundAddresses.length} addresses not found in database`);
-        }
+        const { apiKey, signingSecret } = result;
+
+        logger.info(`API key signing updated via admin endpoint: ${apiKey.name} by admin ${req.admin.username} from ${req.ip}`);
 
         res.json({
             success: true,
-            data: result,
-            found: wallets.length,
-            notFound: notFoundAddresses.length
+            data: {
+                id: apiKey.id,
+                name: apiKey.name,
+                signing: {
+                    mode: apiKey.signing.mode,
+                    secretCreatedAt: apiKey.signing.secretCreatedAt
+                },
+                ...(signingSecret && { signingSecret }) // Returned only once
+            }
         });
     })
 );
 
 /**
  * @swagger
- * /api/admin/wallets/batch/private-keys/csv:
+ * /api/admin/keys/{id}/revoke:
  *   post:
- *     summary: Get private keys for multiple wallets as CSV download (Admin only - EXTREMELY DANGEROUS!)
+ *     summary: Revoke an API key (requires keys:write)
  *     tags: [Admin]
- *     security: []
+ *     security:
+ *       - AdminBearerAuth: []
  *     parameters:
- *       - in: header
- *         name: X-Admin-Secret
+ *       - in: path
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Admin secret for authentication
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - addresses
+ *         description: API key ID to revoke
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ */
+router.post('/keys/:id/revoke',
+    adminRateLimit,
+    auditAdminAction('keys.revoke'),
+    requireAdmin('keys:write'),
+    asyncHandler(async (req, res) => {
+        const { id } = req.params;
+
+        const apiKey = await ApiKey.findOne({ id });
+        if (!apiKey) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: 'API key not found',
+                    code: 'KEY_NOT_FOUND'
+                }
+            });
+        }
+
+        if (!apiKey.isActive) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'API key is already revoked',
+                    code: 'KEY_ALREADY_REVOKED'
+                }
+            });
+        }
+
+        await apiKey.deactivate();
+        clearApiKeyCache(apiKey.hashedKey);
+
+        logger.info(`API key revoked via admin endpoint: ${apiKey.name} by admin ${req.admin.username} from ${req.ip}`);
+
+        res.json({
+            success: true,
+            message: 'API key revoked successfully'
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/wallets/generate:
+ *   post:
+ *     summary: Generate one or more EVM wallet addresses (requires wallets:create)
+ *     tags: [Admin]
+ *     security:
+ *       - AdminBearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               count:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 2000
+ *                 description: Number of wallets to generate (default 1, max 2000)
+ *                 example: 5
+ *               returnPrivateKey:
+ *                 type: boolean
+ *                 description: Whether to return the private keys (WARNING - only use for initial setup)
+ *                 example: false
+ *     responses:
+ *       201:
+ *         description: Wallet(s) created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                       example: 5
+ *                     wallets:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                             example: "550e8400-e29b-41d4-a716-446655440000"
+ *                           address:
+ *                             type: string
+ *                             example: "0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb1"
+ *                           privateKey:
+ *                             type: string
+ *                             example: "0x1234...abcd"
+ *                             description: Only included if returnPrivateKey=true
+ *                           createdAt:
+ *                             type: string
+ *                       format: date-time
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         description: Not signed in as an admin
+ *       403:
+ *         description: Insufficient admin permissions
+ */
+router.post('/wallets/generate',
+    adminRateLimit,
+    auditAdminAction('wallets.generate'),
+    requireAdmin('wallets:create'),
+    [
+        body('count')
+            .optional()
+            .isInt({ min: 1, max: 2000 })
+            .withMessage('Count must be between 1 and 2000'),
+        body('returnPrivateKey')
+            .optional()
+            .isBoolean()
+            .withMessage('returnPrivateKey must be a boolean')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const { count = 1, returnPrivateKey = false } = req.body;
+        logger.info(`Starting batch generation of ${count} wallet(s) by admin ${req.admin.username} from ${req.ip}`);
+        const walletsToCreate = [];
+        const walletDetails = [];
+
+        for (let i = 0; i < count; i++) {
+            const { address, encryptedPrivateKey, iv } = generateEncryptedWallet();
+
+            walletsToCreate.push({
+                address,
+                encryptedPrivateKey,
+                iv
+            });
+
+            walletDetails.push({
+                address,
+                encryptedPrivateKey,
+                iv
+            });
+        }
+
+        // Batch insert all wallets at once (fast - single DB operation)
+        const savedWallets = await Wallet.insertMany(walletsToCreate);
+
+        // Prepare response data
+        const wallets = savedWallets.map((wallet, index) => {
+            const walletData = {
+                id: wallet.id,
+                address: wallet.address,
+                createdAt: wallet.createdAt
+            };
+
+            // Only return private key if explicitly requested (DANGEROUS!)
+            if (returnPrivateKey) {
+                const privateKey = decryptPrivateKey(
+                    walletDetails[index].encryptedPrivateKey,
+                    walletDetails[index].iv
+                );
+                walletData.privateKey = privateKey;
+            }
+
+            return walletData;
+        });
+
+        if (returnPrivateKey) {
+            logger.warn(`⚠️  Private keys returned for ${count} wallet(s) - requested by admin ${req.admin.username} from ${req.ip}`);
+        }
+
+        const response = {
+            success: true,
+            data: {
+                count: wallets.length,
+                wallets: wallets
+            }
+        };
+
+        if (returnPrivateKey) {
+            response.data.warning = 'PRIVATE KEYS EXPOSED - Store securely and never share!';
+        }
+
+        res.status(201).json(response);
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/wallets:
+ *   get:
+ *     summary: List all generated wallets (requires wallets:read)
+ *     tags: [Admin]
+ *     security:
+ *       - AdminBearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Number of results to return
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *     responses:
+ *       200:
+ *         description: Wallets retrieved successfully
+ */
+router.get('/wallets',
+    adminRateLimit,
+    auditAdminAction('wallets.list'),
+    requireAdmin('wallets:read'),
+    asyncHandler(async (req, res) => {
+        const { limit = 50, page = 1 } = req.query;
+
+        // Build query
+        const query = {};
+
+        // Pagination
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const limitNum = Math.min(parseInt(limit), 100); // Max 100 per page
+
+        // Get wallets (never return encrypted keys)
+        const wallets = await Wallet.find(query)
+            .select('-encryptedPrivateKey -iv -__v')
+            .sort({ createdAt: -1 })
+            .limit(limitNum)
+            .skip(skip);
+
+        const total = await Wallet.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: {
+                wallets,
+                pagination: {
+                    total,
+                    page: parseInt(page),
+                    limit: limitNum,
+                    pages: Math.ceil(total / limitNum)
+                }
+            }
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/wallets/export/addresses:
+ *   get:
+ *     summary: Export ALL wallet addresses (requires wallets:read)
+ *     description: Returns all wallet addresses without pagination. Optimized for bulk export.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminBearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, txt]
+ *           default: json
+ *         description: Output format (json, csv, or txt)
+ *     responses:
+ *       200:
+ *         description: All wallet addresses exported successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                       example: 2000
+ *                     addresses:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb1", "0x..."]
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               example: "0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb1\n0x..."
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: "0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb1\n0x..."
+ *       403:
+ *         description: Insufficient admin permissions
+ */
+router.get('/wallets/export/addresses',
+    adminRateLimit,
+    auditAdminAction('wallets.export-addresses'),
+    requireAdmin('wallets:read'),
+    asyncHandler(async (req, res) => {
+        const { format = 'json' } = req.query;
+
+        logger.info(`Exporting all wallet addresses (format: ${format}) by admin ${req.admin.username} from ${req.ip}`);
+        const startTime = Date.now();
+
+        // Fetch only address field for efficiency
+        const wallets = await Wallet.find({})
+            .select('address')
+            .sort({ createdAt: 1 })
+            .lean(); // Use lean() for better performance (returns plain JS objects)
+
+        const count = wallets.length;
+        const elapsedTime = Date.now() - startTime;
+
+        logger.info(`✅ Exported ${count} wallet addresses in ${elapsedTime}ms`);
+
+        // Format output based on requested format
+        if (format === 'csv') {
+            // CSV format: one address per line with header
+            let csv = 'address\n';
+            csv += wallets.map(w => w.address).join('\n');
+
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', `attachment; filename="wallet-addresses-${Date.now()}.csv"`);
+            return res.send(csv);
+        }
+
+        if (format === 'txt') {
+            // Plain text format: one address per line (no header)
+            const txt = wallets.map(w => w.address).join('\n');
+
+            res.setHeader('Content-Type', 'text/plain');
+            res.setHeader('Content-Disposition', `attachment; filename="wallet-addresses-${Date.now()}.txt"`);
+            return res.send(txt);
+        }
+
+        // Default: JSON format - simple array of addresses
+        res.json({
+            success: true,
+            data: {
+                count,
+                addresses: wallets.map(w => w.address),
+                exportedAt: new Date().toISOString(),
+                format: 'json'
+            }
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/wallets/{address}:
+ *   get:
+ *     summary: Get wallet details by address (requires wallets:read)
+ *     tags: [Admin]
+ *     security:
+ *       - AdminBearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Wallet address (0x...)
+ *     responses:
+ *       200:
+ *         description: Wallet details retrieved (never includes the private key; see /wallets/{address}/private-key)
+ *       404:
+ *         description: Wallet not found
+ */
+router.get('/wallets/:address',
+    adminRateLimit,
+    auditAdminAction('wallets.get'),
+    requireAdmin('wallets:read'),
+    asyncHandler(async (req, res) => {
+        const { address } = req.params;
+
+        // Find wallet by address (case-insensitive)
+        const wallet = await Wallet.findOne({ address: address.toLowerCase() });
+
+        if (!wallet) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: 'Wallet not found',
+                    code: 'WALLET_NOT_FOUND'
+                }
+            });
+        }
+
+        const walletData = {
+            id: wallet.id,
+            address: wallet.address,
+            createdAt: wallet.createdAt,
+            updatedAt: wallet.updatedAt
+        };
+
+        res.json({
+            success: true,
+            data: walletData
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/wallets/{address}/private-key:
+ *   get:
+ *     summary: Propose exporting the private key of a wallet (requires wallets:export) - DANGEROUS!
+ *     description: |
+ *       Two-person operation: returns 202 with a pending operation. A second admin holding
+ *       wallets:export approves it via POST /api/admin/approvals/{id}/approve, which returns the key.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminBearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Wallet address (0x...)
+ *     responses:
+ *       202:
+ *         description: Pending operation created
+ *       403:
+ *         description: Insufficient admin permissions
+ *       404:
+ *         description: Wallet not found
+ */
+router.get('/wallets/:address/private-key',
+    adminRateLimit,
+    auditAdminAction('wallets.export-private-key'),
+    requireAdmin('wallets:export'),
+    asyncHandler(async (req, res) => {
+        const address = req.params.address.toLowerCase();
+
+        if (!await Wallet.exists({ address })) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: 'Wallet not found',
+                    code: 'WALLET_NOT_FOUND'
+                }
+            });
+        }
+
+        logger.warn(`🔑 Private key export proposed for wallet ${address} by admin ${req.admin.username} from ${req.ip}`);
+
+        await proposeOperation(req, res, 'wallets.export-private-key', { address });
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/wallets/batch/private-keys:
+ *   post:
+ *     summary: Propose exporting private keys for multiple wallets (requires wallets:export) - EXTREMELY DANGEROUS!
+ *     description: |
+ *       Two-person operation: returns 202 with a pending operation. A second admin holding
+ *       wallets:export approves it via POST /api/admin/approvals/{id}/approve, which returns the keys.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminBearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - addresses
+ *             properties:
+ *               addresses:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Array of wallet addresses
+ *                 example: ["0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb1", "0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063"]
+ *     responses:
+ *       202:
+ *         description: Pending operation created
+ *       400:
+ *         description: Invalid request
+ *       403:
+ *         description: Insufficient admin permissions
+ */
+router.post('/wallets/batch/private-keys',
+    adminRateLimit,
+    auditAdminAction('wallets.export-private-keys'),
+    requireAdmin('wallets:export'),
+    [
+        body('addresses')
+            .isArray({ min: 1 })
+            .withMessage('Addresses must be a non-empty array'),
+        body('addresses.*')
+            .isEthereumAddress()
+            .withMessage('Each address must be a valid Ethereum address')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const { addresses } = req.body;
+
+        logger.warn(`🔑🔑🔑 BATCH PRIVATE KEY ACCESS proposed: ${addresses.length} addresses by admin ${req.admin.username} from ${req.ip}`);
+
+        await proposeOperation(req, res, 'wallets.export-private-keys', { addresses });
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/wallets/batch/private-keys/csv:
+ *   post:
+ *     summary: Propose a CSV export of private keys for multiple wallets (requires wallets:export) - EXTREMELY DANGEROUS!
+ *     description: |
+ *       Two-person operation: returns 202 with a pending operation. A second admin holding
+ *       wallets:export approves it via POST /api/admin/approvals/{id}/approve, which returns the CSV download.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminBearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - addresses
+ *             properties:
+ *               addresses:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Array of wallet addresses
+ *                 example: ["0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb1", "0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063"]
+ *     responses:
+ *       202:
+ *         description: Pending operation created
+ *       400:
+ *         description: Invalid request
+ *       403:
+ *         description: Insufficient admin permissions
+ */
+router.post('/wallets/batch/private-keys/csv',
+    adminRateLimit,
+    auditAdminAction('wallets.export-private-keys-csv'),
+    requireAdmin('wallets:export'),
+    [
+        body('addresses')
+            .isArray({ min: 1 })
+            .withMessage('Addresses must be a non-empty array'),
+        body('addresses.*')
+            .isEthereumAddress()
+            .withMessage('Each address must be a valid Ethereum address')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const { addresses } = req.body;
+
+        logger.warn(`🔑📥 BATCH PRIVATE KEY CSV DOWNLOAD proposed: ${addresses.length} addresses by admin ${req.admin.username} from ${req.ip}`);
+
+        await proposeOperation(req, res, 'wallets.export-private-keys-csv', { addresses });
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/finalization/status:
+ *   get:
+ *     summary: Get auto-finalization system status (requires finalization:read)
+ *     tags: [Admin]
+ *     security:
+ *       - AdminBearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Finalization system status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     schedule:
+ *                       type: string
+ *                     nextRun:
+ *                       type: string
+ *                     isRunning:
+ *                       type: boolean
+ *                     stats:
+ *                       type: object
+ */
+router.get('/finalization/status',
+    adminRateLimit,
+    auditAdminAction('finalization.status'),
+    requireAdmin('finalization:read'),
+    asyncHandler(async (req, res) => {
+        const status = cronJobsService.getStatus();
+        const stats = await distributionFinalizer.getStats(7); // Last 7 days
+
+        res.json({
+            success: true,
+            data: {
+                ...status,
+                stats
+            }
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/finalization/run:
+ *   post:
+ *     summary: Manually trigger auto-finalization (requires finalization:run)
+ *     description: Immediately runs the auto-finalization process to finalize expired distributions
+ *     tags: [Admin]
+ *     security:
+ *       - AdminBearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Finalization run completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     finalized:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *                     skipped:
+ *                       type: integer
+ *                     transactions:
+ *                       type: array
+ */
+router.post('/finalization/run',
+    adminRateLimit,
+    auditAdminAction('finalization.run'),
+    requireAdmin('finalization:run'),
+    asyncHandler(async (req, res) => {
+        logger.info(`Manual finalization triggered by admin ${req.admin.username} from ${req.ip}`);
+
+        const result = await cronJobsService.triggerManualFinalization();
+
+        res.json({
+            success: result.success,
+            data: result
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/finalization/history:
+ *   get:
+ *     summary: Get finalization history (requires finalization:read)
+ *     tags: [Admin]
+ *     security:
+ *       - AdminBearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *         description: Number of results to return
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, success, failed, skipped]
+ *         description: Filter by status
+ *     responses:
+ *       200:
+ *         description: Finalization history retrieved
+ */
+router.get('/finalization/history',
+    adminRateLimit,
+    auditAdminAction('finalization.history'),
+    requireAdmin('finalization:read'),
+    asyncHandler(async (req, res) => {
+        const { limit = 100, status } = req.query;
+
+        const history = await distributionFinalizer.getHistory(
+            parseInt(limit),
+            status
+        );
+
+        res.json({
+            success: true,
+            data: {
+                count: history.length,
+                history
+            }
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/finalization/stats:
+ *   get:
+ *     summary: Get finalization statistics (requires finalization:read)
+ *     tags: [Admin]
+ *     security:
+ *       - AdminBearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 7
+ *         description: Number of days to calculate stats for
+ *     responses:
+ *       200:
+ *         description: Finalization statistics
+ */
+router.get('/finalization/stats',
+    adminRateLimit,
+    auditAdminAction('finalization.stats'),
+    requireAdmin('finalization:read'),
+    asyncHandler(async (req, res) => {
+        const { days = 7 } = req.query;
+
+        const stats = await distributionFinalizer.getStats(parseInt(days));
+
+        res.json({
+            success: true,
+            data: stats
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/wallet-balance/check:
+ *   post:
+ *     summary: Manually trigger wallet balance check (requires balance:write)
+ *     description: Immediately checks the monitored wallet balance and sends alerts if needed
+ *     tags: [Admin]
+ *     security:
+ *       - AdminBearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Balance check completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       walletName:
+ *                         type: string
+ *                       walletAddress:
+ *                         type: string
+ *                       balance:
+ *                         type: string
+ *                       balanceNumber:
+ *                         type: number
+ *                       threshold:
+ *                         type: string
+ *                       belowThreshold:
+ *                         type: boolean
+ *                       alertSent:
+ *                         type: boolean
+ */
+router.post('/wallet-balance/check',
+    adminRateLimit,
+    auditAdminAction('wallet-balance.check'),
+    requireAdmin('balance:write'),
+    asyncHandler(async (req, res) => {
+        logger.info(`Manual wallet balance check triggered by admin ${req.admin.username} from ${req.ip}`);
+
+        const results = await cronJobsService.triggerManualBalanceCheck();
+
+        res.json({
+            success: true,
+            data: results
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/wallet-balance/alerts:
+ *   get:
+ *     summary: Get wallet balance alert history (requires balance:read)
+ *     tags: [Admin]
+ *     security:
+ *       - AdminBearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: walletAddress
+ *         schema:
+ *           type: string
+ *         description: Filter by wallet address
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Number of results to return
+ *     responses:
+ *       200:
+ *         description: Alert history retrieved
+ */
+router.get('/wallet-balance/alerts',
+    adminRateLimit,
+    auditAdminAction('wallet-balance.alerts'),
+    requireAdmin('balance:read'),
+    asyncHandler(async (req, res) => {
+        const { walletAddress, limit = 50 } = req.query;
+
+        const alerts = await walletBalanceMonitor.getAlertHistory(
+            walletAddress,
+            parseInt(limit)
+        );
+
+        res.json({
+            success: true,
+            data: {
+                count: alerts.length,
+                alerts
+            }
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/wallet-balance/alerts/unresolved:
+ *   get:
+ *     summary: Get unresolved wallet balance alerts (requires balance:read)
+ *     tags: [Admin]
+ *     security:
+ *       - AdminBearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Number of results to return
+ *     responses:
+ *       200:
+ *         description: Unresolved alerts retrieved
+ */
+router.get('/wallet-balance/alerts/unresolved',
+    adminRateLimit,
+    auditAdminAction('wallet-balance.alerts-unresolved'),
+    requireAdmin('balance:read'),
+    asyncHandler(async (req, res) => {
+        const { limit = 50 } = req.query;
+
+        const alerts = await walletBalanceMonitor.getUnresolvedAlerts(parseInt(limit));
+
+        res.json({
+            success: true,
+            data: {
+                count: alerts.length,
+                alerts
+            }
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/wallet-balance/stats:
+ *   get:
+ *     summary: Get wallet balance monitoring statistics (requires balance:read)
+ *     tags: [Admin]
+ *     security:
+ *       - AdminBearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 7
+ *         description: Number of days to calculate stats for
+ *     responses:
+ *       200:
+ *         description: Wallet balance statistics
+ */
+router.get('/wallet-balance/stats',
+    adminRateLimit,
+    auditAdminAction('wallet-balance.stats'),
+    requireAdmin('balance:read'),
+    asyncHandler(async (req, res) => {
+        const { days = 7 } = req.query;
+
+        const stats = await walletBalanceMonitor.getStatistics(parseInt(days));
+
+        res.json({
+            success: true,
+            data: stats
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/wallet-balance/config:
+ *   get:
+ *     summary: Get wallet balance monitoring configuration (requires balance:read)
+ *     tags: [Admin]
+ *     security:
+ *       - AdminBearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Configuration retrieved
+ */
+router.get('/wallet-balance/config',
+    adminRateLimit,
+    auditAdminAction('wallet-balance.get-config'),
+    requireAdmin('balance:read'),
+    asyncHandler(async (req, res) => {
+        const config = await walletBalanceMonitor.getConfiguration();
+
+        res.json({
+            success: true,
+            data: config
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/admin/wallet-balance/config:
+ *   put:
+ *     summary: Update wallet balance monitoring configuration (requires balance:write)
+ *     tags: [Admin]
+ *     security:
+ *       - AdminBearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
  *             properties:
- *               addresses:
- *                 type: array
- *                 items:
- *                   type: string
- *                 description: Array of wallet addresses
- *                 example: ["0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb1", "0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063"]
+ *               walletAddress:
+ *                 type: string
+ *                 description: New wallet address to monitor
+ *               walletName:
+ *                 type: string
+ *                 description: Descriptive name for the wallet
+ *               threshold:
+ *                 type: number
+ *                 description: New balance threshold (in BNB)
  *     responses:
  *       200:
- *         description: CSV file with wallet addresses and private keys
- *         content:
- *           text/csv:
- *             schema:
- *               type: string
- *               example: "address,privateKey\n0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb1,0x1234...abcd\n"
- *       400:
- *         description: Invalid request
- *       403:
- *         description: Invalid admin secret
+ *         description: Configuration updated
  */
-router.post('/wallets/batch/private-keys/csv',
+router.put('/wallet-balance/config',
     adminRateLimit,
-    validateAdminSecret,
+    auditAdminAction('wallet-balance.update-config'),
+    requireAdmin('balance:write'),
     [
-        body('addresses')
-            .isArray({ min: 1 })
-            .withMessage('Addresses must be a non-empty array'),
-        body('addresses.*')
+        body('walletAddress')
+            .optional()
             .isEthereumAddress()
-            .withMessage('Each address must be a valid Ethereum address')
+            .withMessage('Invalid Ethereum address'),
+        body('walletName')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Wallet name must be 1-100 characters'),
+        body('threshold')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('Threshold must be a positive number')
     ],
     handleValidationErrors,
     asyncHandler(async (req, res) => {
-        const { addresses } = req.body;
-
-        logger.warn(`🔑📥 BATCH PRIVATE KEY CSV DOWNLOAD: ${addresses.length} addresses requested by admin from ${req.ip}`);
-
-        // Convert addresses to lowercase for case-insensitive search
-        const lowercaseAddresses = addresses.map(addr => addr.toLowerCase());
+        const { walletAddress, walletName, threshold } = req.body;
 
-        // Find all wallets matching the addresses
-        const wallets = await Wallet.find({
-            address: { $in: lowercaseAddresses }
+        logger.info(`Wallet balance configuration updated by admin ${req.admin.username} from ${req.ip}`, {
+            walletAddress,
+            walletName,
+            threshold
         });
 
-        // Build CSV content
-        let csv = 'address,privateKey\n';
-
-        for (const wallet of wallets) {
-            const privateKey = decryptPrivateKey(wallet.encryptedPrivateKey, wallet.iv);
-            csv += `${wallet.address},${privateKey}\n`;
-            logger.info(`🔑 Private key accessed for CSV export: ${wallet.address}`);
-        }
-
-        const foundAddresses = wallets.map(w => w.address);
-        const notFoundAddresses = lowercaseAddresses.filter(addr => !foundAddresses.includes(addr));
-
-        if (notFoundAddresses.length > 0) {
-            logger.warn(`⚠️  ${notFoundAddresses.length} addresses not found for CSV export`);
-            // Add comment in CSV about missing addresses
-            csv += `\n# Note: ${notFoundAddresses.length} addresses were not found in the database\n`;
-            csv += `# Missing addresses: ${notFoundAddresses.join(', ')}\n`;
-        }
-
-        // Set headers for CSV download
-        const timestamp = Date.now();
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', `attachment; filename="wallet-private-keys-${timestamp}.csv"`);
-
-        logger.warn(`⚠️⚠️⚠️ CSV with ${wallets.length} PRIVATE KEYS downloaded by admin from ${req.ip}`);
+        const config = await walletBalanceMonitor.updateConfiguration({
+            walletAddress,
+            walletName,
+            threshold
+        });
 
-        res.send(csv);
+        res.json({
+            success: true,
+            data: config,
+            message: 'Configuration updated successfully'
+        });
     })
 );
 
 /**
  * @swagger
- * /api/admin/finalization/status:
- *   get:
- *     summary: Get auto-finalization system status (Admin only)
+ * /api/admin/wallet-balance/test-email:
+ *   post:
+ *     summary: Test email configuration (requires balance:write)
+ *     description: Sends a test email to verify Gmail configuration is working
  *     tags: [Admin]
- *     security: []
- *     parameters:
- *       - in: header
- *         name: X-Admin-Secret
- *         required: true
- *         schema:
- *           type: string
- *         description: Admin secret for authentication
+ *     security:
+ *       - AdminBearerAuth: []
  *     responses:
  *       200:
- *         description: Finalization system status
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 data:
- *                   type: object
- *                   properties:
- *                     enabled:
- *                       type: boolean
- *                     schedule:
- *                       type: string
- *                     nextRun:
- *                       type: string
- *                     isRunning:
- *                       type: boolean
- *                     stats:
- *                       type: object
+ *         description: Test email sent successfully
+ *       500:
+ *         description: Email configuration error
  */
-router.get('/finalization/status',
+router.post('/wallet-balance/test-email',
     adminRateLimit,
-    validateAdminSecret,
+    auditAdminAction('wallet-balance.test-email'),
+    requireAdmin('balance:write'),
     asyncHandler(async (req, res) => {
-        const status = cronJobsService.getStatus();
-        const stats = await distributionFinalizer.getStats(7); // Last 7 days
+        logger.info(`Test email requested by admin ${req.admin.username} from ${req.ip}`);
+
+        const result = await emailService.testEmail();
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                error: {
+                    message: 'Failed to send test email',
+                    code: 'EMAIL_TEST_FAILED',
+                    details: result.error
+                }
+            });
+        }
 
         res.json({
             success: true,
             data: {
-                ...status,
-                stats
-            }
+                messageId: result.messageId,
+                recipients: result.recipients
+            },
+            message: 'Test email sent successfully'
         });
     })
 );
 
+// ============================================================================
+// LIQUIDITY WITHDRAWAL ENDPOINTS
+// ============================================================================
+
 /**
  * @swagger
- * /api/admin/finalization/run:
+ * /api/admin/liquidity/withdraw:
  *   post:
- *     summary: Manually trigger auto-finalization (Admin only)
- *     description: Immediately runs the auto-finalization process to finalize expired distributions
+ *     summary: Propose a bulk V2 LP liquidity withdrawal by token address (requires liquidity:withdraw)
+ *     description: |
+ *       Accepts an array of token contract addresses. For each token, automatically
+ *       finds all PancakeSwap V2 pairs (against WBNB, USDT, BUSD, USDC) via the factory.
+ *       If the configured wallet holds LP tokens in any pair, withdraws 100% of liquidity.
+ *
+ *       Two-person operation: returns 202 with a pending operation. The withdrawal runs when a
+ *       second admin holding liquidity:withdraw approves it via POST /api/admin/approvals/{id}/approve,
+ *       which returns the results below.
  *     tags: [Admin]
- *     security: []
- *     parameters:
- *       - in: header
- *         name: X-Admin-Secret
- *         required: true
- *         schema:
- *           type: string
- *         description: Admin secret for authentication
+ *     security:
+ *       - AdminBearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tokens
+ *             properties:
+ *               tokens:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Array of token contract addresses (NOT pair addresses)
+ *                 example: ["0xd63a174185e7a7e0e0b3b7189a20efd2fe0a0234"]
+ *               slippage:
+ *                 type: number
+ *                 minimum: 0.1
+ *                 maximum: 50
+ *                 default: 1
+ *                 description: Slippage tolerance in percent
+ *                 example: 1
  *     responses:
+ *       202:
+ *         description: Pending operation created
  *       200:
- *         description: Finalization run completed
+ *         description: Bulk withdrawal results (approve response)
  *         content:
  *           application/json:
  *             schema:
@@ -1130,80 +2556,154 @@ router.get('/finalization/status',
  *               properties:
  *                 success:
  *                   type: boolean
- *                   example: true
  *                 data:
  *                   type: object
  *                   properties:
- *                     finalized:
+ *                     totalTokens:
  *                       type: integer
- *                     failed:
+ *                     totalWithdrawals:
  *                       type: integer
  *                     skipped:
  *                       type: integer
- *                     transactions:
+ *                     noPairs:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *                     wallet:
+ *                       type: string
+ *                     results:
  *                       type: array
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not signed in as an admin
+ *       403:
+ *         description: Insufficient admin permissions
+ *       500:
+ *         description: Service initialization error
  */
-router.post('/finalization/run',
+router.post('/liquidity/withdraw',
     adminRateLimit,
-    validateAdminSecret,
+    auditAdminAction('liquidity.withdraw'),
+    requireAdmin('liquidity:withdraw'),
+    [
+        body('tokens')
+            .isArray({ min: 1, max: 50 })
+            .withMessage('tokens must be a non-empty array (max 50)'),
+        body('tokens.*')
+            .isEthereumAddress()
+            .withMessage('Each token must be a valid Ethereum address'),
+        body('slippage')
+            .optional()
+            .isFloat({ min: 0.1, max: 50 })
+            .withMessage('Slippage must be between 0.1 and 50 percent')
+    ],
+    handleValidationErrors,
     asyncHandler(async (req, res) => {
-        logger.info(`Manual finalization triggered by admin from ${req.ip}`);
+        const { tokens, slippage = 1 } = req.body;
 
-        const result = await cronJobsService.triggerManualFinalization();
+        logger.info(`🔄 Bulk liquidity withdrawal proposed by admin ${req.admin.username} from ${req.ip} for ${tokens.length} token(s)`);
 
-        res.json({
-            success: result.success,
-            data: result
-        });
+        // Fail fast on a misconfigured manager instead of after the approval
+        try {
+            getLiquidityManager();
+        } catch (initError) {
+            logger.error('LiquidityManager initialization failed:', initError);
+            return res.status(500).json({
+                success: false,
+                error: {
+                    message: 'Liquidity manager not configured. Check LIQUIDITY_WALLET_PRIVATE_KEY and related env vars.',
+                    code: 'SERVICE_NOT_CONFIGURED',
+                    details: initError.message
+                }
+            });
+        }
+
+        await proposeOperation(req, res, 'liquidity.withdraw', { tokens, slippage: Number(slippage) });
     })
 );
 
 /**
  * @swagger
- * /api/admin/finalization/history:
- *   get:
- *     summary: Get finalization history (Admin only)
+ * /api/admin/liquidity/check:
+ *   post:
+ *     summary: Check LP token balances by token address (requires liquidity:read)
+ *     description: |
+ *       Read-only check. Accepts token contract addresses, automatically finds all
+ *       PancakeSwap V2 pairs via factory, and returns LP balance info for each.
  *     tags: [Admin]
- *     security: []
- *     parameters:
- *       - in: header
- *         name: X-Admin-Secret
- *         required: true
- *         schema:
- *           type: string
- *         description: Admin secret for authentication
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 100
- *         description: Number of results to return
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: [pending, success, failed, skipped]
- *         description: Filter by status
+ *     security:
+ *       - AdminBearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tokens
+ *             properties:
+ *               tokens:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Array of token contract addresses (NOT pair addresses)
+ *                 example: ["0xd63a174185e7a7e0e0b3b7189a20efd2fe0a0234"]
  *     responses:
  *       200:
- *         description: Finalization history retrieved
+ *         description: LP balance check results per token with all discovered pairs
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not signed in as an admin
+ *       403:
+ *         description: Insufficient admin permissions
  */
-router.get('/finalization/history',
+router.post('/liquidity/check',
     adminRateLimit,
-    validateAdminSecret,
+    auditAdminAction('liquidity.check'),
+    requireAdmin('liquidity:read'),
+    [
+        body('tokens')
+            .isArray({ min: 1, max: 50 })
+            .withMessage('tokens must be a non-empty array (max 50)'),
+        body('tokens.*')
+            .isEthereumAddress()
+            .withMessage('Each token must be a valid Ethereum address')
+    ],
+    handleValidationErrors,
     asyncHandler(async (req, res) => {
-        const { limit = 100, status } = req.query;
+        const { tokens } = req.body;
 
-        const history = await distributionFinalizer.getHistory(
-            parseInt(limit),
-            status
-        );
+        logger.info(`🔍 LP balance check requested by admin ${req.admin.username} from ${req.ip} for ${tokens.length} token(s)`);
+
+        let manager;
+        try {
+            manager = getLiquidityManager();
+        } catch (initError) {
+            logger.error('LiquidityManager initialization failed:', initError);
+            return res.status(500).json({
+                success: false,
+                error: {
+                    message: 'Liquidity manager not configured. Check LIQUIDITY_WALLET_PRIVATE_KEY and related env vars.',
+                    code: 'SERVICE_NOT_CONFIGURED',
+                    details: initError.message
+                }
+            });
+        }
+
+        const results = await manager.bulkCheckLiquidity(tokens);
+
+        const withLiquidity = results.filter(r => r.pairs && r.pairs.some(p => p.hasLiquidity)).length;
 
         res.json({
             success: true,
             data: {
-                count: history.length,
-                history
+                totalTokens: tokens.length,
+                withLiquidity,
+                withoutLiquidity: tokens.length - withLiquidity,
+                wallet: manager.wallet ? manager.wallet.address : 'unknown',
+                results
             }
         });
     })
@@ -1211,191 +2711,241 @@ router.get('/finalization/history',
 
 /**
  * @swagger
- * /api/admin/finalization/stats:
+ * /api/admin/admins:
  *   get:
- *     summary: Get finalization statistics (Admin only)
+ *     summary: List admin accounts (requires admins:manage)
  *     tags: [Admin]
- *     security: []
- *     parameters:
- *       - in: header
- *         name: X-Admin-Secret
- *         required: true
- *         schema:
- *           type: string
- *         description: Admin secret for authentication
- *       - in: query
- *         name: days
- *         schema:
- *           type: integer
- *           default: 7
- *         description: Number of days to calculate stats for
+ *     security:
+ *       - AdminBearerAuth: []
  *     responses:
  *       200:
- *         description: Finalization statistics
+ *         description: Admin accounts
+ *       401:
+ *         description: Not signed in as an admin
+ *       403:
+ *         description: Insufficient admin permissions
  */
-router.get('/finalization/stats',
+router.get('/admins',
     adminRateLimit,
-    validateAdminSecret,
+    auditAdminAction('admins.list'),
+    requireAdmin('admins:manage'),
     asyncHandler(async (req, res) => {
-        const { days = 7 } = req.query;
-
-        const stats = await distributionFinalizer.getStats(parseInt(days));
+        const admins = await adminAccounts.listAdmins();
 
         res.json({
             success: true,
-            data: stats
+            data: {
+                admins,
+                roles: ROLE_PERMISSIONS
+            }
         });
     })
 );
 
 /**
  * @swagger
- * /api/admin/wallet-balance/check:
+ * /api/admin/admins:
  *   post:
- *     summary: Manually trigger wallet balance check (Admin only)
- *     description: Immediately checks the monitored wallet balance and sends alerts if needed
+ *     summary: Create an admin account (requires admins:manage)
+ *     description: |
+ *       With TOTP enabled (default) the response contains the TOTP secret and otpauth URI for the
+ *       new admin's authenticator app. They are returned only once.
  *     tags: [Admin]
- *     security: []
- *     parameters:
- *       - in: header
- *         name: X-Admin-Secret
- *         required: true
- *         schema:
- *           type: string
- *         description: Admin secret for authentication
+ *     security:
+ *       - AdminBearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - roles
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 example: "alice"
+ *               walletAddress:
+ *                 type: string
+ *                 description: Wallet allowed to sign in via SIWE
+ *               roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [superadmin, security, treasury, operator, auditor]
+ *               enableTotp:
+ *                 type: boolean
+ *                 default: true
  *     responses:
- *       200:
- *         description: Balance check completed
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 data:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       walletName:
- *                         type: string
- *                       walletAddress:
- *                         type: string
- *                       balance:
- *                         type: string
- *                       balanceNumber:
- *                         type: number
- *                       threshold:
- *                         type: string
- *                       belowThreshold:
- *                         type: boolean
- *                       alertSent:
- *                         type: boolean
+ *       201:
+ *         description: Admin created
+ *       400:
+ *         description: Invalid data or no sign-in method
+ *       409:
+ *         description: Username or wallet already in use
  */
-router.post('/wallet-balance/check',
+router.post('/admins',
     adminRateLimit,
-    validateAdminSecret,
+    auditAdminAction('admins.create'),
+    requireAdmin('admins:manage'),
+    [
+        body('username')
+            .isString()
+            .trim()
+            .matches(/^[a-zA-Z0-9._-]{3,32}$/)
+            .withMessage('username must be 3-32 characters: letters, digits, . _ -'),
+        body('walletAddress')
+            .optional({ nullable: true })
+            .isEthereumAddress()
+            .withMessage('walletAddress must be a valid Ethereum address'),
+        ...roleValidators,
+        body('enableTotp')
+            .optional()
+            .isBoolean()
+            .withMessage('enableTotp must be a boolean')
+    ],
+    handleValidationErrors,
     asyncHandler(async (req, res) => {
-        logger.info(`Manual wallet balance check triggered by admin from ${req.ip}`);
-
-        const results = await cronJobsService.triggerManualBalanceCheck();
+        let result;
+        try {
+            result = await adminAccounts.createAdmin({
+                username: req.body.username,
+                walletAddress: req.body.walletAddress || null,
+                roles: req.body.roles,
+                enableTotp: req.body.enableTotp !== false
+            }, req.admin.id || req.admin.username);
+        } catch (error) {
+            return sendServiceError(res, error);
+        }
 
-        res.json({
+        res.status(201).json({
             success: true,
-            data: results
+            data: {
+                ...result.admin,
+                ...(result.totp && { totp: result.totp }) // Returned only once
+            }
         });
     })
 );
 
 /**
  * @swagger
- * /api/admin/wallet-balance/alerts:
- *   get:
- *     summary: Get wallet balance alert history (Admin only)
+ * /api/admin/admins/{id}:
+ *   patch:
+ *     summary: Update an admin's roles, wallet or active state (requires admins:manage)
+ *     description: Disabling an admin ends their sessions immediately. You cannot disable yourself or drop your own admins:manage permission.
  *     tags: [Admin]
- *     security: []
+ *     security:
+ *       - AdminBearerAuth: []
  *     parameters:
- *       - in: header
- *         name: X-Admin-Secret
+ *       - in: path
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Admin secret for authentication
- *       - in: query
- *         name: walletAddress
- *         schema:
- *           type: string
- *         description: Filter by wallet address
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 50
- *         description: Number of results to return
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [superadmin, security, treasury, operator, auditor]
+ *               walletAddress:
+ *                 type: string
+ *                 nullable: true
+ *               isActive:
+ *                 type: boolean
  *     responses:
  *       200:
- *         description: Alert history retrieved
+ *         description: Admin updated
+ *       404:
+ *         description: Admin not found
+ *       409:
+ *         description: Wallet in use or change would lock you out
  */
-router.get('/wallet-balance/alerts',
+router.patch('/admins/:id',
     adminRateLimit,
-    validateAdminSecret,
+    auditAdminAction('admins.update'),
+    requireAdmin('admins:manage'),
+    [
+        body('roles')
+            .optional()
+            .isArray({ min: 1 })
+            .withMessage('roles must be a non-empty array'),
+        body('roles.*')
+            .isIn(AdminUser.ROLES)
+            .withMessage(`Each role must be one of: ${AdminUser.ROLES.join(', ')}`),
+        body('walletAddress')
+            .optional({ nullable: true })
+            .isEthereumAddress()
+            .withMessage('walletAddress must be a valid Ethereum address'),
+        body('isActive')
+            .optional()
+            .isBoolean()
+            .withMessage('isActive must be a boolean')
+    ],
+    handleValidationErrors,
     asyncHandler(async (req, res) => {
-        const { walletAddress, limit = 50 } = req.query;
+        const { roles, walletAddress, isActive } = req.body;
 
-        const alerts = await walletBalanceMonitor.getAlertHistory(
-            walletAddress,
-            parseInt(limit)
-        );
+        let admin;
+        try {
+            admin = await adminAccounts.updateAdmin(req.params.id, { roles, walletAddress, isActive }, req.admin);
+        } catch (error) {
+            return sendServiceError(res, error);
+        }
 
         res.json({
             success: true,
-            data: {
-                count: alerts.length,
-                alerts
-            }
+            data: admin
         });
     })
 );
 
 /**
  * @swagger
- * /api/admin/wallet-balance/alerts/unresolved:
- *   get:
- *     summary: Get unresolved wallet balance alerts (Admin only)
+ * /api/admin/admins/{id}/totp:
+ *   post:
+ *     summary: Reset an admin's TOTP secret (requires admins:manage)
+ *     description: The previous authenticator enrolment stops working. The new secret is returned only once.
  *     tags: [Admin]
- *     security: []
+ *     security:
+ *       - AdminBearerAuth: []
  *     parameters:
- *       - in: header
- *         name: X-Admin-Secret
+ *       - in: path
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Admin secret for authentication
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 50
- *         description: Number of results to return
  *     responses:
  *       200:
- *         description: Unresolved alerts retrieved
+ *         description: New TOTP secret and otpauth URI
+ *       404:
+ *         description: Admin not found
  */
-router.get('/wallet-balance/alerts/unresolved',
+router.post('/admins/:id/totp',
     adminRateLimit,
-    validateAdminSecret,
+    auditAdminAction('admins.reset-totp'),
+    requireAdmin('admins:manage'),
     asyncHandler(async (req, res) => {
-        const { limit = 50 } = req.query;
-
-        const alerts = await walletBalanceMonitor.getUnresolvedAlerts(parseInt(limit));
+        let result;
+        try {
+            result = await adminAccounts.resetTotp(req.params.id, req.admin);
+        } catch (error) {
+            return sendServiceError(res, error);
+        }
 
         res.json({
             success: true,
             data: {
-                count: alerts.length,
-                alerts
+                ...result.admin,
+                totp: result.totp // Returned only once
             }
         });
     })
@@ -1403,414 +2953,358 @@ router.get('/wallet-balance/alerts/unresolved',
 
 /**
  * @swagger
- * /api/admin/wallet-balance/stats:
+ * /api/admin/audit:
  *   get:
- *     summary: Get wallet balance monitoring statistics (Admin only)
+ *     summary: Browse the admin audit log (requires audit:read)
+ *     description: |
+ *       Every /api/admin request, including sign-in attempts and rejected requests, newest first.
+ *       Secrets in request parameters are redacted.
  *     tags: [Admin]
- *     security: []
+ *     security:
+ *       - AdminBearerAuth: []
  *     parameters:
- *       - in: header
- *         name: X-Admin-Secret
- *         required: true
+ *       - in: query
+ *         name: actor
  *         schema:
  *           type: string
- *         description: Admin secret for authentication
+ *         description: Admin id or username
  *       - in: query
- *         name: days
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Exact action (keys.rotate) or prefix ending in a dot (wallets.)
+ *       - in: query
+ *         name: success
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
  *         schema:
  *           type: integer
- *           default: 7
- *         description: Number of days to calculate stats for
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
  *     responses:
  *       200:
- *         description: Wallet balance statistics
+ *         description: Audit log entries
+ *       401:
+ *         description: Not signed in as an admin
+ *       403:
+ *         description: Insufficient admin permissions
  */
-router.get('/wallet-balance/stats',
+router.get('/audit',
     adminRateLimit,
-    validateAdminSecret,
+    auditAdminAction('audit.read'),
+    requireAdmin('audit:read'),
+    [
+        query('actor').optional().isString().trim().isLength({ min: 1, max: 64 }),
+        query('action').optional().isString().trim().isLength({ min: 1, max: 64 }),
+        query('success').optional().isBoolean().withMessage('success must be true or false'),
+        query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+        query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+        query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be 1-200'),
+        query('offset').optional().isInt({ min: 0 }).withMessage('offset must be 0 or more')
+    ],
+    handleValidationErrors,
     asyncHandler(async (req, res) => {
-        const { days = 7 } = req.query;
-
-        const stats = await walletBalanceMonitor.getStatistics(parseInt(days));
+        const { actor, action, success, from, to, limit, offset } = req.query;
+
+        const result = await adminAccounts.getAuditLog({
+            actor,
+            action,
+            success: success !== undefined ? success === 'true' : undefined,
+            from,
+            to,
+            limit: limit ? parseInt(limit) : undefined,
+            offset: offset ? parseInt(offset) : undefined
+        });
 
         res.json({
             success: true,
-            data: stats
+            data: result
         });
     })
 );
 
 /**
  * @swagger
- * /api/admin/wallet-balance/config:
+ * /api/admin/approvals:
  *   get:
- *     summary: Get wallet balance monitoring configuration (Admin only)
+ *     summary: List two-person operations (Admin)
+ *     description: Proposed sensitive operations and their state. Pending operations past their TTL are reported as EXPIRED.
  *     tags: [Admin]
- *     security: []
+ *     security:
+ *       - AdminBearerAuth: []
  *     parameters:
- *       - in: header
- *         name: X-Admin-Secret
- *         required: true
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, EXECUTING, EXECUTED, FAILED, REJECTED, CANCELLED, EXPIRED]
+ *       - in: query
+ *         name: type
  *         schema:
  *           type: string
- *         description: Admin secret for authentication
+ *           enum: [wallets.export-private-key, wallets.export-private-keys, wallets.export-private-keys-csv, liquidity.withdraw, merkle.create, merkle.publish]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
  *     responses:
  *       200:
- *         description: Configuration retrieved
+ *         description: Operations, newest first
+ *       401:
+ *         description: Not signed in as an admin
  */
-router.get('/wallet-balance/config',
+router.get('/approvals',
     adminRateLimit,
-    validateAdminSecret,
+    auditAdminAction('approvals.list'),
+    requireAdmin(),
+    [
+        query('status').optional().isIn(PendingOperation.STATUSES).withMessage(`status must be one of: ${PendingOperation.STATUSES.join(', ')}`),
+        query('type').optional().isString().trim().isLength({ min: 1, max: 64 }),
+        query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be 1-200'),
+        query('offset').optional().isInt({ min: 0 }).withMessage('offset must be 0 or more')
+    ],
+    handleValidationErrors,
     asyncHandler(async (req, res) => {
-        const config = await walletBalanceMonitor.getConfiguration();
+        const { status, type, limit, offset } = req.query;
+
+        const result = await adminApprovals.listOperations({
+            status,
+            type,
+            limit: limit ? parseInt(limit) : undefined,
+            offset: offset ? parseInt(offset) : undefined
+        });
 
         res.json({
             success: true,
-            data: config
+            data: {
+                ...result,
+                operations: result.operations.map(operation => adminApprovals.formatOperation(operation))
+            }
         });
     })
 );
 
 /**
  * @swagger
- * /api/admin/wallet-balance/config:
- *   put:
- *     summary: Update wallet balance monitoring configuration (Admin only)
+ * /api/admin/approvals/{id}:
+ *   get:
+ *     summary: Get a two-person operation (Admin)
  *     tags: [Admin]
- *     security: []
+ *     security:
+ *       - AdminBearerAuth: []
  *     parameters:
- *       - in: header
- *         name: X-Admin-Secret
+ *       - in: path
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Admin secret for authentication
- *     requestBody:
- *       required: false
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               walletAddress:
- *                 type: string
- *                 description: New wallet address to monitor
- *               walletName:
- *                 type: string
- *                 description: Descriptive name for the wallet
- *               threshold:
- *                 type: number
- *                 description: New balance threshold (in BNB)
  *     responses:
  *       200:
- *         description: Configuration updated
+ *         description: Operation with params, paramsHash and decision/execution state
+ *       404:
+ *         description: Operation not found
  */
-router.put('/wallet-balance/config',
+router.get('/approvals/:id',
     adminRateLimit,
-    validateAdminSecret,
-    [
-        body('walletAddress')
-            .optional()
-            .isEthereumAddress()
-            .withMessage('Invalid Ethereum address'),
-        body('walletName')
-            .optional()
-            .isString()
-            .trim()
-            .isLength({ min: 1, max: 100 })
-            .withMessage('Wallet name must be 1-100 characters'),
-        body('threshold')
-            .optional()
-            .isFloat({ min: 0 })
-            .withMessage('Threshold must be a positive number')
-    ],
-    handleValidationErrors,
+    auditAdminAction('approvals.get'),
+    requireAdmin(),
     asyncHandler(async (req, res) => {
-        const { walletAddress, walletName, threshold } = req.body;
-
-        logger.info(`Wallet balance configuration updated by admin from ${req.ip}`, {
-            walletAddress,
-            walletName,
-            threshold
-        });
+        const operation = await adminApprovals.getOperation(req.params.id);
 
-        const config = await walletBalanceMonitor.updateConfiguration({
-            walletAddress,
-            walletName,
-            threshold
-        });
+        if (!operation) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: 'Operation not found',
+                    code: 'OPERATION_NOT_FOUND'
+                }
+            });
+        }
 
         res.json({
             success: true,
-            data: config,
-            message: 'Configuration updated successfully'
+            data: adminApprovals.formatOperation(operation)
         });
     })
 );
 
 /**
  * @swagger
- * /api/admin/wallet-balance/test-email:
+ * /api/admin/approvals/{id}/approve:
  *   post:
- *     summary: Test email configuration (Admin only)
- *     description: Sends a test email to verify Gmail configuration is working
+ *     summary: Approve and execute a two-person operation (requires the operation's permission)
+ *     description: |
+ *       Must be a different admin from the proposer, holding the operation's permission, before the
+ *       operation expires (ADMIN_APPROVAL_TTL_MINUTES, default 60). The server then executes it and
+ *       this response carries the result - the private keys (JSON or CSV) for key exports, the
+ *       withdrawal results for liquidity.withdraw, the created distribution for merkle.create and merkle.publish.
  *     tags: [Admin]
- *     security: []
+ *     security:
+ *       - AdminBearerAuth: []
  *     parameters:
- *       - in: header
- *         name: X-Admin-Secret
+ *       - in: path
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Admin secret for authentication
  *     responses:
  *       200:
- *         description: Test email sent successfully
+ *         description: Operation executed
+ *       403:
+ *         description: Proposer cannot approve, missing permission or legacy admin secret
+ *       404:
+ *         description: Operation not found
+ *       409:
+ *         description: Operation expired or no longer pending
  *       500:
- *         description: Email configuration error
+ *         description: Operation failed (state FAILED)
  */
-router.post('/wallet-balance/test-email',
+router.post('/approvals/:id/approve',
     adminRateLimit,
-    validateAdminSecret,
+    auditAdminAction('approvals.approve'),
+    requireAdmin(),
     asyncHandler(async (req, res) => {
-        logger.info(`Test email requested by admin from ${req.ip}`);
+        let approval;
+        try {
+            approval = await adminApprovals.approve(req.params.id, req.admin);
+        } catch (error) {
+            return sendServiceError(res, error);
+        }
 
-        const result = await emailService.testEmail();
+        const { operation, result, definition } = approval;
 
-        if (!result.success) {
-            return res.status(500).json({
-                success: false,
-                error: {
-                    message: 'Failed to send test email',
-                    code: 'EMAIL_TEST_FAILED',
-                    details: result.error
-                }
-            });
+        if (definition.respond) {
+            return definition.respond(res, result, operation);
         }
 
         res.json({
             success: true,
             data: {
-                messageId: result.messageId,
-                recipients: result.recipients
-            },
-            message: 'Test email sent successfully'
+                operation: adminApprovals.formatOperation(operation),
+                result
+            }
         });
     })
 );
 
-// ============================================================================
-// LIQUIDITY WITHDRAWAL ENDPOINTS
-// ============================================================================
-
 /**
  * @swagger
- * /api/admin/liquidity/withdraw:
+ * /api/admin/approvals/{id}/reject:
  *   post:
- *     summary: Bulk check and withdraw V2 LP liquidity by token address (Admin only)
- *     description: |
- *       Accepts an array of token contract addresses. For each token, automatically
- *       finds all PancakeSwap V2 pairs (against WBNB, USDT, BUSD, USDC) via the factory.
- *       If the configured wallet holds LP tokens in any pair, withdraws 100% of liquidity.
+ *     summary: Reject a two-person operation (requires the operation's permission)
  *     tags: [Admin]
- *     security: []
+ *     security:
+ *       - AdminBearerAuth: []
  *     parameters:
- *       - in: header
- *         name: X-Admin-Secret
+ *       - in: path
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Admin secret for authentication
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - tokens
  *             properties:
- *               tokens:
- *                 type: array
- *                 items:
- *                   type: string
- *                 description: Array of token contract addresses (NOT pair addresses)
- *                 example: ["0xd63a174185e7a7e0e0b3b7189a20efd2fe0a0234"]
- *               slippage:
- *                 type: number
- *                 minimum: 0.1
- *                 maximum: 50
- *                 default: 1
- *                 description: Slippage tolerance in percent
- *                 example: 1
+ *               reason:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Bulk withdrawal results
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   type: object
- *                   properties:
- *                     totalTokens:
- *                       type: integer
- *                     totalWithdrawals:
- *                       type: integer
- *                     skipped:
- *                       type: integer
- *                     noPairs:
- *                       type: integer
- *                     failed:
- *                       type: integer
- *                     wallet:
- *                       type: string
- *                     results:
- *                       type: array
- *       400:
- *         description: Validation error
- *       401:
- *         description: Missing admin secret
+ *         description: Operation rejected
  *       403:
- *         description: Invalid admin secret
- *       500:
- *         description: Service initialization error
+ *         description: Proposer cannot reject (use cancel) or missing permission
+ *       409:
+ *         description: Operation expired or no longer pending
  */
-router.post('/liquidity/withdraw',
+router.post('/approvals/:id/reject',
     adminRateLimit,
-    validateAdminSecret,
+    auditAdminAction('approvals.reject'),
+    requireAdmin(),
     [
-        body('tokens')
-            .isArray({ min: 1, max: 50 })
-            .withMessage('tokens must be a non-empty array (max 50)'),
-        body('tokens.*')
-            .isEthereumAddress()
-            .withMessage('Each token must be a valid Ethereum address'),
-        body('slippage')
-            .optional()
-            .isFloat({ min: 0.1, max: 50 })
-            .withMessage('Slippage must be between 0.1 and 50 percent')
+        body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('reason must be at most 500 characters')
     ],
     handleValidationErrors,
     asyncHandler(async (req, res) => {
-        const { tokens, slippage = 1 } = req.body;
-
-        logger.info(`🔄 Bulk liquidity withdrawal requested by admin from ${req.ip} for ${tokens.length} token(s)`);
-
-        let manager;
+        let operation;
         try {
-            manager = getLiquidityManager();
-        } catch (initError) {
-            logger.error('LiquidityManager initialization failed:', initError);
-            return res.status(500).json({
-                success: false,
-                error: {
-                    message: 'Liquidity manager not configured. Check LIQUIDITY_WALLET_PRIVATE_KEY and related env vars.',
-                    code: 'SERVICE_NOT_CONFIGURED',
-                    details: initError.message
-                }
-            });
+            operation = await adminApprovals.reject(req.params.id, req.admin, req.body.reason || null);
+        } catch (error) {
+            return sendServiceError(res, error);
         }
 
-        const result = await manager.bulkCheckAndWithdraw(tokens, slippage);
-
         res.json({
             success: true,
-            data: result
+            data: adminApprovals.formatOperation(operation)
         });
     })
 );
 
 /**
  * @swagger
- * /api/admin/liquidity/check:
+ * /api/admin/approvals/{id}/cancel:
  *   post:
- *     summary: Check LP token balances by token address (Admin only)
- *     description: |
- *       Read-only check. Accepts token contract addresses, automatically finds all
- *       PancakeSwap V2 pairs via factory, and returns LP balance info for each.
+ *     summary: Cancel your own pending operation (Admin)
  *     tags: [Admin]
- *     security: []
+ *     security:
+ *       - AdminBearerAuth: []
  *     parameters:
- *       - in: header
- *         name: X-Admin-Secret
+ *       - in: path
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Admin secret for authentication
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - tokens
- *             properties:
- *               tokens:
- *                 type: array
- *                 items:
- *                   type: string
- *                 description: Array of token contract addresses (NOT pair addresses)
- *                 example: ["0xd63a174185e7a7e0e0b3b7189a20efd2fe0a0234"]
  *     responses:
  *       200:
- *         description: LP balance check results per token with all discovered pairs
- *       400:
- *         description: Validation error
- *       401:
- *         description: Missing admin secret
+ *         description: Operation cancelled
  *       403:
- *         description: Invalid admin secret
+ *         description: Not the proposer
+ *       409:
+ *         description: Operation no longer pending
  */
-router.post('/liquidity/check',
+router.post('/approvals/:id/cancel',
     adminRateLimit,
-    validateAdminSecret,
+    auditAdminAction('approvals.cancel'),
+    requireAdmin(),
     [
-        body('tokens')
-            .isArray({ min: 1, max: 50 })
-            .withMessage('tokens must be a non-empty array (max 50)'),
-        body('tokens.*')
-            .isEthereumAddress()
-            .withMessage('Each token must be a valid Ethereum address')
+        body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('reason must be at most 500 characters')
     ],
     handleValidationErrors,
     asyncHandler(async (req, res) => {
-        const { tokens } = req.body;
-
-        logger.info(`🔍 LP balance check requested by admin from ${req.ip} for ${tokens.length} token(s)`);
-
-        let manager;
+        let operation;
         try {
-            manager = getLiquidityManager();
-        } catch (initError) {
-            logger.error('LiquidityManager initialization failed:', initError);
-            return res.status(500).json({
-                success: false,
-                error: {
-                    message: 'Liquidity manager not configured. Check LIQUIDITY_WALLET_PRIVATE_KEY and related env vars.',
-                    code: 'SERVICE_NOT_CONFIGURED',
-                    details: initError.message
-                }
-            });
+            operation = await adminApprovals.cancel(req.params.id, req.admin, req.body.reason || null);
+        } catch (error) {
+            return sendServiceError(res, error);
         }
 
-        const results = await manager.bulkCheckLiquidity(tokens);
-
-        const withLiquidity = results.filter(r => r.pairs && r.pairs.some(p => p.hasLiquidity)).length;
-
         res.json({
             success: true,
-            data: {
-                totalTokens: tokens.length,
-                withLiquidity,
-                withoutLiquidity: tokens.length - withLiquidity,
-                wallet: manager.wallet ? manager.wallet.address : 'unknown',
-                results
-            }
+            data: adminApprovals.formatOperation(operation)
         });
     })
 );
@@ -8,10 +8,17 @@
 const express = require('express');
 const router = express.Router();
 const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { createApiAccessMiddleware, compileAllowList } = require('../middleware/apiAccess');
 const PriceOracle = require('../bot/services/priceOracle');
 const PriceOracleV3 = require('../bot/services/priceOracleV3');
 const TradeExecutor = require('../bot/services/tradeExecutor');
-const { Trade, PriceHistory, BotConfig } = require('../bot/models');
+const StrategyEngine = require('../bot/services/strategyEngine');
+const MarketData = require('../bot/services/marketData');
+const Backtester = require('../bot/services/backtester');
+const PriceSampler = require('../bot/services/priceSampler');
+const CandleAggregator = require('../bot/services/candleAggregator');
+const NotificationDispatcher = require('../bot/services/notificationDispatcher');
+const { Trade, PriceHistory, BotConfig, NotificationDelivery, CircuitBreakerEvent } = require('../bot/models');
 const logger = require('../utils/logger');
 
 // Apply authentication to all bot routes
@@ -19,10 +26,25 @@ const logger = require('../utils/logger');
 router.use(authMiddleware);
 router.use(requirePermission('bot'));
 
+// Enforce BotConfig.apiAccess (IP allow-list + per-minute/per-hour limits per API key)
+const botApiAccess = createApiAccessMiddleware({
+    name: 'bot',
+    loadAccessConfig: async () => (await BotConfig.getDefault()).apiAccess,
+    cacheTtlMs: parseInt(process.env.BOT_API_ACCESS_CACHE_TTL_MS) || 30000
+});
+router.use(botApiAccess);
+
 // Initialize services - use V3 oracle if IS_V3_POOL is true
 const isV3Pool = process.env.IS_V3_POOL === 'true';
 const priceOracle = isV3Pool ? new PriceOracleV3() : new PriceOracle();
 const tradeExecutor = new TradeExecutor();
+const notifier = NotificationDispatcher.getInstance();
+const strategyEngine = StrategyEngine.getInstance({
+    marketData: new MarketData(priceOracle),
+    tradeExecutor
+});
+const priceSampler = PriceSampler.getInstance({ priceOracle });
+const candleAggregator = new CandleAggregator();
 
 logger.info(`Bot initialized with ${isV3Pool ? 'V3' : 'V2'} price oracle`);
 
@@ -271,6 +293,131 @@ router.get('/prices/history', async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/bot/prices/candles:
+ *   get:
+ *     summary: Get MWT/USD OHLCV candles
+ *     description: |
+ *       Aggregates PriceHistory samples and executed bot trades into open/high/low/close/volume buckets.
+ *       Closed 1h and 1d buckets are served from pre-materialized rollups; the open tail is aggregated live.
+ *       Buckets with no samples and no trades are omitted. At most 1000 candles per request.
+ *     tags: [Bot]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [1m, 5m, 1h, 1d]
+ *           default: 1h
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Range start (defaults to 200 candles before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Range end, exclusive (defaults to now)
+ *     responses:
+ *       200:
+ *         description: Candles retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     interval:
+ *                       type: string
+ *                       example: "1h"
+ *                     from:
+ *                       type: string
+ *                       format: date-time
+ *                     to:
+ *                       type: string
+ *                       format: date-time
+ *                     sources:
+ *                       type: object
+ *                       properties:
+ *                         rollup:
+ *                           type: number
+ *                         live:
+ *                           type: number
+ *                     candles:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           time:
+ *                             type: string
+ *                             format: date-time
+ *                             description: Bucket start (UTC)
+ *                           open:
+ *                             type: number
+ *                           high:
+ *                             type: number
+ *                           low:
+ *                             type: number
+ *                           close:
+ *                             type: number
+ *                           volume:
+ *                             type: object
+ *                             properties:
+ *                               mwt:
+ *                                 type: number
+ *                               bnb:
+ *                                 type: number
+ *                               usd:
+ *                                 type: number
+ *                           trades:
+ *                             type: number
+ *                           samples:
+ *                             type: number
+ *       400:
+ *         description: Invalid interval or range
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/prices/candles', async (req, res) => {
+    try {
+        const { interval = '1h', from, to } = req.query;
+
+        const data = await candleAggregator.getCandles(interval, { from, to });
+
+        res.json({
+            success: true,
+            data,
+            count: data.candles.length,
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        if (error.code === 'INVALID_CANDLES') {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        logger.error('Error fetching price candles:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * @swagger
  * /api/bot/prices/statistics:
@@ -366,6 +513,77 @@ router.get('/prices/statistics', async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/bot/prices/sampler:
+ *   get:
+ *     summary: Get price sampler status
+ *     description: State of the scheduled price sampler that fills PriceHistory, with the BotConfig.monitoring settings it uses
+ *     tags: [Bot]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Sampler status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     scheduled:
+ *                       type: boolean
+ *                       example: true
+ *                     monitoring:
+ *                       type: object
+ *                       description: BotConfig.monitoring (interval, retention, anomaly threshold)
+ *                     lastSampleAt:
+ *                       type: string
+ *                       format: date-time
+ *                     lastSample:
+ *                       type: object
+ *                     lastError:
+ *                       type: object
+ *                       nullable: true
+ *                     lastPruneAt:
+ *                       type: string
+ *                       format: date-time
+ *                     lastAnomalyAt:
+ *                       type: string
+ *                       format: date-time
+ *                     anomalyAlerts:
+ *                       type: number
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/prices/sampler', async (req, res) => {
+    try {
+        const config = await BotConfig.getDefault();
+
+        res.json({
+            success: true,
+            data: {
+                scheduled: process.env.PRICE_SAMPLER_ENABLED === 'true',
+                monitoring: config.monitoring,
+                ...priceSampler.getStatus()
+            },
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        logger.error('Error fetching price sampler status:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * @swagger
  * /api/bot/liquidity:
@@ -536,6 +754,7 @@ router.get('/liquidity', async (req, res) => {
  *         description: Trade execution failed
  */
 router.post('/trade/execute', checkBotEnabled, async (req, res) => {
+    let tradeRecorded = false;
     try {
         const { action, amount, minOutput, slippage, urgency } = req.body;
 
@@ -586,6 +805,17 @@ router.post('/trade/execute', checkBotEnabled, async (req, res) => {
         const prices = await priceOracle.getAllPrices();
         const deviation = await priceOracle.getPegDeviation();
 
+        // Circuit breaker: refuse to trade (and disable the bot) beyond the emergency threshold
+        const market = MarketData.fromPrices(prices, req.botConfig.targetPeg.usd);
+        if (await req.botConfig.checkEmergencyDeviation(market.deviationPercent, 'trade-execute', { mwtUsdPrice: market.mwtUsdPrice })) {
+            notifier.notifyCircuitBreaker(req.botConfig);
+            return res.status(403).json({
+                success: false,
+                error: `Circuit breaker tripped: ${req.botConfig.circuitBreaker.message}`,
+                circuitBreaker: req.botConfig.circuitBreaker
+            });
+        }
+
         // Create trade record with placeholders for required chain fields
         const tradeId = `trade_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
@@ -653,6 +883,7 @@ router.post('/trade/execute', checkBotEnabled, async (req, res) => {
 
             // Update bot statistics
             await req.botConfig.recordTrade(trade);
+            tradeRecorded = true;
         } else {
             // If a txHash / blockNumber are present even on failure, persist them
             trade.txHash = result.txHash || trade.txHash;
@@ -660,8 +891,12 @@ router.post('/trade/execute', checkBotEnabled, async (req, res) => {
 
             await trade.markFailed(result.error || 'Execution failed');
             await req.botConfig.recordTrade(trade);
+            tradeRecorded = true;
         }
 
+        // checkBotEnabled guarantees the bot was enabled before recordTrade()
+        notifier.notifyTrade(trade, req.botConfig, true);
+
         res.json({
             success: result.success,
             data: {
@@ -673,6 +908,18 @@ router.post('/trade/execute', checkBotEnabled, async (req, res) => {
 
     } catch (error) {
         logger.error('Error executing trade:', error);
+
+        // Oracle, RPC and limit check failures count towards maxConsecutiveErrors like failed trades
+        if (!tradeRecorded) {
+            try {
+                if (await req.botConfig.recordError(error.message, 'trade-execute')) {
+                    notifier.notifyCircuitBreaker(req.botConfig);
+                }
+            } catch (recordError) {
+                logger.error('Failed to record trade error:', recordError);
+            }
+        }
+
         res.status(500).json({
             success: false,
             error: error.message
@@ -1374,6 +1621,72 @@ router.get('/config', async (req, res) => {
  *                   circuitBreaker:
  *                     type: boolean
  *                     example: true
+ *               monitoring:
+ *                 type: object
+ *                 properties:
+ *                   priceCheckInterval:
+ *                     type: number
+ *                     example: 60
+ *                     description: Seconds between price samples (10-3600)
+ *                   priceHistoryRetention:
+ *                     type: number
+ *                     example: 90
+ *                     description: Days of price history to keep (7-365)
+ *                   alertOnAnomalies:
+ *                     type: boolean
+ *                     example: true
+ *                   anomalyThreshold:
+ *                     type: number
+ *                     example: 10
+ *                     description: Sample-to-sample MWT/USD move (%) that raises PRICE_ANOMALY
+ *               notifications:
+ *                 type: object
+ *                 description: Channel endpoints/secrets are configured via BOT_NOTIFY_* environment variables
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                     example: true
+ *                   channels:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       enum: [EMAIL, TELEGRAM, DISCORD, SLACK, WEBHOOK]
+ *                     example: ["SLACK", "WEBHOOK"]
+ *                   events:
+ *                     type: object
+ *                     properties:
+ *                       onTrade:
+ *                         type: boolean
+ *                       onError:
+ *                         type: boolean
+ *                       onPause:
+ *                         type: boolean
+ *                       onResume:
+ *                         type: boolean
+ *                       onCircuitBreaker:
+ *                         type: boolean
+ *                       onDailyLimit:
+ *                         type: boolean
+ *                       onPriceAnomaly:
+ *                         type: boolean
+ *               apiAccess:
+ *                 type: object
+ *                 properties:
+ *                   allowedIPs:
+ *                     type: array
+ *                     description: IPs or CIDR ranges allowed to call /api/bot (empty = any)
+ *                     items:
+ *                       type: string
+ *                     example: ["203.0.113.7", "10.0.0.0/8"]
+ *                   rateLimit:
+ *                     type: object
+ *                     properties:
+ *                       requestsPerMinute:
+ *                         type: integer
+ *                         example: 60
+ *                       requestsPerHour:
+ *                         type: integer
+ *                         example: 1000
  *               modifiedBy:
  *                 type: string
  *                 example: "admin_user"
@@ -1406,7 +1719,18 @@ router.get('/config', async (req, res) => {
 router.put('/config', async (req, res) => {
     try {
         const config = await BotConfig.getDefault();
-        const { targetPeg, thresholds, limits, slippage, strategy, safety } = req.body;
+        const { targetPeg, thresholds, limits, slippage, strategy, safety, monitoring, notifications, apiAccess } = req.body;
+
+        if (apiAccess?.allowedIPs) {
+            try {
+                compileAllowList(apiAccess.allowedIPs);
+            } catch (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    error: validationError.message
+                });
+            }
+        }
 
         // Update fields
         if (targetPeg) Object.assign(config.targetPeg, targetPeg);
@@ -1415,10 +1739,21 @@ router.put('/config', async (req, res) => {
         if (slippage) Object.assign(config.slippage, slippage);
         if (strategy) Object.assign(config.strategy, strategy);
         if (safety) Object.assign(config.safety, safety);
+        if (monitoring) Object.assign(config.monitoring, monitoring);
+        if (notifications) {
+            if (notifications.enabled !== undefined) config.notifications.enabled = notifications.enabled;
+            if (notifications.channels) config.notifications.channels = notifications.channels;
+            if (notifications.events) Object.assign(config.notifications.events, notifications.events);
+        }
+        if (apiAccess) {
+            if (apiAccess.allowedIPs) config.apiAccess.allowedIPs = apiAccess.allowedIPs.map(ip => String(ip).trim());
+            if (apiAccess.rateLimit) Object.assign(config.apiAccess.rateLimit, apiAccess.rateLimit);
+        }
 
         config.lastModifiedBy = req.body.modifiedBy || 'api';
 
         await config.save();
+        botApiAccess.invalidate();
 
         logger.info('Bot configuration updated:', req.body);
 
@@ -1477,6 +1812,8 @@ router.put('/config', async (req, res) => {
  *                 timestamp:
  *                   type: string
  *                   format: date-time
+ *       409:
+ *         description: Circuit breaker is tripped (re-arm it instead)
  *       500:
  *         description: Failed to enable bot
  * @route   POST /api/bot/config/enable
@@ -1488,7 +1825,16 @@ router.post('/config/enable', async (req, res) => {
         const config = await BotConfig.getDefault();
         const reason = req.body.reason || 'Manual enable via API';
 
+        if (config.circuitBreaker.tripped) {
+            return res.status(409).json({
+                success: false,
+                error: 'Circuit breaker is tripped; use POST /api/bot/circuit-breaker/rearm',
+                circuitBreaker: config.circuitBreaker
+            });
+        }
+
         await config.enable(reason);
+        notifier.notifyResume(config);
 
         logger.info('Bot enabled:', reason);
 
@@ -1559,6 +1905,7 @@ router.post('/config/disable', async (req, res) => {
         const reason = req.body.reason || 'Manual disable via API';
 
         await config.disable(reason);
+        notifier.notifyPause(config);
 
         logger.info('Bot disabled:', reason);
 
@@ -1579,9 +1926,655 @@ router.post('/config/disable', async (req, res) => {
 });
 
 // ============================================================================
-// SAFETY & HEALTH ENDPOINTS
+// STRATEGY ENDPOINTS
 // ============================================================================
 
+/**
+ * @swagger
+ * /api/bot/strategy/status:
+ *   get:
+ *     summary: Get strategy loop status
+ *     description: Returns the in-process strategy engine state and its most recent decisions
+ *     tags: [Bot]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Strategy status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     scheduled:
+ *                       type: boolean
+ *                       example: true
+ *                     schedule:
+ *                       type: string
+ *                       example: "* * * * *"
+ *                     dryRun:
+ *                       type: boolean
+ *                       example: true
+ *                     running:
+ *                       type: boolean
+ *                     lastRunAt:
+ *                       type: string
+ *                       format: date-time
+ *                     lastError:
+ *                       type: string
+ *                       nullable: true
+ *                     lastDecision:
+ *                       type: object
+ *                     recentDecisions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       500:
+ *         description: Server error
+ */
+router.get('/strategy/status', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                scheduled: process.env.BOT_STRATEGY_ENABLED === 'true',
+                schedule: process.env.BOT_STRATEGY_CRON_SCHEDULE || '* * * * *',
+                ...strategyEngine.getStatus()
+            },
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        logger.error('Error fetching strategy status:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/bot/strategy/run:
+ *   post:
+ *     summary: Run one strategy cycle
+ *     description: |
+ *       Evaluates the current peg deviation against the BotConfig thresholds, sizing strategy and limits.
+ *       In dry-run mode the decision is only returned and logged; otherwise the trade is executed and recorded.
+ *     tags: [Bot]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Override the engine default (BOT_STRATEGY_DRY_RUN) for this cycle
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Cycle completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     dryRun:
+ *                       type: boolean
+ *                     decision:
+ *                       type: object
+ *                       properties:
+ *                         action:
+ *                           type: string
+ *                           enum: [BUY, SELL, HOLD, SKIP, HALT]
+ *                         urgency:
+ *                           type: string
+ *                         deviationPercent:
+ *                           type: number
+ *                         amountIn:
+ *                           type: number
+ *                         inputToken:
+ *                           type: string
+ *                         slippage:
+ *                           type: number
+ *                         reason:
+ *                           type: string
+ *                     trade:
+ *                       type: object
+ *                       description: Trade document (live runs only)
+ *       400:
+ *         description: Invalid dryRun value
+ *       403:
+ *         description: Bot is disabled
+ *       409:
+ *         description: A strategy cycle is already running
+ *       500:
+ *         description: Strategy cycle failed
+ */
+router.post('/strategy/run', checkBotEnabled, async (req, res) => {
+    try {
+        const { dryRun } = req.body || {};
+
+        if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: 'dryRun must be a boolean'
+            });
+        }
+
+        const result = await strategyEngine.runCycle(dryRun === undefined ? {} : { dryRun });
+
+        if (result.skipped && !result.decision) {
+            return res.status(409).json({
+                success: false,
+                error: result.reason
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result,
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        logger.error('Error running strategy cycle:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/bot/backtest:
+ *   post:
+ *     summary: Backtest the strategy against stored price history
+ *     description: |
+ *       Replays a PriceHistory window through the same decision logic as the strategy loop, trading
+ *       against a simulated constant-product (V2) or concentrated-liquidity (V3) pool. Config overrides
+ *       are applied in memory only, so thresholds can be tuned without touching the live config.
+ *     tags: [Bot]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Window start (default 7 days before endDate)
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Window end (default now)
+ *               poolType:
+ *                 type: string
+ *                 enum: [V2, V3]
+ *                 description: Simulated pool (default from IS_V3_POOL)
+ *               balances:
+ *                 type: object
+ *                 properties:
+ *                   bnb:
+ *                     type: number
+ *                     example: 5
+ *                   mwt:
+ *                     type: number
+ *                     example: 500000
+ *               config:
+ *                 type: object
+ *                 description: BotConfig overrides (targetPeg, thresholds, tradeSizing, limits, slippage, strategy, safety)
+ *                 example: { "thresholds": { "hold": 1.0 }, "strategy": { "mode": "CONSERVATIVE" } }
+ *               pool:
+ *                 type: object
+ *                 properties:
+ *                   liquidityUSD:
+ *                     type: number
+ *                     description: Pool size (default from the first sample)
+ *                   rangeWidthPercent:
+ *                     type: number
+ *                     description: V3 position range around the start price (default 50)
+ *                   fee:
+ *                     type: number
+ *                     example: 0.0025
+ *               gas:
+ *                 type: object
+ *                 properties:
+ *                   gasUsed:
+ *                     type: integer
+ *                   gasPriceGwei:
+ *                     type: number
+ *                     example: 3
+ *               maxSamples:
+ *                 type: integer
+ *                 example: 10000
+ *     responses:
+ *       200:
+ *         description: Backtest report with trades, volume, gas, PnL and time outside the peg band
+ *       400:
+ *         description: Invalid parameters or not enough price history
+ *       500:
+ *         description: Backtest failed
+ */
+router.post('/backtest', async (req, res) => {
+    try {
+        const { startDate, endDate, poolType, balances, config, pool, gas, maxSamples } = req.body || {};
+
+        if (poolType && !['V2', 'V3'].includes(String(poolType).toUpperCase())) {
+            return res.status(400).json({
+                success: false,
+                error: 'poolType must be V2 or V3'
+            });
+        }
+
+        if (maxSamples !== undefined && (!Number.isInteger(maxSamples) || maxSamples < 2 || maxSamples > Backtester.MAX_SAMPLES_LIMIT)) {
+            return res.status(400).json({
+                success: false,
+                error: `maxSamples must be an integer between 2 and ${Backtester.MAX_SAMPLES_LIMIT}`
+            });
+        }
+
+        if (balances && (
+            (balances.bnb !== undefined && !(Number(balances.bnb) >= 0)) ||
+            (balances.mwt !== undefined && !(Number(balances.mwt) >= 0))
+        )) {
+            return res.status(400).json({
+                success: false,
+                error: 'balances.bnb and balances.mwt must be non-negative numbers'
+            });
+        }
+
+        const report = await new Backtester().run({
+            startDate,
+            endDate,
+            poolType,
+            balances,
+            config,
+            pool,
+            gas,
+            maxSamples
+        });
+
+        res.json({
+            success: true,
+            data: report,
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        if (error.code === 'INVALID_BACKTEST') {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        logger.error('Error running backtest:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ============================================================================
+// NOTIFICATION ENDPOINTS
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/bot/notifications/deliveries:
+ *   get:
+ *     summary: Get notification delivery log
+ *     description: Recent bot notification deliveries with their status, attempts and last error
+ *     tags: [Bot]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *           enum: [TRADE, ERROR, PAUSE, RESUME, CIRCUIT_BREAKER, DAILY_LIMIT, PRICE_ANOMALY, TEST]
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [EMAIL, TELEGRAM, DISCORD, SLACK, WEBHOOK]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, DELIVERED, FAILED]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Delivery log retrieved successfully
+ *       500:
+ *         description: Server error
+ */
+router.get('/notifications/deliveries', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const { event, channel, status } = req.query;
+
+        const { deliveries, total } = await NotificationDelivery.getRecent({ event, channel, status }, limit, offset);
+
+        res.json({
+            success: true,
+            data: {
+                deliveries,
+                pagination: {
+                    total,
+                    limit,
+                    offset,
+                    hasMore: offset + deliveries.length < total
+                }
+            },
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        logger.error('Error fetching notification deliveries:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/bot/notifications/test:
+ *   post:
+ *     summary: Send a test notification
+ *     description: Sends a TEST event to one channel, or to every configured channel enabled in BotConfig, and waits for the deliveries
+ *     tags: [Bot]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               channel:
+ *                 type: string
+ *                 enum: [EMAIL, TELEGRAM, DISCORD, SLACK, WEBHOOK]
+ *     responses:
+ *       200:
+ *         description: Test deliveries (check each status)
+ *       400:
+ *         description: Channel not configured or no channels enabled
+ *       500:
+ *         description: Server error
+ */
+router.post('/notifications/test', async (req, res) => {
+    try {
+        const { channel } = req.body || {};
+        const config = await BotConfig.getDefault();
+
+        let channels;
+        if (channel) {
+            const adapter = notifier.channels.get(channel);
+            if (!adapter || !adapter.isConfigured()) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Channel ${channel} is not configured`
+                });
+            }
+            channels = [channel];
+        } else {
+            channels = notifier.resolveChannels(config);
+            if (channels.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'No configured notification channels are enabled in the bot config'
+                });
+            }
+        }
+
+        const deliveries = await notifier.notify('TEST', {
+            title: 'Test notification',
+            message: 'If you can read this, bot notifications are working.',
+            data: { botId: config.botId }
+        }, { config, channels });
+
+        res.json({
+            success: deliveries.length > 0 && deliveries.every(d => d.status === 'DELIVERED'),
+            data: { deliveries },
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        logger.error('Error sending test notification:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ============================================================================
+// SAFETY & HEALTH ENDPOINTS
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/bot/circuit-breaker:
+ *   get:
+ *     summary: Get circuit breaker state
+ *     description: Current breaker state, cool-down and the audit trail of recent trips and re-arms
+ *     tags: [Bot]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Number of audit events to return
+ *     responses:
+ *       200:
+ *         description: Circuit breaker state retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     tripped:
+ *                       type: boolean
+ *                     reason:
+ *                       type: string
+ *                       enum: [EMERGENCY_DEVIATION, CONSECUTIVE_ERRORS]
+ *                     message:
+ *                       type: string
+ *                     trippedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     cooldownUntil:
+ *                       type: string
+ *                       format: date-time
+ *                     canRearm:
+ *                       type: boolean
+ *                     events:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       500:
+ *         description: Server error
+ */
+router.get('/circuit-breaker', async (req, res) => {
+    try {
+        const config = await BotConfig.getDefault();
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const breaker = config.circuitBreaker;
+
+        res.json({
+            success: true,
+            data: {
+                enabled: config.safety.enableCircuitBreaker,
+                autoStopOnErrors: config.safety.autoStopOnErrors,
+                emergencyThreshold: config.thresholds.emergency,
+                maxConsecutiveErrors: config.safety.maxConsecutiveErrors,
+                consecutiveErrors: config.statistics.consecutiveErrors,
+                cooldownMinutes: config.safety.circuitBreakerCooldownMinutes,
+                tripped: breaker.tripped,
+                reason: breaker.reason,
+                message: breaker.message,
+                source: breaker.source,
+                details: breaker.details,
+                trippedAt: breaker.trippedAt,
+                cooldownUntil: breaker.cooldownUntil,
+                tripCount: breaker.tripCount,
+                canRearm: breaker.tripped && (!breaker.cooldownUntil || breaker.cooldownUntil <= new Date()),
+                events: await CircuitBreakerEvent.getRecent(config.botId, limit)
+            },
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        logger.error('Error fetching circuit breaker state:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/bot/circuit-breaker/rearm:
+ *   post:
+ *     summary: Re-arm a tripped circuit breaker
+ *     description: |
+ *       Clears a tripped breaker once the cool-down has passed and (by default) re-enables the bot.
+ *       Every re-arm is recorded in the audit trail with the calling API key.
+ *     tags: [Bot]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 example: "Liquidity restored, peg back within range"
+ *                 description: Why it is safe to resume (stored in the audit trail)
+ *               enable:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Re-enable the bot after re-arming
+ *               force:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Re-arm before the cool-down expires (requires admin permission)
+ *     responses:
+ *       200:
+ *         description: Circuit breaker re-armed
+ *       403:
+ *         description: Forced re-arm requires admin permission
+ *       409:
+ *         description: Breaker not tripped, or still cooling down
+ *       500:
+ *         description: Server error
+ */
+router.post('/circuit-breaker/rearm', async (req, res) => {
+    try {
+        const { note = null, enable = true, force = false } = req.body || {};
+
+        if (force && !req.permissions.includes('admin')) {
+            return res.status(403).json({
+                success: false,
+                error: 'Forced re-arm requires admin permission'
+            });
+        }
+
+        const config = await BotConfig.getDefault();
+        const actor = req.apiKey?.name || 'api';
+
+        try {
+            await config.rearmCircuitBreaker({ actor, note, force: Boolean(force), enable: enable !== false });
+        } catch (rearmError) {
+            if (rearmError.code === 'NOT_TRIPPED' || rearmError.code === 'COOLDOWN_ACTIVE') {
+                return res.status(409).json({
+                    success: false,
+                    error: rearmError.message,
+                    code: rearmError.code,
+                    cooldownUntil: rearmError.cooldownUntil
+                });
+            }
+            throw rearmError;
+        }
+
+        logger.warn(`Circuit breaker re-armed by ${actor}${note ? `: ${note}` : ''}`);
+
+        if (config.enabled) {
+            notifier.notifyResume(config);
+        }
+
+        res.json({
+            success: true,
+            message: 'Circuit breaker re-armed',
+            data: config,
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        logger.error('Error re-arming circuit breaker:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * @swagger
  * /api/bot/safety/status:
@@ -1678,7 +2671,9 @@ router.get('/safety/status', async (req, res) => {
             },
             circuitBreaker: {
                 enabled: config.safety.enableCircuitBreaker,
-                triggered: false // Implement based on deviation thresholds
+                triggered: config.circuitBreaker.tripped,
+                reason: config.circuitBreaker.reason,
+                cooldownUntil: config.circuitBreaker.cooldownUntil
             }
         };
 
@@ -1834,6 +2829,7 @@ router.post('/emergency/pause', async (req, res) => {
         const reason = req.body.reason || 'EMERGENCY PAUSE';
 
         await config.disable(reason);
+        notifier.notifyPause(config);
 
         logger.warn('EMERGENCY PAUSE ACTIVATED:', reason);
 
@@ -1,7 +1,10 @@
 const express = require('express');
 const blockchainService = require('../services/blockchain');
 const databaseService = require('../services/database');
+const OrderBookEventListener = require('../services/orderBookEventListener');
+const merkleClaimIndexer = require('../merkle/services/merkleClaimIndexer');
 const { getApiKeyStats } = require('../middleware/auth');
+const logger = require('../utils/logger');
 
 const router = express.Router();
 
@@ -80,6 +83,20 @@ router.get('/', async (req, res) => {
             healthCheck.status = 'degraded';
         }
 
+        // Order book indexer (non-critical - never degrades overall status)
+        if (process.env.ORDERBOOK_ENABLED === 'true') {
+            healthCheck.services.orderBookListener = OrderBookEventListener.getInstance().getStatus();
+        } else {
+            healthCheck.services.orderBookListener = { status: 'disabled' };
+        }
+
+        // Merkle claim indexer (non-critical)
+        if (process.env.MERKLE_CLAIM_INDEXER !== 'false') {
+            healthCheck.services.merkleClaimIndexer = merkleClaimIndexer.getStatus();
+        } else {
+            healthCheck.services.merkleClaimIndexer = { status: 'disabled' };
+        }
+
         // Add memory usage
         const memUsage = process.memoryUsage();
         healthCheck.memory = {
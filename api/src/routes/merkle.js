@@ -14,6 +14,11 @@ const MerkleTreeBuilder = require('../utils/merkleTreeBuilder');
 const MerkleDistribution = require('../models/MerkleDistribution');
 const MerkleLeaf = require('../models/MerkleLeaf');
 const MerkleDistributionService = require('../merkle/services/merkleDistributionService');
+const MerkleDistributionDraft = require('../models/MerkleDistributionDraft');
+const MerkleDraftAllocation = require('../models/MerkleDraftAllocation');
+const allocationUploadService = require('../merkle/services/allocationUploadService');
+const proofExportService = require('../merkle/services/proofExportService');
+const adminApprovals = require('../services/adminApprovals');
 const { ethers } = require('ethers');
 const logger = require('../utils/logger');
 
@@ -40,6 +45,68 @@ const handleValidationErrors = (req, res, next) => {
     next();
 };
 
+/**
+ * Parse a multipart allocation upload: text fields become req.body (validated next),
+ * the parsed file rows go to req.upload
+ */
+const parseAllocationUpload = async (req, res, next) => {
+    try {
+        const { fields, file, collector } = await allocationUploadService.parseUpload(req);
+        req.body = fields;
+        req.upload = { file, collector };
+        next();
+    } catch (error) {
+        if (!error.status) {
+            return next(error);
+        }
+        res.status(error.status).json({
+            success: false,
+            error: {
+                message: error.message,
+                code: error.code
+            }
+        });
+    }
+};
+
+/**
+ * Create a draft from validated settings (req.body) and collected rows, and respond
+ */
+const createDraftResponse = async (req, res, { file = null, collector }) => {
+    const { vaultType, durationInDays, title, description, tags, category, previousDraftId } = req.body;
+
+    try {
+        const draft = await allocationUploadService.createDraft({
+            settings: { vaultType, durationInDays, title, description, tags, category },
+            file,
+            collector,
+            duplicatePolicy: req.body.duplicatePolicy || 'reject',
+            skipInvalidRows: req.body.skipInvalidRows === true,
+            previousDraftId: previousDraftId || null,
+            apiKey: req.apiKey
+        });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                draft: allocationUploadService.formatDraft(draft)
+            }
+        });
+    } catch (error) {
+        if (!error.status) {
+            throw error;
+        }
+        res.status(error.status).json({
+            success: false,
+            error: {
+                message: error.message,
+                code: error.code,
+                ...(error.details && { details: error.details })
+            }
+        });
+    }
+};
+
 /**
  * Get Merkle distribution service (Singleton pattern)
  * Creates instance once and reuses it for all requests
@@ -56,6 +123,66 @@ const getMerkleService = () => {
     return merkleServiceInstance;
 };
 
+// Creating a distribution moves vault funds on-chain, so it needs a second (admin account) approval
+adminApprovals.registerOperation('merkle.create', {
+    permission: 'merkle:create',
+    describe: ({ allocations, vaultType, metadata }) =>
+        `Create Merkle distribution "${metadata.title}" from ${vaultType} for ${allocations.length} allocation(s)`,
+    execute: ({ allocations, vaultType, durationInDays, metadata, creatorAddress }) =>
+        getMerkleService().createDistribution(allocations, vaultType, durationInDays, metadata, creatorAddress),
+    record: ({ distribution, stats, transactionHash, blockNumber }) => ({
+        distributionId: distribution.distributionId,
+        merkleRoot: distribution.merkleRoot,
+        stats,
+        transactionHash,
+        blockNumber
+    })
+});
+
+// Publishing a reviewed draft commits vault funds just like merkle.create
+adminApprovals.registerOperation('merkle.publish', {
+    permission: 'merkle:create',
+    describe: ({ draftId, title, vaultType, recipientCount, totalAllocated, merkleRoot }) =>
+        `Publish Merkle draft "${title}" (${draftId}) from ${vaultType}: ${recipientCount} recipient(s), ${ethers.formatEther(totalAllocated)} MWT, root ${merkleRoot}`,
+    execute: ({ draftId, merkleRoot, creatorAddress }, operation) =>
+        getMerkleService().publishDraft(draftId, merkleRoot, creatorAddress, operation.id),
+    record: ({ draftId, distribution, stats, transactionHash, blockNumber }) => ({
+        draftId,
+        distributionId: distribution.distributionId,
+        merkleRoot: distribution.merkleRoot,
+        stats,
+        transactionHash,
+        blockNumber
+    })
+});
+
+/**
+ * Proposer of a two-person operation requested with an API key
+ * The key's owning admin is recorded so they cannot approve it with their admin account.
+ */
+const apiKeyProposer = (apiKey) => ({
+    type: 'api-key',
+    id: apiKey.id,
+    username: apiKey.name,
+    ownerAdminId: apiKey.owner?.adminId || null
+});
+
+const keyOwnerRequired = (res) => res.status(403).json({
+    success: false,
+    error: {
+        message: 'API key has no owning admin; a named admin must rotate it (POST /api/admin/keys/{id}/rotate)',
+        code: 'API_KEY_OWNER_REQUIRED'
+    }
+});
+
+const draftNotFound = (res) => res.status(404).json({
+    success: false,
+    error: {
+        message: 'Draft not found',
+        code: 'DRAFT_NOT_FOUND'
+    }
+});
+
 // ============================================
 // PUBLIC ENDPOINTS
 // ============================================
@@ -373,12 +500,172 @@ router.get('/distributions/:id/proof/:address',
     })
 );
 
+/**
+ * @swagger
+ * /api/merkle/distributions/{id}/export:
+ *   get:
+ *     summary: Export every proof of a distribution
+ *     description: |
+ *       Streams the full tree (root plus every address, amount, leafIndex and proof) for static
+ *       hosting on IPFS or a CDN, so claim UIs keep working if the API is down.
+ *       - `json`: one document with the distribution header and a `claims` array ordered by leafIndex
+ *       - `sharded`: a .tar.gz with `index.json` (header and per-shard counts) and
+ *         `shards/<prefix>.json` objects keyed by lowercase address, where `<prefix>` is the first
+ *         `prefixLength` hex characters after `0x`. A client fetches only its own shard.
+ *       The export depends only on the Merkle root, so it carries a stable ETag.
+ *     tags: [Merkle]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Distribution ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, sharded]
+ *           default: json
+ *       - in: query
+ *         name: prefixLength
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 4
+ *           default: 2
+ *         description: Shard key length for the sharded format (2 = up to 256 shards)
+ *     responses:
+ *       200:
+ *         description: Export stream
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 distributionId:
+ *                   type: integer
+ *                 merkleRoot:
+ *                   type: string
+ *                 chainId:
+ *                   type: integer
+ *                 contractAddress:
+ *                   type: string
+ *                 claims:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       address:
+ *                         type: string
+ *                       amount:
+ *                         type: string
+ *                         description: Allocation in wei
+ *                       leafIndex:
+ *                         type: integer
+ *                       proof:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *           application/gzip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       304:
+ *         description: Not modified (If-None-Match matches the ETag)
+ *       404:
+ *         description: Distribution not found
+ *       409:
+ *         description: Not all leaves of the distribution are stored (DISTRIBUTION_INCOMPLETE)
+ *       503:
+ *         description: Too many exports in progress (EXPORT_BUSY)
+ */
+router.get('/distributions/:id/export',
+    [
+        param('id').isInt({ min: 0 }).toInt(),
+        query('format').optional().isIn(['json', 'sharded']),
+        query('prefixLength').optional().isInt({ min: 1, max: 4 }).toInt(),
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const distributionId = req.params.id;
+        const format = req.query.format || 'json';
+        const prefixLength = req.query.prefixLength || 2;
+
+        const distribution = await MerkleDistribution.findOne({ distributionId }).select('merkleRoot').lean();
+        if (!distribution) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: 'Distribution not found',
+                    code: 'DISTRIBUTION_NOT_FOUND'
+                }
+            });
+        }
+
+        const etag = `"${distribution.merkleRoot}-${format === 'json' ? 'json' : `sharded-${prefixLength}`}"`;
+        if (req.headers['if-none-match'] === etag) {
+            return res.status(304).end();
+        }
+
+        let release;
+        let prepared;
+        try {
+            release = proofExportService.acquire();
+            prepared = await proofExportService.prepare(distributionId);
+        } catch (error) {
+            release?.();
+            if (!error.status) {
+                throw error;
+            }
+            if (error.code === 'EXPORT_BUSY') {
+                res.setHeader('Retry-After', '30');
+            }
+            return res.status(error.status).json({
+                success: false,
+                error: {
+                    message: error.message,
+                    code: error.code
+                }
+            });
+        }
+
+        const filename = format === 'json'
+            ? `merkle-distribution-${distributionId}.json`
+            : `merkle-distribution-${distributionId}-proofs.tar.gz`;
+        res.setHeader('Content-Type', format === 'json' ? 'application/json' : 'application/gzip');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('ETag', etag);
+        res.setHeader('Cache-Control', 'public, max-age=86400');
+
+        try {
+            if (format === 'json') {
+                await proofExportService.writeJson(prepared, res);
+            } else {
+                await proofExportService.writeSharded(prepared, prefixLength, res);
+            }
+        } catch (error) {
+            // Headers are gone, so a failed export can only be cut short
+            if (error.code !== 'EXPORT_ABORTED') {
+                logger.error(`Export of distribution ${distributionId} failed:`, error);
+            }
+            res.destroy();
+        } finally {
+            release();
+        }
+    })
+);
+
 /**
  * @swagger
  * /api/merkle/users/{address}/distributions:
  *   get:
  *     summary: Get all distributions for a user
- *     description: Retrieve all distributions that a specific address is eligible for
+ *     description: |
+ *       Retrieve all distributions that a specific address is eligible for. Claim state
+ *       (claimedAmount, claimCount, fullyClaimed, lastClaimTxHash) and distribution totalClaimed
+ *       are kept current by the TokensClaimed indexer, so no RPC calls are made.
  *     tags: [Merkle]
  *     parameters:
  *       - in: path
@@ -453,8 +740,14 @@ router.get('/users/:address/distributions',
  * @swagger
  * /api/merkle/distributions/create:
  *   post:
- *     summary: Create new Merkle distribution
- *     description: Create a new Merkle-based token distribution from JSON allocations (Admin only)
+ *     summary: Propose a new Merkle distribution
+ *     description: |
+ *       Propose a new Merkle-based token distribution from JSON allocations (Admin only).
+ *       To review the tree, vault balance and changes before anything is proposed, create a draft
+ *       instead (POST /api/merkle/drafts or /api/merkle/drafts/upload) and publish it.
+ *       Returns 202 with a pending two-person operation; the distribution is created on-chain when an
+ *       admin account holding merkle:create approves it via POST /api/admin/approvals/{id}/approve
+ *       (within ADMIN_APPROVAL_TTL_MINUTES). The approve response carries the result below.
  *     tags: [Merkle]
  *     security:
  *       - ApiKeyAuth: []
@@ -513,8 +806,10 @@ router.get('/users/:address/distributions',
  *                 type: string
  *                 example: "gameplay"
  *     responses:
+ *       202:
+ *         description: Pending operation created
  *       201:
- *         description: Distribution created successfully
+ *         description: Distribution created (approve response data.result)
  *         content:
  *           application/json:
  *             schema:
@@ -539,7 +834,7 @@ router.get('/users/:address/distributions',
  *       401:
  *         description: Unauthorized - API key required
  *       403:
- *         description: Forbidden - admin permission required
+ *         description: Forbidden - admin permission required, or the key has no owning admin (API_KEY_OWNER_REQUIRED)
  *       500:
  *         description: Internal server error
  */
@@ -567,9 +862,11 @@ router.post('/distributions/create',
     asyncHandler(async (req, res) => {
         const { allocations, vaultType, durationInDays, title, description, tags, category } = req.body;
 
-        logger.info(`Admin creating Merkle distribution: ${title}`);
+        if (!req.apiKey.owner?.adminId) {
+            return keyOwnerRequired(res);
+        }
 
-        const merkleService = getMerkleService();
+        logger.info(`Merkle distribution proposed by API key ${req.apiKey.name}: ${title}`);
 
         const metadata = {
             title,
@@ -581,19 +878,20 @@ router.post('/distributions/create',
         // Use authenticated user's wallet address or blockchain service wallet as creator
         const creatorAddress = req.apiKey.wallet || blockchainService.wallet.address;
 
-        const result = await merkleService.createDistribution(
+        const operation = await adminApprovals.propose('merkle.create', {
             allocations,
             vaultType,
-            durationInDays,
+            durationInDays: Number(durationInDays),
             metadata,
             creatorAddress
-        );
-
-        logger.info(`Distribution created successfully: ID ${result.distribution.distributionId}`);
+        }, apiKeyProposer(req.apiKey));
 
-        res.status(201).json({
+        res.status(202).json({
             success: true,
-            data: result,
+            data: {
+                operation: adminApprovals.formatOperation(operation),
+                message: `Awaiting approval by an admin: POST /api/admin/approvals/${operation.id}/approve`
+            },
         });
     })
 );
@@ -964,4 +1262,808 @@ router.get('/distributions/:id/leaves',
     })
 );
 
+// ============================================
+// DISTRIBUTION DRAFTS (Require Authentication)
+// ============================================
+
+/**
+ * @swagger
+ * /api/merkle/drafts/upload:
+ *   post:
+ *     summary: Upload an allocation file as a distribution draft
+ *     description: |
+ *       Upload a CSV or JSON allocation file (Admin only). The file is parsed as it streams in, so it
+ *       can hold hundreds of thousands of recipients (limits: MERKLE_UPLOAD_MAX_FILE_MB, MERKLE_UPLOAD_MAX_ROWS).
+ *
+ *       - CSV: `address,amount` rows; an optional header row may name the columns in any order
+ *       - JSON: an array of `{ "address": "0x...", "amount": "100" }` objects
+ *
+ *       Amounts are token amounts (up to 18 decimals). Addresses are validated (including the checksum of
+ *       mixed-case addresses) and compared case-insensitively. Repeated addresses are summed
+ *       (duplicatePolicy=sum) or reported as row errors (duplicatePolicy=reject, the default).
+ *
+ *       Any row error fails the upload with 422 INVALID_ROWS listing the rows to fix, unless
+ *       skipInvalidRows=true, in which case the rows are left out and listed on the draft.
+ *       Nothing is sent on-chain; the draft is stored for review.
+ *     tags: [Merkle]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - vaultType
+ *               - durationInDays
+ *               - title
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: .csv or .json allocation file
+ *               format:
+ *                 type: string
+ *                 enum: [csv, json]
+ *                 description: File format when it can't be told from the filename (send before the file)
+ *               vaultType:
+ *                 type: string
+ *                 enum: [PLAYER_TASKS, SOCIAL_FOLLOWERS, SOCIAL_POSTERS, ECOSYSTEM_FUND]
+ *               durationInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *               title:
+ *                 type: string
+ *                 maxLength: 200
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *               tags:
+ *                 type: string
+ *                 description: Comma-separated tags
+ *                 example: "rewards,players"
+ *               category:
+ *                 type: string
+ *               duplicatePolicy:
+ *                 type: string
+ *                 enum: [sum, reject]
+ *                 default: reject
+ *               skipInvalidRows:
+ *                 type: boolean
+ *                 default: false
+ *               previousDraftId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Draft this upload revises (previews show the diff against it)
+ *     responses:
+ *       201:
+ *         description: Draft created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     draft:
+ *                       type: object
+ *                       properties:
+ *                         draftId:
+ *                           type: string
+ *                           format: uuid
+ *                         recipientCount:
+ *                           type: integer
+ *                         totalAllocated:
+ *                           type: string
+ *                           description: Total in wei
+ *                         merkleRoot:
+ *                           type: string
+ *                         rowCount:
+ *                           type: integer
+ *                         invalidRowCount:
+ *                           type: integer
+ *                         duplicateRowCount:
+ *                           type: integer
+ *                         rowErrors:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               row:
+ *                                 type: integer
+ *                                 description: CSV line or JSON array position (1-based)
+ *                               address:
+ *                                 type: string
+ *                               amount:
+ *                                 type: string
+ *                               message:
+ *                                 type: string
+ *       400:
+ *         description: Validation error, missing file or unreadable file
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: previousDraftId not found
+ *       413:
+ *         description: File too large or too many rows
+ *       415:
+ *         description: Not a multipart/form-data request
+ *       422:
+ *         description: Invalid rows (INVALID_ROWS, error.details.rowErrors) or no valid rows (NO_VALID_ROWS)
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/drafts/upload',
+    authMiddleware,
+    requirePermission('admin'),
+    parseAllocationUpload,
+    [
+        body('vaultType').isIn(['PLAYER_TASKS', 'SOCIAL_FOLLOWERS', 'SOCIAL_POSTERS', 'ECOSYSTEM_FUND']),
+        body('durationInDays').isInt({ min: 1, max: 365 }).toInt(),
+        body('title').isString().trim().isLength({ min: 1, max: 200 }),
+        body('description').optional().isString().trim().isLength({ max: 1000 }),
+        body('tags').optional().isString().customSanitizer(value => value.split(',').map(tag => tag.trim()).filter(Boolean)),
+        body('category').optional().isString().trim(),
+        body('duplicatePolicy').optional().isIn(['sum', 'reject']),
+        body('skipInvalidRows').optional().isBoolean().toBoolean(),
+        body('previousDraftId').optional().isUUID(),
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const { file, collector } = req.upload;
+        await createDraftResponse(req, res, { file, collector });
+    })
+);
+
+/**
+ * @swagger
+ * /api/merkle/drafts:
+ *   post:
+ *     summary: Create a distribution draft from JSON allocations
+ *     description: |
+ *       Same as POST /api/merkle/drafts/upload with the allocations inline (Admin only, 10mb body limit);
+ *       row numbers in errors are array positions (1-based). Nothing is sent on-chain.
+ *     tags: [Merkle]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - allocations
+ *               - vaultType
+ *               - durationInDays
+ *               - title
+ *             properties:
+ *               allocations:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     address:
+ *                       type: string
+ *                     amount:
+ *                       type: string
+ *                       example: "100"
+ *               vaultType:
+ *                 type: string
+ *                 enum: [PLAYER_TASKS, SOCIAL_FOLLOWERS, SOCIAL_POSTERS, ECOSYSTEM_FUND]
+ *               durationInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *               title:
+ *                 type: string
+ *                 maxLength: 200
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               category:
+ *                 type: string
+ *               duplicatePolicy:
+ *                 type: string
+ *                 enum: [sum, reject]
+ *                 default: reject
+ *               skipInvalidRows:
+ *                 type: boolean
+ *                 default: false
+ *               previousDraftId:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       201:
+ *         description: Draft created (same shape as the upload response)
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: previousDraftId not found
+ *       422:
+ *         description: Invalid rows (INVALID_ROWS, error.details.rowErrors) or no valid rows (NO_VALID_ROWS)
+ *   get:
+ *     summary: List distribution drafts
+ *     description: Most recent drafts first, without their row errors (Admin only)
+ *     tags: [Merkle]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, publishing, published]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Drafts retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post('/drafts',
+    authMiddleware,
+    requirePermission('admin'),
+    [
+        body('allocations').isArray({ min: 1 }),
+        body('vaultType').isIn(['PLAYER_TASKS', 'SOCIAL_FOLLOWERS', 'SOCIAL_POSTERS', 'ECOSYSTEM_FUND']),
+        body('durationInDays').isInt({ min: 1, max: 365 }).toInt(),
+        body('title').isString().trim().isLength({ min: 1, max: 200 }),
+        body('description').optional().isString().trim().isLength({ max: 1000 }),
+        body('tags').optional().isArray(),
+        body('tags.*').optional().isString().trim(),
+        body('category').optional().isString().trim(),
+        body('duplicatePolicy').optional().isIn(['sum', 'reject']),
+        body('skipInvalidRows').optional().isBoolean().toBoolean(),
+        body('previousDraftId').optional().isUUID(),
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const collector = allocationUploadService.collectAllocations(req.body.allocations);
+        await createDraftResponse(req, res, { collector });
+    })
+);
+
+router.get('/drafts',
+    authMiddleware,
+    requirePermission('admin'),
+    [
+        query('status').optional().isIn(['draft', 'publishing', 'published']),
+        query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+        query('offset').optional().isInt({ min: 0 }).toInt(),
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const limit = req.query.limit || 50;
+        const offset = req.query.offset || 0;
+        const filter = req.query.status ? { status: req.query.status } : {};
+
+        const [drafts, total] = await Promise.all([
+            MerkleDistributionDraft.find(filter)
+                .select('-rowErrors')
+                .sort({ createdAt: -1 })
+                .skip(offset)
+                .limit(limit),
+            MerkleDistributionDraft.countDocuments(filter),
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                drafts: drafts.map(draft => {
+                    const { rowErrors, ...summary } = allocationUploadService.formatDraft(draft);
+                    return summary;
+                }),
+                total,
+                limit,
+                offset,
+            }
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/merkle/drafts/{draftId}:
+ *   get:
+ *     summary: Get a distribution draft
+ *     description: Draft settings, totals and row errors (Admin only)
+ *     tags: [Merkle]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: draftId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Draft retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Draft not found
+ *   delete:
+ *     summary: Delete a distribution draft
+ *     description: Remove an unpublished draft and its allocations (Admin only)
+ *     tags: [Merkle]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: draftId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Draft deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Draft not found
+ *       409:
+ *         description: Draft is being or has been published
+ */
+router.get('/drafts/:draftId',
+    authMiddleware,
+    requirePermission('admin'),
+    [
+        param('draftId').isUUID(),
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const draft = await MerkleDistributionDraft.findOne({ draftId: req.params.draftId });
+
+        if (!draft) {
+            return draftNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                draft: allocationUploadService.formatDraft(draft)
+            }
+        });
+    })
+);
+
+router.delete('/drafts/:draftId',
+    authMiddleware,
+    requirePermission('admin'),
+    [
+        param('draftId').isUUID(),
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const draft = await MerkleDistributionDraft.findOne({ draftId: req.params.draftId }).select('status');
+        if (!draft) {
+            return draftNotFound(res);
+        }
+
+        const deleted = draft.status === 'draft' && await allocationUploadService.deleteDraft(req.params.draftId);
+        if (!deleted) {
+            return res.status(409).json({
+                success: false,
+                error: {
+                    message: 'Only unpublished drafts can be deleted; published drafts are kept as the record of what was sent',
+                    code: 'DRAFT_NOT_DELETABLE'
+                }
+            });
+        }
+
+        logger.info(`Merkle draft ${req.params.draftId} deleted by API key ${req.apiKey.name}`);
+
+        res.json({
+            success: true,
+            data: {
+                draftId: req.params.draftId,
+                deleted: true
+            }
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/merkle/drafts/{draftId}/allocations:
+ *   get:
+ *     summary: List the allocations of a draft
+ *     description: Normalized, deduplicated allocations sorted by address, with the file rows each came from (Admin only)
+ *     tags: [Merkle]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: draftId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: address
+ *         schema:
+ *           type: string
+ *         description: Only this recipient
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Allocations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     allocations:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           address:
+ *                             type: string
+ *                           amount:
+ *                             type: string
+ *                             description: Allocation in wei
+ *                           sourceRows:
+ *                             type: array
+ *                             items:
+ *                               type: integer
+ *                     pagination:
+ *                       type: object
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Draft not found
+ */
+router.get('/drafts/:draftId/allocations',
+    authMiddleware,
+    requirePermission('admin'),
+    [
+        param('draftId').isUUID(),
+        query('address').optional().isEthereumAddress(),
+        query('page').optional().isInt({ min: 1 }).toInt(),
+        query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const { draftId } = req.params;
+        const page = req.query.page || 1;
+        const limit = req.query.limit || 100;
+        const skip = (page - 1) * limit;
+
+        const exists = await MerkleDistributionDraft.exists({ draftId });
+        if (!exists) {
+            return draftNotFound(res);
+        }
+
+        const filter = { draftId };
+        if (req.query.address) {
+            filter.address = req.query.address.toLowerCase();
+        }
+
+        const [allocations, total] = await Promise.all([
+            MerkleDraftAllocation.find(filter)
+                .select('-_id address amount sourceRows')
+                .sort({ address: 1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            MerkleDraftAllocation.countDocuments(filter),
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                allocations,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit),
+                }
+            }
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/merkle/drafts/{draftId}/preview:
+ *   get:
+ *     summary: Preview a distribution draft before publishing
+ *     description: |
+ *       What publishing would submit (Merkle root, recipient stats, total), a live check of the vault
+ *       balance, the diff against the previous revision (previousDraftId) or any other draft, and
+ *       warnings (INSUFFICIENT_VAULT_BALANCE, ROWS_SKIPPED, DUPLICATES_SUMMED, RECIPIENTS_REMOVED).
+ *       The vault check and the diff against the previous revision are stored on the draft (Admin only).
+ *     tags: [Merkle]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: draftId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: against
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Draft to diff against (default previousDraftId)
+ *     responses:
+ *       200:
+ *         description: Preview
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     draft:
+ *                       type: object
+ *                     vaultCheck:
+ *                       type: object
+ *                       properties:
+ *                         available:
+ *                           type: string
+ *                         required:
+ *                           type: string
+ *                         sufficient:
+ *                           type: boolean
+ *                     diff:
+ *                       type: object
+ *                       nullable: true
+ *                       description: added/removed/changed counts with up to 20 sample addresses each, unchanged count and totalDelta (wei)
+ *                     warnings:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           code:
+ *                             type: string
+ *                           message:
+ *                             type: string
+ *                     publishable:
+ *                       type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Draft (or the draft to diff against) not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/drafts/:draftId/preview',
+    authMiddleware,
+    requirePermission('admin'),
+    [
+        param('draftId').isUUID(),
+        query('against').optional().isUUID(),
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        let preview;
+        try {
+            preview = await getMerkleService().previewDraft(req.params.draftId, req.query.against || null);
+        } catch (error) {
+            if (error.code !== 'DRAFT_NOT_FOUND') {
+                throw error;
+            }
+            return res.status(404).json({
+                success: false,
+                error: {
+                    message: error.message,
+                    code: error.code
+                }
+            });
+        }
+
+        if (!preview) {
+            return draftNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...preview,
+                draft: allocationUploadService.formatDraft(preview.draft)
+            }
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/merkle/drafts/{draftId}/publish:
+ *   post:
+ *     summary: Publish a reviewed draft on-chain
+ *     description: |
+ *       Propose publishing a draft (Admin only). Send the merkleRoot shown by the preview; the draft is only
+ *       published if its tree still has that root. Returns 202 with a pending two-person operation
+ *       (merkle.publish); the distribution is created on-chain when an admin account holding merkle:create
+ *       approves it via POST /api/admin/approvals/{id}/approve. The draft then moves to "publishing"
+ *       and "published" (data.result of the approve response carries the distribution).
+ *     tags: [Merkle]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: draftId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - merkleRoot
+ *             properties:
+ *               merkleRoot:
+ *                 type: string
+ *                 pattern: '^0x[a-fA-F0-9]{64}$'
+ *     responses:
+ *       202:
+ *         description: Pending operation created
+ *       400:
+ *         description: Validation error or insufficient vault balance
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, or the key has no owning admin (API_KEY_OWNER_REQUIRED)
+ *       404:
+ *         description: Draft not found
+ *       409:
+ *         description: Draft already published (DRAFT_NOT_PUBLISHABLE) or merkleRoot differs (MERKLE_ROOT_MISMATCH)
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/drafts/:draftId/publish',
+    authMiddleware,
+    requirePermission('admin'),
+    [
+        param('draftId').isUUID(),
+        body('merkleRoot').matches(/^0x[a-fA-F0-9]{64}$/),
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const { draftId } = req.params;
+
+        if (!req.apiKey.owner?.adminId) {
+            return keyOwnerRequired(res);
+        }
+
+        const draft = await MerkleDistributionDraft.findOne({ draftId });
+
+        if (!draft) {
+            return draftNotFound(res);
+        }
+
+        if (draft.status !== 'draft') {
+            return res.status(409).json({
+                success: false,
+                error: {
+                    message: `Draft is already ${draft.status}`,
+                    code: 'DRAFT_NOT_PUBLISHABLE'
+                }
+            });
+        }
+
+        if (draft.merkleRoot.toLowerCase() !== req.body.merkleRoot.toLowerCase()) {
+            return res.status(409).json({
+                success: false,
+                error: {
+                    message: 'merkleRoot does not match the draft; preview it again',
+                    code: 'MERKLE_ROOT_MISMATCH',
+                    details: { merkleRoot: draft.merkleRoot }
+                }
+            });
+        }
+
+        const vaultCheck = await getMerkleService().getVaultCheck(draft.vaultType, draft.totalAllocated);
+        if (!vaultCheck.sufficient) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: `Insufficient ${draft.vaultType} vault balance`,
+                    code: 'INSUFFICIENT_VAULT_BALANCE',
+                    details: vaultCheck
+                }
+            });
+        }
+
+        logger.info(`Merkle draft ${draftId} proposed for publishing by API key ${req.apiKey.name}`);
+
+        const operation = await adminApprovals.propose('merkle.publish', {
+            draftId,
+            merkleRoot: draft.merkleRoot,
+            creatorAddress: req.apiKey.wallet || blockchainService.wallet.address,
+            title: draft.title,
+            vaultType: draft.vaultType,
+            recipientCount: draft.recipientCount,
+            totalAllocated: draft.totalAllocated
+        }, apiKeyProposer(req.apiKey));
+
+        await MerkleDistributionDraft.updateOne({ draftId }, { $set: { 'publish.operationId': operation.id } });
+
+        res.status(202).json({
+            success: true,
+            data: {
+                operation: adminApprovals.formatOperation(operation),
+                message: `Awaiting approval by an admin: POST /api/admin/approvals/${operation.id}/approve`
+            },
+        });
+    })
+);
+
 module.exports = router;
@@ -0,0 +1,842 @@
+/**
+ * @swagger
+ * tags:
+ *   name: OrderBook
+ *   description: MWGOrderBook orders, fills and withdrawals served from the indexed database
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, query, validationResult } = require('express-validator');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const orderBookService = require('../services/orderBookService');
+const orderNotificationService = require('../services/orderNotificationService');
+const {
+    validateAddress,
+    validatePagination,
+    validateOrderType,
+    validateStatus,
+    validateDateRange
+} = require('../utils/validators');
+
+const router = express.Router();
+
+/**
+ * Validation helper
+ */
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: 'Validation failed',
+                code: 'VALIDATION_ERROR',
+                details: errors.array()
+            }
+        });
+    }
+    next();
+};
+
+/**
+ * Validate numeric orderId route parameter
+ */
+const validateOrderId = (req, res, next) => {
+    const { orderId } = req.params;
+
+    if (!/^\d+$/.test(orderId)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid orderId (must be a non-negative integer)'
+        });
+    }
+
+    next();
+};
+
+/**
+ * Rate limit for wallet signature endpoints
+ */
+const notificationRateLimit = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20,
+    message: {
+        success: false,
+        error: {
+            message: 'Too many notification requests from this IP, please try again later.',
+            code: 'RATE_LIMIT_EXCEEDED'
+        }
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+/**
+ * Map signature verification errors to HTTP responses
+ */
+const handleSignatureError = (res, error) => {
+    if (error.code === 'SIGNATURE_EXPIRED' || error.code === 'INVALID_SIGNATURE') {
+        return res.status(error.code === 'INVALID_SIGNATURE' ? 401 : 400).json({
+            success: false,
+            error: {
+                message: error.message,
+                code: error.code
+            }
+        });
+    }
+    throw error;
+};
+
+/**
+ * Pick pagination and date filters from the query string
+ */
+const pickListFilters = (query) => ({
+    limit: query.limit ? parseInt(query.limit) : 50,
+    offset: query.offset ? parseInt(query.offset) : 0,
+    startDate: query.startDate,
+    endDate: query.endDate
+});
+
+// ============================================
+// PUBLIC ENDPOINTS
+// ============================================
+
+/**
+ * @swagger
+ * /api/orderbook/orders:
+ *   get:
+ *     summary: List orders
+ *     description: Returns open orders (active or partially filled and not expired) unless a status is given
+ *     tags: [OrderBook]
+ *     parameters:
+ *       - in: query
+ *         name: orderType
+ *         schema:
+ *           type: integer
+ *           enum: [0, 1]
+ *         description: 0 = Buy, 1 = Sell
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: integer
+ *           enum: [0, 1, 2, 3, 4]
+ *         description: 0 = Active, 1 = Filled, 2 = Partially filled, 3 = Cancelled, 4 = Expired
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: Order creator address
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Orders with pagination info
+ *       400:
+ *         description: Invalid filter
+ */
+router.get('/orders',
+    validatePagination,
+    validateOrderType,
+    validateStatus,
+    validateDateRange,
+    asyncHandler(async (req, res) => {
+        const { orderType, status, user } = req.query;
+
+        if (user && !/^0x[a-fA-F0-9]{40}$/.test(user)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid user address'
+            });
+        }
+
+        const { orders, pagination } = await orderBookService.getOrders({
+            ...pickListFilters(req.query),
+            orderType,
+            status,
+            user
+        });
+
+        res.json({ success: true, orders, pagination });
+    })
+);
+
+/**
+ * @swagger
+ * /api/orderbook/orders/{orderId}:
+ *   get:
+ *     summary: Get order details
+ *     description: Returns the order with its fills and cancellation record, if any
+ *     tags: [OrderBook]
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Order details
+ *       404:
+ *         description: Order not found
+ */
+router.get('/orders/:orderId',
+    validateOrderId,
+    asyncHandler(async (req, res) => {
+        const order = await orderBookService.getOrderById(req.params.orderId);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+
+        res.json({ success: true, order });
+    })
+);
+
+/**
+ * @swagger
+ * /api/orderbook/fills:
+ *   get:
+ *     summary: List fills
+ *     tags: [OrderBook]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Fills with pagination info
+ */
+router.get('/fills',
+    validatePagination,
+    validateDateRange,
+    asyncHandler(async (req, res) => {
+        const { fills, pagination } = await orderBookService.getFills(pickListFilters(req.query));
+
+        res.json({ success: true, fills, pagination });
+    })
+);
+
+/**
+ * @swagger
+ * /api/orderbook/fills/{orderId}:
+ *   get:
+ *     summary: List fills for an order
+ *     tags: [OrderBook]
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Fills for the order
+ */
+router.get('/fills/:orderId',
+    validateOrderId,
+    validatePagination,
+    asyncHandler(async (req, res) => {
+        const { fills, pagination } = await orderBookService.getFills({
+            ...pickListFilters(req.query),
+            orderId: req.params.orderId
+        });
+
+        res.json({ success: true, fills, pagination });
+    })
+);
+
+/**
+ * @swagger
+ * /api/orderbook/stats:
+ *   get:
+ *     summary: Order book statistics
+ *     tags: [OrderBook]
+ *     responses:
+ *       200:
+ *         description: Order counts by status and side, fill and withdrawal totals
+ */
+router.get('/stats', asyncHandler(async (req, res) => {
+    const stats = await orderBookService.getOrderBookStats();
+
+    res.json({ success: true, stats });
+}));
+
+/**
+ * @swagger
+ * /api/orderbook/recent-activity:
+ *   get:
+ *     summary: Recent order book events
+ *     description: Newest order creations, fills, cancellations and withdrawals merged into one feed
+ *     tags: [OrderBook]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Activity feed
+ */
+router.get('/recent-activity',
+    validatePagination,
+    asyncHandler(async (req, res) => {
+        const activity = await orderBookService.getRecentActivity(req.query.limit ? parseInt(req.query.limit) : 20);
+
+        res.json({ success: true, activity });
+    })
+);
+
+/**
+ * @swagger
+ * /api/orderbook/best-prices:
+ *   get:
+ *     summary: Best open buy and sell prices
+ *     tags: [OrderBook]
+ *     responses:
+ *       200:
+ *         description: Highest open buy, lowest open sell and the spread (wei per MWG)
+ */
+router.get('/best-prices', asyncHandler(async (req, res) => {
+    const { bestBuy, bestSell, spread } = await orderBookService.getBestPrices();
+
+    res.json({ success: true, bestBuy, bestSell, spread });
+}));
+
+/**
+ * @swagger
+ * /api/orderbook/user/{address}/orders:
+ *   get:
+ *     summary: Orders created by a user
+ *     description: Returns all of the user's orders unless a status is given
+ *     tags: [OrderBook]
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: orderType
+ *         schema:
+ *           type: integer
+ *           enum: [0, 1]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: integer
+ *           enum: [0, 1, 2, 3, 4]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User orders
+ *       400:
+ *         description: Invalid address
+ */
+router.get('/user/:address/orders',
+    validateAddress,
+    validatePagination,
+    validateOrderType,
+    validateStatus,
+    validateDateRange,
+    asyncHandler(async (req, res) => {
+        const { orders, pagination } = await orderBookService.getOrders({
+            ...pickListFilters(req.query),
+            openOnly: false,
+            orderType: req.query.orderType,
+            status: req.query.status,
+            user: req.params.address
+        });
+
+        res.json({ success: true, orders, pagination });
+    })
+);
+
+/**
+ * @swagger
+ * /api/orderbook/user/{address}/fills-as-filler:
+ *   get:
+ *     summary: Fills executed by a user
+ *     tags: [OrderBook]
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Fills where the user was the taker
+ */
+router.get('/user/:address/fills-as-filler',
+    validateAddress,
+    validatePagination,
+    validateDateRange,
+    asyncHandler(async (req, res) => {
+        const { fills, pagination } = await orderBookService.getFills({
+            ...pickListFilters(req.query),
+            filler: req.params.address
+        });
+
+        res.json({ success: true, fills, pagination });
+    })
+);
+
+/**
+ * @swagger
+ * /api/orderbook/user/{address}/fills-as-creator:
+ *   get:
+ *     summary: Fills against a user's orders
+ *     tags: [OrderBook]
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Fills where the user was the maker
+ */
+router.get('/user/:address/fills-as-creator',
+    validateAddress,
+    validatePagination,
+    validateDateRange,
+    asyncHandler(async (req, res) => {
+        const { fills, pagination } = await orderBookService.getFills({
+            ...pickListFilters(req.query),
+            orderCreator: req.params.address
+        });
+
+        res.json({ success: true, fills, pagination });
+    })
+);
+
+/**
+ * @swagger
+ * /api/orderbook/user/{address}/withdrawals:
+ *   get:
+ *     summary: Withdrawals claimed by a user
+ *     tags: [OrderBook]
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: amountType
+ *         schema:
+ *           type: string
+ *           enum: [BNB, MWG]
+ *     responses:
+ *       200:
+ *         description: User withdrawals
+ */
+router.get('/user/:address/withdrawals',
+    validateAddress,
+    validatePagination,
+    asyncHandler(async (req, res) => {
+        const { amountType } = req.query;
+
+        if (amountType && !['BNB', 'MWG'].includes(String(amountType).toUpperCase())) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid amountType (must be BNB or MWG)'
+            });
+        }
+
+        const { withdrawals, pagination } = await orderBookService.getUserWithdrawals(req.params.address, {
+            ...pickListFilters(req.query),
+            amountType
+        });
+
+        res.json({ success: true, withdrawals, pagination });
+    })
+);
+
+// ============================================
+// FILL NOTIFICATION ENDPOINTS
+// ============================================
+
+/**
+ * @swagger
+ * /api/orderbook/notifications/message:
+ *   get:
+ *     summary: Get the message to sign for (un)registering a notification email
+ *     description: |
+ *       Returns the exact text the wallet must sign with personal_sign. Pass the same
+ *       issuedAt to the register/unregister endpoint; signatures expire after 10 minutes.
+ *     tags: [OrderBook]
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [register, unregister]
+ *       - in: query
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Required for register
+ *     responses:
+ *       200:
+ *         description: Message and issuedAt to sign
+ */
+router.get('/notifications/message',
+    [
+        query('action').isIn(['register', 'unregister']),
+        query('address').isEthereumAddress(),
+        query('email').if(query('action').equals('register')).isEmail()
+    ],
+    handleValidationErrors,
+    (req, res) => {
+        const { action, address, email } = req.query;
+        const issuedAt = new Date().toISOString();
+
+        res.json({
+            success: true,
+            data: {
+                message: orderNotificationService.buildMessage(action, address, action === 'register' ? email : null, issuedAt),
+                issuedAt,
+                expiresInSeconds: orderNotificationService.signatureTtlSeconds
+            }
+        });
+    }
+);
+
+/**
+ * @swagger
+ * /api/orderbook/notifications/register:
+ *   post:
+ *     summary: Register an email for order fill notifications
+ *     description: The wallet proves ownership by signing the message from /notifications/message
+ *     tags: [OrderBook]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [address, email, issuedAt, signature]
+ *             properties:
+ *               address:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               issuedAt:
+ *                 type: string
+ *                 format: date-time
+ *               signature:
+ *                 type: string
+ *               notifyOnPartialFill:
+ *                 type: boolean
+ *                 default: true
+ *               notifyOnFullFill:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Email registered
+ *       400:
+ *         description: Validation error or expired signature
+ *       401:
+ *         description: Signature does not match the wallet
+ */
+router.post('/notifications/register',
+    notificationRateLimit,
+    [
+        body('address').isEthereumAddress(),
+        body('email').isEmail(),
+        body('issuedAt').isISO8601(),
+        body('signature').isString().notEmpty(),
+        body('notifyOnPartialFill').optional().isBoolean().toBoolean(),
+        body('notifyOnFullFill').optional().isBoolean().toBoolean()
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        let registration;
+        try {
+            registration = await orderNotificationService.register(req.body);
+        } catch (error) {
+            return handleSignatureError(res, error);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                address: registration.address,
+                email: registration.getMaskedEmail(),
+                notifyOnPartialFill: registration.notifyOnPartialFill,
+                notifyOnFullFill: registration.notifyOnFullFill,
+                verifiedAt: registration.verifiedAt
+            }
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/orderbook/notifications/unregister:
+ *   post:
+ *     summary: Stop order fill notifications for a wallet
+ *     tags: [OrderBook]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [address, issuedAt, signature]
+ *             properties:
+ *               address:
+ *                 type: string
+ *               issuedAt:
+ *                 type: string
+ *                 format: date-time
+ *               signature:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Notifications disabled
+ *       401:
+ *         description: Signature does not match the wallet
+ */
+router.post('/notifications/unregister',
+    notificationRateLimit,
+    [
+        body('address').isEthereumAddress(),
+        body('issuedAt').isISO8601(),
+        body('signature').isString().notEmpty()
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        try {
+            await orderNotificationService.unregister(req.body);
+        } catch (error) {
+            return handleSignatureError(res, error);
+        }
+
+        res.json({
+            success: true,
+            data: { address: req.body.address.toLowerCase(), registered: false }
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/orderbook/notifications/{address}:
+ *   get:
+ *     summary: Get notification registration for a wallet
+ *     description: The email is returned masked
+ *     tags: [OrderBook]
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Registration status
+ */
+router.get('/notifications/:address',
+    validateAddress,
+    asyncHandler(async (req, res) => {
+        const registration = await orderNotificationService.getRegistration(req.params.address);
+
+        res.json({
+            success: true,
+            data: registration
+                ? {
+                    address: registration.address,
+                    registered: true,
+                    email: registration.getMaskedEmail(),
+                    notifyOnPartialFill: registration.notifyOnPartialFill,
+                    notifyOnFullFill: registration.notifyOnFullFill
+                }
+                : { address: req.params.address.toLowerCase(), registered: false }
+        });
+    })
+);
+
+// ============================================
+// ADMIN ENDPOINTS (Require API key with admin permission)
+// ============================================
+
+/**
+ * @swagger
+ * /api/orderbook/admin/search:
+ *   post:
+ *     summary: Search all orders (Admin only)
+ *     tags: [OrderBook]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               orderType:
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
+ *                 example: 0
+ *               status:
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
+ *                 example: active
+ *               user:
+ *                 type: string
+ *               minPrice:
+ *                 type: string
+ *                 description: Minimum price in wei per MWG
+ *               maxPrice:
+ *                 type: string
+ *                 description: Maximum price in wei per MWG
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *               limit:
+ *                 type: integer
+ *               offset:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Matching orders
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.post('/admin/search',
+    authMiddleware,
+    requirePermission('admin'),
+    [
+        body('orderType').optional().custom(value => orderBookService.parseOrderType(value) !== undefined)
+            .withMessage('orderType must be 0/1 or BUY/SELL'),
+        body('status').optional().custom(value => orderBookService.parseStatus(value) !== undefined)
+            .withMessage('status must be 0-4 or a status name'),
+        body('user').optional().isEthereumAddress(),
+        body('minPrice').optional().isNumeric({ no_symbols: true }),
+        body('maxPrice').optional().isNumeric({ no_symbols: true }),
+        body('startDate').optional().isISO8601(),
+        body('endDate').optional().isISO8601(),
+        body('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+        body('offset').optional().isInt({ min: 0 }).toInt()
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const { orders, pagination } = await orderBookService.searchOrders(req.body);
+
+        res.json({ success: true, orders, pagination });
+    })
+);
+
+/**
+ * @swagger
+ * /api/orderbook/admin/analytics:
+ *   get:
+ *     summary: Order book analytics (Admin only)
+ *     description: Daily fill volume, orders created per side and top traders
+ *     tags: [OrderBook]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *           default: 30
+ *     responses:
+ *       200:
+ *         description: Analytics data
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/admin/analytics',
+    authMiddleware,
+    requirePermission('admin'),
+    asyncHandler(async (req, res) => {
+        const days = parseInt(req.query.days) || 30;
+
+        if (days < 1 || days > 365) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid days parameter (must be between 1 and 365)'
+            });
+        }
+
+        const analytics = await orderBookService.getAnalytics(days);
+
+        res.json({ success: true, analytics });
+    })
+);
+
+module.exports = router;
@@ -1,9 +1,13 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { ethers } = require('ethers');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { requirePermission } = require('../middleware/auth');
+const { enforceDistributionScopes } = require('../middleware/distributionScopes');
+const { enforceDistributionQuota, getDistributionQuota } = require('../middleware/distributionQuota');
+const { enforceIdempotency } = require('../middleware/idempotency');
 const blockchainService = require('../services/blockchain');
+const distributionJobs = require('../services/distributionJobs');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -26,6 +30,87 @@ const handleValidationErrors = (req, res, next) => {
     next();
 };
 
+// Tokens a distribution request sends in total (for scopes and quota)
+const equalDistributionTotal = req => Number(req.body.amount) * req.body.recipients.length;
+const distributionTotal = req => req.body.amounts.reduce((sum, amount) => sum + Number(amount), 0);
+
+/**
+ * Recipients and amounts must pair up before scopes can total the request
+ */
+const requireMatchingAmounts = (req, res, next) => {
+    if (req.body.recipients.length !== req.body.amounts.length) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: 'Recipients and amounts arrays must have the same length',
+                code: 'ARRAY_LENGTH_MISMATCH'
+            }
+        });
+    }
+    next();
+};
+
+const asyncModeValidator = query('async')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('async must be true or false');
+
+/**
+ * Queue the distribution instead of waiting for it (?async=true)
+ * Responds 202 with the job; the quota reservation moves to the job.
+ */
+async function queueDistribution(req, res, type, params) {
+    let job;
+    try {
+        job = await distributionJobs.enqueue({
+            type,
+            params,
+            apiKey: req.apiKey,
+            quota: req.distributionQuota
+        });
+    } catch (error) {
+        await req.releaseDistributionQuota();
+        throw error;
+    }
+
+    const statusUrl = `${req.baseUrl}/jobs/${job.id}`;
+    res.setHeader('Location', statusUrl);
+    res.status(202).json({
+        success: true,
+        data: {
+            jobId: job.id,
+            status: job.status,
+            statusUrl,
+            callback: job.callback.status === 'PENDING'
+        }
+    });
+}
+
+/**
+ * Send the distribution and wait for it (the default, synchronous mode)
+ * The quota reservation is released when it fails before the transaction is sent. Once sent,
+ * only a revert releases it: a lost confirmation may still have moved the tokens.
+ * @param {Function} distribute - ({ onSubmitted }) => blockchainService.distribute*FromVault(...)
+ */
+async function sendDistribution(req, distribute) {
+    let transactionHash = null;
+    const onSubmitted = async (hash) => {
+        transactionHash = hash;
+        if (req.recordIdempotentTransaction) {
+            await req.recordIdempotentTransaction(hash);
+        }
+    };
+
+    try {
+        return await distribute({ onSubmitted });
+    } catch (error) {
+        if (!transactionHash || error.cause?.code === 'CALL_EXCEPTION') {
+            await req.releaseDistributionQuota();
+        }
+        throw error;
+    }
+}
+
 /**
  * @swagger
  * /api/tokens/distribute-equal:
@@ -34,6 +119,21 @@ const handleValidationErrors = (req, res, next) => {
  *     tags: [Tokens]
  *     security:
  *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Unique value per distribution (e.g. a UUID). Retries with the same key and body return the first response instead of distributing again (Idempotent-Replayed header set)
+ *       - in: query
+ *         name: async
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Queue the distribution and respond 202 with a jobId instead of waiting for the transaction to be mined. Poll GET /api/tokens/jobs/{id} or set a callback URL on the key
  *     requestBody:
  *       required: true
  *       content:
@@ -65,10 +165,18 @@ const handleValidationErrors = (req, res, next) => {
  *     responses:
  *       200:
  *         description: Tokens distributed successfully
+ *       202:
+ *         description: Distribution queued (async=true); Location header points to the job
  *       400:
  *         description: Invalid request data
  *       403:
- *         description: Insufficient permissions
+ *         description: Insufficient permissions, or the API key's scopes reject the distribution (VAULT_NOT_ALLOWED, AMOUNT_PER_CALL_EXCEEDED, DAILY_TOTAL_EXCEEDED, RECIPIENT_NOT_ALLOWED)
+ *       409:
+ *         description: A request with the same Idempotency-Key is still running (IDEMPOTENCY_REQUEST_IN_PROGRESS)
+ *       422:
+ *         description: Idempotency-Key was already used with a different request body (IDEMPOTENCY_KEY_MISMATCH)
+ *       429:
+ *         description: Daily distribution quota exceeded (DAILY_QUOTA_EXCEEDED); see X-Quota-* and Retry-After headers
  */
 router.post('/distribute-equal',
     requirePermission('distribute'),
@@ -90,12 +198,23 @@ router.post('/distribute-equal',
             .isString()
             .trim()
             .isLength({ max: 200 })
-            .withMessage('Reason must be a string (max 200 characters)')
+            .withMessage('Reason must be a string (max 200 characters)'),
+        asyncModeValidator
     ],
     handleValidationErrors,
+    enforceIdempotency(),
+    enforceDistributionScopes(equalDistributionTotal),
+    enforceDistributionQuota(equalDistributionTotal),
     asyncHandler(async (req, res) => {
         const { vaultType, recipients, amount, reason = 'Equal Token Distribution' } = req.body;
-        const result = await blockchainService.distributeEqualFromVault(vaultType, recipients, amount, reason);
+
+        if (req.query.async === 'true') {
+            return queueDistribution(req, res, 'distribute-equal', { vaultType, recipients, amount, reason });
+        }
+
+        const result = await sendDistribution(req, options =>
+            blockchainService.distributeEqualFromVault(vaultType, recipients, amount, reason, options));
+
         res.json({
             success: true,
             data: result
@@ -110,6 +229,21 @@ router.post('/distribute-equal',
  *     tags: [Tokens]
  *     security:
  *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Unique value per distribution (e.g. a UUID). Retries with the same key and body return the first response instead of distributing again (Idempotent-Replayed header set)
+ *       - in: query
+ *         name: async
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Queue the distribution and respond 202 with a jobId instead of waiting for the transaction to be mined. Poll GET /api/tokens/jobs/{id} or set a callback URL on the key
  *     requestBody:
  *       required: true
  *       content:
@@ -144,10 +278,18 @@ router.post('/distribute-equal',
  *     responses:
  *       200:
  *         description: Tokens distributed successfully
+ *       202:
+ *         description: Distribution queued (async=true); Location header points to the job
  *       400:
  *         description: Invalid request data
  *       403:
- *         description: Insufficient permissions
+ *         description: Insufficient permissions, or the API key's scopes reject the distribution (VAULT_NOT_ALLOWED, AMOUNT_PER_CALL_EXCEEDED, DAILY_TOTAL_EXCEEDED, RECIPIENT_NOT_ALLOWED)
+ *       409:
+ *         description: A request with the same Idempotency-Key is still running (IDEMPOTENCY_REQUEST_IN_PROGRESS)
+ *       422:
+ *         description: Idempotency-Key was already used with a different request body (IDEMPOTENCY_KEY_MISMATCH)
+ *       429:
+ *         description: Daily distribution quota exceeded (DAILY_QUOTA_EXCEEDED); see X-Quota-* and Retry-After headers
  */
 router.post('/distribute',
     requirePermission('distribute'),
@@ -172,27 +314,146 @@ router.post('/distribute',
             .isString()
             .trim()
             .isLength({ max: 200 })
-            .withMessage('Reason must be a string (max 200 characters)')
+            .withMessage('Reason must be a string (max 200 characters)'),
+        asyncModeValidator
     ],
     handleValidationErrors,
+    requireMatchingAmounts,
+    enforceIdempotency(),
+    enforceDistributionScopes(distributionTotal),
+    enforceDistributionQuota(distributionTotal),
     asyncHandler(async (req, res) => {
         const { vaultType, recipients, amounts, reason = 'Token Distribution' } = req.body;
-        // Additional validation
-        if (recipients.length !== amounts.length) {
-            return res.status(400).json({
+
+        if (req.query.async === 'true') {
+            return queueDistribution(req, res, 'distribute', { vaultType, recipients, amounts, reason });
+        }
+
+        const result = await sendDistribution(req, options =>
+            blockchainService.distributeFromVault(vaultType, recipients, amounts, reason, options));
+
+        res.json({
+            success: true,
+            data: result
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/tokens/jobs/{id}:
+ *   get:
+ *     summary: Get the status of a queued distribution
+ *     description: |
+ *       QUEUED → PROCESSING → SUBMITTED (transactionHash known) → MINED or FAILED.
+ *       Only the API key that queued the job can read it.
+ *     tags: [Tokens]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: jobId returned by POST /api/tokens/distribute*?async=true
+ *     responses:
+ *       200:
+ *         description: Job status
+ *       404:
+ *         description: Job not found (JOB_NOT_FOUND)
+ */
+router.get('/jobs/:id',
+    requirePermission('distribute'),
+    [
+        param('id')
+            .isUUID()
+            .withMessage('Invalid job ID')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+        const job = await distributionJobs.getJob(req.params.id, req.apiKey.id);
+        if (!job) {
+            return res.status(404).json({
                 success: false,
                 error: {
-                    message: 'Recipients and amounts arrays must have the same length',
-                    code: 'ARRAY_LENGTH_MISMATCH'
+                    message: 'Job not found',
+                    code: 'JOB_NOT_FOUND'
                 }
             });
         }
 
-        const result = await blockchainService.distributeFromVault(vaultType, recipients, amounts, reason);
+        res.json({
+            success: true,
+            data: distributionJobs.formatJob(job)
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/tokens/quota:
+ *   get:
+ *     summary: Get today's distribution quota for the calling API key
+ *     description: Tokens and requests used since 00:00 UTC against the key's daily limits (null limit = unlimited)
+ *     tags: [Tokens]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Quota retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     day:
+ *                       type: string
+ *                       example: "2025-10-01"
+ *                     amount:
+ *                       type: object
+ *                       properties:
+ *                         used:
+ *                           type: number
+ *                           example: 2500
+ *                         limit:
+ *                           type: number
+ *                           nullable: true
+ *                           example: 10000
+ *                         remaining:
+ *                           type: number
+ *                           nullable: true
+ *                           example: 7500
+ *                     requests:
+ *                       type: object
+ *                       properties:
+ *                         used:
+ *                           type: number
+ *                         limit:
+ *                           type: number
+ *                           nullable: true
+ *                         remaining:
+ *                           type: number
+ *                           nullable: true
+ *                     resetsAt:
+ *                       type: string
+ *                       format: date-time
+ *                     resetSeconds:
+ *                       type: number
+ */
+router.get('/quota',
+    asyncHandler(async (req, res) => {
+        const quota = await getDistributionQuota(req.apiKey);
 
         res.json({
             success: true,
-            data: result
+            data: quota
         });
     })
 );
@@ -7,10 +7,15 @@ require('dotenv').config();
 
 const logger = require('./utils/logger');
 const { errorHandler } = require('./middleware/errorHandler');
-const { authMiddleware } = require('./middleware/auth');
+const { authMiddleware, stopApiKeyCache } = require('./middleware/auth');
 const cronJobsService = require('./services/cronJobs');
 const emailService = require('./services/emailService');
 const walletBalanceMonitor = require('./services/walletBalanceMonitor');
+const OrderBookEventListener = require('./services/orderBookEventListener');
+const usageTracker = require('./services/usageTracker');
+const distributionJobs = require('./services/distributionJobs');
+const merkleReconciler = require('./merkle/services/merkleReconciler');
+const merkleClaimIndexer = require('./merkle/services/merkleClaimIndexer');
 
 // Import routes
 const tokenRoutes = require('./routes/tokens');
@@ -19,10 +24,19 @@ const healthRoutes = require('./routes/health');
 const adminRoutes = require('./routes/admin');
 const botRoutes = require('./routes/bot');
 const merkleRoutes = require('./routes/merkle');
+const orderbookRoutes = require('./routes/orderbook');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a load balancer / reverse proxy, req.ip must come from X-Forwarded-For
+// for IP allow-lists and per-IP rate limits (e.g. TRUST_PROXY=1 for one proxy hop)
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    const hops = Number(trustProxy);
+    app.set('trust proxy', trustProxy === 'true' ? true : Number.isInteger(hops) ? hops : trustProxy);
+}
+
 // CORS configuration
 const corsOptions = {
     origin: function (origin, callback) {
@@ -43,8 +57,8 @@ const corsOptions = {
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'x-admin-secret', 'X-Request-ID'],
-    exposedHeaders: ['X-Request-ID'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'x-admin-secret', 'X-Request-ID', 'X-MWT-Key-Id', 'X-MWT-Timestamp', 'X-MWT-Nonce', 'X-MWT-Signature', 'Idempotency-Key'],
+    exposedHeaders: ['X-Request-ID', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After', 'X-API-Key-Expires', 'X-Quota-Amount-Limit', 'X-Quota-Amount-Remaining', 'X-Quota-Requests-Limit', 'X-Quota-Requests-Remaining', 'X-Quota-Reset', 'X-Operation-Id', 'Idempotent-Replayed', 'Location'],
     maxAge: 86400 // 24 hours
 };
 
@@ -66,8 +80,12 @@ app.use((req, res, next) => {
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
+// Keep the raw body for signed-request verification (the signature covers its hash)
+const captureRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+};
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
 
 // API Documentation
 if (process.env.NODE_ENV !== 'production') {
@@ -92,6 +110,9 @@ app.use('/api/bot', botRoutes);
 // Merkle distribution routes (mixed auth - public reads, admin writes)
 app.use('/api/merkle', merkleRoutes);
 
+// Order book routes (public reads from indexed data, admin analytics)
+app.use('/api/orderbook', orderbookRoutes);
+
 // Root endpoint
 app.get('/', (req, res) => {
     res.json({
@@ -105,7 +126,8 @@ app.get('/', (req, res) => {
             tokens: '/api/tokens',
             players: '/api/players',
             bot: '/api/bot',
-            merkle: '/api/merkle'
+            merkle: '/api/merkle',
+            orderbook: '/api/orderbook'
         }
     });
 });
@@ -118,7 +140,7 @@ app.use('*', (req, res) => {
     res.status(404).json({
         error: 'Endpoint not found',
         message: `Cannot ${req.method} ${req.originalUrl}`,
-        availableEndpoints: ['/health', '/api/admin', '/api/tokens', '/api/players', '/api/bot', '/api/merkle']
+        availableEndpoints: ['/health', '/api/admin', '/api/tokens', '/api/players', '/api/bot', '/api/merkle', '/api/orderbook']
     });
 });
 
@@ -159,7 +181,33 @@ async function initializeServices() {
         logger.error('Failed to initialize cron jobs:', error);
     }
 
+    // Process queued distributions (?async=true); set DISTRIBUTION_JOB_WORKER=false on API-only instances
+    if (process.env.DISTRIBUTION_JOB_WORKER !== 'false') {
+        distributionJobs.start();
+    }
+
+    // Finish Merkle distributions mined on-chain but never saved; set MERKLE_RECONCILER=false on API-only instances
+    if (process.env.MERKLE_RECONCILER !== 'false') {
+        merkleReconciler.start();
+    }
+
+    // Keep Merkle leaf claim state in sync with TokensClaimed events (non-critical)
+    if (process.env.MERKLE_CLAIM_INDEXER !== 'false') {
+        try {
+            await merkleClaimIndexer.start();
+        } catch (error) {
+            logger.warn('⚠️  Merkle claim indexer failed to start (non-critical):', error.message);
+        }
+    }
 
+    // Start order book event indexer (non-critical - continue if fails)
+    if (process.env.ORDERBOOK_ENABLED === 'true') {
+        try {
+            await OrderBookEventListener.getInstance().start();
+        } catch (error) {
+            logger.warn('⚠️  Order book listener failed to start (non-critical):', error.message);
+        }
+    }
 }
 
 // Graceful shutdown
@@ -174,6 +222,40 @@ const gracefulShutdown = async () => {
         logger.error('Error stopping cron jobs:', error);
     }
 
+    // Stop order book listener
+    if (process.env.ORDERBOOK_ENABLED === 'true') {
+        try {
+            await OrderBookEventListener.getInstance().stop();
+        } catch (error) {
+            logger.error('Error stopping order book listener:', error);
+        }
+    }
+
+    // Stop claiming distribution jobs (one in flight is recovered from its transaction hash)
+    distributionJobs.stop();
+    merkleReconciler.stop();
+
+    // Stop Merkle claim indexer
+    try {
+        await merkleClaimIndexer.stop();
+    } catch (error) {
+        logger.error('Error stopping Merkle claim indexer:', error);
+    }
+
+    // Write buffered API key usage
+    try {
+        await usageTracker.stop();
+    } catch (error) {
+        logger.error('Error flushing API key usage:', error);
+    }
+
+    // Stop API key cache invalidation
+    try {
+        await stopApiKeyCache();
+    } catch (error) {
+        logger.error('Error stopping API key cache:', error);
+    }
+
     // Close server
     server.close(() => {
         logger.info('Server closed');
@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const AdminUser = require('../models/AdminUser');
+const AdminLoginChallenge = require('../models/AdminLoginChallenge');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const { issueAdminSession, getPermissionsForRoles } = require('../middleware/adminAuth');
+const {
+    generateTotpSecret,
+    verifyTotp,
+    buildOtpauthUri,
+    encryptTotpSecret,
+    decryptTotpSecret
+} = require('../utils/totp');
+const { buildSiweMessage, recoverSiweSigner } = require('../utils/siwe');
+const logger = require('../utils/logger');
+
+const DEFAULT_CHALLENGE_TTL_SECONDS = 300;
+const MAX_AUDIT_PAGE = 200;
+
+function accountError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Admin Account Service
+ * Sign-in (SIWE / username + TOTP), admin account management and audit log queries
+ */
+class AdminAccountService {
+    constructor() {
+        this.challengeTtlSeconds = parseInt(process.env.ADMIN_SIWE_CHALLENGE_TTL_SECONDS) || DEFAULT_CHALLENGE_TTL_SECONDS;
+    }
+
+    /**
+     * Start a SIWE sign-in
+     * Issued for any address so the response doesn't reveal which wallets are admins.
+     * @param {string} walletAddress - Wallet that will sign
+     * @param {string} ip - Requesting IP
+     * @returns {Promise<Object>} { nonce, message, expiresAt }
+     */
+    async createSiweChallenge(walletAddress, ip) {
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const issuedAt = new Date();
+        const expiresAt = new Date(issuedAt.getTime() + this.challengeTtlSeconds * 1000);
+        const message = buildSiweMessage({ address: walletAddress, nonce, issuedAt, expiresAt });
+
+        await AdminLoginChallenge.create({
+            nonce,
+            walletAddress,
+            message,
+            ip,
+            expiresAt
+        });
+
+        return { nonce, message, expiresAt };
+    }
+
+    /**
+     * Complete a SIWE sign-in; the challenge is consumed whatever the outcome
+     * @param {string} nonce - Challenge nonce
+     * @param {string} signature - personal_sign signature of the challenge message
+     * @returns {Promise<Object>} { admin, session }
+     */
+    async verifySiwe(nonce, signature) {
+        const challenge = await AdminLoginChallenge.findOneAndDelete({ nonce });
+
+        if (!challenge || challenge.expiresAt <= new Date()) {
+            throw accountError('Sign-in challenge not found or expired', 'INVALID_CHALLENGE');
+        }
+
+        const signer = recoverSiweSigner(challenge.message, signature);
+        if (!signer || signer !== challenge.walletAddress) {
+            throw accountError('Signature does not match the challenge wallet', 'INVALID_CREDENTIALS');
+        }
+
+        const admin = await AdminUser.findOne({ walletAddress: signer, isActive: true });
+        if (!admin) {
+            throw accountError('No active admin for this wallet', 'INVALID_CREDENTIALS');
+        }
+
+        return this.completeLogin(admin, 'siwe');
+    }
+
+    /**
+     * Sign in with username + current TOTP code
+     * @returns {Promise<Object>} { admin, session }
+     */
+    async loginWithTotp(username, code) {
+        const admin = await AdminUser.findOne({ username: String(username).toLowerCase(), isActive: true })
+            .select('+totp.encryptedSecret +totp.iv +totp.authTag');
+
+        if (!admin || !admin.hasTotp()) {
+            throw accountError('Invalid username or code', 'INVALID_CREDENTIALS');
+        }
+
+        const step = verifyTotp(decryptTotpSecret(admin.totp), code);
+        if (step === null) {
+            throw accountError('Invalid username or code', 'INVALID_CREDENTIALS');
+        }
+
+        if (!await AdminUser.consumeTotpStep(admin.id, step)) {
+            throw accountError('Code already used, wait for the next one', 'TOTP_REUSED');
+        }
+
+        return this.completeLogin(admin, 'totp');
+    }
+
+    async completeLogin(admin, method) {
+        admin.lastLoginAt = new Date();
+        admin.lastLoginMethod = method;
+        await admin.save();
+
+        logger.info(`Admin ${admin.username} signed in via ${method}`);
+
+        return {
+            admin: {
+                ...admin.toSafeObject(),
+                permissions: getPermissionsForRoles(admin.roles)
+            },
+            session: issueAdminSession(admin, method)
+        };
+    }
+
+    /**
+     * Create an admin account
+     * @param {Object} data - { username, walletAddress, roles, enableTotp }
+     * @param {string} createdBy - Creating admin id ('bootstrap' from scripts/create-admin.js)
+     * @returns {Promise<Object>} { admin, totp } - totp ({ secret, otpauthUri }) is only returned here
+     */
+    async createAdmin({ username, walletAddress = null, roles, enableTotp = true }, createdBy) {
+        if (!walletAddress && !enableTotp) {
+            throw accountError('An admin needs a wallet address, TOTP or both to sign in', 'NO_SIGN_IN_METHOD');
+        }
+
+        const normalizedUsername = username.toLowerCase();
+        const normalizedWallet = walletAddress ? walletAddress.toLowerCase() : null;
+
+        if (await AdminUser.exists({ username: normalizedUsername })) {
+            throw accountError(`Admin ${normalizedUsername} already exists`, 'ADMIN_EXISTS');
+        }
+        if (normalizedWallet && await AdminUser.exists({ walletAddress: normalizedWallet })) {
+            throw accountError('Wallet address is already linked to another admin', 'WALLET_IN_USE');
+        }
+
+        const admin = new AdminUser({
+            id: crypto.randomUUID(),
+            username: normalizedUsername,
+            walletAddress: normalizedWallet,
+            roles,
+            createdBy
+        });
+
+        const totp = enableTotp ? this.assignTotp(admin) : null;
+        await admin.save();
+
+        logger.info(`Admin account created: ${admin.username} [${roles.join(', ')}] by ${createdBy}`);
+
+        return { admin: admin.toSafeObject(), totp };
+    }
+
+    /**
+     * Update roles, wallet or active state
+     * @param {string} id - AdminUser id
+     * @param {Object} changes - { roles, walletAddress, isActive }
+     * @param {Object} actor - req.admin of the admin making the change
+     */
+    async updateAdmin(id, { roles, walletAddress, isActive }, actor) {
+        const admin = await AdminUser.findOne({ id });
+        if (!admin) {
+            throw accountError('Admin not found', 'ADMIN_NOT_FOUND');
+        }
+
+        if (actor.id === admin.id) {
+            const keepsManage = getPermissionsForRoles(roles || admin.roles).includes('admins:manage');
+            if (isActive === false || !keepsManage) {
+                throw accountError('You cannot disable yourself or remove your own admins:manage permission', 'SELF_LOCKOUT');
+            }
+        }
+
+        if (walletAddress !== undefined) {
+            const normalizedWallet = walletAddress ? walletAddress.toLowerCase() : null;
+            if (normalizedWallet && await AdminUser.exists({ walletAddress: normalizedWallet, id: { $ne: id } })) {
+                throw accountError('Wallet address is already linked to another admin', 'WALLET_IN_USE');
+            }
+            if (!normalizedWallet && !admin.hasTotp()) {
+                throw accountError('An admin needs a wallet address, TOTP or both to sign in', 'NO_SIGN_IN_METHOD');
+            }
+            admin.walletAddress = normalizedWallet;
+        }
+
+        if (roles !== undefined) {
+            admin.roles = roles;
+        }
+
+        if (isActive !== undefined && isActive !== admin.isActive) {
+            admin.isActive = isActive;
+            admin.disabledAt = isActive ? null : new Date();
+        }
+
+        await admin.save();
+
+        logger.info(`Admin account ${admin.username} updated by ${actor.username}`);
+
+        return admin.toSafeObject();
+    }
+
+    /**
+     * Issue a new TOTP secret, invalidating the previous authenticator enrolment
+     * @returns {Promise<Object>} { admin, totp }
+     */
+    async resetTotp(id, actor) {
+        const admin = await AdminUser.findOne({ id });
+        if (!admin) {
+            throw accountError('Admin not found', 'ADMIN_NOT_FOUND');
+        }
+
+        const totp = this.assignTotp(admin);
+        await admin.save();
+
+        logger.warn(`TOTP secret reset for admin ${admin.username} by ${actor.username}`);
+
+        return { admin: admin.toSafeObject(), totp };
+    }
+
+    assignTotp(admin) {
+        const secret = generateTotpSecret();
+
+        admin.totp = {
+            ...encryptTotpSecret(secret),
+            lastStep: null,
+            enabledAt: new Date()
+        };
+
+        return { secret, otpauthUri: buildOtpauthUri(secret, admin.username) };
+    }
+
+    async listAdmins() {
+        const admins = await AdminUser.find({}).sort({ createdAt: 1 });
+        return admins.map(admin => admin.toSafeObject());
+    }
+
+    /**
+     * Browse the audit log, newest first
+     * @param {Object} filters - { actor (id or username), action, success, from, to, limit, offset }
+     * @returns {Promise<Object>} { entries, total, limit, offset }
+     */
+    async getAuditLog({ actor, action, success, from, to, limit = 50, offset = 0 } = {}) {
+        const filter = {};
+
+        if (actor) {
+            filter.$or = [{ 'actor.id': actor }, { 'actor.username': actor.toLowerCase() }];
+        }
+        if (action) {
+            // Prefix match so "wallets." returns every wallet action
+            filter.action = action.endsWith('.')
+                ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+                : action;
+        }
+        if (success !== undefined) {
+            filter.success = success;
+        }
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = new Date(from);
+            if (to) filter.createdAt.$lte = new Date(to);
+        }
+
+        const pageSize = Math.min(limit, MAX_AUDIT_PAGE);
+
+        const [entries, total] = await Promise.all([
+            AdminAuditLog.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(offset)
+                .limit(pageSize)
+                .lean(),
+            AdminAuditLog.countDocuments(filter)
+        ]);
+
+        return { entries, total, limit: pageSize, offset };
+    }
+}
+
+// Singleton instance
+const adminAccounts = new AdminAccountService();
+
+module.exports = adminAccounts;
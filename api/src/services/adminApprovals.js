@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const PendingOperation = require('../models/PendingOperation');
+const { canonicalJson } = require('../utils/canonicalJson');
+const logger = require('../utils/logger');
+
+const DEFAULT_TTL_MINUTES = 60;
+const MAX_PAGE = 200;
+
+function approvalError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Admin Approval Service
+ * Two-person rule for sensitive operations: the proposing request stores a PendingOperation,
+ * a second admin approves it within ADMIN_APPROVAL_TTL_MINUTES and only then does the server
+ * execute it. Routes register the operations they gate with registerOperation().
+ */
+class AdminApprovalService {
+    constructor() {
+        this.ttlMinutes = parseFloat(process.env.ADMIN_APPROVAL_TTL_MINUTES) || DEFAULT_TTL_MINUTES;
+        this.operations = new Map();
+    }
+
+    /**
+     * Register an operation type
+     * @param {string} type - Operation name, e.g. liquidity.withdraw
+     * @param {Object} definition
+     * @param {string} definition.permission - Admin permission the approver must hold
+     * @param {Function} definition.describe - (params) => summary string
+     * @param {Function} definition.execute - async (params, operation) => result
+     * @param {Function} [definition.record] - (result) => what to persist (default: the result)
+     * @param {Function} [definition.respond] - (res, result, operation) custom response to the approver
+     */
+    registerOperation(type, definition) {
+        this.operations.set(type, definition);
+    }
+
+    getDefinition(type) {
+        const definition = this.operations.get(type);
+        if (!definition) {
+            throw approvalError(`Unknown operation type: ${type}`, 'UNKNOWN_OPERATION');
+        }
+        return definition;
+    }
+
+    /**
+     * Store a pending operation
+     * @param {string} type - Registered operation type
+     * @param {Object} params - Validated parameters to execute with
+     * @param {Object} proposer - { type: 'admin' | 'api-key', id, username, ownerAdminId (api-key) }
+     * @returns {Promise<Object>} PendingOperation
+     */
+    async propose(type, rawParams, proposer) {
+        const definition = this.getDefinition(type);
+        // Exactly what gets stored (and later executed), so the hash matches the record
+        const params = JSON.parse(JSON.stringify(rawParams));
+
+        if (!proposer.id) {
+            throw approvalError('Two-person operations need a named proposer; sign in with an admin account', 'NAMED_ADMIN_REQUIRED');
+        }
+        // Otherwise the person holding the key could approve with their own admin account
+        if (proposer.type === 'api-key' && !proposer.ownerAdminId) {
+            throw approvalError('API key has no owning admin; a named admin must rotate it (POST /api/admin/keys/{id}/rotate)', 'API_KEY_OWNER_REQUIRED');
+        }
+
+        const operation = await PendingOperation.create({
+            id: crypto.randomUUID(),
+            type,
+            permission: definition.permission,
+            params,
+            paramsHash: crypto.createHash('sha256').update(canonicalJson(params)).digest('hex'),
+            summary: definition.describe(params),
+            proposedBy: proposer,
+            expiresAt: new Date(Date.now() + this.ttlMinutes * 60 * 1000)
+        });
+
+        logger.warn(`🔐 ${type} proposed by ${proposer.username} (${operation.id}): ${operation.summary} - awaiting second approval`);
+
+        return operation;
+    }
+
+    /**
+     * Approve and execute an operation
+     * The PENDING → EXECUTING transition is atomic, so an operation runs at most once.
+     * @param {string} id - PendingOperation id
+     * @param {Object} admin - req.admin of the approver
+     * @returns {Promise<Object>} { operation, result, definition }
+     */
+    async approve(id, admin) {
+        const existing = await this.getDecidable(id, admin);
+        const definition = this.getDefinition(existing.type);
+
+        const operation = await PendingOperation.findOneAndUpdate(
+            { id, status: 'PENDING', expiresAt: { $gt: new Date() } },
+            {
+                $set: {
+                    status: 'EXECUTING',
+                    decidedBy: { id: admin.id, username: admin.username },
+                    decidedAt: new Date()
+                }
+            },
+            { new: true }
+        );
+
+        if (!operation) {
+            // Lost a race with another decision or the TTL
+            throw approvalError('Operation is no longer pending', 'OPERATION_NOT_PENDING');
+        }
+
+        logger.warn(`🔐 ${operation.type} ${operation.id} approved by ${admin.username} (proposed by ${operation.proposedBy.username}), executing`);
+
+        let result;
+        try {
+            result = await definition.execute(operation.params, operation);
+        } catch (error) {
+            operation.status = 'FAILED';
+            operation.executedAt = new Date();
+            operation.error = { message: error.message, code: error.code || null };
+            await operation.save();
+
+            logger.error(`🔐 ${operation.type} ${operation.id} failed:`, error);
+
+            const failure = approvalError(`Operation failed: ${error.message}`, 'OPERATION_FAILED');
+            failure.operation = operation;
+            throw failure;
+        }
+
+        operation.status = 'EXECUTED';
+        operation.executedAt = new Date();
+        operation.result = definition.record ? definition.record(result) : result;
+        operation.markModified('result');
+        await operation.save();
+
+        logger.info(`🔐 ${operation.type} ${operation.id} executed`);
+
+        return { operation, result, definition };
+    }
+
+    /**
+     * Reject an operation (any admin holding its permission except the proposer)
+     */
+    async reject(id, admin, reason = null) {
+        await this.getDecidable(id, admin);
+        return this.close(id, 'REJECTED', admin, reason);
+    }
+
+    /**
+     * Withdraw your own proposal
+     */
+    async cancel(id, admin, reason = null) {
+        await PendingOperation.expireStale();
+
+        const operation = await PendingOperation.findOne({ id });
+        if (!operation) {
+            throw approvalError('Operation not found', 'OPERATION_NOT_FOUND');
+        }
+        if (operation.proposedBy.type !== 'admin' || operation.proposedBy.id !== admin.id) {
+            throw approvalError('Only the proposer can cancel an operation', 'NOT_PROPOSER');
+        }
+
+        return this.close(id, 'CANCELLED', admin, reason);
+    }
+
+    async close(id, status, admin, reason) {
+        const operation = await PendingOperation.findOneAndUpdate(
+            { id, status: 'PENDING' },
+            {
+                $set: {
+                    status,
+                    decidedBy: { id: admin.id, username: admin.username },
+                    decidedAt: new Date(),
+                    decisionReason: reason
+                }
+            },
+            { new: true }
+        );
+
+        if (!operation) {
+            throw approvalError('Operation is no longer pending', 'OPERATION_NOT_PENDING');
+        }
+
+        logger.info(`🔐 ${operation.type} ${operation.id} ${status.toLowerCase()} by ${admin.username}`);
+        return operation;
+    }
+
+    /**
+     * Load an operation a second admin may approve or reject
+     */
+    async getDecidable(id, admin) {
+        if (!admin.id) {
+            throw approvalError('Approvals need a named admin; sign in with an admin account', 'NAMED_ADMIN_REQUIRED');
+        }
+
+        await PendingOperation.expireStale();
+
+        const operation = await PendingOperation.findOne({ id });
+        if (!operation) {
+            throw approvalError('Operation not found', 'OPERATION_NOT_FOUND');
+        }
+        if (operation.status === 'EXPIRED') {
+            throw approvalError('Operation expired before it was approved', 'OPERATION_EXPIRED');
+        }
+        if (operation.status !== 'PENDING') {
+            throw approvalError(`Operation is ${operation.status.toLowerCase()}`, 'OPERATION_NOT_PENDING');
+        }
+        const proposerAdminId = operation.proposedBy.type === 'admin'
+            ? operation.proposedBy.id
+            : operation.proposedBy.ownerAdminId;
+        if (proposerAdminId === admin.id) {
+            throw approvalError('A second admin must decide on this operation', 'SELF_APPROVAL');
+        }
+        if (!admin.permissions.includes(operation.permission)) {
+            const error = approvalError('Insufficient admin permissions', 'INSUFFICIENT_ADMIN_PERMISSIONS');
+            error.required = operation.permission;
+            throw error;
+        }
+
+        return operation;
+    }
+
+    async getOperation(id) {
+        await PendingOperation.expireStale();
+        return PendingOperation.findOne({ id }).lean();
+    }
+
+    /**
+     * List operations, newest first
+     * @param {Object} filters - { status, type, limit, offset }
+     */
+    async listOperations({ status, type, limit = 50, offset = 0 } = {}) {
+        await PendingOperation.expireStale();
+
+        const filter = {};
+        if (status) filter.status = status;
+        if (type) filter.type = type;
+
+        const pageSize = Math.min(limit, MAX_PAGE);
+
+        const [operations, total] = await Promise.all([
+            PendingOperation.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(offset)
+                .limit(pageSize)
+                .lean(),
+            PendingOperation.countDocuments(filter)
+        ]);
+
+        return { operations, total, limit: pageSize, offset };
+    }
+
+    /**
+     * Public shape of an operation
+     */
+    formatOperation(operation) {
+        return {
+            id: operation.id,
+            type: operation.type,
+            summary: operation.summary,
+            status: operation.status,
+            permission: operation.permission,
+            params: operation.params,
+            paramsHash: operation.paramsHash,
+            proposedBy: operation.proposedBy,
+            createdAt: operation.createdAt,
+            expiresAt: operation.expiresAt,
+            decidedBy: operation.decidedBy?.id ? operation.decidedBy : null,
+            decidedAt: operation.decidedAt,
+            decisionReason: operation.decisionReason,
+            executedAt: operation.executedAt,
+            result: operation.result,
+            error: operation.error?.message ? operation.error : null
+        };
+    }
+}
+
+// Singleton instance
+const adminApprovals = new AdminApprovalService();
+
+module.exports = adminApprovals;
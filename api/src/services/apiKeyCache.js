@@ -0,0 +1,230 @@
+const logger = require('../utils/logger');
+const ApiKey = require('../models/ApiKey');
+
+/**
+ * API key document caches for authMiddleware
+ * Entries are keyed by the key's SHA-256 hash and live for API_KEY_CACHE_TTL_SECONDS.
+ * invalidate()/clear() only drop this process's entries; the mongo backend also watches
+ * the apikeys collection so a key revoked or changed on any instance is dropped everywhere.
+ */
+
+const DEFAULT_TTL_SECONDS = 300;
+const DEFAULT_POLL_SECONDS = 5;
+
+// Written by the usage tracker's flushes; changes to these never invalidate
+const USAGE_FIELDS = ['usageCount', 'lastUsed', 'updatedAt'];
+
+// Change streams need a replica set; standalone servers answer with one of these
+const CHANGE_STREAM_UNSUPPORTED = [40573, 20];
+
+function getSeconds(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+}
+
+/**
+ * Per-process cache (single instance deploys, tests)
+ */
+class MemoryApiKeyCache {
+    constructor({ ttlMs = getSeconds('API_KEY_CACHE_TTL_SECONDS', DEFAULT_TTL_SECONDS) * 1000 } = {}) {
+        this.ttlMs = ttlMs;
+        this.entries = new Map();
+        // Mongo _id -> hashedKey, so change events (which only carry _id) find their entry
+        this.hashedKeysById = new Map();
+    }
+
+    get(hashedKey, now = Date.now()) {
+        const entry = this.entries.get(hashedKey);
+        if (!entry) {
+            return null;
+        }
+        if (now - entry.cachedAt >= this.ttlMs) {
+            this.invalidate(hashedKey);
+            return null;
+        }
+        return entry.data;
+    }
+
+    set(hashedKey, data, now = Date.now()) {
+        this.entries.set(hashedKey, { data, cachedAt: now });
+        if (data._id) {
+            this.hashedKeysById.set(String(data._id), hashedKey);
+        }
+    }
+
+    invalidate(hashedKey) {
+        const entry = this.entries.get(hashedKey);
+        if (entry && entry.data._id) {
+            this.hashedKeysById.delete(String(entry.data._id));
+        }
+        this.entries.delete(hashedKey);
+    }
+
+    invalidateById(id) {
+        const hashedKey = this.hashedKeysById.get(String(id));
+        if (hashedKey) {
+            this.invalidate(hashedKey);
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+        this.hashedKeysById.clear();
+    }
+
+    async start() { }
+
+    async stop() { }
+}
+
+/**
+ * Per-process cache invalidated from MongoDB, for multi-instance deploys
+ * Uses a change stream on apikeys when the server is a replica set, otherwise polls for
+ * keys updated since the last check every API_KEY_CACHE_POLL_SECONDS.
+ */
+class MongoApiKeyCache extends MemoryApiKeyCache {
+    constructor(options = {}) {
+        super(options);
+        this.pollIntervalMs = options.pollIntervalMs
+            ?? getSeconds('API_KEY_CACHE_POLL_SECONDS', DEFAULT_POLL_SECONDS) * 1000;
+        this.running = false;
+        this.stream = null;
+        this.pollTimer = null;
+        this.retryTimer = null;
+        this.lastPollAt = null;
+    }
+
+    async start() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+        this.watch();
+    }
+
+    async stop() {
+        this.running = false;
+        clearTimeout(this.retryTimer);
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+
+        if (this.stream) {
+            const stream = this.stream;
+            this.stream = null;
+            await stream.close().catch(() => { });
+        }
+    }
+
+    watch() {
+        this.stream = ApiKey.watch([
+            { $match: { operationType: { $in: ['update', 'replace', 'delete', 'drop', 'rename', 'invalidate'] } } }
+        ]);
+
+        this.stream.on('change', change => this.handleChange(change));
+        this.stream.on('error', error => this.handleStreamError(error));
+
+        logger.info('🔑 API key cache watching apikeys for invalidations');
+    }
+
+    handleChange(change) {
+        switch (change.operationType) {
+            case 'update': {
+                const { updatedFields = {}, removedFields = [] } = change.updateDescription || {};
+                const changed = [...Object.keys(updatedFields), ...removedFields];
+                if (changed.some(field => !USAGE_FIELDS.includes(field))) {
+                    this.invalidateById(change.documentKey._id);
+                }
+                break;
+            }
+            case 'replace':
+            case 'delete':
+                this.invalidateById(change.documentKey._id);
+                break;
+            default:
+                // Collection dropped or renamed
+                this.clear();
+        }
+    }
+
+    handleStreamError(error) {
+        const stream = this.stream;
+        this.stream = null;
+        if (stream) {
+            stream.close().catch(() => { });
+        }
+
+        if (!this.running) {
+            return;
+        }
+
+        if (CHANGE_STREAM_UNSUPPORTED.includes(error.code)) {
+            logger.warn(`Change streams unavailable (${error.message}), polling apikeys every ${this.pollIntervalMs / 1000}s for cache invalidation`);
+            this.startPolling();
+            return;
+        }
+
+        // Events may have been missed while the stream was down
+        logger.error('API key cache change stream failed, clearing cache and reconnecting:', error);
+        this.clear();
+        this.retryTimer = setTimeout(() => {
+            if (this.running) {
+                this.watch();
+            }
+        }, this.pollIntervalMs);
+        this.retryTimer.unref();
+    }
+
+    startPolling() {
+        this.lastPollAt = new Date();
+        this.pollTimer = setInterval(() => {
+            this.poll().catch(error => {
+                logger.error('API key cache poll failed:', error);
+            });
+        }, this.pollIntervalMs);
+        this.pollTimer.unref();
+    }
+
+    /**
+     * Drop cached keys updated since the previous poll
+     * Key changes go through save(), which bumps updatedAt; usage flushes don't.
+     */
+    async poll() {
+        if (this.entries.size === 0) {
+            this.lastPollAt = new Date();
+            return;
+        }
+
+        // Look back one extra interval to cover clock skew between instances
+        const since = new Date(this.lastPollAt.getTime() - this.pollIntervalMs);
+        this.lastPollAt = new Date();
+
+        const updated = await ApiKey.find({ updatedAt: { $gte: since } })
+            .select('hashedKey')
+            .lean();
+
+        for (const key of updated) {
+            this.invalidate(key.hashedKey);
+        }
+    }
+}
+
+/**
+ * Create a cache by name
+ * @param {string} type - 'memory' or 'mongo' (default from API_KEY_CACHE_STORE, then RATE_LIMIT_STORE)
+ */
+function createApiKeyCache(type = process.env.API_KEY_CACHE_STORE || process.env.RATE_LIMIT_STORE || 'memory') {
+    if (type === 'mongo') {
+        return new MongoApiKeyCache();
+    }
+
+    if (type !== 'memory') {
+        logger.warn(`Unknown API_KEY_CACHE_STORE "${type}", using in-memory API key cache`);
+    }
+    return new MemoryApiKeyCache();
+}
+
+module.exports = {
+    MemoryApiKeyCache,
+    MongoApiKeyCache,
+    createApiKeyCache
+};
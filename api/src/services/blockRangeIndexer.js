@@ -0,0 +1,190 @@
+const logger = require('../utils/logger');
+const IndexerCheckpoint = require('../models/IndexerCheckpoint');
+
+/**
+ * Checkpointed block-range poll loop shared by the on-chain indexers
+ *
+ * Each poll re-reads from the persisted checkpoint minus `reorgDepth` blocks up to the chain
+ * head in `batchSize` ranges and advances the IndexerCheckpoint after every range. Subclasses
+ * set `provider`, `contractAddress`, `startBlock` and `lastProcessedBlock` in initialize() and
+ * implement processRange(fromBlock, toBlock), which must be idempotent and return the number of
+ * events it had not stored before.
+ */
+class BlockRangeIndexer {
+    /**
+     * @param {Object} options - { checkpointName, label, eventLabel, icon, network, startBlock, pollInterval, reorgDepth, batchSize }
+     */
+    constructor(options) {
+        this.checkpointName = options.checkpointName;
+        this.label = options.label;
+        this.eventLabel = options.eventLabel;
+        this.icon = options.icon;
+
+        this.network = options.network;
+        this.startBlock = options.startBlock;
+        this.pollInterval = options.pollInterval;
+        this.reorgDepth = options.reorgDepth;
+        this.batchSize = options.batchSize;
+
+        this.provider = null;
+        this.contractAddress = null;
+        this.isInitialized = false;
+        this.isRunning = false;
+        this.isPolling = false;
+        this.stopRequested = false;
+        this.pollTimer = null;
+        this.pollPromise = null;
+
+        this.lastProcessedBlock = null;
+        this.latestBlock = null;
+        this.lastPollAt = null;
+        this.lastError = null;
+        this.blockTimestamps = new Map();
+    }
+
+    async initialize() {
+        throw new Error(`${this.constructor.name} must implement initialize()`);
+    }
+
+    async processRange() {
+        throw new Error(`${this.constructor.name} must implement processRange()`);
+    }
+
+    /**
+     * Start polling for new blocks
+     */
+    async start() {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+        if (this.isRunning) {
+            return;
+        }
+
+        this.isRunning = true;
+        this.stopRequested = false;
+        logger.info(`${this.icon} ${this.label} started (poll every ${this.pollInterval}ms)`);
+        this.scheduleNextPoll(0);
+    }
+
+    /**
+     * Stop polling and wait for an in-flight poll to finish
+     */
+    async stop() {
+        this.isRunning = false;
+        this.stopRequested = true;
+
+        if (this.pollTimer) {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+        }
+
+        if (this.pollPromise) {
+            await this.pollPromise.catch(() => {});
+        }
+
+        logger.info(`${this.icon} ${this.label} stopped`);
+    }
+
+    scheduleNextPoll(delay = this.pollInterval) {
+        if (!this.isRunning) {
+            return;
+        }
+
+        this.pollTimer = setTimeout(() => {
+            this.pollPromise = this.poll().finally(() => {
+                this.pollPromise = null;
+                this.scheduleNextPoll();
+            });
+        }, delay);
+    }
+
+    /**
+     * Index everything between the checkpoint (minus the reorg window) and the chain head
+     * @returns {Promise<number>} Number of newly indexed events
+     */
+    async poll() {
+        if (this.isPolling) {
+            return 0;
+        }
+
+        this.isPolling = true;
+        let eventCount = 0;
+
+        try {
+            this.latestBlock = await this.provider.getBlockNumber();
+
+            let fromBlock = Math.max(this.startBlock, this.lastProcessedBlock + 1 - this.reorgDepth, 0);
+
+            while (fromBlock <= this.latestBlock && !this.stopRequested) {
+                const toBlock = Math.min(fromBlock + this.batchSize - 1, this.latestBlock);
+                const processed = await this.processRange(fromBlock, toBlock);
+
+                const checkpoint = await IndexerCheckpoint.advance(
+                    this.checkpointName,
+                    this.network,
+                    this.contractAddress,
+                    toBlock,
+                    processed
+                );
+                this.lastProcessedBlock = checkpoint.lastProcessedBlock;
+
+                eventCount += processed;
+                fromBlock = toBlock + 1;
+            }
+
+            this.lastPollAt = new Date();
+            this.lastError = null;
+
+            if (eventCount > 0) {
+                logger.info(`${this.icon} Indexed ${eventCount} ${this.eventLabel} up to block ${this.lastProcessedBlock}`);
+            }
+        } catch (error) {
+            this.lastError = error.message;
+            logger.error(`${this.label} poll failed:`, error);
+        } finally {
+            this.isPolling = false;
+            this.blockTimestamps.clear();
+        }
+
+        return eventCount;
+    }
+
+    /**
+     * Block timestamp, cached for the duration of one poll
+     */
+    async getBlockTime(blockNumber) {
+        if (!this.blockTimestamps.has(blockNumber)) {
+            const block = await this.provider.getBlock(blockNumber);
+            this.blockTimestamps.set(blockNumber, new Date(block.timestamp * 1000));
+        }
+        return this.blockTimestamps.get(blockNumber);
+    }
+
+    /**
+     * Get indexer status for health checks
+     */
+    getStatus() {
+        let status = 'stopped';
+        if (this.isRunning) {
+            status = this.lastError ? 'error' : 'running';
+        }
+
+        return {
+            status,
+            network: this.network,
+            contractAddress: this.contractAddress,
+            lastProcessedBlock: this.lastProcessedBlock,
+            latestBlock: this.latestBlock,
+            blocksBehind: this.latestBlock !== null && this.lastProcessedBlock !== null
+                ? Math.max(this.latestBlock - this.lastProcessedBlock, 0)
+                : null,
+            lastPollAt: this.lastPollAt,
+            lastError: this.lastError,
+            pollInterval: this.pollInterval,
+            reorgDepth: this.reorgDepth
+        };
+    }
+}
+
+module.exports = BlockRangeIndexer;
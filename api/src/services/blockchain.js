@@ -91,9 +91,10 @@ class BlockchainService {
      * @param {Array<string>} recipients - Array of player addresses
      * @param {string} amount - Token amount per player (in tokens, not wei)
      * @param {string} reason - Reason for distribution
+     * @param {Object} options - { onSubmitted: async (txHash) => {} called before waiting for confirmation }
      * @returns {Promise<Object>} Transaction result
      */
-    async distributeEqualFromVault(vaultType, recipients, amount, reason = 'Equal Token Distribution') {
+    async distributeEqualFromVault(vaultType, recipients, amount, reason = 'Equal Token Distribution', { onSubmitted } = {}) {
         this._ensureInitialized();
 
         try {
@@ -149,6 +150,10 @@ class BlockchainService {
 
             logger.info(`📝 Transaction submitted: ${tx.hash}`);
 
+            if (onSubmitted) {
+                await onSubmitted(tx.hash);
+            }
+
             // Wait for confirmation
             const receipt = await tx.wait();
 
@@ -171,7 +176,7 @@ class BlockchainService {
 
         } catch (error) {
             logger.error('Failed to distribute equal rewards:', error);
-            throw new Error(`Failed to distribute equal rewards: ${error.message}`);
+            throw new Error(`Failed to distribute equal rewards: ${error.message}`, { cause: error });
         }
     }
 
@@ -181,9 +186,10 @@ class BlockchainService {
      * @param {Array<string>} recipients - Array of player addresses
      * @param {Array<string>} amounts - Array of token amounts per player (in tokens, not wei)
      * @param {string} reason - Reason for distribution
+     * @param {Object} options - { onSubmitted: async (txHash) => {} called before waiting for confirmation }
      * @returns {Promise<Object>} Transaction result
      */
-    async distributeFromVault(vaultType, recipients, amounts, reason = 'Token Distribution') {
+    async distributeFromVault(vaultType, recipients, amounts, reason = 'Token Distribution', { onSubmitted } = {}) {
         this._ensureInitialized();
 
         try {
@@ -245,6 +251,10 @@ class BlockchainService {
 
             logger.info(`📝 Transaction submitted: ${tx.hash}`);
 
+            if (onSubmitted) {
+                await onSubmitted(tx.hash);
+            }
+
             // Wait for confirmation
             const receipt = await tx.wait();
 
@@ -265,7 +275,7 @@ class BlockchainService {
 
         } catch (error) {
             logger.error('Failed to distribute from vault:', error);
-            throw new Error(`Failed to distribute from vault: ${error.message}`);
+            throw new Error(`Failed to distribute from vault: ${error.message}`, { cause: error });
         }
     }
     async getPlayerStats(playerAddress) {
@@ -2,11 +2,17 @@ const cron = require('node-cron');
 const logger = require('../utils/logger');
 const distributionFinalizer = require('./distributionFinalizer');
 const walletBalanceMonitor = require('./walletBalanceMonitor');
+const StrategyEngine = require('../bot/services/strategyEngine');
+const PriceSampler = require('../bot/services/priceSampler');
+const CandleAggregator = require('../bot/services/candleAggregator');
 
 /**
  * Service for managing scheduled cron jobs
  * Handles auto-finalization of expired Merkle distributions
  * Handles wallet balance monitoring and alerts
+ * Handles the trading bot strategy loop
+ * Handles bot price sampling and price history retention
+ * Handles price candle rollups
  */
 class CronJobsService {
     constructor() {
@@ -41,6 +47,15 @@ class CronJobsService {
             // Setup wallet balance check job
             this.setupWalletBalanceCheckJob();
 
+            // Setup bot strategy loop
+            this.setupBotStrategyJob();
+
+            // Setup price sampler and price history pruning
+            this.setupPriceSamplerJob();
+
+            // Setup price candle rollups
+            this.setupCandleRollupJob();
+
             this.isInitialized = true;
             logger.info('CronJobsService initialized successfully');
         } catch (error) {
@@ -196,6 +211,160 @@ class CronJobsService {
         }
     }
 
+    /**
+     * Setup the bot strategy cron job
+     * Runs every minute by default (configurable via BOT_STRATEGY_CRON_SCHEDULE)
+     * Dry-run unless BOT_STRATEGY_DRY_RUN=false
+     */
+    setupBotStrategyJob() {
+        const isEnabled = process.env.BOT_STRATEGY_ENABLED === 'true';
+
+        if (!isEnabled) {
+            logger.info('Bot strategy loop is disabled, skipping cron job setup');
+            return;
+        }
+
+        const cronSchedule = process.env.BOT_STRATEGY_CRON_SCHEDULE || '* * * * *';
+
+        try {
+            if (!cron.validate(cronSchedule)) {
+                throw new Error(`Invalid cron schedule: ${cronSchedule}`);
+            }
+
+            const strategyEngine = StrategyEngine.getInstance();
+
+            this.jobs.botStrategy = cron.schedule(
+                cronSchedule,
+                async () => {
+                    try {
+                        await strategyEngine.runCycle();
+                    } catch (error) {
+                        logger.error('Bot strategy cron job failed', { error: error.message });
+                    }
+                },
+                {
+                    scheduled: true,
+                    timezone: process.env.CRON_TIMEZONE || 'UTC'
+                }
+            );
+
+            logger.info('Bot strategy cron job scheduled', {
+                schedule: cronSchedule,
+                dryRun: strategyEngine.dryRun
+            });
+        } catch (error) {
+            logger.error('Failed to setup bot strategy cron job', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Setup the price sampler cron jobs
+     * The sampler ticks every 10 seconds by default (PRICE_SAMPLER_TICK_SCHEDULE) and only samples
+     * once BotConfig.monitoring.priceCheckInterval has elapsed; pruning runs daily at 03:00
+     * (PRICE_HISTORY_PRUNE_SCHEDULE)
+     */
+    setupPriceSamplerJob() {
+        const isEnabled = process.env.PRICE_SAMPLER_ENABLED === 'true';
+
+        if (!isEnabled) {
+            logger.info('Price sampler is disabled, skipping cron job setup');
+            return;
+        }
+
+        const tickSchedule = process.env.PRICE_SAMPLER_TICK_SCHEDULE || '*/10 * * * * *';
+        const pruneSchedule = process.env.PRICE_HISTORY_PRUNE_SCHEDULE || '0 3 * * *';
+
+        try {
+            if (!cron.validate(tickSchedule)) {
+                throw new Error(`Invalid cron schedule: ${tickSchedule}`);
+            }
+            if (!cron.validate(pruneSchedule)) {
+                throw new Error(`Invalid cron schedule: ${pruneSchedule}`);
+            }
+
+            const priceSampler = PriceSampler.getInstance();
+
+            this.jobs.priceSampler = cron.schedule(
+                tickSchedule,
+                async () => {
+                    // tick() logs and records its own failures
+                    await priceSampler.tick();
+                },
+                {
+                    scheduled: true,
+                    timezone: process.env.CRON_TIMEZONE || 'UTC'
+                }
+            );
+
+            this.jobs.priceHistoryPrune = cron.schedule(
+                pruneSchedule,
+                async () => {
+                    try {
+                        await priceSampler.prune();
+                    } catch (error) {
+                        logger.error('Price history prune cron job failed', { error: error.message });
+                    }
+                },
+                {
+                    scheduled: true,
+                    timezone: process.env.CRON_TIMEZONE || 'UTC'
+                }
+            );
+
+            logger.info('Price sampler cron jobs scheduled', {
+                tickSchedule,
+                pruneSchedule
+            });
+        } catch (error) {
+            logger.error('Failed to setup price sampler cron jobs', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Setup the price candle rollup cron job
+     * Materializes closed 1h / 1d candles hourly by default (PRICE_CANDLE_ROLLUP_SCHEDULE)
+     */
+    setupCandleRollupJob() {
+        const isEnabled = process.env.PRICE_CANDLE_ROLLUP_ENABLED === 'true';
+
+        if (!isEnabled) {
+            logger.info('Price candle rollup is disabled, skipping cron job setup');
+            return;
+        }
+
+        const cronSchedule = process.env.PRICE_CANDLE_ROLLUP_SCHEDULE || '2 * * * *';
+
+        try {
+            if (!cron.validate(cronSchedule)) {
+                throw new Error(`Invalid cron schedule: ${cronSchedule}`);
+            }
+
+            const candleAggregator = new CandleAggregator();
+
+            this.jobs.candleRollup = cron.schedule(
+                cronSchedule,
+                async () => {
+                    try {
+                        await candleAggregator.rollupAll();
+                    } catch (error) {
+                        logger.error('Price candle rollup cron job failed', { error: error.message });
+                    }
+                },
+                {
+                    scheduled: true,
+                    timezone: process.env.CRON_TIMEZONE || 'UTC'
+                }
+            );
+
+            logger.info('Price candle rollup cron job scheduled', { schedule: cronSchedule });
+        } catch (error) {
+            logger.error('Failed to setup price candle rollup cron job', { error: error.message });
+            throw error;
+        }
+    }
+
     /**
      * Get next auto-finalization run time
      */
@@ -294,6 +463,20 @@ class CronJobsService {
                 nextRun: this.getNextWalletBalanceCheckRun(),
                 monitoredWallet: process.env.GAME_ADMIN_ADDRESS || 'Not configured'
             },
+            botStrategy: {
+                enabled: process.env.BOT_STRATEGY_ENABLED === 'true',
+                schedule: process.env.BOT_STRATEGY_CRON_SCHEDULE || '* * * * *',
+                dryRun: process.env.BOT_STRATEGY_DRY_RUN !== 'false'
+            },
+            priceSampler: {
+                enabled: process.env.PRICE_SAMPLER_ENABLED === 'true',
+                tickSchedule: process.env.PRICE_SAMPLER_TICK_SCHEDULE || '*/10 * * * * *',
+                pruneSchedule: process.env.PRICE_HISTORY_PRUNE_SCHEDULE || '0 3 * * *'
+            },
+            candleRollup: {
+                enabled: process.env.PRICE_CANDLE_ROLLUP_ENABLED === 'true',
+                schedule: process.env.PRICE_CANDLE_ROLLUP_SCHEDULE || '2 * * * *'
+            },
             timezone: process.env.CRON_TIMEZONE || 'UTC',
             jobs: Object.keys(this.jobs).map(name => ({
                 name,
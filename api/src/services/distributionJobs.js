@@ -0,0 +1,385 @@
+const crypto = require('crypto');
+const DistributionJob = require('../models/DistributionJob');
+const ApiKey = require('../models/ApiKey');
+const ApiKeyDistributionQuota = require('../models/ApiKeyDistributionQuota');
+const blockchainService = require('./blockchain');
+const { decryptSigningSecret } = require('../utils/requestSigning');
+const logger = require('../utils/logger');
+
+const DEFAULT_POLL_MS = 2000;
+const DEFAULT_LOCK_MINUTES = 15;
+const DEFAULT_CALLBACK_MAX_ATTEMPTS = 6;
+const DEFAULT_CALLBACK_RETRY_BASE_MS = 5000;
+const DEFAULT_CALLBACK_TIMEOUT_MS = 10000;
+const CALLBACK_BATCH = 20;
+
+function getNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+}
+
+function callbackError(message, retryable = true) {
+    const error = new Error(message);
+    error.retryable = retryable;
+    return error;
+}
+
+/**
+ * Distribution Job Queue
+ * Persists asynchronous distributions in MongoDB and sends them one at a time (the game
+ * admin wallet's nonces must stay in order). Any instance may run the worker; jobs are
+ * claimed atomically. When a job finishes, the submitting key's callback URL is notified
+ * with a signed POST, retried with exponential backoff.
+ */
+class DistributionJobQueue {
+    constructor() {
+        this.pollMs = getNumber('DISTRIBUTION_JOB_POLL_MS', DEFAULT_POLL_MS);
+        this.lockMs = getNumber('DISTRIBUTION_JOB_LOCK_MINUTES', DEFAULT_LOCK_MINUTES) * 60 * 1000;
+        this.callbackMaxAttempts = getNumber('DISTRIBUTION_CALLBACK_MAX_ATTEMPTS', DEFAULT_CALLBACK_MAX_ATTEMPTS);
+        this.callbackRetryBaseMs = getNumber('DISTRIBUTION_CALLBACK_RETRY_BASE_MS', DEFAULT_CALLBACK_RETRY_BASE_MS);
+        this.callbackTimeoutMs = getNumber('DISTRIBUTION_CALLBACK_TIMEOUT_MS', DEFAULT_CALLBACK_TIMEOUT_MS);
+        this.timer = null;
+        this.running = false;
+        this.busy = false;
+    }
+
+    /**
+     * Start the worker loop
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+        this.timer = setInterval(() => this.tick(), this.pollMs);
+        this.timer.unref();
+        logger.info(`📦 Distribution job worker started (polling every ${this.pollMs}ms)`);
+        this.tick();
+    }
+
+    /**
+     * Stop claiming new jobs; a job already sending is recovered from its transaction hash
+     */
+    stop() {
+        this.running = false;
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Queue a distribution
+     * @param {Object} job - { type, params, apiKey, quota: { keyId, day, amount } }
+     * @returns {Promise<Object>} DistributionJob
+     */
+    async enqueue({ type, params, apiKey, quota = null }) {
+        const hasCallback = Boolean(apiKey.callback?.url);
+
+        const job = await DistributionJob.create({
+            id: crypto.randomUUID(),
+            keyId: apiKey.id,
+            keyName: apiKey.name,
+            type,
+            params: JSON.parse(JSON.stringify(params)),
+            quota: quota || {},
+            callback: { status: hasCallback ? 'PENDING' : 'NONE' }
+        });
+
+        logger.info(`📦 Distribution job ${job.id} queued for ${apiKey.name} (${type}, ${params.recipients.length} recipients)`);
+
+        // Don't wait for the next poll
+        if (this.running) {
+            setImmediate(() => this.tick());
+        }
+
+        return job;
+    }
+
+    /**
+     * A job as seen by the key that submitted it
+     * @returns {Promise<Object|null>}
+     */
+    async getJob(id, keyId) {
+        return DistributionJob.findOne({ id, keyId }).lean();
+    }
+
+    async tick() {
+        if (this.busy || !this.running) {
+            return;
+        }
+        this.busy = true;
+
+        try {
+            await this.recoverStale();
+
+            let job;
+            while (this.running && (job = await this.claimNext())) {
+                await this.process(job);
+            }
+
+            await this.deliverDueCallbacks();
+        } catch (error) {
+            logger.error('📦 Distribution job worker error:', error);
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    async claimNext() {
+        return DistributionJob.findOneAndUpdate(
+            { status: 'QUEUED' },
+            {
+                $set: {
+                    status: 'PROCESSING',
+                    startedAt: new Date(),
+                    lockedUntil: new Date(Date.now() + this.lockMs)
+                },
+                $inc: { attempts: 1 }
+            },
+            { sort: { createdAt: 1 }, new: true }
+        );
+    }
+
+    async process(job) {
+        const { vaultType, recipients, amount, amounts, reason } = job.params;
+        const onSubmitted = async (transactionHash) => {
+            job.status = 'SUBMITTED';
+            job.transactionHash = transactionHash;
+            job.submittedAt = new Date();
+            await job.save();
+        };
+
+        try {
+            const result = job.type === 'distribute-equal'
+                ? await blockchainService.distributeEqualFromVault(vaultType, recipients, amount, reason, { onSubmitted })
+                : await blockchainService.distributeFromVault(vaultType, recipients, amounts, reason, { onSubmitted });
+
+            await this.finish(job, 'MINED', { result, blockNumber: result.blockNumber });
+        } catch (error) {
+            // Once sent, only a revert is a failure; a wait() RPC error or timeout says nothing
+            // about the transaction, which may still mine. recoverStale decides from the receipt.
+            if (job.transactionHash && error.cause?.code !== 'CALL_EXCEPTION') {
+                logger.warn(`📦 Lost track of transaction ${job.transactionHash} of job ${job.id}, checking its receipt later: ${error.message}`);
+                job.error = { message: error.message, code: error.cause?.code || null };
+                job.lockedUntil = new Date();
+                await job.save();
+                return;
+            }
+
+            await this.finish(job, 'FAILED', {
+                error: job.transactionHash
+                    ? { message: 'Transaction reverted', code: 'TRANSACTION_REVERTED' }
+                    : { message: error.message, code: error.code || 'DISTRIBUTION_FAILED' }
+            });
+        }
+    }
+
+    /**
+     * Jobs whose worker died: finish them from the transaction receipt, never resend
+     */
+    async recoverStale() {
+        const stale = await DistributionJob.find({
+            status: { $in: ['PROCESSING', 'SUBMITTED'] },
+            lockedUntil: { $lt: new Date() }
+        }).limit(CALLBACK_BATCH);
+
+        for (const candidate of stale) {
+            // Re-lease first so only one instance recovers it
+            const job = await DistributionJob.findOneAndUpdate(
+                { id: candidate.id, lockedUntil: candidate.lockedUntil },
+                { $set: { lockedUntil: new Date(Date.now() + this.lockMs) } },
+                { new: true }
+            );
+            if (!job) continue;
+
+            if (!job.transactionHash) {
+                await this.finish(job, 'FAILED', {
+                    error: {
+                        message: 'Worker stopped before the transaction was sent',
+                        code: 'JOB_INTERRUPTED'
+                    }
+                });
+                continue;
+            }
+
+            try {
+                const status = await blockchainService.getTransactionStatus(job.transactionHash);
+                if (status.status === 'success') {
+                    await this.finish(job, 'MINED', { result: status, blockNumber: status.blockNumber });
+                } else if (status.status === 'failed') {
+                    await this.finish(job, 'FAILED', {
+                        blockNumber: status.blockNumber,
+                        error: { message: 'Transaction reverted', code: 'TRANSACTION_REVERTED' }
+                    });
+                }
+                // Still pending: checked again once the new lease runs out
+            } catch (error) {
+                logger.error(`📦 Could not check transaction ${job.transactionHash} of job ${job.id}:`, error);
+            }
+        }
+    }
+
+    async finish(job, status, { result = null, blockNumber = null, error = null }) {
+        job.status = status;
+        job.result = result;
+        job.blockNumber = blockNumber ?? job.blockNumber;
+        job.error = error || { message: null, code: null };
+        job.completedAt = new Date();
+        job.lockedUntil = null;
+        if (job.callback.status === 'PENDING') {
+            job.callback.nextAttemptAt = new Date();
+        }
+        job.markModified('result');
+        await job.save();
+
+        if (status === 'FAILED') {
+            logger.error(`📦 Distribution job ${job.id} failed: ${error.message}`);
+            if (job.quota?.day && job.quota.amount) {
+                await ApiKeyDistributionQuota.release(job.quota.keyId || job.keyId, job.quota.day, job.quota.amount)
+                    .catch(releaseError => logger.error(`Failed to release distribution quota for job ${job.id}:`, releaseError));
+            }
+        } else {
+            logger.info(`📦 Distribution job ${job.id} mined: ${job.transactionHash}`);
+        }
+    }
+
+    async deliverDueCallbacks() {
+        const now = new Date();
+        const due = await DistributionJob.find({
+            'callback.status': 'PENDING',
+            'callback.nextAttemptAt': { $lte: now }
+        }).sort({ 'callback.nextAttemptAt': 1 }).limit(CALLBACK_BATCH);
+
+        for (const candidate of due) {
+            // Claim the attempt so another instance doesn't send it too
+            const job = await DistributionJob.findOneAndUpdate(
+                { id: candidate.id, 'callback.status': 'PENDING', 'callback.nextAttemptAt': candidate.callback.nextAttemptAt },
+                { $set: { 'callback.nextAttemptAt': new Date(Date.now() + this.callbackTimeoutMs * 2) } },
+                { new: true }
+            );
+            if (job) {
+                await this.deliverCallback(job);
+            }
+        }
+    }
+
+    async deliverCallback(job) {
+        const apiKey = await ApiKey.findOne({ id: job.keyId })
+            .select('+callback.encryptedSecret +callback.iv +callback.authTag');
+
+        if (!apiKey || !apiKey.callback?.url || !apiKey.callback.encryptedSecret) {
+            job.callback.status = 'FAILED';
+            job.callback.lastError = 'API key no longer has a callback URL';
+            await job.save();
+            return;
+        }
+
+        job.callback.attempts += 1;
+        job.callback.lastAttemptAt = new Date();
+
+        try {
+            const response = await this.postCallback(apiKey.callback.url, decryptSigningSecret(apiKey.callback), job);
+            job.callback.status = 'DELIVERED';
+            job.callback.deliveredAt = new Date();
+            job.callback.responseStatus = response.status;
+            job.callback.lastError = null;
+        } catch (error) {
+            job.callback.responseStatus = error.status || null;
+            job.callback.lastError = error.message;
+
+            if (error.retryable === false || job.callback.attempts >= this.callbackMaxAttempts) {
+                job.callback.status = 'FAILED';
+                logger.warn(`📦 Callback for job ${job.id} to ${apiKey.name} failed after ${job.callback.attempts} attempts: ${error.message}`);
+            } else {
+                const delay = this.callbackRetryBaseMs * 2 ** (job.callback.attempts - 1);
+                job.callback.nextAttemptAt = new Date(Date.now() + delay);
+            }
+        }
+
+        await job.save();
+    }
+
+    /**
+     * POST the signed job outcome
+     * X-MWT-Signature: sha256=HMAC-SHA256(callbackSecret, `${timestamp}.${body}`)
+     */
+    async postCallback(url, secret, job) {
+        const event = job.status === 'MINED' ? 'distribution.mined' : 'distribution.failed';
+        const body = JSON.stringify({
+            event,
+            job: this.formatJob(job),
+            timestamp: new Date().toISOString()
+        });
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.callbackTimeoutMs);
+
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-MWT-Event': event,
+                    'X-MWT-Delivery': `${job.id}:${job.callback.attempts}`,
+                    'X-MWT-Timestamp': timestamp,
+                    'X-MWT-Signature': `sha256=${signature}`
+                },
+                body,
+                signal: controller.signal
+            });
+        } catch (error) {
+            throw callbackError(error.name === 'AbortError' ? 'Request timed out' : error.message);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            // 4xx other than 408/429 won't get better by retrying
+            const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+            const error = callbackError(`Callback responded ${response.status}`, retryable);
+            error.status = response.status;
+            throw error;
+        }
+
+        return { status: response.status };
+    }
+
+    /**
+     * Public shape of a job
+     */
+    formatJob(job) {
+        const { params } = job;
+
+        return {
+            id: job.id,
+            type: job.type,
+            status: job.status,
+            vaultType: params.vaultType,
+            recipients: params.recipients.length,
+            ...(params.amount !== undefined ? { amountPerPlayer: params.amount } : {}),
+            totalAmount: job.quota?.amount ?? null,
+            reason: params.reason,
+            transactionHash: job.transactionHash,
+            blockNumber: job.blockNumber,
+            result: job.result,
+            error: job.error?.message ? job.error : null,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            submittedAt: job.submittedAt,
+            completedAt: job.completedAt,
+            callback: {
+                status: job.callback.status,
+                attempts: job.callback.attempts,
+                lastError: job.callback.lastError,
+                deliveredAt: job.callback.deliveredAt
+            }
+        };
+    }
+}
+
+// Singleton instance
+const distributionJobs = new DistributionJobQueue();
+
+module.exports = distributionJobs;
@@ -574,6 +574,53 @@ class EmailService {
     `;
   }
 
+  /**
+   * Send trading bot alert email (circuit breaker, pause, errors, ...)
+   */
+  async sendBotAlertEmail({ title, message, severity = 'info', data = {} }) {
+    if (!this.enabled) {
+      return { success: false, message: 'Email alerts disabled' };
+    }
+
+    if (!this.initialized) {
+      await this.initialize();
+      if (!this.initialized) {
+        return { success: false, message: 'Email service not initialized' };
+      }
+    }
+
+    const recipients = this.getRecipients();
+    if (recipients.length === 0) {
+      return { success: false, message: 'No email recipients configured' };
+    }
+
+    const icon = severity === 'critical' ? '🚨' : severity === 'warning' ? '⚠️' : 'ℹ️';
+    const rows = Object.entries(data)
+      .filter(([, value]) => value !== null && value !== undefined && typeof value !== 'object')
+      .map(([key, value]) => `<tr><td><strong>${key}</strong></td><td>${value}</td></tr>`)
+      .join('');
+
+    try {
+      const info = await this.transporter.sendMail({
+        from: `Magic World Alerts <${this.from}>`,
+        to: recipients.join(', '),
+        subject: `${icon} Trading Bot - ${title}`,
+        html: `
+          <h2>${icon} ${title}</h2>
+          ${message ? `<p>${message}</p>` : ''}
+          ${rows ? `<table cellpadding="4">${rows}</table>` : ''}
+          <p><strong>Timestamp:</strong> ${new Date().toLocaleString()}</p>
+        `,
+      });
+
+      logger.info(`📧 Bot alert email sent to ${recipients.join(', ')}`, { messageId: info.messageId, title });
+      return { success: true, messageId: info.messageId, recipients };
+    } catch (error) {
+      logger.error('❌ Failed to send bot alert email:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Test email configuration
    */
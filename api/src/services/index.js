@@ -3,6 +3,8 @@ const cronJobs = require('./cronJobs');
 const database = require('./database');
 const distributionFinalizer = require('./distributionFinalizer');
 const emailService = require('./emailService');
+const OrderBookEventListener = require('./orderBookEventListener');
+const orderBookService = require('./orderBookService');
 const walletBalanceMonitor = require('./walletBalanceMonitor');
 
 module.exports = {
@@ -11,5 +13,7 @@ module.exports = {
     database,
     distributionFinalizer,
     emailService,
+    OrderBookEventListener,
+    orderBookService,
     walletBalanceMonitor
 };
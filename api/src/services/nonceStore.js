@@ -0,0 +1,75 @@
+const logger = require('../utils/logger');
+const RequestNonce = require('../models/RequestNonce');
+
+/**
+ * Nonce stores for signed-request replay protection
+ * claim(key, ttlMs) records a nonce and resolves true the first time, false if it was
+ * already seen within its TTL.
+ */
+
+/**
+ * Per-process store (single instance deploys, tests)
+ */
+class MemoryNonceStore {
+    constructor({ cleanupIntervalMs = 60000 } = {}) {
+        this.nonces = new Map();
+        this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+        this.cleanupTimer.unref();
+    }
+
+    async claim(key, ttlMs, now = Date.now()) {
+        const expiresAt = this.nonces.get(key);
+        if (expiresAt && expiresAt > now) {
+            return false;
+        }
+
+        this.nonces.set(key, now + ttlMs);
+        return true;
+    }
+
+    cleanup(now = Date.now()) {
+        for (const [key, expiresAt] of this.nonces) {
+            if (expiresAt <= now) {
+                this.nonces.delete(key);
+            }
+        }
+    }
+}
+
+/**
+ * MongoDB store shared across API instances
+ */
+class MongoNonceStore {
+    async claim(key, ttlMs, now = Date.now()) {
+        try {
+            await RequestNonce.create({ key, expiresAt: new Date(now + ttlMs) });
+            return true;
+        } catch (error) {
+            if (error.code === 11000) {
+                return false;
+            }
+            throw error;
+        }
+    }
+}
+
+/**
+ * Create a store by name
+ * @param {string} type - 'memory' or 'mongo' (default from NONCE_STORE, then RATE_LIMIT_STORE)
+ */
+function createNonceStore(type = process.env.NONCE_STORE || process.env.RATE_LIMIT_STORE || 'memory') {
+    if (type === 'mongo') {
+        return new MongoNonceStore();
+    }
+
+    if (type !== 'memory') {
+        logger.warn(`Unknown NONCE_STORE "${type}", using in-memory nonce store`);
+    }
+    return new MemoryNonceStore();
+}
+
+module.exports = {
+    MemoryNonceStore,
+    MongoNonceStore,
+    createNonceStore
+};
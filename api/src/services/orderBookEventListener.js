@@ -0,0 +1,455 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const Order = require('../models/Order');
+const OrderFill = require('../models/OrderFill');
+const OrderCancellation = require('../models/OrderCancellation');
+const Withdrawal = require('../models/Withdrawal');
+const IndexerCheckpoint = require('../models/IndexerCheckpoint');
+const BlockRangeIndexer = require('./blockRangeIndexer');
+const orderNotificationService = require('./orderNotificationService');
+const MWGOrderBookABI = require('../../contracts/abis/MWGOrderBook.json');
+
+const { ORDER_STATUS } = Order;
+const CHECKPOINT_NAME = 'orderbook';
+
+/**
+ * Resumable block-range indexer for MWGOrderBook events
+ *
+ * Polls getLogs in fixed block batches, writes orders, fills, cancellations and
+ * withdrawals to MongoDB and persists the last processed block. Every poll
+ * re-reads the last `reorgDepth` blocks; all writes are idempotent upserts keyed
+ * by on-chain identifiers, and records in a re-read range that no longer appear
+ * on-chain are removed, so a reorg inside that window self-heals.
+ */
+class OrderBookEventListener extends BlockRangeIndexer {
+    constructor(config = {}) {
+        const defaults = OrderBookEventListener.configFromEnv();
+
+        super({
+            checkpointName: CHECKPOINT_NAME,
+            label: 'Order book listener',
+            eventLabel: 'order book events',
+            icon: '📒',
+            network: config.network || defaults.network,
+            startBlock: config.startBlock ?? defaults.startBlock,
+            pollInterval: config.pollInterval || defaults.pollInterval,
+            reorgDepth: config.reorgDepth ?? defaults.reorgDepth,
+            batchSize: config.batchSize || defaults.batchSize
+        });
+
+        this.contractAddress = config.contractAddress || defaults.contractAddress;
+        this.rpcUrl = config.rpcUrl || defaults.rpcUrl;
+        this.contract = null;
+    }
+
+    /**
+     * Get the shared listener instance (created on first call)
+     * @param {Object} config - { contractAddress, network, rpcUrl, startBlock, pollInterval, reorgDepth, batchSize }
+     */
+    static getInstance(config) {
+        if (!OrderBookEventListener.instance) {
+            OrderBookEventListener.instance = new OrderBookEventListener(config);
+        }
+        return OrderBookEventListener.instance;
+    }
+
+    /**
+     * Build listener configuration from environment variables
+     */
+    static configFromEnv() {
+        const network = process.env.BLOCKCHAIN_NETWORK || 'bscTestnet';
+        const isMainnet = network === 'bsc';
+
+        return {
+            network,
+            contractAddress: isMainnet
+                ? process.env.ORDERBOOK_CONTRACT_ADDRESS_MAINNET
+                : process.env.ORDERBOOK_CONTRACT_ADDRESS_TESTNET,
+            rpcUrl: process.env.ORDERBOOK_RPC_URL || process.env.RPC_URL,
+            startBlock: parseInt(isMainnet
+                ? process.env.ORDERBOOK_START_BLOCK_MAINNET
+                : process.env.ORDERBOOK_START_BLOCK_TESTNET) || 0,
+            pollInterval: parseInt(process.env.ORDERBOOK_POLL_INTERVAL) || 15000,
+            reorgDepth: parseInt(process.env.ORDERBOOK_REORG_DEPTH || '12'),
+            batchSize: parseInt(process.env.ORDERBOOK_BLOCK_BATCH_SIZE) || 2000
+        };
+    }
+
+    /**
+     * Connect to the RPC node and load the persisted checkpoint
+     */
+    async initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        if (!this.contractAddress || !ethers.isAddress(this.contractAddress)) {
+            throw new Error(`Invalid order book contract address: ${this.contractAddress}`);
+        }
+        if (!this.rpcUrl) {
+            throw new Error('Missing RPC URL for order book listener (ORDERBOOK_RPC_URL or RPC_URL)');
+        }
+
+        this.provider = new ethers.JsonRpcProvider(this.rpcUrl);
+        this.contract = new ethers.Contract(this.contractAddress, MWGOrderBookABI.abi, this.provider);
+
+        const checkpoint = await IndexerCheckpoint.getOrCreate(
+            CHECKPOINT_NAME,
+            this.network,
+            this.contractAddress,
+            this.startBlock
+        );
+        this.lastProcessedBlock = checkpoint.lastProcessedBlock;
+
+        this.isInitialized = true;
+
+        logger.info('OrderBookEventListener initialized', {
+            network: this.network,
+            contractAddress: this.contractAddress,
+            lastProcessedBlock: this.lastProcessedBlock,
+            reorgDepth: this.reorgDepth,
+            batchSize: this.batchSize
+        });
+    }
+
+    /**
+     * Read and apply all contract events in [fromBlock, toBlock]
+     * @returns {Promise<number>} Events not already stored, so re-reading the reorg window counts nothing twice
+     */
+    async processRange(fromBlock, toBlock) {
+        const logs = await this.provider.getLogs({
+            address: this.contractAddress,
+            fromBlock,
+            toBlock
+        });
+
+        const events = logs
+            .filter(log => !log.removed)
+            .map(log => ({ log, parsed: this.safeParse(log) }))
+            .filter(({ parsed }) => parsed !== null)
+            .sort((a, b) => a.log.blockNumber - b.log.blockNumber || a.log.index - b.log.index);
+
+        const touchedOrders = new Set();
+        let newEvents = 0;
+
+        for (const { log, parsed } of events) {
+            const applied = await this.handleEvent(parsed, log);
+            if (!applied) {
+                continue;
+            }
+            if (applied.orderId !== null) {
+                touchedOrders.add(applied.orderId);
+            }
+            if (applied.isNew) {
+                newEvents++;
+            }
+        }
+
+        const orphaned = await this.pruneOrphans(fromBlock, toBlock, events.map(e => e.log));
+        orphaned.forEach(orderId => touchedOrders.add(orderId));
+
+        for (const orderId of touchedOrders) {
+            await this.recomputeOrder(orderId);
+        }
+
+        await this.notifyFills(fromBlock, toBlock);
+
+        return newEvents;
+    }
+
+    /**
+     * Email makers about fills in [fromBlock, toBlock]
+     * Runs after order state is recomputed; the notifier dedupes per (orderId, fillId),
+     * so re-read blocks never send twice. Failures never block indexing.
+     */
+    async notifyFills(fromBlock, toBlock) {
+        const fills = await OrderFill.find({ blockNumber: { $gte: fromBlock, $lte: toBlock } })
+            .sort({ blockNumber: 1, logIndex: 1 })
+            .lean();
+
+        for (const fill of fills) {
+            try {
+                const order = await Order.findOne({ orderId: fill.orderId }).lean();
+                if (order) {
+                    await orderNotificationService.notifyFill(fill, order, this.network);
+                }
+            } catch (error) {
+                logger.error(`Failed to notify fill ${fill.fillKey}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Apply a single parsed event
+     * @returns {Promise<Object|null>} { orderId, isNew } - the affected orderId (or null) and
+     * whether the event was not stored yet; null for events the indexer ignores
+     */
+    async handleEvent(parsed, log) {
+        const base = {
+            txHash: log.transactionHash,
+            logIndex: log.index,
+            blockNumber: log.blockNumber
+        };
+
+        switch (parsed.name) {
+        case 'OrderCreated':
+            return this.handleOrderCreated(parsed.args, base);
+        case 'OrderFilled':
+            return this.handleOrderFilled(parsed.args, base);
+        case 'OrderCancelled':
+            return this.handleOrderCancelled(parsed.args, base);
+        case 'OrderExpired':
+            return this.handleOrderExpired(parsed.args, base);
+        case 'WithdrawalClaimed':
+            return this.handleWithdrawalClaimed(parsed.args, base);
+        default:
+            return null;
+        }
+    }
+
+    async handleOrderCreated(args, base) {
+        const orderId = Number(args.orderId);
+        const feeAtCreation = await this.fetchFeeAtCreation(orderId);
+
+        const result = await Order.updateOne(
+            { orderId },
+            {
+                $set: {
+                    user: args.user,
+                    orderType: Number(args.orderType),
+                    mwgAmount: args.mwgAmount.toString(),
+                    bnbAmount: args.bnbAmount.toString(),
+                    pricePerMWG: args.price.toString(),
+                    feeAtCreation,
+                    createdAt: await this.getBlockTime(base.blockNumber),
+                    expiresAt: new Date(Number(args.expiresAt) * 1000),
+                    ...base
+                },
+                $setOnInsert: {
+                    filled: '0',
+                    remaining: args.mwgAmount.toString(),
+                    status: ORDER_STATUS.ACTIVE
+                }
+            },
+            { upsert: true }
+        );
+
+        return { orderId, isNew: result.upsertedCount > 0 };
+    }
+
+    async handleOrderFilled(args, base) {
+        const orderId = Number(args.orderId);
+        const fillId = Number(args.fillId);
+
+        // Fills on orders created before startBlock have no local order, so ask the contract
+        let order = await Order.findOne({ orderId }).select('user orderType').lean();
+        if (!order) {
+            const onChain = await this.contract.orders(orderId);
+            order = { user: onChain.user, orderType: Number(onChain.orderType) };
+        }
+
+        const result = await OrderFill.updateOne(
+            { fillKey: `${orderId}-${fillId}` },
+            {
+                $set: {
+                    orderId,
+                    fillId,
+                    filler: args.filler,
+                    orderCreator: order.user.toLowerCase(),
+                    orderType: order.orderType,
+                    mwgAmount: args.mwgAmount.toString(),
+                    bnbAmount: args.bnbAmount.toString(),
+                    newStatus: Number(args.newStatus),
+                    timestamp: await this.getBlockTime(base.blockNumber),
+                    ...base
+                }
+            },
+            { upsert: true }
+        );
+
+        return { orderId, isNew: result.upsertedCount > 0 };
+    }
+
+    async handleOrderCancelled(args, base) {
+        const orderId = Number(args.orderId);
+
+        const result = await OrderCancellation.updateOne(
+            { orderId },
+            {
+                $set: {
+                    user: args.user,
+                    bnbRefund: args.bnbRefund.toString(),
+                    mwgRefund: args.mwgRefund.toString(),
+                    timestamp: await this.getBlockTime(base.blockNumber),
+                    ...base
+                }
+            },
+            { upsert: true }
+        );
+
+        return { orderId, isNew: result.upsertedCount > 0 };
+    }
+
+    async handleOrderExpired(args, base) {
+        const orderId = Number(args.orderId);
+
+        // No record of its own: new when it changes the order's expiredBlock
+        const result = await Order.updateOne({ orderId }, { $set: { expiredBlock: base.blockNumber } });
+
+        return { orderId, isNew: result.modifiedCount > 0 };
+    }
+
+    async handleWithdrawalClaimed(args, base) {
+        const result = await Withdrawal.updateOne(
+            { txHash: base.txHash, logIndex: base.logIndex },
+            {
+                $set: {
+                    user: args.user,
+                    amount: args.amount.toString(),
+                    amountType: 'BNB',
+                    blockNumber: base.blockNumber,
+                    timestamp: await this.getBlockTime(base.blockNumber)
+                }
+            },
+            { upsert: true }
+        );
+
+        return { orderId: null, isNew: result.upsertedCount > 0 };
+    }
+
+    /**
+     * Remove records in [fromBlock, toBlock] whose log is no longer on-chain (reorged out)
+     * @returns {Promise<number[]>} orderIds whose derived state must be recomputed
+     */
+    async pruneOrphans(fromBlock, toBlock, logs) {
+        const range = { blockNumber: { $gte: fromBlock, $lte: toBlock } };
+        const seen = new Set(logs.map(log => `${log.transactionHash}:${log.index}`));
+        const isOrphan = doc => !seen.has(`${doc.txHash}:${doc.logIndex}`);
+        const affected = new Set();
+
+        const [orders, fills, cancellations, withdrawals, expired] = await Promise.all([
+            Order.find(range).select('orderId txHash logIndex').lean(),
+            OrderFill.find(range).select('orderId txHash logIndex').lean(),
+            OrderCancellation.find(range).select('orderId txHash logIndex').lean(),
+            Withdrawal.find(range).select('txHash logIndex').lean(),
+            Order.find({ expiredBlock: { $gte: fromBlock, $lte: toBlock } }).select('orderId expiredBlock').lean()
+        ]);
+
+        const orphanOrders = orders.filter(isOrphan);
+        const orphanFills = fills.filter(isOrphan);
+        const orphanCancellations = cancellations.filter(isOrphan);
+        const orphanWithdrawals = withdrawals.filter(isOrphan);
+
+        // OrderExpired carries only the orderId, so match on orderId + block instead of log position
+        const expiredSeen = new Set(logs
+            .map(log => ({ log, parsed: this.safeParse(log) }))
+            .filter(({ parsed }) => parsed?.name === 'OrderExpired')
+            .map(({ log, parsed }) => `${Number(parsed.args.orderId)}:${log.blockNumber}`));
+        const orphanExpired = expired.filter(o => !expiredSeen.has(`${o.orderId}:${o.expiredBlock}`));
+
+        const total = orphanOrders.length + orphanFills.length + orphanCancellations.length +
+            orphanWithdrawals.length + orphanExpired.length;
+        if (total === 0) {
+            return [];
+        }
+
+        logger.warn(`📒 Reorg detected between blocks ${fromBlock}-${toBlock}, removing ${total} orphaned records`);
+
+        if (orphanOrders.length) {
+            await Order.deleteMany({ _id: { $in: orphanOrders.map(o => o._id) } });
+        }
+        if (orphanFills.length) {
+            await OrderFill.deleteMany({ _id: { $in: orphanFills.map(f => f._id) } });
+            orphanFills.forEach(f => affected.add(f.orderId));
+        }
+        if (orphanCancellations.length) {
+            await OrderCancellation.deleteMany({ _id: { $in: orphanCancellations.map(c => c._id) } });
+            orphanCancellations.forEach(c => affected.add(c.orderId));
+        }
+        if (orphanWithdrawals.length) {
+            await Withdrawal.deleteMany({ _id: { $in: orphanWithdrawals.map(w => w._id) } });
+        }
+        if (orphanExpired.length) {
+            await Order.updateMany(
+                { _id: { $in: orphanExpired.map(o => o._id) } },
+                { $set: { expiredBlock: null } }
+            );
+            orphanExpired.forEach(o => affected.add(o.orderId));
+        }
+
+        return [...affected];
+    }
+
+    /**
+     * Derive filled, remaining and status from the stored events for one order
+     * Recomputing from scratch keeps replays and reorg clean-ups idempotent.
+     */
+    async recomputeOrder(orderId) {
+        const order = await Order.findOne({ orderId }).lean();
+        if (!order) {
+            return;
+        }
+
+        const [fills, cancellation] = await Promise.all([
+            OrderFill.find({ orderId }).sort({ blockNumber: 1, logIndex: 1 }).lean(),
+            OrderCancellation.findOne({ orderId }).lean()
+        ]);
+
+        const filled = fills.reduce((sum, f) => sum + BigInt(f.mwgAmount), 0n);
+        const expired = order.expiredBlock !== null && order.expiredBlock !== undefined;
+
+        let status = ORDER_STATUS.ACTIVE;
+        if (fills.length > 0) {
+            status = fills[fills.length - 1].newStatus;
+        }
+        if (expired) {
+            status = ORDER_STATUS.EXPIRED;
+        }
+        // claimExpiredOrder also emits OrderCancelled but leaves the status EXPIRED
+        if (cancellation && !expired) {
+            status = ORDER_STATUS.CANCELLED;
+        }
+
+        const remaining = cancellation ? 0n : BigInt(order.mwgAmount) - filled;
+        const lastUpdatedBlock = Math.max(
+            order.blockNumber,
+            order.expiredBlock || 0,
+            cancellation?.blockNumber || 0,
+            ...fills.map(f => f.blockNumber)
+        );
+
+        await Order.updateOne(
+            { orderId },
+            {
+                $set: {
+                    filled: filled.toString(),
+                    remaining: (remaining > 0n ? remaining : 0n).toString(),
+                    status,
+                    lastUpdatedBlock
+                }
+            }
+        );
+    }
+
+    async fetchFeeAtCreation(orderId) {
+        try {
+            const onChain = await this.contract.orders(orderId);
+            return onChain.feeAtCreation.toString();
+        } catch (error) {
+            logger.warn(`Could not read feeAtCreation for order ${orderId}: ${error.message}`);
+            return '0';
+        }
+    }
+
+    safeParse(log) {
+        try {
+            return this.contract.interface.parseLog(log);
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+OrderBookEventListener.instance = null;
+
+module.exports = OrderBookEventListener;
@@ -0,0 +1,411 @@
+const { ethers } = require('ethers');
+const Order = require('../models/Order');
+const OrderFill = require('../models/OrderFill');
+const OrderCancellation = require('../models/OrderCancellation');
+const Withdrawal = require('../models/Withdrawal');
+
+const { ORDER_TYPE, ORDER_STATUS } = Order;
+
+/**
+ * Read-side service for the MWGOrderBook
+ * Serves orders, fills, cancellations and withdrawals from MongoDB so clients
+ * don't have to page through the contract over RPC.
+ */
+class OrderBookService {
+    /**
+     * Normalise an order type given as 0/1, '0'/'1' or 'BUY'/'SELL'
+     */
+    parseOrderType(orderType) {
+        if (orderType === undefined || orderType === null || orderType === '') {
+            return undefined;
+        }
+
+        const key = String(orderType).toUpperCase();
+        if (ORDER_TYPE[key] !== undefined) {
+            return ORDER_TYPE[key];
+        }
+
+        const value = parseInt(orderType);
+        return Object.values(ORDER_TYPE).includes(value) ? value : undefined;
+    }
+
+    /**
+     * Normalise a status given as 0-4 or its name ('active', 'partially_filled', ...)
+     */
+    parseStatus(status) {
+        if (status === undefined || status === null || status === '') {
+            return undefined;
+        }
+
+        const key = String(status).toUpperCase();
+        if (ORDER_STATUS[key] !== undefined) {
+            return ORDER_STATUS[key];
+        }
+
+        const value = parseInt(status);
+        return Object.values(ORDER_STATUS).includes(value) ? value : undefined;
+    }
+
+    /**
+     * Build an order query from API filters
+     * @param {Object} filters - { orderType, status, user, startDate, endDate, openOnly }
+     */
+    buildOrderQuery(filters = {}) {
+        const query = {};
+
+        const orderType = this.parseOrderType(filters.orderType);
+        if (orderType !== undefined) {
+            query.orderType = orderType;
+        }
+
+        const status = this.parseStatus(filters.status);
+        if (status !== undefined) {
+            query.status = status;
+        } else if (filters.openOnly) {
+            Object.assign(query, Order.openFilter());
+        }
+
+        if (filters.user) {
+            query.user = filters.user.toLowerCase();
+        }
+
+        if (filters.startDate || filters.endDate) {
+            query.createdAt = {};
+            if (filters.startDate) query.createdAt.$gte = new Date(filters.startDate);
+            if (filters.endDate) query.createdAt.$lte = new Date(filters.endDate);
+        }
+
+        return query;
+    }
+
+    /**
+     * Paginated query helper returning { items, pagination }
+     */
+    async paginate(Model, query, { limit = 50, offset = 0, sort = { createdAt: -1 } } = {}) {
+        limit = parseInt(limit) || 50;
+        offset = parseInt(offset) || 0;
+
+        const [items, total] = await Promise.all([
+            Model.find(query).sort(sort).skip(offset).limit(limit).lean(),
+            Model.countDocuments(query)
+        ]);
+
+        return {
+            items,
+            pagination: {
+                total,
+                limit,
+                offset,
+                hasMore: offset + items.length < total
+            }
+        };
+    }
+
+    /**
+     * Get orders matching the given filters
+     * Defaults to open (active / partially filled, unexpired) orders when no status is given.
+     */
+    async getOrders(filters = {}) {
+        const query = this.buildOrderQuery({ openOnly: true, ...filters });
+        const { items, pagination } = await this.paginate(Order, query, filters);
+
+        return { orders: items, pagination };
+    }
+
+    /**
+     * Get open orders of one side, page-based
+     * @param {string|number} orderType - 'BUY'/'SELL' or 0/1
+     * @param {number} page - 1-based page number
+     * @param {number} limit - Page size
+     */
+    async getActiveOrders(orderType, page = 1, limit = 20) {
+        const offset = (Math.max(parseInt(page) || 1, 1) - 1) * limit;
+
+        const query = this.buildOrderQuery({ orderType, openOnly: true });
+        const { items, pagination } = await this.paginate(Order, query, { limit, offset });
+
+        return { orders: items, pagination: { ...pagination, page: parseInt(page) || 1 } };
+    }
+
+    /**
+     * Get a single order with its fills
+     */
+    async getOrderById(orderId) {
+        const order = await Order.findByOrderId(orderId).lean();
+        if (!order) {
+            return null;
+        }
+
+        const [fills, cancellation] = await Promise.all([
+            OrderFill.findByOrder(orderId).lean(),
+            OrderCancellation.findOne({ orderId: Number(orderId) }).lean()
+        ]);
+
+        return { ...order, fills, cancellation };
+    }
+
+    /**
+     * Get fills, optionally filtered by order, filler or order creator
+     */
+    async getFills(filters = {}) {
+        const query = {};
+
+        if (filters.orderId !== undefined) query.orderId = Number(filters.orderId);
+        if (filters.filler) query.filler = filters.filler.toLowerCase();
+        if (filters.orderCreator) query.orderCreator = filters.orderCreator.toLowerCase();
+
+        if (filters.startDate || filters.endDate) {
+            query.timestamp = {};
+            if (filters.startDate) query.timestamp.$gte = new Date(filters.startDate);
+            if (filters.endDate) query.timestamp.$lte = new Date(filters.endDate);
+        }
+
+        const { items, pagination } = await this.paginate(OrderFill, query, {
+            ...filters,
+            sort: { timestamp: -1, fillId: -1 }
+        });
+
+        return { fills: items, pagination };
+    }
+
+    /**
+     * Get withdrawals claimed by a user
+     */
+    async getUserWithdrawals(address, filters = {}) {
+        const query = { user: address.toLowerCase() };
+
+        if (filters.amountType) {
+            query.amountType = String(filters.amountType).toUpperCase();
+        }
+
+        const { items, pagination } = await this.paginate(Withdrawal, query, {
+            ...filters,
+            sort: { timestamp: -1 }
+        });
+
+        return { withdrawals: items, pagination };
+    }
+
+    /**
+     * Order book totals by status and side
+     */
+    async getOrderBookStats() {
+        const [byStatus, openByType, totalFills, totalWithdrawals, uniqueUsers] = await Promise.all([
+            Order.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+            Order.aggregate([
+                { $match: Order.openFilter() },
+                { $group: { _id: '$orderType', count: { $sum: 1 } } }
+            ]),
+            OrderFill.countDocuments(),
+            Withdrawal.countDocuments(),
+            Order.distinct('user')
+        ]);
+
+        const statusCount = (status) => byStatus.find(s => s._id === status)?.count || 0;
+        const openCount = (type) => openByType.find(s => s._id === type)?.count || 0;
+
+        return {
+            totalOrders: byStatus.reduce((sum, s) => sum + s.count, 0),
+            activeOrders: openCount(ORDER_TYPE.BUY) + openCount(ORDER_TYPE.SELL),
+            activeBuyOrders: openCount(ORDER_TYPE.BUY),
+            activeSellOrders: openCount(ORDER_TYPE.SELL),
+            filledOrders: statusCount(ORDER_STATUS.FILLED),
+            partiallyFilledOrders: statusCount(ORDER_STATUS.PARTIALLY_FILLED),
+            cancelledOrders: statusCount(ORDER_STATUS.CANCELLED),
+            expiredOrders: statusCount(ORDER_STATUS.EXPIRED),
+            totalFills,
+            totalWithdrawals,
+            uniqueUsers: uniqueUsers.length
+        };
+    }
+
+    /**
+     * Highest open buy and lowest open sell
+     * Prices are wei strings, so they are compared as decimals inside Mongo.
+     */
+    async getBestPrices() {
+        const best = async (orderType, direction) => {
+            const [order] = await Order.aggregate([
+                { $match: { ...Order.openFilter(), orderType } },
+                { $addFields: { priceValue: { $toDecimal: '$pricePerMWG' } } },
+                { $sort: { priceValue: direction, createdAt: 1 } },
+                { $limit: 1 },
+                { $project: { priceValue: 0 } }
+            ]);
+
+            if (!order) {
+                return null;
+            }
+
+            return {
+                orderId: order.orderId,
+                user: order.user,
+                pricePerMWG: order.pricePerMWG,
+                pricePerMWGFormatted: ethers.formatEther(order.pricePerMWG),
+                remaining: order.remaining,
+                expiresAt: order.expiresAt
+            };
+        };
+
+        const [bestBuy, bestSell] = await Promise.all([
+            best(ORDER_TYPE.BUY, -1),
+            best(ORDER_TYPE.SELL, 1)
+        ]);
+
+        let spread = null;
+        if (bestBuy && bestSell) {
+            spread = (BigInt(bestSell.pricePerMWG) - BigInt(bestBuy.pricePerMWG)).toString();
+        }
+
+        return { bestBuy, bestSell, spread };
+    }
+
+    /**
+     * Latest order book events across all collections, newest first
+     */
+    async getRecentActivity(limit = 20) {
+        limit = parseInt(limit) || 20;
+
+        const [orders, fills, cancellations, withdrawals] = await Promise.all([
+            Order.find().sort({ createdAt: -1 }).limit(limit).lean(),
+            OrderFill.find().sort({ timestamp: -1 }).limit(limit).lean(),
+            OrderCancellation.find().sort({ timestamp: -1 }).limit(limit).lean(),
+            Withdrawal.find().sort({ timestamp: -1 }).limit(limit).lean()
+        ]);
+
+        const activity = [
+            ...orders.map(o => ({
+                type: 'ORDER_CREATED',
+                orderId: o.orderId,
+                user: o.user,
+                orderType: o.orderType,
+                mwgAmount: o.mwgAmount,
+                bnbAmount: o.bnbAmount,
+                pricePerMWG: o.pricePerMWG,
+                txHash: o.txHash,
+                blockNumber: o.blockNumber,
+                timestamp: o.createdAt
+            })),
+            ...fills.map(f => ({
+                type: 'ORDER_FILLED',
+                orderId: f.orderId,
+                fillId: f.fillId,
+                user: f.filler,
+                mwgAmount: f.mwgAmount,
+                bnbAmount: f.bnbAmount,
+                txHash: f.txHash,
+                blockNumber: f.blockNumber,
+                timestamp: f.timestamp
+            })),
+            ...cancellations.map(c => ({
+                type: 'ORDER_CANCELLED',
+                orderId: c.orderId,
+                user: c.user,
+                bnbRefund: c.bnbRefund,
+                mwgRefund: c.mwgRefund,
+                txHash: c.txHash,
+                blockNumber: c.blockNumber,
+                timestamp: c.timestamp
+            })),
+            ...withdrawals.map(w => ({
+                type: 'WITHDRAWAL',
+                user: w.user,
+                amount: w.amount,
+                amountType: w.amountType,
+                txHash: w.txHash,
+                blockNumber: w.blockNumber,
+                timestamp: w.timestamp
+            }))
+        ];
+
+        return activity
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+            .slice(0, limit);
+    }
+
+    /**
+     * Admin search across all orders
+     * @param {Object} criteria - buildOrderQuery filters plus minPrice/maxPrice (wei strings)
+     */
+    async searchOrders(criteria = {}) {
+        const query = this.buildOrderQuery(criteria);
+
+        if (criteria.minPrice || criteria.maxPrice) {
+            const price = { $toDecimal: '$pricePerMWG' };
+            const conditions = [];
+            if (criteria.minPrice) conditions.push({ $gte: [price, { $toDecimal: String(criteria.minPrice) }] });
+            if (criteria.maxPrice) conditions.push({ $lte: [price, { $toDecimal: String(criteria.maxPrice) }] });
+            query.$expr = { $and: conditions };
+        }
+
+        const { items, pagination } = await this.paginate(Order, query, criteria);
+
+        return { orders: items, pagination };
+    }
+
+    /**
+     * Daily volume and participation over the last N days
+     */
+    async getAnalytics(days = 30) {
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+        const [dailyVolume, ordersCreated, topTraders] = await Promise.all([
+            OrderFill.aggregate([
+                { $match: { timestamp: { $gte: since } } },
+                {
+                    $group: {
+                        _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
+                        fills: { $sum: 1 },
+                        mwgVolume: { $sum: { $toDecimal: '$mwgAmount' } },
+                        bnbVolume: { $sum: { $toDecimal: '$bnbAmount' } },
+                        fillers: { $addToSet: '$filler' }
+                    }
+                },
+                { $sort: { _id: 1 } }
+            ]),
+            Order.aggregate([
+                { $match: { createdAt: { $gte: since } } },
+                { $group: { _id: '$orderType', count: { $sum: 1 } } }
+            ]),
+            OrderFill.aggregate([
+                { $match: { timestamp: { $gte: since } } },
+                {
+                    $group: {
+                        _id: '$filler',
+                        fills: { $sum: 1 },
+                        bnbVolume: { $sum: { $toDecimal: '$bnbAmount' } }
+                    }
+                },
+                { $sort: { bnbVolume: -1 } },
+                { $limit: 10 }
+            ])
+        ]);
+
+        const createdCount = (type) => ordersCreated.find(o => o._id === type)?.count || 0;
+
+        return {
+            period: { days, since },
+            ordersCreated: {
+                buy: createdCount(ORDER_TYPE.BUY),
+                sell: createdCount(ORDER_TYPE.SELL)
+            },
+            dailyVolume: dailyVolume.map(d => ({
+                date: d._id,
+                fills: d.fills,
+                mwgVolume: d.mwgVolume.toString(),
+                bnbVolume: d.bnbVolume.toString(),
+                uniqueFillers: d.fillers.length
+            })),
+            topTraders: topTraders.map(t => ({
+                address: t._id,
+                fills: t.fills,
+                bnbVolume: t.bnbVolume.toString()
+            }))
+        };
+    }
+}
+
+// Singleton instance
+const orderBookService = new OrderBookService();
+
+module.exports = orderBookService;
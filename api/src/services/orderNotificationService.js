@@ -0,0 +1,228 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const emailService = require('./emailService');
+const WalletEmail = require('../models/WalletEmail');
+const OrderFill = require('../models/OrderFill');
+const OrderFillNotification = require('../models/OrderFillNotification');
+const { ORDER_STATUS } = require('../models/Order');
+
+const MAX_SEND_ATTEMPTS = 3;
+
+/**
+ * Order book email notifications
+ * Handles wallet → email registration (proved by a wallet signature) and
+ * sends one email per fill to the maker of the filled order.
+ */
+class OrderNotificationService {
+    constructor() {
+        this.signatureTtlSeconds = parseInt(process.env.ORDERBOOK_SIGNATURE_TTL_SECONDS) || 600;
+        this.maxFillAgeMinutes = parseInt(process.env.ORDERBOOK_NOTIFY_MAX_FILL_AGE_MINUTES) || 60;
+    }
+
+    /**
+     * Build the exact message a wallet must sign to (un)register an email
+     * @param {string} action - 'register' or 'unregister'
+     * @param {string} address - Wallet address
+     * @param {string|null} email - Email address (register only)
+     * @param {string} issuedAt - ISO timestamp chosen by the client
+     */
+    buildMessage(action, address, email, issuedAt) {
+        const lines = [
+            'Magic World Order Book notifications',
+            '',
+            `Action: ${action}`,
+            `Wallet: ${ethers.getAddress(address)}`
+        ];
+
+        if (email) {
+            lines.push(`Email: ${email.toLowerCase()}`);
+        }
+        lines.push(`Issued At: ${issuedAt}`);
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Verify that `signature` is the wallet's signature over the message for these fields
+     * @throws {Error} with a `code` property when the proof is invalid
+     */
+    verifySignature(action, address, email, issuedAt, signature) {
+        const issued = Date.parse(issuedAt);
+        const ageSeconds = (Date.now() - issued) / 1000;
+
+        if (isNaN(issued) || ageSeconds > this.signatureTtlSeconds || ageSeconds < -60) {
+            const error = new Error(`Signature expired or issuedAt out of range (valid for ${this.signatureTtlSeconds}s)`);
+            error.code = 'SIGNATURE_EXPIRED';
+            throw error;
+        }
+
+        let signer;
+        try {
+            signer = ethers.verifyMessage(this.buildMessage(action, address, email, issuedAt), signature);
+        } catch (error) {
+            signer = null;
+        }
+
+        if (!signer || signer.toLowerCase() !== address.toLowerCase()) {
+            const error = new Error('Signature does not match wallet address');
+            error.code = 'INVALID_SIGNATURE';
+            throw error;
+        }
+    }
+
+    /**
+     * Register (or replace) the email for a wallet after verifying the signature
+     */
+    async register({ address, email, issuedAt, signature, notifyOnPartialFill, notifyOnFullFill }) {
+        this.verifySignature('register', address, email, issuedAt, signature);
+
+        const update = {
+            email: email.toLowerCase(),
+            signature,
+            verifiedAt: new Date(),
+            isActive: true
+        };
+        if (notifyOnPartialFill !== undefined) update.notifyOnPartialFill = notifyOnPartialFill;
+        if (notifyOnFullFill !== undefined) update.notifyOnFullFill = notifyOnFullFill;
+
+        const registration = await WalletEmail.findOneAndUpdate(
+            { address: address.toLowerCase() },
+            { $set: update },
+            { upsert: true, new: true, runValidators: true }
+        );
+
+        logger.info(`📧 Order notifications registered for ${address}`);
+
+        return registration;
+    }
+
+    /**
+     * Deactivate notifications for a wallet after verifying the signature
+     */
+    async unregister({ address, issuedAt, signature }) {
+        this.verifySignature('unregister', address, null, issuedAt, signature);
+
+        const registration = await WalletEmail.findOneAndUpdate(
+            { address: address.toLowerCase() },
+            { $set: { isActive: false } },
+            { new: true }
+        );
+
+        logger.info(`📧 Order notifications unregistered for ${address}`);
+
+        return registration;
+    }
+
+    async getRegistration(address) {
+        return WalletEmail.findActiveByAddress(address);
+    }
+
+    /**
+     * Email the maker about a fill, at most once per (orderId, fillId)
+     * Failed sends are retried (up to MAX_SEND_ATTEMPTS) when the indexer re-reads the fill.
+     * @param {Object} fill - OrderFill document
+     * @param {Object} order - Order document after the fill was applied
+     * @param {string} network - Listener network name
+     */
+    async notifyFill(fill, order, network) {
+        if (!emailService.enabled) {
+            return { skipped: true, reason: 'email alerts disabled' };
+        }
+
+        const ageMinutes = (Date.now() - new Date(fill.timestamp).getTime()) / 60000;
+        if (ageMinutes > this.maxFillAgeMinutes) {
+            // Historical catch-up: don't email about old fills
+            return { skipped: true, reason: 'fill too old' };
+        }
+
+        const registration = await WalletEmail.findActiveByAddress(order.user);
+        const isFullyFilled = fill.newStatus === ORDER_STATUS.FILLED;
+        const wanted = registration &&
+            (isFullyFilled ? registration.notifyOnFullFill : registration.notifyOnPartialFill);
+
+        const record = await this.claimNotification(fill, order, wanted ? registration.email : null);
+        if (!record) {
+            return { skipped: true, reason: 'already notified' };
+        }
+
+        if (!wanted) {
+            record.status = 'skipped';
+            record.error = registration ? 'disabled by preferences' : 'no email registered';
+            await record.save();
+            return { skipped: true, reason: record.error };
+        }
+
+        const result = await emailService.sendOrderFilledEmail({
+            email: registration.email,
+            orderId: order.orderId,
+            orderType: order.orderType,
+            mwgAmount: ethers.formatEther(order.mwgAmount),
+            pricePerMWG: ethers.formatEther(order.pricePerMWG),
+            totalBNB: ethers.formatEther(order.bnbAmount),
+            filledAmount: ethers.formatEther(fill.mwgAmount),
+            remainingAmount: ethers.formatEther(await this.remainingAfterFill(fill, order)),
+            isFullyFilled,
+            fillerAddress: fill.filler,
+            txHash: fill.txHash,
+            network: network === 'bsc' ? 'BSC Mainnet' : 'BSC Testnet'
+        });
+
+        if (result.success) {
+            record.status = 'sent';
+            record.messageId = result.messageId;
+            record.sentAt = new Date();
+            record.error = null;
+        } else {
+            record.status = 'failed';
+            record.error = result.error || result.message;
+        }
+        await record.save();
+
+        return result;
+    }
+
+    /**
+     * Atomically take ownership of the notification for a fill
+     * @returns {Promise<Object|null>} The record to send, or null when already handled
+     */
+    async claimNotification(fill, order, email) {
+        try {
+            return await OrderFillNotification.create({
+                fillKey: fill.fillKey,
+                orderId: fill.orderId,
+                fillId: fill.fillId,
+                address: order.user,
+                email
+            });
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+        }
+
+        return OrderFillNotification.findOneAndUpdate(
+            { fillKey: fill.fillKey, status: 'failed', attempts: { $lt: MAX_SEND_ATTEMPTS } },
+            { $set: { status: 'sending', email }, $inc: { attempts: 1 } },
+            { new: true }
+        );
+    }
+
+    /**
+     * Remaining MWG on the order right after this fill (later fills excluded)
+     */
+    async remainingAfterFill(fill, order) {
+        const fills = await OrderFill.find({
+            orderId: fill.orderId,
+            fillId: { $lte: fill.fillId }
+        }).select('mwgAmount').lean();
+
+        const filled = fills.reduce((sum, f) => sum + BigInt(f.mwgAmount), 0n);
+        const remaining = BigInt(order.mwgAmount) - filled;
+        return remaining > 0n ? remaining : 0n;
+    }
+}
+
+// Singleton instance
+const orderNotificationService = new OrderNotificationService();
+
+module.exports = orderNotificationService;
@@ -0,0 +1,115 @@
+const logger = require('../utils/logger');
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+/**
+ * Sliding-window rate limit stores
+ * Both stores keep one counter per fixed window; the sliding estimate is
+ *   previousWindowCount × (1 − elapsedFraction) + currentWindowCount
+ * which needs two counters per key instead of a log of every request.
+ * hit(key, windowMs) counts one request and resolves with { current, previous, windowStart }.
+ */
+
+/**
+ * Per-process store (single instance deploys, tests)
+ */
+class MemoryRateLimitStore {
+    constructor({ cleanupIntervalMs = 60000 } = {}) {
+        this.counters = new Map();
+        this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+        this.cleanupTimer.unref();
+    }
+
+    async hit(key, windowMs, now = Date.now()) {
+        const windowStart = Math.floor(now / windowMs) * windowMs;
+        const mapKey = `${key}:${windowMs}`;
+        const entry = this.counters.get(mapKey);
+
+        if (!entry || entry.windowStart < windowStart - windowMs) {
+            this.counters.set(mapKey, { windowStart, windowMs, current: 1, previous: 0 });
+        } else if (entry.windowStart < windowStart) {
+            entry.previous = entry.current;
+            entry.current = 1;
+            entry.windowStart = windowStart;
+        } else {
+            entry.current += 1;
+        }
+
+        const { current, previous } = this.counters.get(mapKey);
+        return { current, previous, windowStart };
+    }
+
+    /**
+     * Drop counters that can no longer affect any estimate
+     */
+    cleanup(now = Date.now()) {
+        for (const [mapKey, entry] of this.counters) {
+            if (entry.windowStart + 2 * entry.windowMs <= now) {
+                this.counters.delete(mapKey);
+            }
+        }
+    }
+}
+
+/**
+ * MongoDB store shared across API instances
+ */
+class MongoRateLimitStore {
+    async hit(key, windowMs, now = Date.now()) {
+        const windowStart = Math.floor(now / windowMs) * windowMs;
+        const counterKey = `${key}:${windowMs}`;
+
+        const [current, previous] = await Promise.all([
+            this.increment(counterKey, windowStart, windowMs),
+            RateLimitCounter.findOne({
+                key: counterKey,
+                windowStart: new Date(windowStart - windowMs)
+            }).select('count').lean()
+        ]);
+
+        return {
+            current: current.count,
+            previous: previous ? previous.count : 0,
+            windowStart
+        };
+    }
+
+    async increment(key, windowStart, windowMs, retry = true) {
+        try {
+            return await RateLimitCounter.findOneAndUpdate(
+                { key, windowStart: new Date(windowStart) },
+                {
+                    $inc: { count: 1 },
+                    $setOnInsert: { expiresAt: new Date(windowStart + 2 * windowMs) }
+                },
+                { upsert: true, new: true, lean: true }
+            );
+        } catch (error) {
+            // Two instances upserting the same new window: the loser retries as an update
+            if (error.code === 11000 && retry) {
+                return this.increment(key, windowStart, windowMs, false);
+            }
+            throw error;
+        }
+    }
+}
+
+/**
+ * Create a store by name
+ * @param {string} type - 'memory' or 'mongo' (default from RATE_LIMIT_STORE)
+ */
+function createRateLimitStore(type = process.env.RATE_LIMIT_STORE || 'memory') {
+    if (type === 'mongo') {
+        return new MongoRateLimitStore();
+    }
+
+    if (type !== 'memory') {
+        logger.warn(`Unknown RATE_LIMIT_STORE "${type}", using in-memory rate limiting`);
+    }
+    return new MemoryRateLimitStore();
+}
+
+module.exports = {
+    MemoryRateLimitStore,
+    MongoRateLimitStore,
+    createRateLimitStore
+};
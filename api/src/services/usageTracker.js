@@ -0,0 +1,176 @@
+const ApiKey = require('../models/ApiKey');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+const logger = require('../utils/logger');
+
+const DEFAULT_FLUSH_SECONDS = 10;
+const DEFAULT_MAX_BUFFERED = 1000;
+
+function getNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+}
+
+/**
+ * API Key Usage Tracker
+ * Counts authenticated requests in memory and writes them with one bulk $inc per flush
+ * (every API_USAGE_FLUSH_SECONDS, or sooner once API_USAGE_MAX_BUFFERED rows are pending):
+ * ApiKey.usageCount / lastUsed, plus per-endpoint hourly rows in ApiKeyUsage.
+ * Counts not yet flushed are lost if the process is killed; shutdown flushes them.
+ */
+class UsageTracker {
+    constructor() {
+        this.flushIntervalMs = getNumber('API_USAGE_FLUSH_SECONDS', DEFAULT_FLUSH_SECONDS) * 1000;
+        this.maxBuffered = getNumber('API_USAGE_MAX_BUFFERED', DEFAULT_MAX_BUFFERED);
+        this.keys = new Map();
+        this.endpoints = new Map();
+        this.timer = null;
+        this.flushing = null;
+    }
+
+    /**
+     * Count a request once its response is sent
+     * @param {Object} req - Authenticated request (call from authMiddleware)
+     * @param {Object} res - Response
+     * @param {Object} keyData - ApiKey document
+     */
+    track(req, res, keyData) {
+        // Captured now: the mount path is restored once the request leaves its router
+        const baseUrl = req.baseUrl;
+
+        res.on('finish', () => {
+            this.record({
+                keyId: keyData.id,
+                method: req.method,
+                // Route pattern keeps ids and addresses out of the series
+                endpoint: `${baseUrl}${req.route ? req.route.path : '/*'}`,
+                statusCode: res.statusCode
+            });
+        });
+    }
+
+    record({ keyId, method, endpoint, statusCode }, now = new Date()) {
+        const key = this.keys.get(keyId) || { requests: 0, lastUsed: now };
+        key.requests += 1;
+        key.lastUsed = now;
+        this.keys.set(keyId, key);
+
+        const hour = ApiKeyUsage.hourOf(now);
+        const rowKey = `${keyId}|${hour.getTime()}|${method}|${endpoint}`;
+        const row = this.endpoints.get(rowKey) || { keyId, hour, method, endpoint, requests: 0, errors: 0, lastRequestAt: now };
+        row.requests += 1;
+        row.errors += statusCode >= 400 ? 1 : 0;
+        row.lastRequestAt = now;
+        this.endpoints.set(rowKey, row);
+
+        if (this.endpoints.size >= this.maxBuffered) {
+            this.flush().catch(() => { });
+        } else {
+            this.schedule();
+        }
+    }
+
+    schedule() {
+        if (!this.timer) {
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.flush().catch(() => { });
+            }, this.flushIntervalMs);
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Write buffered counts; on failure they are kept for the next flush
+     */
+    async flush() {
+        if (this.flushing) {
+            return this.flushing;
+        }
+        if (this.keys.size === 0 && this.endpoints.size === 0) {
+            return;
+        }
+
+        const keys = this.keys;
+        const endpoints = this.endpoints;
+        this.keys = new Map();
+        this.endpoints = new Map();
+
+        this.flushing = this.write(keys, endpoints)
+            .catch(error => {
+                logger.error('Failed to flush API key usage, retrying next flush:', error);
+                this.restore(keys, endpoints);
+                this.schedule();
+            })
+            .finally(() => {
+                this.flushing = null;
+            });
+
+        return this.flushing;
+    }
+
+    async write(keys, endpoints) {
+        if (keys.size > 0) {
+            await ApiKey.bulkWrite([...keys].map(([keyId, { requests, lastUsed }]) => ({
+                updateOne: {
+                    filter: { id: keyId },
+                    update: { $inc: { usageCount: requests }, $max: { lastUsed } }
+                }
+            })), { ordered: false });
+            // Written counts leave the retry buffer straight away so a later failure can't double them
+            keys.clear();
+        }
+
+        await ApiKeyUsage.bulkWrite([...endpoints.values()].map(row => ({
+            updateOne: {
+                filter: { keyId: row.keyId, hour: row.hour, method: row.method, endpoint: row.endpoint },
+                update: {
+                    $inc: { requests: row.requests, errorCount: row.errors },
+                    $max: { lastRequestAt: row.lastRequestAt }
+                },
+                upsert: true
+            }
+        })), { ordered: false });
+        endpoints.clear();
+    }
+
+    /**
+     * Put unwritten counts back in the buffer
+     */
+    restore(keys, endpoints) {
+        for (const [keyId, pending] of keys) {
+            const key = this.keys.get(keyId);
+            if (key) {
+                key.requests += pending.requests;
+                key.lastUsed = key.lastUsed > pending.lastUsed ? key.lastUsed : pending.lastUsed;
+            } else {
+                this.keys.set(keyId, pending);
+            }
+        }
+
+        for (const [rowKey, pending] of endpoints) {
+            const row = this.endpoints.get(rowKey);
+            if (row) {
+                row.requests += pending.requests;
+                row.errors += pending.errors;
+                row.lastRequestAt = row.lastRequestAt > pending.lastRequestAt ? row.lastRequestAt : pending.lastRequestAt;
+            } else {
+                this.endpoints.set(rowKey, pending);
+            }
+        }
+    }
+
+    /**
+     * Flush what's left (graceful shutdown)
+     */
+    async stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        await this.flushing;
+        await this.flush();
+    }
+}
+
+// Singleton instance
+const usageTracker = new UsageTracker();
+
+module.exports = usageTracker;
@@ -0,0 +1,16 @@
+/**
+ * JSON with sorted object keys, so equal values always serialize (and hash) the same
+ * @param {*} value - JSON-compatible value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+module.exports = { canonicalJson };
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const { encryptWithKey, decryptWithKey } = require('./secretEncryption');
+
+/**
+ * HMAC request signing for API keys
+ *
+ * A signed request carries, instead of the API key:
+ *   X-MWT-Key-Id:     ApiKey id
+ *   X-MWT-Timestamp:  Unix time in seconds
+ *   X-MWT-Nonce:      Random value, never reused within the skew window
+ *   X-MWT-Signature:  hex HMAC-SHA256(signingSecret, stringToSign)
+ *
+ * stringToSign = METHOD \n path (with query) \n timestamp \n nonce \n hex SHA-256(raw body)
+ *
+ * Signing secrets are stored AES-256-GCM encrypted with API_KEY_SIGNING_ENCRYPTION_KEY.
+ */
+
+const SIGNATURE_HEADERS = {
+    keyId: 'x-mwt-key-id',
+    timestamp: 'x-mwt-timestamp',
+    nonce: 'x-mwt-nonce',
+    signature: 'x-mwt-signature'
+};
+
+const ENCRYPTION_KEY_ENV = 'API_KEY_SIGNING_ENCRYPTION_KEY';
+
+/**
+ * Generate a new signing secret (returned to the client once)
+ */
+function generateSigningSecret() {
+    return 'mwts_' + crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Encrypt a signing secret for storage
+ * @returns {Object} { encryptedSecret, iv, authTag }
+ */
+function encryptSigningSecret(secret) {
+    return encryptWithKey(ENCRYPTION_KEY_ENV, secret);
+}
+
+/**
+ * Decrypt a stored signing secret
+ */
+function decryptSigningSecret(stored) {
+    return decryptWithKey(ENCRYPTION_KEY_ENV, stored);
+}
+
+function hashBody(body = '') {
+    return crypto.createHash('sha256').update(body).digest('hex');
+}
+
+function buildStringToSign({ method, path, timestamp, nonce, bodyHash }) {
+    return [String(method).toUpperCase(), path, timestamp, nonce, bodyHash].join('\n');
+}
+
+function computeSignature(secret, parts) {
+    return crypto.createHmac('sha256', secret).update(buildStringToSign(parts)).digest('hex');
+}
+
+/**
+ * Constant-time comparison of two hex signatures
+ */
+function signaturesMatch(expected, provided) {
+    if (typeof provided !== 'string' || !/^[0-9a-f]{64}$/i.test(provided)) {
+        return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(provided, 'hex'));
+}
+
+/**
+ * Build the signature headers for a request (client helper, also used by scripts)
+ * @param {Object} options
+ * @param {string} options.keyId - ApiKey id
+ * @param {string} options.secret - Signing secret
+ * @param {string} options.method - HTTP method
+ * @param {string} options.path - Path including query string, e.g. /api/tokens/distribute
+ * @param {string} options.body - Raw request body exactly as sent ('' for none)
+ * @returns {Object} Headers to add to the request
+ */
+function signRequest({ keyId, secret, method, path, body = '', timestamp = Math.floor(Date.now() / 1000), nonce = crypto.randomBytes(16).toString('hex') }) {
+    const signature = computeSignature(secret, {
+        method,
+        path,
+        timestamp,
+        nonce,
+        bodyHash: hashBody(body)
+    });
+
+    return {
+        'X-MWT-Key-Id': keyId,
+        'X-MWT-Timestamp': String(timestamp),
+        'X-MWT-Nonce': nonce,
+        'X-MWT-Signature': signature
+    };
+}
+
+module.exports = {
+    SIGNATURE_HEADERS,
+    generateSigningSecret,
+    encryptSigningSecret,
+    decryptSigningSecret,
+    hashBody,
+    buildStringToSign,
+    computeSignature,
+    signaturesMatch,
+    signRequest
+};
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+/**
+ * AES-256-GCM encryption of stored secrets (TOTP secrets, request signing secrets)
+ *
+ * Each caller names the environment variable holding its 32-byte hex key, so the
+ * secret types can be rotated independently. Stored as { encryptedSecret, iv, authTag } in hex.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+
+function getEncryptionKey(envVarName) {
+    const key = process.env[envVarName];
+
+    if (!key) {
+        throw new Error(`${envVarName} not configured in environment`);
+    }
+
+    if (!/^[0-9a-fA-F]{64}$/.test(key)) {
+        throw new Error(`${envVarName} must be 64 hex characters (32 bytes)`);
+    }
+
+    return Buffer.from(key, 'hex');
+}
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} envVarName - Environment variable holding the key
+ * @param {string} secret - Plaintext secret
+ * @returns {Object} { encryptedSecret, iv, authTag }
+ */
+function encryptWithKey(envVarName, secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, getEncryptionKey(envVarName), iv);
+
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return {
+        encryptedSecret: encrypted.toString('hex'),
+        iv: iv.toString('hex'),
+        authTag: cipher.getAuthTag().toString('hex')
+    };
+}
+
+/**
+ * Decrypt a stored secret (throws if it was tampered with or the key is wrong)
+ * @param {string} envVarName - Environment variable holding the key
+ * @param {Object} stored - { encryptedSecret, iv, authTag }
+ */
+function decryptWithKey(envVarName, { encryptedSecret, iv, authTag }) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, getEncryptionKey(envVarName), Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+
+    return Buffer.concat([
+        decipher.update(Buffer.from(encryptedSecret, 'hex')),
+        decipher.final()
+    ]).toString('utf8');
+}
+
+module.exports = {
+    encryptWithKey,
+    decryptWithKey
+};
@@ -0,0 +1,58 @@
+const { ethers } = require('ethers');
+
+/**
+ * Sign-In with Ethereum (EIP-4361) messages for admin wallet sign-in
+ *
+ * The server builds the message for a one-time nonce and keeps it with the challenge; the
+ * admin signs exactly that text (personal_sign) and the server recovers the signer.
+ */
+
+const SIWE_STATEMENT = 'Sign in to the Magic World Token admin API.';
+
+/**
+ * Build an EIP-4361 message
+ * @param {Object} options
+ * @param {string} options.address - Wallet address (checksummed in the message)
+ * @param {string} options.nonce - Challenge nonce
+ * @param {Date} options.issuedAt - Challenge creation time
+ * @param {Date} options.expiresAt - Challenge expiry
+ * @returns {string} Message to sign
+ */
+function buildSiweMessage({ address, nonce, issuedAt, expiresAt }) {
+    const domain = process.env.ADMIN_SIWE_DOMAIN || 'localhost';
+    const uri = process.env.ADMIN_SIWE_URI || `https://${domain}`;
+    const chainId = process.env.BLOCKCHAIN_NETWORK === 'bscTestnet'
+        ? parseInt(process.env.BSC_TESTNET_CHAIN_ID) || 97
+        : parseInt(process.env.BSC_MAINNET_CHAIN_ID) || 56;
+
+    return [
+        `${domain} wants you to sign in with your Ethereum account:`,
+        ethers.getAddress(address),
+        '',
+        SIWE_STATEMENT,
+        '',
+        `URI: ${uri}`,
+        'Version: 1',
+        `Chain ID: ${chainId}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${issuedAt.toISOString()}`,
+        `Expiration Time: ${expiresAt.toISOString()}`
+    ].join('\n');
+}
+
+/**
+ * Recover the signer of a SIWE message
+ * @returns {string|null} Lowercased signer address, or null for a malformed signature
+ */
+function recoverSiweSigner(message, signature) {
+    try {
+        return ethers.verifyMessage(message, signature).toLowerCase();
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    buildSiweMessage,
+    recoverSiweSigner
+};
@@ -33,6 +33,12 @@ const options = {
                     in: 'header',
                     name: 'X-API-Key',
                     description: 'API key required for authentication. Contact admin to get an API key.'
+                },
+                AdminBearerAuth: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    bearerFormat: 'JWT',
+                    description: 'Admin session token from /api/admin/auth/siwe/verify or /api/admin/auth/login'
                 }
             },
             schemas: {
@@ -130,6 +136,36 @@ const options = {
                         }
                     }
                 },
+                ApiKeyScopes: {
+                    type: 'object',
+                    description: 'Distribution restrictions for the key (omit or leave empty for no restriction)',
+                    properties: {
+                        vaultTypes: {
+                            type: 'array',
+                            items: { type: 'integer', minimum: 0, maximum: 3 },
+                            description: 'Vaults the key may distribute from',
+                            example: [0, 1]
+                        },
+                        maxAmountPerCall: {
+                            type: 'number',
+                            nullable: true,
+                            description: 'Max tokens per distribution request',
+                            example: 5000
+                        },
+                        maxDailyTotal: {
+                            type: 'number',
+                            nullable: true,
+                            description: 'Max tokens per UTC day across all requests',
+                            example: 50000
+                        },
+                        allowedRecipients: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Recipient addresses the key may pay',
+                            example: ['0x742d35Cc6634C0532925a3b8D6Ac6f1b478c3611']
+                        }
+                    }
+                },
                 TransactionResult: {
                     type: 'object',
                     properties: {
@@ -366,7 +402,7 @@ const options = {
             },
             {
                 name: 'Admin',
-                description: 'Administrative endpoints for API key management (requires X-Admin-Secret header)'
+                description: 'Administrative endpoints for API keys, wallets and admin accounts (requires an admin session token; every request is audited)'
             },
             {
                 name: 'Tokens',
@@ -379,6 +415,10 @@ const options = {
             {
                 name: 'Bot',
                 description: 'Automated trading bot endpoints - Price monitoring, trade execution, portfolio management, and safety checks for maintaining MWT/BNB peg on PancakeSwap'
+            },
+            {
+                name: 'OrderBook',
+                description: 'MWGOrderBook orders, fills and withdrawals served from indexed data'
             }
         ]
     },
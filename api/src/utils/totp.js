@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const { encryptWithKey, decryptWithKey } = require('./secretEncryption');
+
+/**
+ * RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30s step) for admin sign-in
+ *
+ * Secrets are base32 (what authenticator apps expect) and stored AES-256-GCM encrypted
+ * with ADMIN_TOTP_ENCRYPTION_KEY.
+ */
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const ENCRYPTION_KEY_ENV = 'ADMIN_TOTP_ENCRYPTION_KEY';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+function base32Decode(input) {
+    const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character in TOTP secret');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new base32 TOTP secret (160 bits)
+ */
+function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Code for a given time step
+ * @param {string} secret - base32 secret
+ * @param {number} step - floor(unixSeconds / 30)
+ */
+function generateTotp(secret, step = Math.floor(Date.now() / 1000 / STEP_SECONDS)) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+    return String(code).padStart(DIGITS, '0');
+}
+
+/**
+ * Verify a code, allowing one step of clock drift either way
+ * @param {string} secret - base32 secret
+ * @param {string} code - Code entered by the admin
+ * @param {Object} options - { window, now }
+ * @returns {number|null} Matched time step (store it to reject reuse), or null
+ */
+function verifyTotp(secret, code, { window = 1, now = Date.now() } = {}) {
+    if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+        return null;
+    }
+
+    const current = Math.floor(now / 1000 / STEP_SECONDS);
+
+    for (let step = current - window; step <= current + window; step++) {
+        const expected = generateTotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return step;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * otpauth:// URI for authenticator app enrolment (QR code payload)
+ */
+function buildOtpauthUri(secret, username, issuer = process.env.ADMIN_TOTP_ISSUER || 'Magic World Token') {
+    const label = encodeURIComponent(`${issuer}:${username}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Encrypt a TOTP secret for storage
+ * @returns {Object} { encryptedSecret, iv, authTag }
+ */
+function encryptTotpSecret(secret) {
+    return encryptWithKey(ENCRYPTION_KEY_ENV, secret);
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ */
+function decryptTotpSecret(stored) {
+    return decryptWithKey(ENCRYPTION_KEY_ENV, stored);
+}
+
+module.exports = {
+    STEP_SECONDS,
+    generateTotpSecret,
+    generateTotp,
+    verifyTotp,
+    buildOtpauthUri,
+    encryptTotpSecret,
+    decryptTotpSecret
+};
@@ -66,10 +66,10 @@ function validateStatus(req, res, next) {
 
     if (status !== undefined && status !== null) {
         const statusValue = parseInt(status);
-        if (isNaN(statusValue) || statusValue < 0 || statusValue > 3) {
+        if (isNaN(statusValue) || statusValue < 0 || statusValue > 4) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid status (must be 0-3: Active, Filled, Cancelled, Expired)'
+                error: 'Invalid status (must be 0-4: Active, Filled, PartiallyFilled, Cancelled, Expired)'
             });
         }
     }
@@ -0,0 +1,168 @@
+const ApiKey = require('../src/models/ApiKey');
+const { MemoryNonceStore } = require('../src/services/nonceStore');
+const {
+    buildStringToSign,
+    computeSignature,
+    encryptSigningSecret,
+    generateSigningSecret,
+    hashBody,
+    signaturesMatch,
+    signRequest
+} = require('../src/utils/requestSigning');
+const { verifySignedRequest } = require('../src/middleware/requestSignature');
+
+const KEY_ID = 'key_signing_test';
+const PATH = '/api/tokens/distribute';
+const BODY = JSON.stringify({ recipients: [{ address: '0x0000000000000000000000000000000000000001', amount: '10' }] });
+
+process.env.API_KEY_SIGNING_ENCRYPTION_KEY = 'ab'.repeat(32);
+
+const secret = generateSigningSecret();
+
+function buildRequest({ body = BODY, headers = {}, ...overrides } = {}) {
+    const signed = signRequest({ keyId: KEY_ID, secret, method: 'POST', path: PATH, body, ...overrides });
+    const lowerCased = Object.fromEntries(Object.entries(signed).map(([name, value]) => [name.toLowerCase(), value]));
+
+    return {
+        method: 'POST',
+        originalUrl: PATH,
+        ip: '127.0.0.1',
+        rawBody: body,
+        headers: { ...lowerCased, ...headers }
+    };
+}
+
+beforeEach(() => {
+    const keyData = {
+        id: KEY_ID,
+        name: 'Signing test key',
+        signing: { mode: 'required', ...encryptSigningSecret(secret) }
+    };
+    jest.spyOn(ApiKey, 'findOne').mockReturnValue({ select: async () => keyData });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('request signing helpers', () => {
+    test('string to sign joins method, path, timestamp, nonce and body hash with newlines', () => {
+        const stringToSign = buildStringToSign({
+            method: 'post',
+            path: PATH,
+            timestamp: '1700000000',
+            nonce: 'nonce-0123456789ab',
+            bodyHash: hashBody('')
+        });
+
+        expect(stringToSign).toBe([
+            'POST',
+            PATH,
+            '1700000000',
+            'nonce-0123456789ab',
+            'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+        ].join('\n'));
+    });
+
+    test('signRequest produces the signature computeSignature expects', () => {
+        const headers = signRequest({ keyId: KEY_ID, secret, method: 'POST', path: PATH, body: BODY, timestamp: 1700000000, nonce: 'nonce-0123456789ab' });
+        const expected = computeSignature(secret, {
+            method: 'POST',
+            path: PATH,
+            timestamp: '1700000000',
+            nonce: 'nonce-0123456789ab',
+            bodyHash: hashBody(BODY)
+        });
+
+        expect(headers['X-MWT-Key-Id']).toBe(KEY_ID);
+        expect(headers['X-MWT-Signature']).toBe(expected);
+    });
+
+    test('signaturesMatch accepts equal signatures in either case and rejects anything else', () => {
+        const signature = computeSignature(secret, { method: 'GET', path: '/', timestamp: '1', nonce: 'n', bodyHash: '' });
+        const other = computeSignature(secret, { method: 'GET', path: '/', timestamp: '2', nonce: 'n', bodyHash: '' });
+
+        expect(signaturesMatch(signature, signature)).toBe(true);
+        expect(signaturesMatch(signature, signature.toUpperCase())).toBe(true);
+        expect(signaturesMatch(signature, other)).toBe(false);
+        expect(signaturesMatch(signature, signature.slice(0, 62))).toBe(false);
+        expect(signaturesMatch(signature, `${signature.slice(0, 62)}zz`)).toBe(false);
+        expect(signaturesMatch(signature, undefined)).toBe(false);
+    });
+});
+
+describe('verifySignedRequest', () => {
+    test('accepts a request signed with signRequest', async () => {
+        const result = await verifySignedRequest(buildRequest());
+
+        expect(result.error).toBeUndefined();
+        expect(result.keyData.id).toBe(KEY_ID);
+    });
+
+    test('rejects a replayed nonce', async () => {
+        const req = buildRequest();
+
+        expect((await verifySignedRequest(req)).keyData).toBeDefined();
+        expect((await verifySignedRequest({ ...req })).error.code).toBe('NONCE_REUSED');
+    });
+
+    test('rejects a timestamp outside the allowed skew', async () => {
+        const stale = Math.floor(Date.now() / 1000) - 301;
+        const result = await verifySignedRequest(buildRequest({ timestamp: stale }));
+
+        expect(result.error).toMatchObject({ status: 401, code: 'STALE_SIGNATURE' });
+    });
+
+    test('rejects a body that differs from the signed one', async () => {
+        const req = buildRequest();
+        req.rawBody = BODY.replace('"10"', '"10000"');
+
+        const result = await verifySignedRequest(req);
+
+        expect(result.error).toMatchObject({ status: 401, code: 'INVALID_SIGNATURE' });
+    });
+
+    test('rejects a signature made with another secret', async () => {
+        const forged = signRequest({ keyId: KEY_ID, secret: generateSigningSecret(), method: 'POST', path: PATH, body: BODY });
+        const req = buildRequest({ headers: { 'x-mwt-signature': forged['X-MWT-Signature'] } });
+
+        expect((await verifySignedRequest(req)).error.code).toBe('INVALID_SIGNATURE');
+    });
+
+    test('does not burn the nonce of a request with a bad signature', async () => {
+        const req = buildRequest();
+        const tampered = { ...req, rawBody: `${BODY} ` };
+
+        expect((await verifySignedRequest(tampered)).error.code).toBe('INVALID_SIGNATURE');
+        expect((await verifySignedRequest(req)).keyData).toBeDefined();
+    });
+
+    test('lists the missing signature headers', async () => {
+        const req = buildRequest();
+        delete req.headers['x-mwt-nonce'];
+
+        const result = await verifySignedRequest(req);
+
+        expect(result.error).toMatchObject({ code: 'INCOMPLETE_SIGNATURE', missing: ['x-mwt-nonce'] });
+    });
+});
+
+describe('MemoryNonceStore', () => {
+    test('claims a nonce once until its TTL expires', async () => {
+        const store = new MemoryNonceStore();
+
+        expect(await store.claim('key:nonce', 1000, 0)).toBe(true);
+        expect(await store.claim('key:nonce', 1000, 999)).toBe(false);
+        expect(await store.claim('key:nonce', 1000, 1000)).toBe(true);
+    });
+
+    test('cleanup drops expired nonces only', () => {
+        const store = new MemoryNonceStore();
+        store.claim('old', 10, 0);
+        store.claim('new', 1000, 0);
+
+        store.cleanup(100);
+
+        expect([...store.nonces.keys()]).toEqual(['new']);
+    });
+});
@@ -0,0 +1,128 @@
+const AdminUser = require('../src/models/AdminUser');
+const adminAccounts = require('../src/services/adminAccounts');
+const {
+    STEP_SECONDS,
+    generateTotp,
+    verifyTotp,
+    encryptTotpSecret,
+    decryptTotpSecret
+} = require('../src/utils/totp');
+
+process.env.ADMIN_TOTP_ENCRYPTION_KEY = 'cd'.repeat(32);
+
+// RFC 6238 appendix B SHA-1 seed, ASCII "12345678901234567890", in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// RFC 6238 appendix B SHA-1 vectors. The RFC lists 8-digit codes; a 6-digit code is the
+// same truncated HMAC value mod 10^6, i.e. the last six digits.
+const RFC_VECTORS = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+];
+
+/**
+ * Stand-in for the adminusers collection that applies the filter consumeTotpStep sends
+ */
+function fakeAdminCollection(admin) {
+    const matchesStep = (condition) => {
+        const lastStep = admin.totp.lastStep;
+        if (condition === null) {
+            return lastStep === null || lastStep === undefined;
+        }
+        return lastStep !== null && lastStep !== undefined && lastStep < condition.$lt;
+    };
+
+    return async (filter, update) => {
+        const matched = filter.id === admin.id
+            && filter.$or.some(clause => matchesStep(clause['totp.lastStep']));
+        if (matched) {
+            admin.totp.lastStep = update.$set['totp.lastStep'];
+        }
+        return { matchedCount: matched ? 1 : 0, modifiedCount: matched ? 1 : 0 };
+    };
+}
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('generateTotp', () => {
+    test.each(RFC_VECTORS)('matches the RFC 6238 SHA-1 vector at T=%d', (time, rfcCode) => {
+        expect(generateTotp(RFC_SECRET, Math.floor(time / STEP_SECONDS))).toBe(rfcCode.slice(-6));
+    });
+
+    test('accepts lower-case and padded base32 secrets', () => {
+        const step = Math.floor(59 / STEP_SECONDS);
+
+        expect(generateTotp(`${RFC_SECRET.toLowerCase()}====`, step)).toBe('287082');
+    });
+
+    test('rejects secrets that are not base32', () => {
+        expect(() => generateTotp('NOT-BASE32!', 1)).toThrow('Invalid base32 character');
+    });
+});
+
+describe('verifyTotp', () => {
+    const now = 1111111111 * 1000;
+    const step = Math.floor(1111111111 / STEP_SECONDS);
+
+    test('returns the matched step for the current code', () => {
+        expect(verifyTotp(RFC_SECRET, '050471', { now })).toBe(step);
+    });
+
+    test('allows one step of clock drift either way and no more', () => {
+        expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 1), { now })).toBe(step - 1);
+        expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 1), { now })).toBe(step + 1);
+        expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 2), { now })).toBeNull();
+        expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 2), { now })).toBeNull();
+    });
+
+    test('rejects malformed codes', () => {
+        expect(verifyTotp(RFC_SECRET, '14050471', { now })).toBeNull();
+        expect(verifyTotp(RFC_SECRET, '05047', { now })).toBeNull();
+        expect(verifyTotp(RFC_SECRET, 50471, { now })).toBeNull();
+    });
+});
+
+describe('TOTP secret encryption', () => {
+    test('round-trips and never stores the plain secret', () => {
+        const stored = encryptTotpSecret(RFC_SECRET);
+
+        expect(stored.encryptedSecret).not.toContain(RFC_SECRET);
+        expect(decryptTotpSecret(stored)).toBe(RFC_SECRET);
+    });
+});
+
+describe('consumeTotpStep', () => {
+    test('accepts a step once and rejects the same or an older step afterwards', async () => {
+        const admin = { id: 'admin_1', totp: { lastStep: null } };
+        jest.spyOn(AdminUser, 'updateOne').mockImplementation(fakeAdminCollection(admin));
+
+        expect(await AdminUser.consumeTotpStep('admin_1', 100)).toBe(true);
+        expect(await AdminUser.consumeTotpStep('admin_1', 100)).toBe(false);
+        expect(await AdminUser.consumeTotpStep('admin_1', 99)).toBe(false);
+        expect(await AdminUser.consumeTotpStep('admin_1', 101)).toBe(true);
+        expect(admin.totp.lastStep).toBe(101);
+    });
+
+    test('loginWithTotp rejects a code that was already used', async () => {
+        const admin = {
+            id: 'admin_1',
+            username: 'ops',
+            totp: { ...encryptTotpSecret(RFC_SECRET), enabledAt: new Date(), lastStep: null },
+            hasTotp: () => true
+        };
+        jest.spyOn(AdminUser, 'findOne').mockReturnValue({ select: async () => admin });
+        jest.spyOn(AdminUser, 'updateOne').mockImplementation(fakeAdminCollection(admin));
+        jest.spyOn(adminAccounts, 'completeLogin').mockImplementation(async (user, method) => ({ admin: user, method }));
+
+        const code = generateTotp(RFC_SECRET);
+
+        await expect(adminAccounts.loginWithTotp('ops', code)).resolves.toMatchObject({ method: 'totp' });
+        await expect(adminAccounts.loginWithTotp('ops', code)).rejects.toMatchObject({ code: 'TOTP_REUSED' });
+    });
+});
@@ -108,13 +108,8 @@ export default function CreateDistributionPage() {
       });
 
       setSuccessMessage(
-        `Distribution created successfully! ID: ${result.distribution.distributionId}`
+        `Distribution proposed. It will be created once a second admin approves operation ${result.operation.id} (expires ${new Date(result.operation.expiresAt).toLocaleString()}).`
       );
-
-      // Redirect to distribution details after 2 seconds
-      setTimeout(() => {
-        router.push(`/admin/merkle/${result.distribution.distributionId}`);
-      }, 2000);
     } catch (err) {
       // Error is already set by the hook
       console.error("Failed to create distribution:", err);
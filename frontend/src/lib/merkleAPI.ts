@@ -7,7 +7,7 @@ import axios, { AxiosInstance } from 'axios';
 import type {
   Allocation,
   CreateDistributionRequest,
-  CreateDistributionResponse,
+  CreateDistributionProposal,
   DistributionFilters,
   DistributionListResponse,
   MerkleDistribution,
@@ -43,11 +43,11 @@ class MerkleAPIClient {
   }
 
   /**
-   * Create a new Merkle distribution
+   * Propose a new Merkle distribution (created once a second admin approves it)
    */
   async createDistribution(
     request: CreateDistributionRequest
-  ): Promise<CreateDistributionResponse> {
+  ): Promise<CreateDistributionProposal> {
     const response = await this.client.post('/distributions/create', request);
     return response.data.data;
   }
@@ -93,6 +93,36 @@ export interface CreateDistributionResponse {
   };
 }
 
+export type PendingOperationStatus =
+  | 'PENDING'
+  | 'EXECUTING'
+  | 'EXECUTED'
+  | 'FAILED'
+  | 'REJECTED'
+  | 'CANCELLED'
+  | 'EXPIRED';
+
+// Two-person operation awaiting a second admin's approval
+export interface PendingOperation {
+  id: string;
+  type: string;
+  summary: string;
+  status: PendingOperationStatus;
+  paramsHash: string;
+  proposedBy: {
+    type: 'admin' | 'api-key';
+    id: string;
+    username: string;
+  };
+  createdAt: string;
+  expiresAt: string;
+}
+
+export interface CreateDistributionProposal {
+  operation: PendingOperation;
+  message: string;
+}
+
 export interface DistributionFilters {
   status?: DistributionStatus;
   vaultType?: VaultType;